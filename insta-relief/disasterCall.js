@@ -17,7 +17,8 @@ connectFunctionsEmulator(functions, "localhost", 5001);
 
 const simulate = httpsCallable(functions, "disaster");
 
-simulate({ zip: "70401" })
+// Reusing the eventId retries the same event without paying anyone twice.
+simulate({ zip: "70401", eventId: "demo-70401" })
   .then((res) => {
     console.log("Response:", res.data);
   })
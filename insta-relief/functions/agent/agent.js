@@ -1,54 +1,209 @@
-exports.runClaudeAgent = async function (userQuery) {
-  const msg = await client.messages.create({
-    model: "claude-sonnet-4-5-20250929", // ✅ CORRECT MODEL
-    max_tokens: 1000,
-    tools,
-    system: `You are the Admin Automation Agent.
-You generate simulated disasters, validate users, and automate admin tasks.
-NEVER produce real emergency alerts.`,
-    messages: [
-      {
-        role: "user",
-        content: userQuery
-      }
-    ]
-  });
+const { Anthropic } = require("@anthropic-ai/sdk");
+const { tools } = require("./tools");
+const { toolHandlers } = require("./handlers");
+
+// The admin assistant's tool loop. The model may call any tool in tools.js;
+// each call runs the handler of the same name in handlers.js and its result
+// is fed back until the model answers in text.
+
+const MODEL = "claude-sonnet-4-5-20250929";
+const MAX_ITERATIONS = 10;
+
+const SYSTEM_PROMPT = `You are the AI Admin Assistant for Insta-Relief disaster insurance platform.
+
+WORKFLOW:
+When admin wants to trigger a catastrophe:
+1. Use propose_catastrophe_payout tool with an eventId: the NOAA alert id for a live alert, the existing id to resume an event, or for a new manual event one naming its type, area and start date (e.g. flood-70112-2025-06-14). The same eventId never pays a location twice, so never reuse one for a different event
+2. This stores a PENDING proposal with every affected insured location and the balance changes; it credits nothing
+3. A second admin reviews the proposal in the UI and approves or rejects it before it expires
+4. On approval the treasury wallet sends the payouts and emails follow each confirmed transfer
+Never tell the admin money has moved until a proposal is approved.
+
+Your capabilities:
+- Propose catastrophe payouts for admin approval
+- Analyze user data and provide recommendations
+- Investigate with read-only tools: search_users, query_withdrawals, query_payout_failures, get_active_alerts (live NOAA alerts over insured ZIPs) and simulate_payout_cost (price a payout before proposing it). Their results are paged; pass nextCursor back as cursor to continue
+- Review catastrophe history
+- Draft SIMULATED disaster scenarios from NOAA data (generate_disaster_scenario) for demos and drills; these never credit anyone
+- Answer questions about the platform
+
+Platform details:
+- SERVICE AREA: Louisiana, USA (Hammond, Baton Rouge, New Orleans, Lafayette areas)
+- Primary ZIP codes: 70401-70403 (Hammond), 70112-70119 (New Orleans), 70801-70809 (Baton Rouge)
+- Users have Phantom wallet addresses for SOL payments
+- Balances tracked in Firestore (USD)
+- SOL payouts from the treasury wallet, converted at a live SOL/USD quote
+- A policy can insure several locations; each location in an affected ZIP is paid separately, up to its coverage amount
+- Policy statuses: ACTIVE (can receive payouts), PAID (already paid this term), LAPSED, EXPIRED, CANCELLED
+- IMPORTANT: Only ACTIVE policies receive payouts. A PAID policy is only paid for further locations of the event that paid it; LAPSED, EXPIRED and CANCELLED policies are never paid. Every payout path enforces this, and proposals list such policies as skipped
 
-  const toolCall = msg.content?.find(x => x.type === "tool_use");
+Available catastrophe types:
+- Flood, Hurricane, Earthquake, Wildfire, Tornado, Winter Storm, Drought
 
-  if (!toolCall) {
-    return msg.content;
+FORMATTING CATASTROPHE EVENTS:
+When showing catastrophe events, display actual numbers:
+
+Event NUMBER:
+  Type = VALUE
+  Location = VALUE
+  Date = VALUE
+  ZIP Codes = VALUE
+  Amount USD = NUMBER
+  Amount SOL = NUMBER
+  Total Affected = NUMBER
+  Successful Payouts = NUMBER
+  Failed Payouts = NUMBER
+  Emails Sent = NUMBER
+  Triggered By = VALUE
+
+Be proactive, clear, and helpful.`;
+
+function defaultClient() {
+  return new Anthropic({ apiKey: process.env.CLAUDE_API_KEY });
+}
+
+// Checks a value against the JSON Schema subset the tool declarations use.
+// Returns the problems found.
+function schemaProblems(schema, value, path = "input") {
+  const types = {
+    object: v => v !== null && typeof v === "object" && !Array.isArray(v),
+    array: Array.isArray,
+    string: v => typeof v === "string",
+    number: v => typeof v === "number" && Number.isFinite(v),
+    integer: Number.isInteger,
+    boolean: v => typeof v === "boolean"
+  };
+  if (schema.type && !types[schema.type](value)) return [`${path} must be a ${schema.type}`];
+
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) problems.push(`${path} must be one of ${schema.enum.join(", ")}`);
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) problems.push(`${path} has an invalid format`);
+  if (schema.minLength != null && value.length < schema.minLength) problems.push(`${path} is too short`);
+  if (schema.maxLength != null && value.length > schema.maxLength) problems.push(`${path} is too long`);
+  if (schema.minimum != null && value < schema.minimum) problems.push(`${path} must be at least ${schema.minimum}`);
+  if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) problems.push(`${path} must be more than ${schema.exclusiveMinimum}`);
+  if (schema.maximum != null && value > schema.maximum) problems.push(`${path} must be at most ${schema.maximum}`);
+  if (schema.minItems != null && value.length < schema.minItems) problems.push(`${path} needs at least ${schema.minItems} item(s)`);
+  if (schema.maxItems != null && value.length > schema.maxItems) problems.push(`${path} allows at most ${schema.maxItems} items`);
+
+  if (schema.items) {
+    value.forEach((item, i) => problems.push(...schemaProblems(schema.items, item, `${path}[${i}]`)));
+  }
+  if (schema.type === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${path}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) problems.push(...schemaProblems(properties[key], item, `${path}.${key}`));
+      else if (schema.additionalProperties === false) problems.push(`${path}.${key} is not allowed`);
+    }
   }
+  return problems;
+}
 
-  const handler = toolHandlers[toolCall.name];
-  const result = await handler(toolCall.input);
-
-  const final = await client.messages.create({
-    model: "claude-sonnet-4-5-20250929", // ✅ AND HERE TOO
-    max_tokens: 800,
-    tools,
-    system: `You are the Admin Automation Agent.`,
-    messages: [
-      {
-        role: "user",
-        content: userQuery
-      },
-      {
-        role: "assistant",
-        content: msg.content
-      },
-      {
-        role: "user",
-        content: [
-          {
-            type: "tool_result",
-            tool_use_id: toolCall.id,
-            content: JSON.stringify(result)
-          }
-        ]
+async function runTool(handlers, toolUse, context) {
+  const handler = handlers[toolUse.name];
+  if (!handler) return { error: `Unknown tool: ${toolUse.name}` };
+
+  const tool = tools.find(t => t.name === toolUse.name);
+  const problems = tool ? schemaProblems(tool.input_schema, toolUse.input || {}) : [];
+  if (problems.length > 0) return { error: `Invalid input: ${problems.join("; ")}` };
+
+  console.log(`Executing: ${toolUse.name}`, toolUse.input);
+  try {
+    return await handler(toolUse.input || {}, context);
+  } catch (error) {
+    console.error(`Tool ${toolUse.name} failed:`, error);
+    return { error: error.message };
+  }
+}
+
+// One model call. With `onEvent`, the response is streamed and each text
+// delta is passed on as it arrives.
+async function callModel(client, params, onEvent) {
+  if (!onEvent) return client.messages.create(params);
+
+  const stream = client.messages.stream(params);
+  stream.on("text", text => onEvent("text", { text }));
+  return stream.finalMessage();
+}
+
+// Runs one turn of a conversation: `history` holds the earlier messages
+// (conversations.js) and `query` the admin's new one. Returns
+// { response, toolsUsed, messages, ...responseData }, where `messages` are
+// the messages this turn added and responseData carries the structured
+// results the admin UI acts on. `actor` is the admin asking ({ uid, email });
+// proposals are recorded under their name. `onEvent(type, data)`, when given,
+// receives "text", "tool_use" and "tool_result" events as they happen.
+// `client`, `handlers` and `maxIterations` can be replaced to replay scripted
+// model responses (test/agent.test.js).
+async function runClaudeAgent(query, {
+  actor,
+  history = [],
+  onEvent = null,
+  client = defaultClient(),
+  handlers = toolHandlers,
+  maxIterations = MAX_ITERATIONS
+} = {}) {
+  const messages = [...history, { role: "user", content: query }];
+  const turnStart = history.length;
+  const responseData = {};
+  let toolsUsed = 0;
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const response = await callModel(client, {
+      model: MODEL,
+      max_tokens: 4096,
+      system: SYSTEM_PROMPT,
+      tools,
+      messages
+    }, onEvent);
+    messages.push({ role: "assistant", content: response.content });
+
+    const toolUses = response.content.filter(block => block.type === "tool_use");
+    if (toolUses.length === 0) {
+      const text = response.content.filter(block => block.type === "text").map(block => block.text).join("\n");
+      return {
+        response: text || "Action completed",
+        toolsUsed,
+        messages: messages.slice(turnStart),
+        ...responseData
+      };
+    }
+
+    // Every tool_use in the turn needs its tool_result in the next message.
+    const results = [];
+    for (const toolUse of toolUses) {
+      if (onEvent) onEvent("tool_use", { id: toolUse.id, name: toolUse.name, input: toolUse.input });
+      const result = await runTool(handlers, toolUse, { client, actor, query });
+      toolsUsed++;
+      if (onEvent) onEvent("tool_result", { id: toolUse.id, name: toolUse.name, error: result.error || null });
+
+      if (toolUse.name === "propose_catastrophe_payout" && !result.error) {
+        responseData.proposal = result;
+        responseData.action = result.action;
+      } else if (toolUse.name === "generate_disaster_scenario" && !result.error) {
+        responseData.scenario = result;
       }
-    ]
-  });
 
-  return final.content;
-};
\ No newline at end of file
+      results.push({
+        type: "tool_result",
+        tool_use_id: toolUse.id,
+        content: JSON.stringify(result),
+        ...(result.error ? { is_error: true } : {})
+      });
+    }
+    messages.push({ role: "user", content: results });
+  }
+
+  throw new Error("Max iterations reached");
+}
+
+module.exports = {
+  MODEL,
+  MAX_ITERATIONS,
+  SYSTEM_PROMPT,
+  schemaProblems,
+  runClaudeAgent
+};
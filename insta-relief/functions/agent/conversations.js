@@ -0,0 +1,147 @@
+const admin = require("firebase-admin");
+
+// Admin assistant threads, one per session, owned by the admin who started
+// it:
+//
+//   agentConversations/{id}                { ownerUid, ownerEmail, title, messageCount, createdAt, updatedAt }
+//   agentConversations/{id}/messages/{seq} { seq, role, content, data, createdAt }
+//
+// `messages` are the Anthropic API messages as sent, tool calls and results
+// included, so a later turn replays the thread exactly. The final assistant
+// message of a turn keeps the turn's structured results (proposal, scenario)
+// in `data`.
+
+const MAX_HISTORY_MESSAGES = 40;
+// Firestore docs are capped at 1 MiB; oversized tool results are cut.
+const MAX_TOOL_RESULT_CHARS = 50000;
+const TITLE_LENGTH = 80;
+
+function conversationsRef() {
+  return admin.firestore().collection("agentConversations");
+}
+
+function seqId(seq) {
+  return String(seq).padStart(6, "0");
+}
+
+// API content as Firestore accepts it (no undefined values), with long tool
+// results truncated.
+function storedContent(content) {
+  if (typeof content === "string") return content;
+
+  return JSON.parse(JSON.stringify(content)).map(block =>
+    block.type === "tool_result" && typeof block.content === "string" && block.content.length > MAX_TOOL_RESULT_CHARS
+      ? { ...block, content: `${block.content.slice(0, MAX_TOOL_RESULT_CHARS)}... [truncated]` }
+      : block);
+}
+
+// Loads a conversation the admin owns. Throws when it doesn't exist or
+// belongs to someone else.
+async function getConversation(conversationId, ownerUid) {
+  const ref = conversationsRef().doc(conversationId);
+  const snap = await ref.get();
+  if (!snap.exists || snap.data().ownerUid !== ownerUid) {
+    throw new Error("Conversation not found");
+  }
+
+  const messages = await ref.collection("messages").orderBy("seq").get();
+  return {
+    conversation: { id: snap.id, ...snap.data() },
+    messages: messages.docs.map(doc => doc.data())
+  };
+}
+
+// The tail of a thread to send the model. It must open on one of the admin's
+// own messages, never on a tool result whose tool call was cut off.
+function historyForModel(messages) {
+  const recent = messages.slice(-MAX_HISTORY_MESSAGES);
+  const start = recent.findIndex(message => message.role === "user" && typeof message.content === "string");
+  return start === -1 ? [] : recent.slice(start).map(({ role, content }) => ({ role, content }));
+}
+
+async function createConversation(owner, firstQuery) {
+  const now = new Date().toISOString();
+  const ref = conversationsRef().doc();
+  const conversation = {
+    ownerUid: owner.uid,
+    ownerEmail: owner.email || null,
+    title: firstQuery.slice(0, TITLE_LENGTH),
+    messageCount: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+  await ref.set(conversation);
+  return { id: ref.id, ...conversation };
+}
+
+// Appends one turn's messages; `data` goes on the last of them.
+async function appendTurn(conversation, messages, data = null) {
+  const ref = conversationsRef().doc(conversation.id);
+  const now = new Date().toISOString();
+  const batch = admin.firestore().batch();
+
+  messages.forEach((message, i) => {
+    const seq = conversation.messageCount + i;
+    // create() fails the whole turn if a concurrent one took these slots.
+    batch.create(ref.collection("messages").doc(seqId(seq)), {
+      seq,
+      role: message.role,
+      content: storedContent(message.content),
+      data: i === messages.length - 1 && data ? JSON.parse(JSON.stringify(data)) : null,
+      createdAt: now
+    });
+  });
+  batch.update(ref, {
+    messageCount: admin.firestore.FieldValue.increment(messages.length),
+    updatedAt: now
+  });
+
+  await batch.commit();
+}
+
+// The admin's threads, newest first.
+async function listConversations(ownerUid, { limit = 20 } = {}) {
+  const snap = await conversationsRef().where("ownerUid", "==", ownerUid).get();
+  return snap.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit);
+}
+
+// A thread as the chat shows it: the admin's messages and, per turn, the
+// assistant's text, the tools it called and its structured results. Tool
+// results themselves are left out.
+function transcript(messages) {
+  const turns = [];
+
+  for (const message of messages) {
+    if (message.role === "user") {
+      if (typeof message.content === "string") {
+        turns.push({ role: "user", content: message.content, tools: [], createdAt: message.createdAt });
+      }
+      continue;
+    }
+
+    let turn = turns[turns.length - 1];
+    if (!turn || turn.role !== "assistant") {
+      turn = { role: "assistant", content: "", tools: [], createdAt: message.createdAt };
+      turns.push(turn);
+    }
+    for (const block of message.content) {
+      if (block.type === "text") turn.content += (turn.content ? "\n" : "") + block.text;
+      if (block.type === "tool_use") turn.tools.push(block.name);
+    }
+    if (message.data) Object.assign(turn, message.data);
+  }
+
+  return turns;
+}
+
+module.exports = {
+  getConversation,
+  historyForModel,
+  createConversation,
+  appendTurn,
+  listConversations,
+  transcript
+};
@@ -1,24 +1,514 @@
 const admin = require("firebase-admin");
-const { getNOAABaseline } = require("../noaa");
-const { generateAiScenario } = require("../aiScenario");
-const { buildFinalDisaster } = require("../buildFinalDisaster");
+const ledger = require("../ledger");
+const locations = require("../locations");
+const wallets = require("../wallets");
+const noaa = require("../noaa");
+const treasury = require("../treasury");
+const { matchAlertToZips, zipsForCounty } = require("../geo");
+const { counties, states } = require("../data/zip_county_fips.json");
+const { LAMPORTS_PER_SOL } = require("@solana/web3.js");
+const { usdToUsdcUnits } = require("../solana");
+const { generateAiScenario, buildFinalDisaster } = require("./scenario");
+const proposals = require("./proposals");
+
+// Implementations of the tools declared in tools.js, keyed by tool name.
+// Each takes the tool input and the agent context ({ client, actor, query })
+// and returns a JSON-serialisable result for the model.
+
+const DEFAULT_PAGE = 20;
+const SCAN_BATCH = 100;
+// Upper bound on docs one page may read when filters run in code.
+const MAX_SCAN = 1000;
+
+function daysAgo(days) {
+  return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+// One page of an in-memory list; the cursor is the offset of the next page.
+function pageOf(items, { limit = DEFAULT_PAGE, cursor }) {
+  const start = cursor ? parseInt(cursor, 10) || 0 : 0;
+  const end = start + limit;
+  return { items: items.slice(start, end), nextCursor: end < items.length ? String(end) : null };
+}
+
+// One page of a Firestore query whose remaining filters run in code: reads
+// batches after `cursor` (the id of the previous page's last doc read) until
+// `limit` docs pass `keep`, the query runs out, or MAX_SCAN docs were read.
+// Collection group queries pass the Firestore instance as `collection`, so the
+// cursor is the doc's full path instead.
+async function scanPage(query, collection, { keep = () => true, limit = DEFAULT_PAGE, cursor }) {
+  const cursorOf = doc => (collection instanceof admin.firestore.Firestore ? doc.ref.path : doc.id);
+  let batchQuery = query;
+  if (cursor) {
+    const last = await collection.doc(cursor).get();
+    if (!last.exists) throw new Error("Invalid cursor");
+    batchQuery = query.startAfter(last);
+  }
+
+  const docs = [];
+  let scanned = 0;
+  for (;;) {
+    const snap = await batchQuery.limit(SCAN_BATCH).get();
+    let lastDoc = null;
+    let i = 0;
+    for (; i < snap.docs.length && docs.length < limit; i++) {
+      lastDoc = snap.docs[i];
+      scanned++;
+      if (keep(lastDoc.data())) docs.push(lastDoc);
+    }
+
+    if (i === snap.docs.length && snap.size < SCAN_BATCH) return { docs, nextCursor: null, scanned };
+    if (docs.length >= limit || scanned >= MAX_SCAN) return { docs, nextCursor: cursorOf(lastDoc), scanned };
+    batchQuery = query.startAfter(lastDoc);
+  }
+}
+
+function userSummary(doc) {
+  const data = doc.data();
+  return {
+    userId: doc.id,
+    name: data.name || `${data.firstName || ""} ${data.lastName || ""}`.trim(),
+    email: data.email || null,
+    policyId: data.policyId || null,
+    status: data.status,
+    productId: data.productId || null,
+    zips: data.locationZips || (data.zip ? [data.zip] : []),
+    balance: data.balance || 0,
+    walletVerified: !!wallets.payableWallet(data),
+    coverageEnd: data.coverageEnd || null
+  };
+}
+
+// "Orleans" (LA) -> its FIPS and ZIPs. Throws unless exactly one county
+// matches.
+function resolveCounty(county, state = "LA") {
+  if (/^\d{5}$/.test(county)) {
+    if (!counties[county]) throw new Error(`Unknown county FIPS ${county}`);
+    return { fips: county, name: counties[county] };
+  }
+
+  const stateFips = states[state];
+  if (!stateFips) throw new Error(`Unknown state ${state}`);
+  const wanted = county.trim().toLowerCase();
+  const matches = Object.entries(counties)
+    .filter(([fips, name]) => fips.startsWith(stateFips) && name.toLowerCase().startsWith(wanted));
+
+  if (matches.length === 0) throw new Error(`No county named ${county} in ${state}`);
+  if (matches.length > 1) {
+    throw new Error(`"${county}" matches ${matches.map(([, name]) => name).join(", ")}; be more specific`);
+  }
+  return { fips: matches[0][0], name: matches[0][1] };
+}
 
 exports.toolHandlers = {
-  async generate_disaster_scenario({ lat, lon, type }) {
-    const noaa = await getNOAABaseline(lat, lon);
-    const ai = await generateAiScenario(noaa, type);
-    return buildFinalDisaster(noaa, ai);
+  async get_platform_config() {
+    const db = admin.firestore();
+    const recentCatastrophes = await db.collection("catastrophes")
+      .orderBy("createdAt", "desc")
+      .limit(20)
+      .get();
+
+    const usedTypes = new Set();
+    recentCatastrophes.forEach(doc => {
+      const data = doc.data();
+      if (data.type) usedTypes.add(data.type);
+    });
+
+    const catastropheTypes = [
+      { type: "Flood", description: "Flooding event" },
+      { type: "Hurricane", description: "Hurricane storm" },
+      { type: "Earthquake", description: "Seismic activity" },
+      { type: "Wildfire", description: "Forest fire" },
+      { type: "Tornado", description: "Tornado event" },
+      { type: "Winter Storm", description: "Severe winter weather" },
+      { type: "Drought", description: "Extended drought" }
+    ];
+
+    return {
+      catastropheTypes,
+      recentlyUsedTypes: Array.from(usedTypes),
+      suggestedAmounts: [50, 100, 150, 200, 250, 500]
+    };
+  },
+
+  async get_users_by_zip(toolInput) {
+    const { zipCodes } = toolInput;
+    const matches = await locations.locationsInZips(zipCodes.map(String));
+
+    const allUsers = matches.map(({ userDoc, location }) => {
+      const data = userDoc.data();
+      return {
+        id: userDoc.id,
+        name: data.name || `${data.firstName} ${data.lastName}`,
+        email: data.email,
+        policyId: data.policyId,
+        status: data.status,
+        balance: data.balance || 0,
+        walletAddress: data.walletAddress || null,
+        walletVerified: !!wallets.payableWallet(data),
+        zip: location.zip,
+        locationId: location.id,
+        locationLabel: location.label,
+        coverageAmount: location.coverageAmount
+      };
+    });
+
+    return {
+      users: allUsers,
+      count: allUsers.length,
+      zipCodes: zipCodes
+    };
+  },
+
+  // Only drafts the payout: approving it is up to an admin (proposals.js).
+  async propose_catastrophe_payout(toolInput, { actor, query }) {
+    const { type, location, zipCodes, description, eventId } = toolInput;
+    const amount = Number(toolInput.amount);
+    if (!type || !location || !Array.isArray(zipCodes) || zipCodes.length === 0 ||
+        !Number.isFinite(amount) || amount <= 0 || !eventId) {
+      throw new Error("type, location, zipCodes, eventId and a positive amount are required");
+    }
+
+    const zips = zipCodes.map(String);
+
+    const proposal = await proposals.proposeCatastrophePayout({
+      eventId,
+      type,
+      location,
+      zipCodes: zips,
+      amount,
+      asset: null,
+      description: description ||
+        `${type} disaster affecting ZIP codes: ${zips.join(", ")}. Emergency relief payout of $${amount} per insured location.`
+    }, { requestedBy: actor, query });
+
+    const { totals } = proposal.plan;
+    return {
+      action: "PROPOSAL_CREATED",
+      proposalId: proposal.proposalId,
+      eventId,
+      expiresAt: proposal.expiresAt,
+      totals,
+      sample: proposal.plan.rows.slice(0, 10),
+      message: `Proposal ${proposal.proposalId} is waiting for approval. Nothing has been credited yet. ` +
+        `If approved it credits ${totals.locations} insured location(s) on ${totals.policies} policy(ies), ` +
+        `$${totals.totalUSD} in total (${totals.skipped} skipped). It expires at ${proposal.expiresAt}.`
+    };
+  },
+
+  async get_user_analytics(toolInput) {
+    const db = admin.firestore();
+    // With a ZIP, every policy insuring a location there.
+    const docs = toolInput.zip
+      ? [...new Set((await locations.locationsInZips([String(toolInput.zip)])).map(match => match.userDoc))]
+      : (await db.collection("users").get()).docs;
+    const stats = {
+      total: docs.length,
+      byStatus: {},
+      byZip: {},
+      balances: {
+        total: 0,
+        average: 0,
+        min: Infinity,
+        max: -Infinity
+      },
+      withWallet: 0,
+      withoutWallet: 0
+    };
+
+    docs.forEach(doc => {
+      const data = doc.data();
+      stats.byStatus[data.status] = (stats.byStatus[data.status] || 0) + 1;
+      const hasWallet = !!wallets.payableWallet(data);
+      // Every insured location's ZIP (users.zip until the user is migrated).
+      (data.locationZips || (data.zip ? [data.zip] : [])).forEach(zip => {
+        const zipStats = stats.byZip[zip] || (stats.byZip[zip] = { total: 0, withWallet: 0 });
+        zipStats.total++;
+        if (hasWallet) zipStats.withWallet++;
+      });
+      const balance = data.balance || 0;
+      stats.balances.total += balance;
+      stats.balances.min = Math.min(stats.balances.min, balance);
+      stats.balances.max = Math.max(stats.balances.max, balance);
+      if (hasWallet) stats.withWallet++;
+      else stats.withoutWallet++;
+    });
+
+    stats.balances.average = stats.total > 0 ? stats.balances.total / stats.total : 0;
+    if (stats.balances.min === Infinity) stats.balances.min = 0;
+    if (stats.balances.max === -Infinity) stats.balances.max = 0;
+
+    return stats;
   },
 
-  async validate_zip_users({ zipCodes }) {
+  async get_recent_catastrophes(toolInput) {
     const db = admin.firestore();
-    const users = [];
+    const limit = toolInput.limit || 10;
+
+    const snapshot = await db.collection("catastrophes")
+      .orderBy("createdAt", "desc")
+      .limit(limit)
+      .get();
+
+    const events = [];
+    snapshot.forEach(doc => {
+      const data = doc.data();
+      events.push({
+        id: doc.id,
+        type: data.type || "Unknown",
+        location: data.location || "Unknown",
+        zipCodes: data.zipCodes || [],
+        amount: data.amount || 0,
+        amountSOL: data.amountSOL || 0,
+        totalAffected: data.totalAffected || 0,
+        successfulPayouts: data.successfulPayouts || 0,
+        failedPayouts: data.failedPayouts || 0,
+        emailsSent: data.emailsSent || 0,
+        createdAt: data.createdAt || new Date().toISOString(),
+        createdBy: data.createdBy || "Unknown",
+        description: data.description || ""
+      });
+    });
+
+    return {
+      events,
+      count: events.length,
+      summary: {
+        totalEvents: events.length,
+        totalPayouts: events.reduce((sum, e) => sum + (e.successfulPayouts || 0), 0),
+        totalFailed: events.reduce((sum, e) => sum + (e.failedPayouts || 0), 0),
+        totalEmailsSent: events.reduce((sum, e) => sum + (e.emailsSent || 0), 0)
+      }
+    };
+  },
+
+  // Drafts a simulated event near a point; nothing is credited. The admin
+  // runs it through simulateDisaster.
+  async generate_disaster_scenario({ lat, lon, type }, { client }) {
+    const baseline = await noaa.getNOAABaseline(Number(lat), Number(lon));
+    const draft = await generateAiScenario(baseline, type, client);
+    return buildFinalDisaster(baseline, draft, { type });
+  },
+
+  async search_users(toolInput) {
+    const { zip, status, productId, walletVerified, emailPrefix, limit, cursor } = toolInput;
+    const db = admin.firestore();
+    const users = db.collection("users");
+
+    const keep = data =>
+      (!status || data.status === status) &&
+      (!productId || data.productId === productId) &&
+      (walletVerified === undefined || !!wallets.payableWallet(data) === walletVerified) &&
+      (!emailPrefix || String(data.email || "").startsWith(emailPrefix));
+
+    // A ZIP narrows the search to its insured locations' policies.
+    if (zip) {
+      const docs = [...new Map((await locations.locationsInZips([zip]))
+        .map(({ userDoc }) => [userDoc.id, userDoc])).values()]
+        .filter(doc => keep(doc.data()))
+        .sort((a, b) => a.id.localeCompare(b.id));
+      const page = pageOf(docs, { limit, cursor });
+      return { users: page.items.map(userSummary), count: page.items.length, nextCursor: page.nextCursor };
+    }
+
+    // Otherwise the most selective filter goes to Firestore; the rest run on
+    // each doc read.
+    let query;
+    if (emailPrefix) {
+      query = users.where("email", ">=", emailPrefix).where("email", "<", `${emailPrefix}\uf8ff`).orderBy("email");
+    } else {
+      query = users;
+      if (status) query = query.where("status", "==", status);
+      if (productId) query = query.where("productId", "==", productId);
+      query = query.orderBy(admin.firestore.FieldPath.documentId());
+    }
+
+    const page = await scanPage(query, users, { keep, limit, cursor });
+    return {
+      users: page.docs.map(userSummary),
+      count: page.docs.length,
+      scanned: page.scanned,
+      nextCursor: page.nextCursor
+    };
+  },
+
+  async query_withdrawals(toolInput) {
+    const { status, userId, limit, cursor } = toolInput;
+    const since = toolInput.since || daysAgo(30);
+    const withdrawals = admin.firestore().collection("withdrawals");
+
+    const page = await scanPage(
+      withdrawals.where("createdAt", ">=", since).orderBy("createdAt", "desc"),
+      withdrawals,
+      {
+        keep: data => (!status || data.status === status) && (!userId || data.userId === userId),
+        limit,
+        cursor
+      }
+    );
+
+    return {
+      since,
+      withdrawals: page.docs.map(doc => {
+        const data = doc.data();
+        return {
+          withdrawalId: doc.id,
+          userId: data.userId,
+          email: data.email || null,
+          amountUSD: data.amountUSD,
+          status: data.status,
+          error: data.error || null,
+          attempts: data.attempts || 0,
+          signature: data.signature || null,
+          createdAt: data.createdAt,
+          failedAt: data.failedAt || null
+        };
+      }),
+      count: page.docs.length,
+      nextCursor: page.nextCursor
+    };
+  },
+
+  async query_payout_failures(toolInput) {
+    const { eventId, limit, cursor } = toolInput;
+    const since = toolInput.since || daysAgo(7);
+    const db = admin.firestore();
+    // A recipient keeps failedAt after a retry, so the state is checked too.
+    const recipients = eventId
+      ? db.collection("payoutJobs").doc(eventId).collection("recipients")
+      : db.collectionGroup("recipients");
+
+    const page = await scanPage(
+      recipients.where("failedAt", ">=", since).orderBy("failedAt", "desc"),
+      eventId ? recipients : db,
+      { keep: data => data.state === "failed", limit, cursor }
+    );
+
+    const failures = page.docs.map(doc => {
+      const recipient = doc.data();
+      return {
+        eventId: doc.ref.parent.parent.id,
+        payoutId: doc.id,
+        userId: recipient.userId,
+        email: recipient.email || null,
+        locationLabel: recipient.locationLabel || null,
+        zip: recipient.zip || null,
+        amountUSD: recipient.amountUSD,
+        asset: recipient.asset || "SOL",
+        attempts: recipient.attempts || 0,
+        error: recipient.error || "Unknown error",
+        failedAt: recipient.failedAt
+      };
+    });
+
+    const byError = {};
+    failures.forEach(failure => { byError[failure.error] = (byError[failure.error] || 0) + 1; });
+
+    return { since, byError, failures, count: failures.length, nextCursor: page.nextCursor };
+  },
+
+  async get_active_alerts(toolInput) {
+    const { event, severity, insuredOnly = true, limit, cursor } = toolInput;
+    const { features } = await noaa.fetchActiveAlerts();
+
+    const alerts = features
+      .filter(alert => !event || String(alert.properties.event || "").toLowerCase().includes(event.toLowerCase()))
+      .filter(alert => !severity || alert.properties.severity === severity)
+      .map(alert => ({ alert, ...matchAlertToZips(alert) }));
+
+    // One lookup for every ZIP under an alert.
+    const insured = {};
+    const matches = await locations.locationsInZips([...new Set(alerts.flatMap(a => a.zips))]);
+    matches.forEach(({ userDoc, location }) => {
+      if (!insured[location.zip]) insured[location.zip] = { locations: 0, policies: new Set() };
+      insured[location.zip].locations++;
+      insured[location.zip].policies.add(userDoc.id);
+    });
+
+    const results = alerts
+      .map(({ alert, zips, matchedBy }) => {
+        const p = alert.properties;
+        const insuredZips = zips.filter(zip => insured[zip]);
+        return {
+          alertId: p.id,
+          event: p.event,
+          severity: p.severity,
+          certainty: p.certainty,
+          urgency: p.urgency,
+          headline: p.headline || null,
+          areaDesc: p.areaDesc,
+          onset: p.onset || null,
+          expires: p.expires || null,
+          matchedBy,
+          zipCount: zips.length,
+          insuredZips,
+          insuredLocations: insuredZips.reduce((sum, zip) => sum + insured[zip].locations, 0),
+          policies: new Set(insuredZips.flatMap(zip => [...insured[zip].policies])).size
+        };
+      })
+      .filter(result => !insuredOnly || result.insuredLocations > 0);
+
+    const page = pageOf(results, { limit, cursor });
+    return {
+      serviceArea: noaa.SERVICE_AREA,
+      activeAlerts: features.length,
+      matching: results.length,
+      alerts: page.items,
+      nextCursor: page.nextCursor
+    };
+  },
+
+  // What propose_catastrophe_payout would pay, priced, without storing a
+  // proposal.
+  async simulate_payout_cost(toolInput) {
+    const { zipCodes, county, state, amount, asset = "SOL", limit, cursor } = toolInput;
+    if (!zipCodes && !county) throw new Error("Give zipCodes or a county");
+
+    const area = county ? resolveCounty(county, state) : null;
+    const zips = area ? zipsForCounty(area.fips) : [...new Set(zipCodes)];
+
+    const plan = await proposals.planCatastrophePayout({ eventId: "cost-simulation", zipCodes: zips, amount });
+    const { totals } = plan;
+
+    const transfers = totals.locations;
+    const lamports = asset === "SOL" && totals.exchangeRate
+      ? Math.round(totals.totalUSD / totals.exchangeRate * LAMPORTS_PER_SOL)
+      : 0;
 
-    for (const zip of zipCodes) {
-      const snapshot = await db.collection("users").where("zip", "==", zip).get();
-      snapshot.forEach(doc => users.push({ id: doc.id, ...doc.data() }));
+    let funding = null;
+    try {
+      const check = await treasury.checkFunding({
+        lamports,
+        tokenAmount: asset === "USDC" ? usdToUsdcUnits(totals.totalUSD) : 0,
+        transfers,
+        tokenTransfers: asset === "USDC" ? transfers : 0
+      });
+      funding = {
+        covered: check.covered,
+        requiredSOL: check.requiredSOL,
+        availableSOL: check.availableSOL,
+        shortfallSOL: check.shortfallSOL,
+        requiredUSDC: check.requiredUSDC,
+        availableUSDC: check.usdcAvailable,
+        shortfallUSDC: check.shortfallUSDC
+      };
+    } catch (error) {
+      console.warn("Cost simulation without a treasury check:", error.message);
     }
 
-    return { count: users.length, users };
+    const page = pageOf(plan.rows, { limit, cursor });
+    return {
+      area: area ? `${area.name} (${area.fips})` : null,
+      zipCount: zips.length,
+      amount,
+      asset,
+      totals,
+      feesSOL: transfers * treasury.FEE_LAMPORTS_PER_TRANSFER / LAMPORTS_PER_SOL,
+      funding,
+      note: funding ? null : "Treasury balance unavailable; funding not checked",
+      locations: page.items,
+      nextCursor: page.nextCursor,
+      rowsTruncated: plan.rowsTruncated
+    };
   }
 };
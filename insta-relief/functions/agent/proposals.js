@@ -0,0 +1,253 @@
+const admin = require("firebase-admin");
+const ledger = require("../ledger");
+const payoutWorker = require("../payoutWorker");
+const locations = require("../locations");
+const { payoutIdFor } = require("../payouts");
+const { coveredForEvent } = require("../policies");
+const { getQuote } = require("../price");
+
+// The admin agent never moves money itself. A tool that would (today only
+// propose_catastrophe_payout) stores its plan as `agentProposals/{id}`:
+//
+//   PENDING --approve--> EXECUTING --> EXECUTED | FAILED
+//          \--reject--> REJECTED
+//          \--expiresAt passes--> EXPIRED
+//
+// The plan lists every insured location the payout would credit with its
+// balance before and after, so the approver sees the exact diff. Catastrophe
+// payouts are sent to the wallet (ledger.js `disbursed`), so the balance
+// itself doesn't change. Approving runs the same path as approveCatastrophe
+// (payoutWorker.enqueueEventPayouts). The admin who asked the agent can't
+// approve their own proposal unless AGENT_PROPOSAL_SELF_APPROVAL=true
+// (single-admin demos). Proposals expire after AGENT_PROPOSAL_TTL_MINUTES
+// (default 60). Every step is appended to the proposal's `audit` list.
+
+const STATUS = {
+  PENDING: "PENDING",
+  EXECUTING: "EXECUTING",
+  EXECUTED: "EXECUTED",
+  FAILED: "FAILED",
+  REJECTED: "REJECTED",
+  EXPIRED: "EXPIRED"
+};
+
+const KIND = {
+  CATASTROPHE_PAYOUT: "catastrophe_payout"
+};
+
+const TTL_MINUTES = Number(process.env.AGENT_PROPOSAL_TTL_MINUTES || 60);
+const ALLOW_SELF_APPROVAL = process.env.AGENT_PROPOSAL_SELF_APPROVAL === "true";
+// Keeps the proposal doc well under Firestore's 1 MiB limit.
+const MAX_PLAN_ROWS = 200;
+
+function proposalsRef() {
+  return admin.firestore().collection("agentProposals");
+}
+
+function auditEntry(action, actor, note = null) {
+  return { action, actor: actor.email || actor.uid, uid: actor.uid || null, note, at: new Date().toISOString() };
+}
+
+function appendAudit(entry) {
+  return admin.firestore.FieldValue.arrayUnion(entry);
+}
+
+function skipReason(user, eventId, alreadyPaid) {
+  if (alreadyPaid) return "already paid for this event";
+  if (!coveredForEvent(user, eventId)) return `policy ${user.status || "without a status"}`;
+  return "no verified wallet";
+}
+
+// What a catastrophe payout would do right now, without writing anything.
+// Only policies covered for the event (policies.js coveredForEvent) are paid.
+async function planCatastrophePayout({ eventId, zipCodes, amount }) {
+  const db = admin.firestore();
+  const all = await locations.locationsInZips(zipCodes);
+  const payable = new Set((await payoutWorker.payableLocations(zipCodes, eventId))
+    .map(({ userDoc, location }) => `${userDoc.id}:${location.id}`));
+
+  const payoutRefs = all.map(({ userDoc, location }) =>
+    db.collection("payouts").doc(payoutIdFor(eventId, userDoc.data().policyId || userDoc.id, location.id)));
+  const paid = payoutRefs.length > 0 ? await db.getAll(...payoutRefs) : [];
+
+  const rows = all.map(({ userDoc, location }, i) => {
+    const user = userDoc.data();
+    const willPay = payable.has(`${userDoc.id}:${location.id}`) && !paid[i].exists;
+    const before = user.balance || 0;
+    const added = willPay ? ledger.roundCents(locations.locationPayout(location, amount)) : 0;
+
+    return {
+      userId: userDoc.id,
+      email: user.email || null,
+      name: user.name || `${user.firstName || ""} ${user.lastName || ""}`.trim(),
+      zip: location.zip,
+      locationId: location.id,
+      locationLabel: location.label,
+      balanceBefore: before,
+      added,
+      balanceAfter: before,
+      skipped: willPay ? null : skipReason(user, eventId, paid[i].exists)
+    };
+  });
+
+  const credited = rows.filter(row => !row.skipped);
+  const totalUSD = ledger.roundCents(credited.reduce((sum, row) => sum + row.added, 0));
+
+  let quote = null;
+  try {
+    quote = await getQuote();
+  } catch (error) {
+    console.warn("No SOL quote for the proposal estimate:", error.message);
+  }
+
+  return {
+    totals: {
+      locations: credited.length,
+      policies: new Set(credited.map(row => row.userId)).size,
+      skipped: rows.length - credited.length,
+      totalUSD,
+      estimatedSOL: quote ? Number((totalUSD / quote.price).toFixed(4)) : null,
+      exchangeRate: quote ? quote.price : null
+    },
+    rows: rows.slice(0, MAX_PLAN_ROWS),
+    rowsTruncated: rows.length > MAX_PLAN_ROWS
+  };
+}
+
+// Stores a pending catastrophe payout proposal. `requestedBy` is the admin
+// who asked the agent ({ uid, email }).
+async function proposeCatastrophePayout(params, { requestedBy, query = null }) {
+  const plan = await planCatastrophePayout(params);
+  const now = new Date();
+  const ref = proposalsRef().doc();
+
+  const proposal = {
+    kind: KIND.CATASTROPHE_PAYOUT,
+    status: STATUS.PENDING,
+    params,
+    plan,
+    query,
+    requestedBy,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + TTL_MINUTES * 60 * 1000).toISOString(),
+    audit: [auditEntry("proposed", requestedBy, query)]
+  };
+  await ref.set(proposal);
+
+  console.log(`Agent proposal ${ref.id}: ${params.type} for ${params.zipCodes.join(", ")}, $${plan.totals.totalUSD}`);
+  return { proposalId: ref.id, ...proposal };
+}
+
+// Approves and executes a pending proposal. Throws when it can't be approved.
+async function approveProposal(proposalId, approver) {
+  const db = admin.firestore();
+  const ref = proposalsRef().doc(proposalId);
+
+  const proposal = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) throw new Error("Proposal not found");
+
+    const data = snap.data();
+    if (data.status !== STATUS.PENDING) throw new Error(`Proposal is ${data.status.toLowerCase()}`);
+
+    if (new Date().toISOString() >= data.expiresAt) {
+      t.update(ref, { status: STATUS.EXPIRED, audit: appendAudit(auditEntry("expired", { uid: null, email: "system" })) });
+      return null;
+    }
+    if (data.requestedBy.uid === approver.uid && !ALLOW_SELF_APPROVAL) {
+      throw new Error("A second admin must approve this proposal");
+    }
+
+    t.update(ref, {
+      status: STATUS.EXECUTING,
+      approvedBy: approver,
+      approvedAt: new Date().toISOString(),
+      audit: appendAudit(auditEntry("approved", approver))
+    });
+    return data;
+  });
+  if (!proposal) throw new Error("Proposal has expired");
+
+  try {
+    const { params } = proposal;
+    const result = await payoutWorker.enqueueEventPayouts({
+      ...params,
+      actor: `${approver.email || approver.uid} (agent proposal ${proposalId})`
+    });
+
+    const outcome = {
+      staged: result.staged,
+      recipients: result.recipients,
+      queued: result.queued,
+      skipped: result.skipped,
+      errors: result.errors
+    };
+    await ref.update({
+      status: STATUS.EXECUTED,
+      executedAt: new Date().toISOString(),
+      result: outcome,
+      audit: appendAudit(auditEntry("executed", approver,
+        result.staged ? "awaiting treasury funds" : `${result.queued} transfer(s) queued`))
+    });
+    return { proposalId, eventId: params.eventId, status: STATUS.EXECUTED, ...outcome };
+  } catch (error) {
+    console.error(`Agent proposal ${proposalId} failed:`, error);
+    await ref.update({
+      status: STATUS.FAILED,
+      error: error.message,
+      audit: appendAudit(auditEntry("failed", approver, error.message))
+    });
+    throw error;
+  }
+}
+
+// Any admin may reject, including the one who asked for it.
+async function rejectProposal(proposalId, actor, reason = null) {
+  const db = admin.firestore();
+  const ref = proposalsRef().doc(proposalId);
+
+  await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) throw new Error("Proposal not found");
+    if (snap.data().status !== STATUS.PENDING) throw new Error(`Proposal is ${snap.data().status.toLowerCase()}`);
+
+    t.update(ref, {
+      status: STATUS.REJECTED,
+      rejectedBy: actor,
+      rejectedAt: new Date().toISOString(),
+      rejectionReason: reason,
+      audit: appendAudit(auditEntry("rejected", actor, reason))
+    });
+  });
+  return { proposalId, status: STATUS.REJECTED };
+}
+
+// Scheduled: marks pending proposals past their expiry.
+async function expireProposals(now = new Date().toISOString()) {
+  const snap = await proposalsRef().where("status", "==", STATUS.PENDING).get();
+  let expired = 0;
+
+  for (const doc of snap.docs.filter(doc => doc.data().expiresAt <= now)) {
+    try {
+      // Skips proposals approved or rejected since the query ran.
+      await doc.ref.update({
+        status: STATUS.EXPIRED,
+        audit: appendAudit(auditEntry("expired", { uid: null, email: "system" }))
+      }, { lastUpdateTime: doc.updateTime });
+      expired++;
+    } catch (error) {
+      console.warn(`Could not expire agent proposal ${doc.id}:`, error.message);
+    }
+  }
+  return { pending: snap.size, expired };
+}
+
+module.exports = {
+  STATUS,
+  KIND,
+  planCatastrophePayout,
+  proposeCatastrophePayout,
+  approveProposal,
+  rejectProposal,
+  expireProposals
+};
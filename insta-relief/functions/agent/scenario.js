@@ -0,0 +1,120 @@
+const { SCALES } = require("../products");
+const { countyForZip, nearestZip } = require("../geo");
+const { defaultEventId } = require("../payouts");
+
+// Simulated disaster scenarios for demos and drills. The model drafts an
+// event from a NOAA point baseline (noaa.getNOAABaseline); buildFinalDisaster
+// then checks the draft and turns it into the request simulateDisaster
+// accepts ({ zip, event, severity, certainty, urgency, amount, eventId,
+// headline, description }). The ZIP always comes from the coordinates, never
+// from the model.
+
+const SCENARIO_MODEL = "claude-sonnet-4-5-20250929";
+const MAX_AMOUNT = 1000;
+
+const DRAFT_TOOL = {
+  name: "submit_scenario",
+  description: "Submit the drafted simulated disaster event.",
+  input_schema: {
+    type: "object",
+    properties: {
+      event: { type: "string", description: "NWS event name, e.g. \"Hurricane Warning\" or \"Flash Flood Warning\"" },
+      severity: { type: "string", enum: SCALES.severity },
+      certainty: { type: "string", enum: SCALES.certainty },
+      urgency: { type: "string", enum: SCALES.urgency },
+      headline: { type: "string", description: "One-line NWS-style headline" },
+      description: { type: "string", description: "Two to four sentences describing the simulated impact" },
+      amount: { type: "number", description: "Optional flat payout in USD; omit to let each policy's product decide" }
+    },
+    required: ["event", "severity", "certainty", "urgency", "headline", "description"]
+  }
+};
+
+async function generateAiScenario(baseline, type, client) {
+  const response = await client.messages.create({
+    model: SCENARIO_MODEL,
+    max_tokens: 1000,
+    system: "You draft SIMULATED severe-weather events for testing a parametric disaster insurance platform. " +
+      "Base the event on the NOAA baseline you are given so it is plausible for that place and season. " +
+      "Never present the event as a real warning.",
+    tools: [DRAFT_TOOL],
+    tool_choice: { type: "tool", name: DRAFT_TOOL.name },
+    messages: [{
+      role: "user",
+      content: `Draft a simulated ${type} event for this location.\n\nNOAA baseline:\n${JSON.stringify(baseline, null, 2)}`
+    }]
+  });
+
+  const draft = response.content.find(block => block.type === "tool_use" && block.name === DRAFT_TOOL.name);
+  if (!draft) throw new Error("The model did not return a scenario draft");
+  return draft.input;
+}
+
+function scaleValue(scale, value, problems) {
+  const match = SCALES[scale].find(v => v.toLowerCase() === String(value || "").trim().toLowerCase());
+  if (!match) problems.push(`${scale} must be one of ${SCALES[scale].join(", ")}`);
+  return match;
+}
+
+function text(value, field, maxLength, problems) {
+  const trimmed = typeof value === "string" ? value.trim() : "";
+  if (!trimmed) problems.push(`${field} is required`);
+  return trimmed.slice(0, maxLength);
+}
+
+// Throws with every problem found, so the agent can correct the draft.
+function buildFinalDisaster(baseline, draft, { type } = {}) {
+  const problems = [];
+
+  const location = nearestZip(baseline.lat, baseline.lon);
+  if (!location) problems.push(`No ZIP code near ${baseline.lat}, ${baseline.lon}`);
+
+  const event = text(draft.event, "event", 80, problems);
+  if (type && event && !event.toLowerCase().includes(String(type).toLowerCase().split(" ")[0])) {
+    problems.push(`event "${event}" does not match the requested type ${type}`);
+  }
+
+  const scenario = {
+    zip: location ? location.zip : null,
+    event,
+    severity: scaleValue("severity", draft.severity, problems),
+    certainty: scaleValue("certainty", draft.certainty, problems),
+    urgency: scaleValue("urgency", draft.urgency, problems),
+    headline: text(draft.headline, "headline", 200, problems),
+    description: text(draft.description, "description", 1000, problems)
+  };
+
+  if (draft.amount != null) {
+    const amount = Number(draft.amount);
+    if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_AMOUNT) {
+      problems.push(`amount must be between 0 and ${MAX_AMOUNT}`);
+    } else {
+      scenario.amount = Math.round(amount * 100) / 100;
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid scenario: ${problems.join("; ")}`);
+  }
+
+  if (!/simulat/i.test(scenario.description)) {
+    scenario.description = `SIMULATED EVENT. ${scenario.description}`;
+  }
+  scenario.eventId = defaultEventId("scenario", scenario.event, scenario.zip);
+
+  return {
+    ...scenario,
+    areaDesc: countyForZip(scenario.zip)?.name || location.name,
+    baseline: {
+      city: baseline.city,
+      state: baseline.state,
+      office: baseline.office,
+      activeAlerts: baseline.activeAlerts.map(alert => alert.event)
+    }
+  };
+}
+
+module.exports = {
+  generateAiScenario,
+  buildFinalDisaster
+};
@@ -1,29 +1,190 @@
+// The admin agent's tool registry: every tool the model may call, with its
+// implementation in handlers.js under the same name. Inputs are checked
+// against `input_schema` before a handler runs (agent.js), so the read-only
+// investigative tools below declare strict schemas. Their results are paged:
+// pass `nextCursor` back as `cursor` for the next page.
+
+const ZIP = { type: "string", pattern: "^\\d{5}$" };
+const SINCE = {
+  type: "string",
+  pattern: "^\\d{4}-\\d{2}-\\d{2}",
+  description: "Only include records from this ISO date or time on"
+};
+const PAGING = {
+  limit: { type: "integer", minimum: 1, maximum: 50, description: "Page size (default 20)" },
+  cursor: { type: "string", maxLength: 200, description: "nextCursor from the previous page" }
+};
+
 exports.tools = [
   {
-    name: "generate_disaster_scenario",
-    description: "Generate a simulated catastrophe event using NOAA baseline + AI logic.",
+    name: "get_platform_config",
+    description: "Get platform configuration: available catastrophe types, recently used types and suggested payout amounts. Policy counts per ZIP come from get_user_analytics.",
+    input_schema: {
+      type: "object",
+      properties: {}
+    }
+  },
+  {
+    name: "get_users_by_zip",
+    description: "Get every insured location in specific ZIP code(s) with its policyholder's balance and wallet info.",
     input_schema: {
       type: "object",
       properties: {
-        lat: { type: "number" },
-        lon: { type: "number" },
-        type: { type: "string" }
+        zipCodes: {
+          type: "array",
+          items: { type: "string" },
+          description: "Array of ZIP codes to query"
+        }
       },
-      required: ["lat", "lon", "type"]
+      required: ["zipCodes"]
     }
   },
   {
-    name: "validate_zip_users",
-    description: "Return list of users in Firestore matching ZIP codes.",
+    name: "propose_catastrophe_payout",
+    description: "Propose a catastrophe payout. Moves no money: it stores a pending proposal listing every insured location that would be credited, with balances before and after, for another admin to approve in the admin UI.",
     input_schema: {
       type: "object",
       properties: {
+        type: {
+          type: "string",
+          description: "Catastrophe type (Flood, Hurricane, Earthquake, etc.)"
+        },
+        location: {
+          type: "string",
+          description: "Location description"
+        },
         zipCodes: {
           type: "array",
-          items: { type: "string" }
+          items: { type: "string" },
+          description: "Affected ZIP codes"
+        },
+        amount: {
+          type: "number",
+          description: "Payout amount per insured location in USD (capped at each location's coverage amount)"
+        },
+        description: {
+          type: "string",
+          description: "Event description (optional)"
+        },
+        eventId: {
+          type: "string",
+          description: "Id of the event: the NOAA alert id, an existing event's id to resume it, or for a new event its type, area and start date (e.g. flood-70112-2025-06-14). Locations already paid for it are skipped."
         }
       },
-      required: ["zipCodes"]
+      required: ["type", "location", "zipCodes", "amount", "eventId"]
+    }
+  },
+  {
+    name: "get_user_analytics",
+    description: "Get platform analytics - user counts, balances, status breakdown, and per ZIP the policies insuring a location there and how many have a verified wallet.",
+    input_schema: {
+      type: "object",
+      properties: {
+        zip: {
+          type: "string",
+          description: "Optional: filter by specific ZIP"
+        }
+      }
+    }
+  },
+  {
+    name: "get_recent_catastrophes",
+    description: "Get history of recent catastrophe events.",
+    input_schema: {
+      type: "object",
+      properties: {
+        limit: {
+          type: "number",
+          description: "Number of events to return (default: 10)"
+        }
+      }
+    }
+  },
+  {
+    name: "generate_disaster_scenario",
+    description: "Draft a SIMULATED disaster event for a point, based on NOAA's current forecast and alerts there. Returns the ZIP, event, severity, certainty, urgency, headline and description to run through simulateDisaster. Nothing is credited.",
+    input_schema: {
+      type: "object",
+      properties: {
+        lat: { type: "number", description: "Latitude" },
+        lon: { type: "number", description: "Longitude" },
+        type: { type: "string", description: "Catastrophe type (Flood, Hurricane, Tornado, etc.)" }
+      },
+      required: ["lat", "lon", "type"]
+    }
+  },
+  {
+    name: "search_users",
+    description: "Search policyholders by ZIP, policy status, product, wallet verification or email prefix. Read-only. Returns one page of users with their insured ZIPs, balance and wallet state.",
+    input_schema: {
+      type: "object",
+      properties: {
+        zip: { ...ZIP, description: "Only policies insuring a location in this ZIP" },
+        status: { type: "string", enum: ["ACTIVE", "PAID", "LAPSED", "EXPIRED", "CANCELLED"] },
+        productId: { type: "string", maxLength: 40 },
+        walletVerified: { type: "boolean", description: "true: only verified wallets; false: only users without one" },
+        emailPrefix: { type: "string", minLength: 1, maxLength: 100 },
+        ...PAGING
+      },
+      additionalProperties: false
+    }
+  },
+  {
+    name: "query_withdrawals",
+    description: "List wallet withdrawals, newest first, with their status and failure reason. Read-only.",
+    input_schema: {
+      type: "object",
+      properties: {
+        status: { type: "string", enum: ["requested", "rejected", "pending", "processing", "settled", "failed"] },
+        userId: { type: "string", maxLength: 128 },
+        since: { ...SINCE, description: "Only withdrawals requested from this ISO date on (default: 30 days ago)" },
+        ...PAGING
+      },
+      additionalProperties: false
+    }
+  },
+  {
+    name: "query_payout_failures",
+    description: "List catastrophe payout transfers that failed, newest first, with the error for each and a count per error on the page. Read-only; failed transfers can be retried from the Reconciliation panel.",
+    input_schema: {
+      type: "object",
+      properties: {
+        eventId: { type: "string", maxLength: 200 },
+        since: { ...SINCE, description: "Only failures from this ISO date on (default: 7 days ago)" },
+        ...PAGING
+      },
+      additionalProperties: false
+    }
+  },
+  {
+    name: "get_active_alerts",
+    description: "Live NOAA alerts active over the service area right now, with the ZIPs each covers and how many insured locations and policies are in them. Read-only.",
+    input_schema: {
+      type: "object",
+      properties: {
+        event: { type: "string", maxLength: 80, description: "Only alerts whose event name contains this, e.g. \"Flood\"" },
+        severity: { type: "string", enum: ["Extreme", "Severe", "Moderate", "Minor", "Unknown"] },
+        insuredOnly: { type: "boolean", description: "Only alerts over insured locations (default true)" },
+        ...PAGING
+      },
+      additionalProperties: false
+    }
+  },
+  {
+    name: "simulate_payout_cost",
+    description: "Estimate what a catastrophe payout would cost without creating anything: locations and policies paid, total USD, SOL at the current quote, transfer fees and whether the treasury can cover it. Give zipCodes or a county (name like \"Orleans\" or 5-digit FIPS). Read-only.",
+    input_schema: {
+      type: "object",
+      properties: {
+        zipCodes: { type: "array", items: ZIP, minItems: 1, maxItems: 200 },
+        county: { type: "string", minLength: 2, maxLength: 60 },
+        state: { type: "string", pattern: "^[A-Z]{2}$", description: "State of the county (default LA)" },
+        amount: { type: "number", exclusiveMinimum: 0, maximum: 1000, description: "Payout per insured location in USD" },
+        asset: { type: "string", enum: ["SOL", "USDC"], description: "Asset to price the transfers in (default SOL)" },
+        ...PAGING
+      },
+      required: ["amount"],
+      additionalProperties: false
     }
   }
 ];
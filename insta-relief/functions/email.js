@@ -0,0 +1,61 @@
+async function sendEmail(apiKey, to, sender, subject, htmlBody, textBody) {
+  console.log('Sending email via SMTP2GO...');
+ 
+  const response = await fetch("https://api.smtp2go.com/v3/email/send", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Smtp2go-Api-Key": apiKey,
+    },
+    body: JSON.stringify({
+      to,
+      sender,
+      subject,
+      html_body: htmlBody,
+      text_body: textBody,
+    }),
+  });
+
+  const responseData = await response.json();
+ 
+  if (!response.ok) {
+    const errorDetail = responseData.data ? JSON.stringify(responseData.data) : JSON.stringify(responseData);
+    throw new Error(`SMTP2GO error (${response.status}): ${errorDetail}`);
+  }
+
+  console.log('SMTP2GO Response:', JSON.stringify(responseData));
+  return responseData;
+}
+
+function catastropheEmail({ userName, catastropheType, amount, location, explorerUrl }) {
+  const subject = `Emergency Relief Payment: $${amount} - ${catastropheType}`;
+  const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color:#4CAF50;">Emergency Relief Payment Received</h2>
+        <p>Dear ${userName},</p>
+        <p>Your emergency relief payment of <b>$${amount}</b> has been successfully processed and deposited to your Phantom wallet.</p>
+       
+        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p style="margin: 5px 0;"><b>Disaster Type:</b> ${catastropheType}</p>
+          <p style="margin: 5px 0;"><b>Location:</b> ${location}</p>
+          <p style="margin: 5px 0;"><b>Amount Received:</b> <span style="color: #4CAF50; font-size: 18px; font-weight: bold;">$${amount}</span></p>
+        </div>
+       
+        <p>The funds are now available in your connected Phantom wallet and can be used immediately.</p>
+        ${explorerUrl ? `<p><a href="${explorerUrl}">View the transaction</a></p>` : ""}
+       
+        <p style="color: #666; font-size: 12px; margin-top: 30px;">
+          Stay safe,<br>
+          <b>Insta-Relief Team</b>
+        </p>
+      </div>
+    `;
+  const text = `Emergency relief payment of $${amount} received for ${catastropheType} disaster in ${location}.`;
+
+  return { subject, html, text };
+}
+
+module.exports = {
+  sendEmail,
+  catastropheEmail
+};
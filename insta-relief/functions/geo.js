@@ -0,0 +1,175 @@
+const zipData = require("./data/zip_county_fips.json");
+
+// county FIPS (5 digits) -> [zip, ...]
+const zipsByCounty = {};
+for (const [zip, [fips]] of Object.entries(zipData.zips)) {
+  if (!zipsByCounty[fips]) zipsByCounty[fips] = [];
+  zipsByCounty[fips].push(zip);
+}
+
+function countyForZip(zip) {
+  const entry = zipData.zips[zip];
+  if (!entry) return null;
+
+  const [fips, lat, lon] = entry;
+  return {
+    fips,
+    name: zipData.counties[fips] || null,
+    lat,
+    lon
+  };
+}
+
+// ZIP whose centroid is closest to a point (equirectangular distance, which
+// is plenty at ZIP scale). Returns { zip, fips, name, distanceKm } or null
+// when nothing is within `maxKm`.
+function nearestZip(lat, lon, { maxKm = 50 } = {}) {
+  const cosLat = Math.cos(lat * Math.PI / 180);
+  let best = null;
+
+  for (const [zip, [fips, zipLat, zipLon]] of Object.entries(zipData.zips)) {
+    const dx = (zipLon - lon) * cosLat;
+    const dy = zipLat - lat;
+    const d2 = dx * dx + dy * dy;
+    if (!best || d2 < best.d2) best = { zip, fips, d2 };
+  }
+
+  const distanceKm = best ? Math.sqrt(best.d2) * 111.32 : Infinity;
+  if (distanceKm > maxKm) return null;
+  return { zip: best.zip, fips: best.fips, name: zipData.counties[best.fips] || null, distanceKm };
+}
+
+function zipsForCounty(fips) {
+  return zipsByCounty[fips] || [];
+}
+
+// SAME codes are PSSCCC: a county-part digit followed by the 5-digit FIPS.
+function fipsFromSame(code) {
+  const value = String(code || "").trim();
+  return /^\d{6}$/.test(value) ? value.slice(1) : null;
+}
+
+// UGC codes are SSCNNN. Only county codes (C) map to FIPS directly; zone
+// codes (Z) are covered by the SAME list NOAA sends alongside them.
+function fipsFromUgc(code) {
+  const match = /^([A-Z]{2})C(\d{3})$/.exec(String(code || "").trim().toUpperCase());
+  if (!match) return null;
+
+  const stateFips = zipData.states[match[1]];
+  return stateFips ? stateFips + match[2] : null;
+}
+
+function alertCountyFips(alert) {
+  const geocode = alert?.properties?.geocode || {};
+  const fips = new Set();
+
+  (geocode.SAME || []).map(fipsFromSame).filter(Boolean).forEach(f => fips.add(f));
+  (geocode.UGC || []).map(fipsFromUgc).filter(Boolean).forEach(f => fips.add(f));
+
+  return Array.from(fips).filter(f => zipsByCounty[f]);
+}
+
+function pointInRing(lon, lat, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses = (yi > lat) !== (yj > lat) &&
+      lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+function pointInPolygon(lon, lat, rings) {
+  if (!rings.length || !pointInRing(lon, lat, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(lon, lat, hole));
+}
+
+function polygonsOf(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === "Polygon") return [geometry.coordinates];
+  if (geometry.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+}
+
+function boundsOf(rings) {
+  let minLon = Infinity, minLat = Infinity, maxLon = -Infinity, maxLat = -Infinity;
+  for (const [lon, lat] of rings[0] || []) {
+    minLon = Math.min(minLon, lon);
+    maxLon = Math.max(maxLon, lon);
+    minLat = Math.min(minLat, lat);
+    maxLat = Math.max(maxLat, lat);
+  }
+  return { minLon, minLat, maxLon, maxLat };
+}
+
+function zipsInGeometry(geometry) {
+  const polygons = polygonsOf(geometry).map(rings => ({ rings, bounds: boundsOf(rings) }));
+  if (polygons.length === 0) return [];
+
+  return Object.entries(zipData.zips)
+    .filter(([, [, lat, lon]]) => polygons.some(({ rings, bounds }) =>
+      lon >= bounds.minLon && lon <= bounds.maxLon &&
+      lat >= bounds.minLat && lat <= bounds.maxLat &&
+      pointInPolygon(lon, lat, rings)
+    ))
+    .map(([zip]) => zip);
+}
+
+// A polygon small enough to fall between ZIP centroids is matched to the ZIP
+// nearest its center, as long as that centroid is within this distance.
+const NEAREST_ZIP_KM = 10;
+
+function centerOf(rings) {
+  const ring = rings[0] || [];
+  // GeoJSON rings repeat the first vertex at the end.
+  const vertices = ring.length > 1 ? ring.slice(0, -1) : ring;
+  const lon = vertices.reduce((sum, [x]) => sum + x, 0) / vertices.length;
+  const lat = vertices.reduce((sum, [, y]) => sum + y, 0) / vertices.length;
+  return { lat, lon };
+}
+
+function zipsNearGeometry(geometry) {
+  const zips = polygonsOf(geometry)
+    .filter(rings => (rings[0] || []).length > 0)
+    .map(rings => {
+      const { lat, lon } = centerOf(rings);
+      return nearestZip(lat, lon, { maxKm: NEAREST_ZIP_KM });
+    })
+    .filter(Boolean)
+    .map(match => match.zip);
+  return Array.from(new Set(zips));
+}
+
+// Storm-based warnings carry a polygon that is usually much smaller than the
+// counties listed in their geocodes, so the polygon wins when present: the
+// ZIPs whose centroid it contains or, failing that, the ZIP nearest to it.
+// Only zone-based products, which have no geometry, fall back to SAME/UGC
+// counties.
+function matchAlertToZips(alert) {
+  if (polygonsOf(alert?.geometry).length > 0) {
+    const geometryZips = zipsInGeometry(alert.geometry);
+    if (geometryZips.length > 0) {
+      return { zips: geometryZips.sort(), matchedBy: "geometry" };
+    }
+
+    const nearZips = zipsNearGeometry(alert.geometry);
+    return { zips: nearZips.sort(), matchedBy: nearZips.length > 0 ? "nearest" : "none" };
+  }
+
+  const zips = alertCountyFips(alert).flatMap(zipsForCounty);
+  return {
+    zips: Array.from(new Set(zips)).sort(),
+    matchedBy: zips.length > 0 ? "county" : "none"
+  };
+}
+
+module.exports = {
+  countyForZip,
+  nearestZip,
+  zipsForCounty,
+  alertCountyFips,
+  zipsInGeometry,
+  matchAlertToZips
+};
@@ -0,0 +1,115 @@
+const admin = require("firebase-admin");
+
+// Guards the onRequest endpoints the same way requireAdmin guards callables:
+// the caller must send `Authorization: Bearer <Firebase ID token>` for a user
+// with the `admin` custom claim (scripts/setAdmin.cjs). Browser requests must
+// also come from an allowlisted origin (ALLOWED_ORIGINS, comma-separated),
+// and each caller is rate limited per endpoint (`rateLimits`). To check it
+// in the emulator, call an endpoint without a token and expect a 401.
+
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS ||
+  "http://localhost:5173,http://127.0.0.1:5173,https://insurance-1a234.web.app,https://insurance-1a234.firebaseapp.com")
+  .split(",")
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+const DEFAULT_RATE_LIMIT = { max: 30, windowMs: 60 * 1000 };
+
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+// Returns false when the request comes from a browser origin we don't serve.
+function applyCors(req, res, methods) {
+  const origin = req.get("Origin");
+  if (!origin) return true;
+  if (!ALLOWED_ORIGINS.includes(origin)) return false;
+
+  res.set("Access-Control-Allow-Origin", origin);
+  res.set("Vary", "Origin");
+  res.set("Access-Control-Allow-Methods", [...methods, "OPTIONS"].join(", "));
+  res.set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  return true;
+}
+
+async function verifyAdmin(req) {
+  const match = /^Bearer (.+)$/.exec(req.get("Authorization") || "");
+  if (!match) throw new HttpError(401, "Missing bearer token");
+
+  let decoded;
+  try {
+    decoded = await admin.auth().verifyIdToken(match[1]);
+  } catch (error) {
+    throw new HttpError(401, "Invalid or expired token");
+  }
+
+  if (!decoded.admin) throw new HttpError(403, "Admin privileges required");
+  return decoded;
+}
+
+// Fixed-window counter in `rateLimits/{endpoint}_{uid}`.
+async function consumeRateLimit(endpoint, uid, { max, windowMs }) {
+  const db = admin.firestore();
+  const ref = db.collection("rateLimits").doc(`${endpoint}_${uid}`);
+
+  return db.runTransaction(async (t) => {
+    const now = Date.now();
+    const snap = await t.get(ref);
+    const current = snap.exists ? snap.data() : null;
+
+    if (!current || now - current.windowStart >= windowMs) {
+      t.set(ref, { endpoint, uid, windowStart: now, count: 1 });
+      return;
+    }
+
+    if (current.count >= max) {
+      const retryAfter = Math.ceil((current.windowStart + windowMs - now) / 1000);
+      throw new HttpError(429, "Too many requests", { "Retry-After": String(retryAfter) });
+    }
+
+    t.update(ref, { count: current.count + 1 });
+  });
+}
+
+// Wraps an onRequest handler. The handler receives the verified token as
+// `req.auth`.
+function adminEndpoint(name, handler, { methods = ["GET", "POST"], rateLimit = DEFAULT_RATE_LIMIT } = {}) {
+  return async (req, res) => {
+    if (!applyCors(req, res, methods)) {
+      res.status(403).json({ success: false, error: "Origin not allowed" });
+      return;
+    }
+
+    if (req.method === "OPTIONS") {
+      res.status(204).send("");
+      return;
+    }
+
+    if (!methods.includes(req.method)) {
+      res.status(405).json({ success: false, error: `Method ${req.method} not allowed` });
+      return;
+    }
+
+    try {
+      req.auth = await verifyAdmin(req);
+      await consumeRateLimit(name, req.auth.uid, rateLimit);
+    } catch (error) {
+      if (!(error instanceof HttpError)) throw error;
+      console.warn(`${name}: rejected ${req.method} (${error.status} ${error.message})`);
+      res.set(error.headers);
+      res.status(error.status).json({ success: false, error: error.message });
+      return;
+    }
+
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  ALLOWED_ORIGINS,
+  adminEndpoint
+};
@@ -3,203 +3,248 @@ dotenv.config();
 
 const functions = require("firebase-functions");
 const admin = require("firebase-admin");
-const { Anthropic } = require("@anthropic-ai/sdk");
-const zipToCounty = require("./data/zip_to_county.json");
+const { matchAlertToZips, countyForZip } = require("./geo");
+const ledger = require("./ledger");
+const { creditPayout } = require("./payouts");
+const { catastropheEmail } = require("./email");
+const notifications = require("./notifications");
+const products = require("./products");
+const noaa = require("./noaa");
+const { adminEndpoint } = require("./httpAuth");
+const payoutWorker = require("./payoutWorker");
+const treasury = require("./treasury");
+const { getQuote } = require("./price");
+const withdrawals = require("./withdrawals");
+const transactions = require("./transactions");
+const wallets = require("./wallets");
+const reconciliation = require("./reconciliation");
+const policies = require("./policies");
+const locations = require("./locations");
+const { runClaudeAgent } = require("./agent/agent");
+const proposals = require("./agent/proposals");
+const conversations = require("./agent/conversations");
 
 // Initialization
 admin.initializeApp();
 const db = admin.firestore();
 const DEFAULT_PAYOUT = parseFloat(process.env.DEFAULT_PAYOUT) || 100;
 
-// -----------------------------------------------------
-// 2. SMTP Email Utility
-// -----------------------------------------------------
-async function sendEmail(apiKey, to, sender, subject, htmlBody, textBody) {
-  console.log('Sending email via SMTP2GO...');
- 
-  const response = await fetch("https://api.smtp2go.com/v3/email/send", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "X-Smtp2go-Api-Key": apiKey,
-    },
-    body: JSON.stringify({
-      to,
-      sender,
-      subject,
-      html_body: htmlBody,
-      text_body: textBody,
-    }),
-  });
-
-  const responseData = await response.json();
- 
-  if (!response.ok) {
-    const errorDetail = responseData.data ? JSON.stringify(responseData.data) : JSON.stringify(responseData);
-    throw new Error(`SMTP2GO error (${response.status}): ${errorDetail}`);
-  }
-
-  console.log('SMTP2GO Response:', JSON.stringify(responseData));
-  console.log('SMTP2GO Response:', JSON.stringify(responseData));
-  return responseData;
-}
-
 // -----------------------------------------------------
 // 3. Core Payout & Alert Helpers
 // -----------------------------------------------------
 
-function shouldSendPayout(severity) {
-  const sev = (severity || "").toLowerCase();
-  return sev === "extreme" || sev === "severe";
-}
-
-function mapAreaToZips(areaDesc) {
-  if (!areaDesc) return [];
-  const area = areaDesc.toLowerCase();
-  return Object.entries(zipToCounty)
-    .filter(([key, value]) => area.includes(key.toLowerCase()))
-    .map(([key, zip]) => zip);
+function requireAdmin(request) {
+  if (!request.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in required");
+  }
+  if (!request.auth.token?.admin) {
+    throw new functions.https.HttpsError(
+      "permission-denied",
+      "Admin privileges required"
+    );
+  }
+  return request.auth;
 }
 
-async function handleUserAlert(doc, alert, pay, amountUSD = DEFAULT_PAYOUT) {
-  console.log('=== ENTERING handleUserAlert ===');
-
-  const smtpApiKey = process.env.SMTP2GO_API_KEY;
-  if (!smtpApiKey) throw new Error("SMTP2GO_API_KEY missing");
+// Pays one insured location according to the policyholder's own product
+// terms (see products.js), capped at the location's coverage amount.
+// `eventId` defaults to the alert id (NOAA alerts pass their thread id);
+// `amountOverride` is only used by simulations.
+async function handleLocationAlert(doc, location, alert, { eventId, amountOverride } = {}) {
+  console.log('=== ENTERING handleLocationAlert ===');
 
   const user = doc.data();
-  const name = user.name || user.email.split("@")[0];
+  const place = locations.describeLocation(location);
 
   const { event, severity, headline, description, areaDesc, id: alertId } = alert.properties;
+  const payoutEventId = eventId || alertId;
+
+  const product = await products.getProduct(user.productId);
+  const decision = products.evaluateAlert(product, alert.properties, { amountOverride });
+  console.log(`Policy terms for ${user.email} at ${place}: ${decision.reason}`);
+
+  let paidAmount = 0;
+  if (decision.covered) {
+    const amount = locations.locationPayout(location, decision.amount);
+    const payout = await creditPayout({
+      eventId: payoutEventId,
+      userId: doc.id,
+      locationId: location.id,
+      amount,
+      reason: `${event} alert payout (${location.label})`,
+      actor: "system:noaa",
+      userUpdates: {
+        status: "PAID",
+        lastPayout: new Date().toISOString(),
+        lastPayoutAmount: amount,
+        lastPayoutEventId: payoutEventId
+      },
+      metadata: {
+        productId: product.id,
+        peril: decision.rule.peril,
+        type: event,
+        location: areaDesc,
+        locationId: location.id,
+        zip: location.zip
+      },
+      annualCap: product.maxPerYear ?? null,
+      coveredOnly: true
+    });
 
-  console.log(`Preparing email for ${user.email}`);
+    if (payout.notCovered) {
+      console.log(`Policy ${payout.policyId} is ${payout.status}, not paying ${payoutEventId} at ${place}`);
+      return { paid: false, amount: 0 };
+    }
+    if (payout.duplicate) {
+      console.log(`Policy ${payout.policyId} already paid for ${payoutEventId} at ${place}, skipping`);
+      return { paid: false, amount: 0 };
+    }
+    if (payout.capped) {
+      console.log(`Policy ${payout.policyId} capped at $${payout.amount} by ${product.name} annual limit`);
+    }
+    paidAmount = payout.amount;
+  }
+
+  console.log(`Preparing notification for ${user.email}`);
 
-  let subject = `Weather Alert: ${event} (${severity})`;
   let subject = `Weather Alert: ${event} (${severity})`;
   let html = `
     <h2 style="color:red;">${headline}</h2>
     <p>${description}</p>
     <p><b>Severity:</b> ${severity}</p>
     <p><b>Area:</b> ${areaDesc}</p>
-    <p><b>Payment Amount:</b> $${amountUSD}</p>
+    <p><b>Insured location:</b> ${place}</p>
   `;
 
-  if (pay) {
-    const amount = typeof amountUSD === "number" ? amountUSD : parseFloat(amountUSD) || DEFAULT_PAYOUT;
-    subject = `Emergency Fund Released: $${amount.toFixed(2)} (${event})`;
-    html += `<p><strong>$${amount.toFixed(2)} has been released to your emergency fund.</strong></p>`;
-
-    await db.runTransaction(async (t) => {
-      const snap = await t.get(doc.ref);
-      const balance = snap.data().balance || 0;
-      t.update(doc.ref, {
-        balance: balance + amount,
-        status: "PAID",
-        lastPayout: new Date().toISOString(),
-        lastPayoutAmount: amount
-      });
-    });
+  if (paidAmount > 0) {
+    subject = `Emergency Fund Released: $${paidAmount.toFixed(2)} (${event})`;
+    html += `<p><b>Payment Amount:</b> $${paidAmount.toFixed(2)}</p>`;
+    html += `<p><strong>$${paidAmount.toFixed(2)} has been released to your emergency fund.</strong></p>`;
+  } else if (decision.covered) {
+    html += `<p>You have reached the annual payout limit of your ${product.name} plan.</p>`;
   }
 
-  console.log(`Sending email to ${user.email}...`);
-  await sendEmail(
-    smtpApiKey,
-    [`${name} <${user.email}>`],
-    "Disaster Alert <niraj.bhatta@selu.edu>",
-    subject,
-    html,
-    `${event} alert (${severity}) in ${areaDesc}. ${description}`
+  const notification = await notifications.notify(
+    notifications.recipientFromUser(doc.id, user),
+    {
+      category: paidAmount > 0 ? "payout" : "alert",
+      eventId: payoutEventId,
+      sender: "Disaster Alert <niraj.bhatta@selu.edu>",
+      subject,
+      html,
+      text: `${event} alert (${severity}) in ${areaDesc}, affecting your insured location ${place}. ${description}`,
+      sms: paidAmount > 0
+        ? `Insta-Relief: ${event} at ${location.label} (${location.zip}). $${paidAmount.toFixed(2)} has been released to your emergency fund.`
+        : `Insta-Relief: ${event} (${severity}) at ${location.label} (${location.zip}). ${headline}`
+    }
   );
 
-  console.log('Email sent successfully');
+  console.log(`Notification ${notification.id} for ${user.email}: delivered=${notification.delivered}`);
+  return { paid: paidAmount > 0, amount: paidAmount };
 }
 
-async function handleZipAlert(zip, alert, pay, amountUSD = DEFAULT_PAYOUT) {
-  console.log(`Looking up users for ZIP ${zip}...`);
- 
-  const users = await db.collection("users")
-    .where("zip", "==", zip)
-    .where("status", "==", "ACTIVE")
-    .get();
+// Evaluates every insured location in `zips` separately. A policy already
+// PAID this term is only considered for further locations of the same event.
+async function handleZipAlert(zips, alert, options = {}) {
+  const eventId = options.eventId || alert.properties.id;
+  console.log(`Looking up insured locations for ZIPs ${zips.join(", ")}...`);
+
+  const matches = (await locations.locationsInZips(zips))
+    .filter(({ userDoc }) => policies.coveredForEvent(userDoc.data(), eventId));
 
-  if (users.empty) {
-    console.log(`No active users found for ZIP ${zip}`);
-    console.log(`No active users found for ZIP ${zip}`);
-    return;
+  if (matches.length === 0) {
+    console.log(`No active insured locations found for ZIPs ${zips.join(", ")}`);
+    return { users: 0, locations: 0, paid: 0 };
   }
 
-  console.log(`Found ${users.size} user(s) for ZIP ${zip}`);
-  console.log(`Found ${users.size} user(s) for ZIP ${zip}`);
+  console.log(`Found ${matches.length} insured location(s) for ZIPs ${zips.join(", ")}`);
+
+  // One policy's locations run in sequence so the annual cap and status
+  // updates see each other's payouts.
+  const byUser = new Map();
+  matches.forEach(match => {
+    byUser.set(match.userDoc.id, [...(byUser.get(match.userDoc.id) || []), match]);
+  });
 
   const results = await Promise.allSettled(
-    users.docs.map(doc => handleUserAlert(doc, alert, pay, amountUSD))
+    [...byUser.values()].map(async (userMatches) => {
+      const outcomes = [];
+      for (const { userDoc, location } of userMatches) {
+        try {
+          outcomes.push(await handleLocationAlert(userDoc, location, alert, options));
+        } catch (error) {
+          console.error(`Location ${location.id} of ${userDoc.id} failed:`, error.message);
+        }
+      }
+      return outcomes;
+    })
   );
 
+  let paid = 0;
   results.forEach((result, index) => {
     if (result.status === 'fulfilled') {
-      console.log(`User ${index + 1} processed successfully`);
+      paid += result.value.filter(outcome => outcome.paid).length;
       console.log(`User ${index + 1} processed successfully`);
     } else {
       console.error(`User ${index + 1} failed:`, result.reason?.message || result.reason);
-      console.error(`User ${index + 1} failed:`, result.reason?.message || result.reason);
     }
   });
 
-  console.log(`ZIP ${zip} processed (${users.size} users)`);
-  console.log(`ZIP ${zip} processed (${users.size} users)`);
+  console.log(`ZIPs ${zips.join(", ")} processed (${byUser.size} users, ${matches.length} locations, ${paid} paid)`);
+  return { users: byUser.size, locations: matches.length, paid };
 }
 
-async function fetchNoaaAlertsHandler() {
-  console.log("Fetching NOAA active alerts...");
-
-  const resp = await fetch("https://api.weather.gov/alerts/active");
-  if (!resp.ok) {
-    throw new Error(`NOAA API returned ${resp.status}: ${resp.statusText}`);
-  }
+// Returns true when the alert was new and has been handled. Updates and
+// cancellations are filed under the thread of the alert they reference.
+async function processNoaaAlert(alert) {
+  const { id: alertId, severity, areaDesc, messageType = "Alert" } = alert.properties;
 
-  const data = await resp.json();
- 
-  if (!data.features || data.features.length === 0) {
-    console.log("No active alerts from NOAA");
-    console.log("No active alerts from NOAA");
-    return { message: "No active alerts", alertsProcessed: 0 };
+  const processed = await db.collection("processedAlerts").doc(alertId).get();
+  if (processed.exists) {
+    console.log(`Skipping known alert: ${alertId}`);
+    return false;
   }
 
-  console.log(`Found ${data.features.length} active alerts`);
-  console.log(`Found ${data.features.length} active alerts`);
-  let processedCount = 0;
+  const threadId = await noaa.threadIdFor(alert);
+  const threadSnap = await db.collection("alertThreads").doc(threadId).get();
+  const thread = threadSnap.exists ? threadSnap.data() : null;
 
-  for (const alert of data.features) {
-    const { id: alertId, severity, areaDesc } = alert.properties;
+  const { zips, matchedBy } = matchAlertToZips(alert);
+  const plan = noaa.planThreadUpdate(thread, alert.properties, zips);
+  console.log(`${messageType} ${alertId} (thread ${threadId}) mapped to ${zips.length} ZIPs (${matchedBy}): ${plan.action}, ${plan.reason}`);
 
-    const processed = await db.collection("processedAlerts").doc(alertId).get();
-    if (processed.exists) {
-      console.log(`Skipping known alert: ${alertId}`);
-      console.log(`Skipping known alert: ${alertId}`);
-      continue;
-    }
+  if (plan.zips.length > 0) {
+    await handleZipAlert(plan.zips, alert, { eventId: threadId });
+  }
 
-    await db.collection("processedAlerts").doc(alertId).set({
-      processedAt: admin.firestore.FieldValue.serverTimestamp(),
-      severity,
-      areaDesc
-    });
+  await noaa.recordThreadMessage(threadId, thread, alert.properties, zips, plan);
+
+  // Recorded last so an alert that failed part-way is retried on the next poll;
+  // creditPayout keeps the retry from paying anyone twice.
+  await db.collection("processedAlerts").doc(alertId).set({
+    processedAt: admin.firestore.FieldValue.serverTimestamp(),
+    severity,
+    areaDesc,
+    messageType,
+    threadId,
+    references: (alert.properties.references || []).map(ref => ref.identifier || ref["@id"]),
+    action: plan.action,
+    matchedBy,
+    matchedZips: zips.length
+  });
 
-    const zips = mapAreaToZips(areaDesc);
-    console.log(`Alert ${alertId} mapped to ${zips.length} ZIPs`);
-    console.log(`Alert ${alertId} mapped to ${zips.length} ZIPs`);
+  return true;
+}
 
-    for (const zip of zips) {
-      const pay = shouldSendPayout(severity);
-      await handleZipAlert(zip, alert, pay, DEFAULT_PAYOUT);
-    }
-   
-    processedCount++;
-  }
+async function fetchNoaaAlertsHandler(trigger) {
+  console.log("Fetching NOAA active alerts...");
 
+  const run = await noaa.pollActiveAlerts(processNoaaAlert, { trigger });
   return {
-    message: `Processed ${processedCount} new alerts`,
-    alertsProcessed: processedCount
+    message: `Processed ${run.alertsProcessed} new alerts`,
+    alertsProcessed: run.alertsProcessed,
+    runId: run.runId,
+    status: run.status
   };
 }
 
@@ -207,19 +252,10 @@ async function fetchNoaaAlertsHandler() {
 // 4. Exported Cloud Functions
 // -----------------------------------------------------
 
-exports.fetchNoaaAlerts = functions.https.onRequest(async (req, res) => {
-  res.set('Access-Control-Allow-Origin', '*');
- 
-  if (req.method === 'OPTIONS') {
-    res.set('Access-Control-Allow-Methods', 'GET, POST');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
-    res.status(204).send('');
-    return;
-  }
-
+exports.fetchNoaaAlerts = functions.https.onRequest(adminEndpoint("fetchNoaaAlerts", async (req, res) => {
   try {
     console.log("fetchNoaaAlerts HTTP endpoint called");
-    const result = await fetchNoaaAlertsHandler();
+    const result = await fetchNoaaAlertsHandler("http");
     res.status(200).json({
       success: true,
       ...result,
@@ -233,64 +269,63 @@ exports.fetchNoaaAlerts = functions.https.onRequest(async (req, res) => {
       timestamp: new Date().toISOString()
     });
   }
-});
-  try {
-    console.log("fetchNoaaAlerts HTTP endpoint called");
-    const result = await fetchNoaaAlertsHandler();
-    res.status(200).json({
-      success: true,
-      ...result,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error("Error in fetchNoaaAlerts:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+}));
 
-exports.simulateDisaster = functions.https.onRequest(async (req, res) => {
-  res.set('Access-Control-Allow-Origin', '*');
- 
-  if (req.method === 'OPTIONS') {
-    res.set('Access-Control-Allow-Methods', 'GET, POST');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
-    res.status(204).send('');
-    return;
+exports.pollNoaaAlerts = functions.scheduler.onSchedule(
+  { schedule: "every 5 minutes", timeoutSeconds: 300 },
+  async () => {
+    const result = await fetchNoaaAlertsHandler("schedule");
+    console.log(`NOAA poll ${result.runId}: ${result.status}, ${result.alertsProcessed} new alerts`);
   }
+);
 
+exports.simulateDisaster = functions.https.onRequest(adminEndpoint("simulateDisaster", async (req, res) => {
   try {
     const zip = req.query.zip || req.body?.zip || "70401";
     const severity = req.query.severity || req.body?.severity || "Extreme";
     const event = req.query.event || req.body?.event || "Hurricane";
+    const certainty = req.query.certainty || req.body?.certainty || "Observed";
+    const urgency = req.query.urgency || req.body?.urgency || "Immediate";
     const amountParam = req.query.amount || req.body?.amount;
-    const amountUSD = amountParam ? parseFloat(amountParam) : DEFAULT_PAYOUT;
+    // Without an explicit amount each policyholder's product decides the payout.
+    const amountOverride = amountParam ? parseFloat(amountParam) : undefined;
+    const eventId = req.query.eventId || req.body?.eventId;
+    if (!eventId) {
+      return res.status(400).json({
+        success: false,
+        error: "eventId is required; reuse it to retry the same event"
+      });
+    }
+    // A drafted scenario (generate_disaster_scenario) supplies its own text.
+    const headline = req.body?.headline || `${event} Warning - Emergency Alert System Activated`;
+    const description = req.body?.description ||
+      `This is a SIMULATED ${event} alert for demonstration purposes. A ${severity.toLowerCase()} weather event has been detected in your area.`;
 
-    console.log(`Simulating ${event} (${severity}) for ZIP ${zip} with $${amountUSD} payout`);
+    console.log(`Simulating ${event} (${severity}) for ZIP ${zip} with ${amountOverride ? `$${amountOverride}` : "product"} payout (${eventId})`);
 
     const fakeAlert = {
       properties: {
-        id: "demo-" + Date.now(),
+        id: eventId,
         event: event,
         severity: severity,
-        areaDesc: zipToCounty[zip] || `Area for ZIP ${zip}`,
-        headline: `${event} Warning - Emergency Alert System Activated`,
-        description: `This is a SIMULATED ${event} alert for demonstration purposes. A ${severity.toLowerCase()} weather event has been detected in your area.`,
-        payoutAmountUSD: amountUSD
+        certainty: certainty,
+        urgency: urgency,
+        areaDesc: countyForZip(zip)?.name || `Area for ZIP ${zip}`,
+        headline,
+        description
       },
     };
 
-    const pay = shouldSendPayout(severity);
-    await handleZipAlert(zip, fakeAlert, pay, amountUSD);
+    const result = await handleZipAlert([zip], fakeAlert, { amountOverride });
 
     res.status(200).json({
       success: true,
       message: `Simulated ${event} alert processed for ZIP ${zip}`,
-      payoutSent: pay,
-      payoutAmountUSD: amountUSD,
+      eventId,
+      payoutSent: result.paid > 0,
+      usersNotified: result.users,
+      locationsMatched: result.locations,
+      locationsPaid: result.paid,
       severity: severity,
       affectedZip: zip,
       timestamp: new Date().toISOString()
@@ -305,41 +340,21 @@ exports.simulateDisaster = functions.https.onRequest(async (req, res) => {
       timestamp: new Date().toISOString()
     });
   }
-});
-  } catch (error) {
-    console.error("Error in simulateDisaster:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      stack: error.stack,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-exports.checkUsers = functions.https.onRequest(async (req, res) => {
-  res.set('Access-Control-Allow-Origin', '*');
- 
-  if (req.method === 'OPTIONS') {
-    res.set('Access-Control-Allow-Methods', 'GET');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
-    res.status(204).send('');
-    return;
-  }
+}));
 
+exports.checkUsers = functions.https.onRequest(adminEndpoint("checkUsers", async (req, res) => {
   try {
     const zip = req.query.zip || "70401";
    
-    const users = await db.collection("users")
-      .where("zip", "==", zip)
-      .where("status", "==", "ACTIVE")
-      .get();
+    const matches = await locations.locationsInZips([zip], { status: "ACTIVE" });
 
-    const userList = users.docs.map(doc => {
-      const data = doc.data();
+    const userList = matches.map(({ userDoc, location }) => {
+      const data = userDoc.data();
       return {
         email: data.email,
         name: data.name,
+        location: location.label,
+        coverageAmount: location.coverageAmount,
         balance: data.balance || 0,
         lastAlert: data.lastAlertTimestamp
           ? new Date(data.lastAlertTimestamp).toISOString()
@@ -355,13 +370,6 @@ exports.checkUsers = functions.https.onRequest(async (req, res) => {
       users: userList,
       timestamp: new Date().toISOString()
     });
-    res.status(200).json({
-      success: true,
-      zip: zip,
-      userCount: userList.length,
-      users: userList,
-      timestamp: new Date().toISOString()
-    });
 
   } catch (error) {
     console.error("Error in checkUsers:", error);
@@ -371,21 +379,14 @@ exports.checkUsers = functions.https.onRequest(async (req, res) => {
       timestamp: new Date().toISOString()
     });
   }
-});
-  } catch (error) {
-    console.error("Error in checkUsers:", error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+}, { methods: ["GET"] }));
 
 exports.disaster = functions.https.onCall(async (request, context) => {
+  requireAdmin(request);
   const zip = request.data.zip;
   const amountParam = request.data.amount;
   const amountUSD = amountParam ? parseFloat(amountParam) : DEFAULT_PAYOUT;
+  const eventId = request.data.eventId;
  
   if (!zip) {
     throw new functions.https.HttpsError(
@@ -393,81 +394,95 @@ exports.disaster = functions.https.onCall(async (request, context) => {
       "Zip code is required"
     );
   }
-
-  console.log(`Searching for users in ZIP ${zip}`);
-
-  const smtpConfig = functions.config().smtp2go || {};
-  if (!smtpConfig.api_key) {
+  if (!eventId) {
     throw new functions.https.HttpsError(
-      "failed-precondition",
-      "Missing SMTP2GO API key"
+      "invalid-argument",
+      "eventId is required; reuse it to retry the same event"
     );
   }
 
-  const userRef = db.collection("users");
-  const userSnap = await userRef.where("zip", "==", zip).get();
-
-  console.log(`Found ${userSnap.size} user(s) in ZIP ${zip}`);
-
-  if (userSnap.empty) {
-    return { message: `No user found in ${zip}` };
-  }
+  console.log(`Searching for users in ZIP ${zip}`);
 
-  const eligibleUsers = [];
-  for (const userDoc of userSnap.docs) {
-    eligibleUsers.push(userDoc);
-  }
+  // LAPSED, EXPIRED and CANCELLED policies, and ones already PAID for
+  // another event this term, are not paid.
+  const matches = (await locations.locationsInZips([zip]))
+    .filter(({ userDoc }) => policies.coveredForEvent(userDoc.data(), eventId));
 
-  console.log(`${eligibleUsers.length} user(s) will receive alert/payout`);
+  console.log(`Found ${matches.length} covered location(s) in ZIP ${zip}`);
 
-  if (eligibleUsers.length === 0) {
-    return { message: `No users found in ZIP ${zip}` };
+  if (matches.length === 0) {
+    return { message: `No covered locations found in ZIP ${zip}` };
   }
 
   const result = [];
+  const skipped = [];
+  const notCovered = [];
   const errors = [];
 
-  for (const user of eligibleUsers) {
+  for (const { userDoc: user, location } of matches) {
     const userData = user.data();
     const email = userData.email;
+    const locationAmount = locations.locationPayout(location, amountUSD);
 
     const name =
       userData.name ||
       userData.firstName ||
       (typeof email === "string" ? email.split("@")[0] : "Customer");
 
-    console.log(`Processing payout for ${email}`);
+    console.log(`Processing payout for ${email} (${location.label})`);
 
     try {
-      await user.ref.update({
-        balance: (userData.balance || 0) + amountUSD,
-        lastPayout: new Date().toISOString(),
+      const payout = await creditPayout({
+        eventId,
+        userId: user.id,
+        locationId: location.id,
+        amount: locationAmount,
+        reason: `Disaster payout for ZIP ${zip} (${location.label})`,
+        actor: request.auth?.uid || "system:disaster",
+        userUpdates: { lastPayout: new Date().toISOString() },
+        coveredOnly: true
       });
 
+      if (payout.notCovered) {
+        console.log(`Policy ${payout.policyId} is ${payout.status}, skipping`);
+        notCovered.push(email);
+        continue;
+      }
+      if (payout.duplicate) {
+        console.log(`Policy ${payout.policyId} already paid for ${eventId} at ${location.label}, skipping`);
+        skipped.push(email);
+        continue;
+      }
+      const { balanceAfter } = payout;
+      const place = locations.describeLocation(location);
+
       const htmlBody = `
         <h2 style="color:red;">Alert - Emergency Fund Released</h2>
         <p>Dear ${name},</p>
-        <p>Your micro-insurance policy has been triggered for ZIP <b>${zip}</b>.</p>
-        <p><strong>$${amountUSD.toFixed(2)} has been released to your emergency fund.</strong></p>
-        <p>Current balance: $${((userData.balance || 0) + amountUSD).toFixed(2)}</p>
+        <p>Your micro-insurance policy has been triggered for your insured location <b>${place}</b>.</p>
+        <p><strong>$${payout.amount.toFixed(2)} has been released to your emergency fund.</strong></p>
+        <p>Current balance: $${balanceAfter.toFixed(2)}</p>
         <p>Stay safe,<br/>Disaster Alert System</p>
       `;
 
-      const textBody = `Dear ${name},\n\nYour micro-insurance policy has been triggered for ZIP ${zip}. $${amountUSD.toFixed(2)} has been released to your emergency fund.\n\nCurrent balance: $${((userData.balance || 0) + amountUSD).toFixed(2)}\n\nStay safe.`;
-
-      const emailResponse = await sendEmail(
-        smtpConfig.api_key,
-        [`${name} <${email}>`],
-        "Disaster Alert <niraj.bhatta@selu.edu>",
-        "Alert - Emergency Fund Released",
-        htmlBody,
-        textBody
+      const textBody = `Dear ${name},\n\nYour micro-insurance policy has been triggered for your insured location ${place}. $${payout.amount.toFixed(2)} has been released to your emergency fund.\n\nCurrent balance: $${balanceAfter.toFixed(2)}\n\nStay safe.`;
+
+      const notification = await notifications.notify(
+        notifications.recipientFromUser(user.id, userData),
+        {
+          category: "payout",
+          eventId,
+          sender: "Disaster Alert <niraj.bhatta@selu.edu>",
+          subject: "Alert - Emergency Fund Released",
+          html: htmlBody,
+          text: textBody,
+          sms: `Insta-Relief: $${payout.amount.toFixed(2)} has been released to your emergency fund for ${location.label} (ZIP ${zip}).`
+        }
       );
 
-      console.log(`Email sent to ${email}`, emailResponse);
+      console.log(`Notification ${notification.id} for ${email}: delivered=${notification.delivered}`);
       result.push(email);
     } catch (err) {
-      console.error(`Failed to process ${email}:`, err);
       console.error(`Failed to process ${email}:`, err);
       errors.push({
         email,
@@ -478,21 +493,15 @@ exports.disaster = functions.https.onCall(async (request, context) => {
 
   return {
     message: `Triggered payouts for ${result.length} user(s).`,
+    eventId,
     emails: result,
+    alreadyPaid: skipped.length > 0 ? skipped : undefined,
+    notCovered: notCovered.length > 0 ? notCovered : undefined,
     errors: errors.length > 0 ? errors : undefined,
   };
 });
 
-exports.sendCatastropheEmail = functions.https.onRequest(async (req, res) => {
-  res.set('Access-Control-Allow-Origin', '*');
- 
-  if (req.method === 'OPTIONS') {
-    res.set('Access-Control-Allow-Methods', 'POST');
-    res.set('Access-Control-Allow-Headers', 'Content-Type');
-    res.status(204).send('');
-    return;
-  }
-
+exports.sendCatastropheEmail = functions.https.onRequest(adminEndpoint("sendCatastropheEmail", async (req, res) => {
   try {
     const { userEmail, userName, catastropheType, amount, location } = req.body;
 
@@ -503,50 +512,36 @@ exports.sendCatastropheEmail = functions.https.onRequest(async (req, res) => {
       });
     }
 
-    const smtpApiKey = process.env.SMTP2GO_API_KEY;
-   
-    if (!smtpApiKey) {
-      throw new Error("SMTP API key missing");
-    }
+    console.log(`Sending catastrophe notification to ${userEmail}`);
+
+    const { subject, html, text } = catastropheEmail({ userName, catastropheType, amount, location });
 
-    console.log(`Sending catastrophe email to ${userEmail}`);
-
-    const subject = `Emergency Relief Payment: $${amount} - ${catastropheType}`;
-    const html = `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color:#4CAF50;">Emergency Relief Payment Received</h2>
-        <p>Dear ${userName},</p>
-        <p>Your emergency relief payment of <b>$${amount}</b> has been successfully processed and deposited to your Phantom wallet.</p>
-       
-        <div style="background-color: #f5f5f5; padding: 15px; border-radius: 5px; margin: 20px 0;">
-          <p style="margin: 5px 0;"><b>Disaster Type:</b> ${catastropheType}</p>
-          <p style="margin: 5px 0;"><b>Location:</b> ${location}</p>
-          <p style="margin: 5px 0;"><b>Amount Received:</b> <span style="color: #4CAF50; font-size: 18px; font-weight: bold;">$${amount}</span></p>
-        </div>
-       
-        <p>The funds are now available in your connected Phantom wallet and can be used immediately.</p>
-       
-        <p style="color: #666; font-size: 12px; margin-top: 30px;">
-          Stay safe,<br>
-          <b>Insta-Relief Team</b>
-        </p>
-      </div>
-    `;
-
-    await sendEmail(
-      smtpApiKey,
-      [`${userName} <${userEmail}>`],
-      "Insta-Relief Emergency <niraj.bhatta@selu.edu>",
+    // Policyholders are reached on their preferred channels; any other
+    // address only gets the email.
+    const userSnap = await db.collection("users").where("email", "==", userEmail).limit(1).get();
+    const recipient = userSnap.empty
+      ? { name: userName, email: userEmail }
+      : notifications.recipientFromUser(userSnap.docs[0].id, userSnap.docs[0].data());
+
+    const notification = await notifications.notify(recipient, {
+      category: "payout",
       subject,
       html,
-      `Emergency relief payment of $${amount} received for ${catastropheType} disaster in ${location}.`
-    );
+      text,
+      sms: `Insta-Relief: $${amount} emergency relief payment for ${catastropheType} in ${location}.`
+    });
+
+    if (!notification.delivered) {
+      throw new Error(`Notification ${notification.id} could not be delivered`);
+    }
 
-    console.log(`Catastrophe email sent successfully to ${userEmail}`);
+    console.log(`Catastrophe notification ${notification.id} sent to ${userEmail}`);
 
     res.status(200).json({
       success: true,
       message: `Email sent to ${userEmail}`,
+      notificationId: notification.id,
+      deliveries: notification.deliveries,
       timestamp: new Date().toISOString()
     });
 
@@ -558,530 +553,618 @@ exports.sendCatastropheEmail = functions.https.onRequest(async (req, res) => {
       timestamp: new Date().toISOString()
     });
   }
+}, { methods: ["POST"] }));
+
+exports.adjustBalance = functions.https.onCall(async (request) => {
+  const caller = requireAdmin(request);
+  const { userId, amount, reason, eventId, idempotencyKey, payout, signature, quoteId, asset } = request.data || {};
+  const delta = parseFloat(amount);
+
+  if (!userId || !reason || !Number.isFinite(delta) || delta === 0) {
+    throw new functions.https.HttpsError(
+      "invalid-argument",
+      "userId, reason and a non-zero amount are required"
+    );
+  }
+  if (asset && asset !== "SOL" && asset !== "USDC") {
+    throw new functions.https.HttpsError("invalid-argument", "asset must be SOL or USDC");
+  }
+
+  const now = new Date().toISOString();
+  // Manual payments record the transfer, its asset and, for SOL, the quote
+  // it was priced at. One with a signature was already sent to the wallet,
+  // so it isn't added to the withdrawable balance.
+  const disbursed = !!(payout && signature && delta > 0);
+  const metadata = {
+    ...(signature ? { signature } : {}),
+    ...(quoteId ? { quoteId } : {}),
+    ...(asset ? { asset } : {})
+  };
+  const userUpdates = payout && delta > 0
+    ? { status: "PAID", lastPayout: now, lastPayoutAmount: delta }
+    : {};
+
+  try {
+    if (payout && eventId && delta > 0) {
+      const result = await creditPayout({
+        eventId,
+        userId,
+        amount: delta,
+        reason,
+        actor: caller.token.email || caller.uid,
+        userUpdates,
+        metadata,
+        disbursed
+      });
+
+      return { success: true, ...result };
+    }
+
+    const result = await ledger.postEntry({
+      userId,
+      type: delta > 0 ? "credit" : "debit",
+      amount: Math.abs(delta),
+      reason,
+      eventId: eventId || null,
+      actor: caller.token.email || caller.uid,
+      idempotencyKey: idempotencyKey || null,
+      counterAccount: payout ? ledger.ACCOUNTS.RELIEF_FUND : ledger.ACCOUNTS.ADJUSTMENTS,
+      userUpdates,
+      metadata,
+      disbursed
+    });
+
+    return { success: true, ...result };
+  } catch (error) {
+    console.error(`adjustBalance failed for ${userId}:`, error);
+    throw new functions.https.HttpsError("failed-precondition", error.message);
+  }
+});
+
+exports.reconcileBalance = functions.https.onCall(async (request) => {
+  requireAdmin(request);
+  const { userId, dryRun } = request.data || {};
+
+  if (!userId) {
+    throw new functions.https.HttpsError("invalid-argument", "userId is required");
+  }
+
+  return ledger.reconcileBalance(userId, { dryRun: !!dryRun });
+});
+
+// A recorded SOL/USD quote for the UI to price estimates and manual payments.
+exports.getSolQuote = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in to get a price quote");
+  }
+
+  try {
+    const { quoteId, price, createdAt, expiresAt } = await getQuote();
+    return { quoteId, price, createdAt, expiresAt };
+  } catch (error) {
+    console.error("getSolQuote failed:", error.message);
+    throw new functions.https.HttpsError("unavailable", error.message);
+  }
+});
+
+// Approving an event credits every affected policy and queues the SOL
+// transfers; the treasury wallet sends them from processPayoutJob. An event
+// the treasury can't cover is staged (`staged: true`) without crediting.
+exports.approveCatastrophe = functions.https.onCall(async (request) => {
+  const caller = requireAdmin(request);
+  const {
+    eventId,
+    type,
+    location,
+    zipCodes,
+    amount,
+    asset,
+    description
+  } = request.data || {};
+  const amountUSD = parseFloat(amount);
+
+  if (asset && asset !== "SOL" && asset !== "USDC") {
+    throw new functions.https.HttpsError("invalid-argument", "asset must be SOL or USDC");
+  }
+
+  if (!type || !location || !Array.isArray(zipCodes) || zipCodes.length === 0 ||
+      !Number.isFinite(amountUSD) || amountUSD <= 0) {
+    throw new functions.https.HttpsError(
+      "invalid-argument",
+      "type, location, zipCodes and amount are required"
+    );
+  }
+  if (!eventId) {
+    throw new functions.https.HttpsError(
+      "invalid-argument",
+      "eventId is required; reuse it to retry the same event"
+    );
+  }
+
+  try {
+    return await payoutWorker.enqueueEventPayouts({
+      eventId,
+      type,
+      location,
+      zipCodes: zipCodes.map(String),
+      amount: amountUSD,
+      asset: asset || null,
+      description,
+      actor: caller.token.email || caller.uid
+    });
+  } catch (error) {
+    console.error("approveCatastrophe failed:", error);
+    throw new functions.https.HttpsError("internal", error.message);
+  }
+});
+
+// Treasury balance, reserved and available funds, and the exposure under
+// active NOAA alerts. Also refreshes `treasury/status`.
+exports.getTreasuryStatus = functions.https.onCall(async (request) => {
+  requireAdmin(request);
+
+  try {
+    return await treasury.monitorTreasury();
+  } catch (error) {
+    console.error("getTreasuryStatus failed:", error);
+    throw new functions.https.HttpsError("internal", error.message);
+  }
+});
+
+// Re-checks recorded payout and withdrawal signatures against the chain
+// (functions/reconciliation.js).
+exports.reconcileTransfers = functions.scheduler.onSchedule(
+  { schedule: "every 60 minutes", timeoutSeconds: 540 },
+  async () => {
+    await reconciliation.reconcileTransfers();
+  }
+);
+
+exports.runReconciliation = functions.https.onCall(
+  { timeoutSeconds: 540 },
+  async (request) => {
+    const caller = requireAdmin(request);
+
+    try {
+      return await reconciliation.reconcileTransfers({ actor: caller.token.email || caller.uid });
+    } catch (error) {
+      console.error("runReconciliation failed:", error);
+      throw new functions.https.HttpsError("internal", error.message);
+    }
+  }
+);
+
+// Re-queues one failed catastrophe payout, unless an earlier attempt turns out
+// to have landed.
+exports.retryPayout = functions.https.onCall(async (request) => {
+  const caller = requireAdmin(request);
+  const { eventId, payoutId } = request.data || {};
+  if (!eventId || !payoutId) {
+    throw new functions.https.HttpsError("invalid-argument", "eventId and payoutId are required");
+  }
+
+  try {
+    return await payoutWorker.retryRecipient(eventId, payoutId, caller.token.email || caller.uid);
+  } catch (error) {
+    console.error(`retryPayout failed for ${payoutId}:`, error.message);
+    throw new functions.https.HttpsError("failed-precondition", error.message);
+  }
+});
+
+exports.monitorTreasury = functions.scheduler.onSchedule(
+  { schedule: "every 15 minutes", timeoutSeconds: 300 },
+  async () => {
+    const status = await treasury.monitorTreasury();
+    console.log(`Treasury: ${status.availableSOL} SOL available, exposure ${status.exposure.exposureSOL} SOL`);
+  }
+);
+
+exports.processPayoutJob = functions.firestore.onDocumentWritten(
+  { document: "payoutJobs/{eventId}", timeoutSeconds: 540 },
+  async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+
+    if (!after || after.status !== payoutWorker.JOB.QUEUED) return;
+    if (before && before.status === payoutWorker.JOB.QUEUED) return;
+
+    await payoutWorker.processPayoutJob(event.params.eventId);
+  }
+);
+
+// Picks up jobs whose worker timed out or crashed mid-run.
+exports.resumePayoutJobs = functions.scheduler.onSchedule(
+  { schedule: "every 5 minutes", timeoutSeconds: 540 },
+  async () => {
+    const results = await payoutWorker.resumeStalledJobs();
+    console.log(`Resumed ${results.length} payout job(s)`);
+  }
+);
+
+// Debits the caller's balance and records the request; once an admin
+// approves it (approveWithdrawal) the treasury sends it from
+// processWithdrawal.
+exports.requestWithdrawal = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in to withdraw");
+  }
+
+  const amount = parseFloat((request.data || {}).amount);
+  if (!Number.isFinite(amount) || amount < withdrawals.MIN_WITHDRAWAL || amount > withdrawals.MAX_WITHDRAWAL) {
+    throw new functions.https.HttpsError(
+      "invalid-argument",
+      `Withdrawals must be between $${withdrawals.MIN_WITHDRAWAL} and $${withdrawals.MAX_WITHDRAWAL}`
+    );
+  }
+
+  try {
+    return await withdrawals.requestWithdrawal(request.auth.uid, amount);
+  } catch (error) {
+    console.error(`requestWithdrawal failed for ${request.auth.uid}:`, error.message);
+    throw new functions.https.HttpsError("failed-precondition", error.message);
+  }
+});
+
+// One page of the caller's payouts, withdrawals and adjustments, newest first.
+exports.getMyTransactions = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in to view transactions");
+  }
+
+  const { pageSize, cursor } = request.data || {};
+  try {
+    return await transactions.listTransactions(request.auth.uid, { pageSize, cursor });
+  } catch (error) {
+    console.error(`getMyTransactions failed for ${request.auth.uid}:`, error.message);
+    throw new functions.https.HttpsError("invalid-argument", error.message);
+  }
+});
+
+// Step one of wallet verification: a single-use message for the caller to
+// sign with the wallet they want paid to.
+exports.requestWalletNonce = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in to verify a wallet");
+  }
+
+  try {
+    return await wallets.issueNonce(request.auth.uid, (request.data || {}).walletAddress);
+  } catch (error) {
+    throw new functions.https.HttpsError("invalid-argument", error.message);
+  }
+});
+
+// Step two: checks the signature and records the wallet as verified.
+exports.verifyWallet = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in to verify a wallet");
+  }
+
+  const { walletAddress, signature } = request.data || {};
+  if (!walletAddress || !signature) {
+    throw new functions.https.HttpsError("invalid-argument", "walletAddress and signature are required");
+  }
+
+  try {
+    const result = await wallets.verifyWallet(request.auth.uid, walletAddress, signature);
+    console.log(`Wallet ${walletAddress} verified for ${request.auth.uid}`);
+    return result;
+  } catch (error) {
+    console.warn(`verifyWallet failed for ${request.auth.uid}:`, error.message);
+    throw new functions.https.HttpsError("permission-denied", error.message);
+  }
+});
+
+exports.approveWithdrawal = functions.https.onCall(async (request) => {
+  const caller = requireAdmin(request);
+  const { withdrawalId } = request.data || {};
+  if (!withdrawalId) {
+    throw new functions.https.HttpsError("invalid-argument", "withdrawalId is required");
+  }
+
+  try {
+    return await withdrawals.approveWithdrawal(withdrawalId, { uid: caller.uid, email: caller.token.email || null });
+  } catch (error) {
+    console.error(`approveWithdrawal failed for ${withdrawalId}:`, error.message);
+    throw new functions.https.HttpsError("failed-precondition", error.message);
+  }
+});
+
+exports.rejectWithdrawal = functions.https.onCall(async (request) => {
+  const caller = requireAdmin(request);
+  const { withdrawalId, reason } = request.data || {};
+  if (!withdrawalId) {
+    throw new functions.https.HttpsError("invalid-argument", "withdrawalId is required");
+  }
+
+  try {
+    return await withdrawals.rejectWithdrawal(
+      withdrawalId,
+      { uid: caller.uid, email: caller.token.email || null },
+      reason || null
+    );
+  } catch (error) {
+    throw new functions.https.HttpsError("failed-precondition", error.message);
+  }
+});
+
+// Sends a withdrawal as soon as it is approved. Later retries of a `pending`
+// withdrawal are left to settleWithdrawals.
+exports.processWithdrawal = functions.firestore.onDocumentUpdated(
+  { document: "withdrawals/{withdrawalId}", timeoutSeconds: 120 },
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status !== withdrawals.STATUS.REQUESTED || after.status !== withdrawals.STATUS.PENDING) return;
+
+    await withdrawals.processWithdrawal(event.params.withdrawalId);
+  }
+);
+
+// Settles withdrawals whose confirmation timed out and retries ones that
+// couldn't be sent (e.g. price feed unavailable).
+exports.settleWithdrawals = functions.scheduler.onSchedule(
+  { schedule: "every 5 minutes", timeoutSeconds: 300 },
+  async () => {
+    const result = await withdrawals.settleStalledWithdrawals();
+    console.log(`Checked ${result.processing} processing and ${result.pending} pending withdrawal(s)`);
+  }
+);
+
+// New policies get their first coverage term and premium schedule, and
+// their signup ZIP as the primary insured location.
+exports.initializePolicy = functions.firestore.onDocumentCreated(
+  "users/{userId}",
+  async (event) => {
+    await policies.startFirstTerm(event.params.userId);
+    await locations.ensurePrimaryLocation(event.params.userId);
+  }
+);
+
+// Keeps `users.locationZips` in step with the locations subcollection.
+exports.syncLocationZips = functions.firestore.onDocumentWritten(
+  "users/{userId}/locations/{locationId}",
+  async (event) => {
+    const before = event.data.before.exists ? event.data.before.data().zip : null;
+    const after = event.data.after.exists ? event.data.after.data().zip : null;
+    if (before === after) return;
+
+    await locations.syncLocationZips(event.params.userId);
+  }
+);
+
+// Adds or edits an insured location. Policyholders manage their own;
+// admins may pass any `userId`.
+exports.saveLocation = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in to manage locations");
+  }
+
+  const { userId = request.auth.uid, locationId, label, address, zip, coverageAmount } = request.data || {};
+  if (userId !== request.auth.uid) requireAdmin(request);
+
+  try {
+    return await locations.saveLocation(userId, locationId || null, { label, address, zip, coverageAmount });
+  } catch (error) {
+    throw new functions.https.HttpsError("invalid-argument", error.message);
+  }
+});
+
+exports.removeLocation = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in to manage locations");
+  }
+
+  const { userId = request.auth.uid, locationId } = request.data || {};
+  if (userId !== request.auth.uid) requireAdmin(request);
+  if (!locationId) {
+    throw new functions.https.HttpsError("invalid-argument", "locationId is required");
+  }
+
+  try {
+    await locations.removeLocation(userId, locationId);
+    return { removed: locationId };
+  } catch (error) {
+    throw new functions.https.HttpsError("failed-precondition", error.message);
+  }
+});
+
+// Renews, expires and lapses policies and flags overdue premiums
+// (functions/policies.js).
+exports.updatePolicyLifecycle = functions.scheduler.onSchedule(
+  { schedule: "every day 02:00", timeoutSeconds: 540 },
+  async () => {
+    const counts = await policies.runLifecycle();
+    console.log(
+      `Policy lifecycle: ${counts.checked} checked, ${counts.started} started, ${counts.renewed} renewed, ` +
+      `${counts.overdue} overdue, ${counts.lapsed} lapsed, ${counts.expired} expired, ${counts.errors} errors`
+    );
+  }
+);
+
+// Pays the caller's next premium from their balance; reinstates a lapsed or
+// expired policy.
+exports.payPremium = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in to pay your premium");
+  }
+
+  try {
+    return await policies.recordPremiumPayment(request.auth.uid, {
+      method: "balance",
+      actor: `user:${request.auth.uid}`
+    });
+  } catch (error) {
+    console.error(`payPremium failed for ${request.auth.uid}:`, error.message);
+    throw new functions.https.HttpsError("failed-precondition", error.message);
+  }
+});
+
+// Records a premium an admin collected outside the app.
+exports.recordPremiumPayment = functions.https.onCall(async (request) => {
+  const caller = requireAdmin(request);
+  const { userId, reference } = request.data || {};
+  if (!userId) {
+    throw new functions.https.HttpsError("invalid-argument", "userId is required");
+  }
+
+  try {
+    return await policies.recordPremiumPayment(userId, {
+      method: "external",
+      reference: reference || null,
+      actor: caller.token.email || caller.uid
+    });
+  } catch (error) {
+    console.error(`recordPremiumPayment failed for ${userId}:`, error.message);
+    throw new functions.https.HttpsError("failed-precondition", error.message);
+  }
+});
+
+// Policyholders may cancel their own policy; admins may cancel any.
+exports.cancelPolicy = functions.https.onCall(async (request) => {
+  if (!request.auth) {
+    throw new functions.https.HttpsError("unauthenticated", "Sign in to cancel a policy");
+  }
+
+  const { userId = request.auth.uid, reason } = request.data || {};
+  if (userId !== request.auth.uid) requireAdmin(request);
+
+  try {
+    return await policies.cancelPolicy(userId, {
+      actor: request.auth.token.email || request.auth.uid,
+      reason: reason || null
+    });
+  } catch (error) {
+    console.error(`cancelPolicy failed for ${userId}:`, error.message);
+    throw new functions.https.HttpsError("failed-precondition", error.message);
+  }
 });
 
 // -----------------------------------------------------
 // 5. AI Admin Agent
-// 5. AI Admin Agent
 // -----------------------------------------------------
 
+// Runs one turn of an admin's assistant conversation. The body is
+// { query, conversationId? }; without a conversationId a new thread is
+// started (functions/agent/conversations.js). With `Accept: text/event-stream`
+// the reply streams as server-sent events: `conversation`, then `text`,
+// `tool_use` and `tool_result` as they happen, and finally `done` (or
+// `error`). Otherwise it is sent as one JSON response.
 exports.adminAgent = functions.https.onRequest(
   {
     timeoutSeconds: 540,
     memory: "512MiB",
   },
-  async (req, res) => {
-exports.adminAgent = functions.https.onRequest(
-  {
-    timeoutSeconds: 540,
-    memory: "512MiB",
-  },
-  async (req, res) => {
-  res.set("Access-Control-Allow-Origin", "*");
-  res.set("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.set("Access-Control-Allow-Headers", "Content-Type");
- 
-  if (req.method === 'OPTIONS') {
-    res.status(204).send("");
-    return;
+  adminEndpoint("adminAgent", async (req, res) => {
+  const { query, conversationId } = req.body || {};
+  if (!query || typeof query !== "string") {
+    return res.status(400).json({ error: "Missing query" });
   }
 
+  const actor = { uid: req.auth.uid, email: req.auth.email || null };
+  const stream = (req.get("Accept") || "").includes("text/event-stream");
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  let thread;
   try {
-    const { query } = req.body;
-  try {
-    const { query } = req.body;
+    thread = conversationId
+      ? await conversations.getConversation(conversationId, actor.uid)
+      : { conversation: await conversations.createConversation(actor, query), messages: [] };
+  } catch (error) {
+    return res.status(conversationId ? 404 : 500).json({ error: error.message });
+  }
+  const { conversation } = thread;
 
-    if (!query) {
-      return res.status(400).json({ error: "Missing query" });
-    }
-    if (!query) {
-      return res.status(400).json({ error: "Missing query" });
-    }
+  if (stream) {
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+    res.flushHeaders();
+    send("conversation", { conversationId: conversation.id, title: conversation.title });
+  }
 
-    const anthropic = new Anthropic({
-      apiKey: process.env.CLAUDE_API_KEY,
+  try {
+    const { messages, ...reply } = await runClaudeAgent(query, {
+      actor,
+      history: conversations.historyForModel(thread.messages),
+      onEvent: stream ? send : null
+    });
+    await conversations.appendTurn(conversation, messages, {
+      ...(reply.proposal ? { proposal: reply.proposal } : {}),
+      ...(reply.scenario ? { scenario: reply.scenario } : {})
     });
 
-    const tools = [
-      {
-        name: "get_platform_config",
-        description: "Get platform configuration including available catastrophe types, active ZIP codes, and example scenarios.",
-        input_schema: {
-          type: "object",
-          properties: {}
-        }
-      },
-      {
-        name: "get_users_by_zip",
-        description: "Get all users in specific ZIP code(s) with their balance and wallet info.",
-        input_schema: {
-          type: "object",
-          properties: {
-            zipCodes: {
-              type: "array",
-              items: { type: "string" },
-              description: "Array of ZIP codes to query"
-            }
-          },
-          required: ["zipCodes"]
-        }
-      },
-      {
-        name: "auto_trigger_catastrophe",
-        description: "Trigger a catastrophe event - updates balances AND prepares Phantom wallet form.",
-        input_schema: {
-          type: "object",
-          properties: {
-            type: {
-              type: "string",
-              description: "Catastrophe type (Flood, Hurricane, Earthquake, etc.)"
-            },
-            location: {
-              type: "string",
-              description: "Location description"
-            },
-            zipCodes: {
-              type: "array",
-              items: { type: "string" },
-              description: "Affected ZIP codes"
-            },
-            amount: {
-              type: "number",
-              description: "Payout amount per user in USD"
-            },
-            description: {
-              type: "string",
-              description: "Event description (optional)"
-            }
-          },
-          required: ["type", "location", "zipCodes", "amount"]
-        }
-      },
-      {
-        name: "get_user_analytics",
-        description: "Get platform analytics - user counts, balances, status breakdown.",
-        input_schema: {
-          type: "object",
-          properties: {
-            zip: {
-              type: "string",
-              description: "Optional: filter by specific ZIP"
-            }
-          }
-        }
-      },
-      {
-        name: "get_recent_catastrophes",
-        description: "Get history of recent catastrophe events.",
-        input_schema: {
-          type: "object",
-          properties: {
-            limit: {
-              type: "number",
-              description: "Number of events to return (default: 10)"
-            }
-          }
-        }
-      }
-    ];
-
-    async function executeToolCall(toolName, toolInput) {
-      console.log(`Executing: ${toolName}`, toolInput);
-      console.log(`Executing: ${toolName}`, toolInput);
-
-      switch (toolName) {
-        case "get_platform_config": {
-          const usersSnapshot = await db.collection("users").get();
-          const activeZips = new Set();
-          const zipStats = {};
-          
-          usersSnapshot.forEach(doc => {
-            const data = doc.data();
-            if (data.zip) {
-              activeZips.add(data.zip);
-              if (!zipStats[data.zip]) {
-                zipStats[data.zip] = { total: 0, withWallet: 0 };
-              }
-              zipStats[data.zip].total++;
-              if (data.walletAddress) {
-                zipStats[data.zip].withWallet++;
-              }
-            }
-          });
-
-          const recentCatastrophes = await db.collection("catastrophes")
-            .orderBy("createdAt", "desc")
-            .limit(20)
-            .get();
-          
-          const usedTypes = new Set();
-          recentCatastrophes.forEach(doc => {
-            const data = doc.data();
-            if (data.type) usedTypes.add(data.type);
-          });
-
-          const catastropheTypes = [
-            { type: "Flood", description: "Flooding event" },
-            { type: "Hurricane", description: "Hurricane storm" },
-            { type: "Earthquake", description: "Seismic activity" },
-            { type: "Wildfire", description: "Forest fire" },
-            { type: "Tornado", description: "Tornado event" },
-            { type: "Winter Storm", description: "Severe winter weather" },
-            { type: "Drought", description: "Extended drought" }
-          ];
-
-          return {
-            catastropheTypes,
-            activeZips: Array.from(activeZips).sort(),
-            zipStats,
-            recentlyUsedTypes: Array.from(usedTypes),
-            totalUsers: usersSnapshot.size,
-            suggestedAmounts: [50, 100, 150, 200, 250, 500]
-          };
-        }
-
-        case "get_users_by_zip": {
-          const { zipCodes } = toolInput;
-          const allUsers = [];
-         
-          for (const zip of zipCodes) {
-            const snapshot = await db.collection("users").where("zip", "==", zip).get();
-           
-            snapshot.forEach(doc => {
-              const data = doc.data();
-              allUsers.push({
-                id: doc.id,
-                name: data.name || `${data.firstName} ${data.lastName}`,
-                email: data.email,
-                policyId: data.policyId,
-                status: data.status,
-                balance: data.balance || 0,
-                walletAddress: data.walletAddress || null,
-                zip: data.zip
-              });
-            });
-          }
-
-          return {
-            users: allUsers,
-            count: allUsers.length,
-            zipCodes: zipCodes
-          };
-        }
+    const body = { ...reply, conversationId: conversation.id };
+    if (!stream) return res.json(body);
+    send("done", body);
+    return res.end();
+  } catch (error) {
+    console.error("AI Agent Error:", error);
+    if (!stream) return res.status(500).json({ error: error.message });
+    send("error", { error: error.message });
+    return res.end();
+  }
+}, { methods: ["POST"] }));
 
-        case "auto_trigger_catastrophe": {
-          const { type, location, zipCodes, amount, description } = toolInput;
-         
-          console.log(`AUTO-TRIGGERING: ${type} for ZIPs ${zipCodes.join(", ")}`);
-
-          const balanceUpdates = [];
-          const errors = [];
-         
-          for (const zip of zipCodes) {
-            const snapshot = await db.collection("users")
-              .where("zip", "==", zip)
-              .where("status", "==", "ACTIVE")
-              .get();
-            const snapshot = await db.collection("users")
-              .where("zip", "==", zip)
-              .where("status", "==", "ACTIVE")
-              .get();
-
-            for (const doc of snapshot.docs) {
-              const userData = doc.data();
-              const oldBalance = userData.balance || 0;
-              const newBalance = oldBalance + amount;
-
-              try {
-                await doc.ref.update({
-                  balance: newBalance,
-                  lastBalanceUpdate: new Date().toISOString(),
-                  lastBalanceReason: `${type} disaster relief - Admin triggered`
-                });
-
-                balanceUpdates.push({
-                  userId: doc.id,
-                  email: userData.email,
-                  name: userData.name || `${userData.firstName} ${userData.lastName}`,
-                  oldBalance,
-                  newBalance,
-                  added: amount,
-                  zip: userData.zip,
-                  hasWallet: !!userData.walletAddress,
-                  walletAddress: userData.walletAddress
-                });
-
-                console.log(`Balance updated: ${userData.email} $${oldBalance} -> $${newBalance}`);
-              } catch (error) {
-                errors.push({
-                  email: userData.email,
-                  error: error.message
-                });
-                console.error(`Failed to update ${userData.email}:`, error);
-                console.error(`Failed to update ${userData.email}:`, error);
-              }
-            }
-          }
-
-          const usersWithWallet = balanceUpdates.filter(u => u.hasWallet);
-          const usersWithoutWallet = balanceUpdates.filter(u => !u.hasWallet);
-         
-          const estimatedCost = usersWithWallet.length * amount;
-          const estimatedSOL = estimatedCost / 100;
-
-          const finalDescription = description ||
-            `${type} disaster affecting ZIP codes: ${zipCodes.join(", ")}. Emergency relief payout of $${amount} per affected user.`;
-
-          return {
-            action: "AUTO_CATASTROPHE_TRIGGERED",
-           
-            balanceUpdateData: {
-              success: true,
-              updated: balanceUpdates.length,
-              failed: errors.length,
-              totalAdded: balanceUpdates.length * amount,
-              updates: balanceUpdates,
-              errors: errors.length > 0 ? errors : null,
-              message: `Updated ${balanceUpdates.length} users' balances in Firestore. Added $${amount} per user.`
-              message: `Updated ${balanceUpdates.length} users' balances in Firestore. Added $${amount} per user.`
-            },
-
-            catastropheData: {
-              formData: {
-                type,
-                location,
-                zipCodes: zipCodes.join(", "),
-                amount: amount.toString(),
-                description: finalDescription
-              },
-              analysis: {
-                totalUsers: balanceUpdates.length,
-                usersWithWallet: usersWithWallet.length,
-                usersWithoutWallet: usersWithoutWallet.length,
-                estimatedCost,
-                estimatedSOL: estimatedSOL.toFixed(4),
-                affectedZipCodes: zipCodes,
-                readyToExecute: usersWithWallet.length > 0
-              },
-              affectedUsers: usersWithWallet.slice(0, 10)
-              affectedUsers: usersWithWallet.slice(0, 10)
-            },
-
-            message: usersWithWallet.length > 0
-              ? `READY TO EXECUTE!\n\nBalance Updates:\n- ${balanceUpdates.length} users updated in Firestore\n- $${balanceUpdates.length * amount} total added to balances\n\nPhantom Trigger:\n- ${usersWithWallet.length} users ready to receive SOL\n- ${estimatedSOL} SOL needed ($${estimatedCost})\n- ${usersWithoutWallet.length} users without wallets (skipped)\n\nNext: Click the button to open pre-filled dialog and trigger Phantom!`
-              : `Balance updated for ${balanceUpdates.length} users, but NONE have Phantom wallets connected. Cannot send SOL.`
-          };
-        }
+// The caller's assistant conversations, newest first.
+exports.listAgentConversations = functions.https.onCall(async (request) => {
+  const caller = requireAdmin(request);
+  return { conversations: await conversations.listConversations(caller.uid) };
+});
 
-        case "get_user_analytics": {
-          let query = db.collection("users");
-          if (toolInput.zip) {
-            query = query.where("zip", "==", toolInput.zip);
-          }
-
-          const snapshot = await query.get();
-          const stats = {
-            total: snapshot.size,
-            byStatus: {},
-            byZip: {},
-            balances: {
-              total: 0,
-              average: 0,
-              min: Infinity,
-              max: -Infinity
-            },
-            withWallet: 0,
-            withoutWallet: 0
-          };
-
-          snapshot.forEach(doc => {
-            const data = doc.data();
-            stats.byStatus[data.status] = (stats.byStatus[data.status] || 0) + 1;
-            stats.byZip[data.zip] = (stats.byZip[data.zip] || 0) + 1;
-            const balance = data.balance || 0;
-            stats.balances.total += balance;
-            stats.balances.min = Math.min(stats.balances.min, balance);
-            stats.balances.max = Math.max(stats.balances.max, balance);
-            if (data.walletAddress) stats.withWallet++;
-            else stats.withoutWallet++;
-          });
-
-          stats.balances.average = stats.total > 0 ? stats.balances.total / stats.total : 0;
-          if (stats.balances.min === Infinity) stats.balances.min = 0;
-          if (stats.balances.max === -Infinity) stats.balances.max = 0;
-
-          return stats;
-        }
+// One of the caller's conversations, to resume it in the chat (`turns`) or
+// export it (`messages` holds the full API thread, tool results included).
+exports.getAgentConversation = functions.https.onCall(async (request) => {
+  const caller = requireAdmin(request);
+  const { conversationId } = request.data || {};
+  if (!conversationId) {
+    throw new functions.https.HttpsError("invalid-argument", "conversationId is required");
+  }
 
-        case "get_recent_catastrophes": {
-          const limit = toolInput.limit || 10;
-         
-          const snapshot = await db.collection("catastrophes")
-            .orderBy("createdAt", "desc")
-            .limit(limit)
-            .get();
-
-          const events = [];
-          snapshot.forEach(doc => {
-            const data = doc.data();
-            events.push({
-              id: doc.id,
-              type: data.type || "Unknown",
-              location: data.location || "Unknown",
-              zipCodes: data.zipCodes || [],
-              amount: data.amount || 0,
-              amountSOL: data.amountSOL || 0,
-              totalAffected: data.totalAffected || 0,
-              successfulPayouts: data.successfulPayouts || 0,
-              failedPayouts: data.failedPayouts || 0,
-              emailsSent: data.emailsSent || 0,
-              createdAt: data.createdAt || new Date().toISOString(),
-              createdBy: data.createdBy || "Unknown",
-              description: data.description || ""
-              type: data.type || "Unknown",
-              location: data.location || "Unknown",
-              zipCodes: data.zipCodes || [],
-              amount: data.amount || 0,
-              amountSOL: data.amountSOL || 0,
-              totalAffected: data.totalAffected || 0,
-              successfulPayouts: data.successfulPayouts || 0,
-              failedPayouts: data.failedPayouts || 0,
-              emailsSent: data.emailsSent || 0,
-              createdAt: data.createdAt || new Date().toISOString(),
-              createdBy: data.createdBy || "Unknown",
-              description: data.description || ""
-            });
-          });
-
-          return {
-            events,
-            count: events.length,
-            summary: {
-              totalEvents: events.length,
-              totalPayouts: events.reduce((sum, e) => sum + (e.successfulPayouts || 0), 0),
-              totalFailed: events.reduce((sum, e) => sum + (e.failedPayouts || 0), 0),
-              totalEmailsSent: events.reduce((sum, e) => sum + (e.emailsSent || 0), 0)
-            }
-          };
-        }
+  try {
+    const { conversation, messages } = await conversations.getConversation(conversationId, caller.uid);
+    return { conversation, turns: conversations.transcript(messages), messages };
+  } catch (error) {
+    throw new functions.https.HttpsError("not-found", error.message);
+  }
+});
 
-        default:
-          return { error: `Unknown tool: ${toolName}` };
-      }
+// Payouts the agent proposes wait in `agentProposals` until another admin
+// approves them here (functions/agent/proposals.js).
+exports.approveAgentProposal = functions.https.onCall(
+  { timeoutSeconds: 300 },
+  async (request) => {
+    const caller = requireAdmin(request);
+    const { proposalId } = request.data || {};
+    if (!proposalId) {
+      throw new functions.https.HttpsError("invalid-argument", "proposalId is required");
     }
 
-    const messages = [{ role: "user", content: query }];
-    let continueLoop = true;
-    let iterationCount = 0;
-    const maxIterations = 10;
-    let responseData = {};
-
-    while (continueLoop && iterationCount < maxIterations) {
-      iterationCount++;
-
-      const response = await anthropic.messages.create({
-        model: "claude-sonnet-4-5-20250929",
-        max_tokens: 4096,
-        system: `You are the AI Admin Assistant for Insta-Relief disaster insurance platform.
-
-WORKFLOW:
-When admin wants to trigger a catastrophe:
-WORKFLOW:
-When admin wants to trigger a catastrophe:
-1. Use auto_trigger_catastrophe tool
-2. This automatically updates ALL user balances in Firestore and prepares catastrophe trigger form
-3. Admin reviews and confirms in UI
-4. Phantom wallet sends SOL payments
-5. Emails are sent automatically AFTER successful blockchain payment
-
-Your capabilities:
-- Auto-update user balances in Firestore
-- Auto-fill catastrophe forms
-- Analyze user data and provide recommendations
-- Analyze user data and provide recommendations
-- Review catastrophe history
-- Answer questions about the platform
-
-Platform details:
-- SERVICE AREA: Louisiana, USA (Hammond, Baton Rouge, New Orleans, Lafayette areas)
-- Primary ZIP codes: 70401-70403 (Hammond), 70112-70119 (New Orleans), 70801-70809 (Baton Rouge)
-- Users have Phantom wallet addresses for SOL payments
-- Balances tracked in Firestore (USD)
-- SOL payments via Phantom (1 SOL = $100)
-- User statuses: ACTIVE (can receive payouts) or PAID (already received)
-- IMPORTANT: Only ACTIVE users receive payouts
-
-Available catastrophe types:
-- Flood, Hurricane, Earthquake, Wildfire, Tornado, Winter Storm, Drought
-
-FORMATTING CATASTROPHE EVENTS:
-When showing catastrophe events, display actual numbers:
-
-Event NUMBER:
-  Type = VALUE
-  Location = VALUE
-  Date = VALUE
-  ZIP Codes = VALUE
-  Amount USD = NUMBER
-  Amount SOL = NUMBER
-  Total Affected = NUMBER
-  Successful Payouts = NUMBER
-  Failed Payouts = NUMBER
-  Emails Sent = NUMBER
-  Triggered By = VALUE
-
-Be proactive, clear, and helpful.`,
-        tools,
-        messages
-      });
-
-      const toolUse = response.content.find(block => block.type === "tool_use");
-
-      if (toolUse) {
-        messages.push({ role: "assistant", content: response.content });
-       
-        const toolResult = await executeToolCall(toolUse.name, toolUse.input);
-
-        if (toolUse.name === "auto_trigger_catastrophe") {
-          responseData = {
-            catastropheData: toolResult.catastropheData,
-            balanceUpdateData: toolResult.balanceUpdateData,
-            action: toolResult.action
-          };
-        }
-
-        messages.push({
-          role: "user",
-          content: [{
-            type: "tool_result",
-            tool_use_id: toolUse.id,
-            content: JSON.stringify(toolResult)
-          }]
-        });
-
-        continueLoop = true;
-      } else {
-        messages.push({ role: "assistant", content: response.content });
-        messages.push({ role: "assistant", content: response.content });
-        continueLoop = false;
-
-        const textBlock = response.content.find(block => block.type === "text");
-       
-        return res.json({
-          response: textBlock ? textBlock.text : "Action completed",
-          toolsUsed: iterationCount - 1,
-          ...responseData
-        });
-      }
+    try {
+      return await proposals.approveProposal(proposalId, { uid: caller.uid, email: caller.token.email || null });
+    } catch (error) {
+      console.error(`approveAgentProposal failed for ${proposalId}:`, error.message);
+      throw new functions.https.HttpsError("failed-precondition", error.message);
     }
+  }
+);
 
-    if (iterationCount >= maxIterations) {
-      return res.status(500).json({ error: "Max iterations reached" });
-    }
+exports.rejectAgentProposal = functions.https.onCall(async (request) => {
+  const caller = requireAdmin(request);
+  const { proposalId, reason } = request.data || {};
+  if (!proposalId) {
+    throw new functions.https.HttpsError("invalid-argument", "proposalId is required");
+  }
+
+  try {
+    return await proposals.rejectProposal(proposalId, { uid: caller.uid, email: caller.token.email || null }, reason || null);
   } catch (error) {
-    console.error("AI Agent Error:", error);
-    console.error("AI Agent Error:", error);
-    return res.status(500).json({ error: error.message });
+    throw new functions.https.HttpsError("failed-precondition", error.message);
   }
 });
 
+exports.expireAgentProposals = functions.scheduler.onSchedule(
+  { schedule: "every 15 minutes", timeoutSeconds: 120 },
+  async () => {
+    const counts = await proposals.expireProposals();
+    if (counts.expired > 0) console.log(`Expired ${counts.expired} agent proposal(s)`);
+  }
+);
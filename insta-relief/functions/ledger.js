@@ -0,0 +1,238 @@
+const admin = require("firebase-admin");
+
+// Every balance change is a pair of immutable entries: one in the user's
+// `users/{uid}/ledger` subcollection and the opposite leg in the platform
+// account it moved against (`ledgerAccounts/{account}/ledger`). Both legs
+// share the entry id. `users.balance` is only a cached projection of the
+// user's ledger and can always be rebuilt with reconcileBalance().
+
+const ACCOUNTS = {
+  RELIEF_FUND: "relief_fund",
+  ADJUSTMENTS: "manual_adjustments",
+  // Funds reserved by a withdrawal request until it settles or is refunded.
+  WITHDRAWALS: "withdrawals_payable",
+  // Policy premiums paid from the user's balance.
+  PREMIUMS: "premiums_received",
+  // Payouts sent to the user's wallet by the treasury (or an admin) rather
+  // than kept as withdrawable balance.
+  DISBURSED: "payouts_disbursed"
+};
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function entryIdFor(idempotencyKey) {
+  return String(idempotencyKey).replace(/[/\s]+/g, "_");
+}
+
+function validateEntry(entry) {
+  const { userId, type, amount, reason, actor } = entry;
+
+  if (!userId) throw new Error("Ledger entry requires a userId");
+  if (type !== "credit" && type !== "debit") {
+    throw new Error(`Invalid ledger entry type: ${type}`);
+  }
+  if (typeof amount !== "number" || !Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`Invalid ledger amount: ${amount}`);
+  }
+  if (!reason) throw new Error("Ledger entry requires a reason");
+  if (!actor) throw new Error("Ledger entry requires an actor");
+  if (entry.disbursed && type !== "credit") {
+    throw new Error("Only credits can be disbursed");
+  }
+}
+
+function writeLegs(t, userRef, entryRef, leg) {
+  const { type, counterAccount, balanceBefore, balanceAfter, ...common } = leg;
+
+  t.create(entryRef, {
+    ...common,
+    type,
+    account: `users/${userRef.id}`,
+    counterAccount: `ledgerAccounts/${counterAccount}`,
+    balanceBefore,
+    balanceAfter
+  });
+
+  t.create(
+    userRef.firestore.collection("ledgerAccounts").doc(counterAccount).collection("ledger").doc(entryRef.id),
+    {
+      ...common,
+      type: type === "credit" ? "debit" : "credit",
+      account: `ledgerAccounts/${counterAccount}`,
+      counterAccount: `users/${userRef.id}`,
+      userId: userRef.id
+    }
+  );
+}
+
+// Posts an entry inside an existing Firestore transaction. All reads happen
+// before any write, so callers may do their own reads first and their own
+// writes afterwards. Returns { entryId, balanceAfter, duplicate }.
+//
+// A `disbursed` credit is paid out to the user's wallet: a debit into
+// ACCOUNTS.DISBURSED is posted with it (id `{entryId}_disbursed`), so the
+// user's balance is left as it was and the amount can't also be withdrawn.
+async function postEntryWith(t, entry) {
+  validateEntry(entry);
+
+  const db = admin.firestore();
+  const {
+    userId,
+    type,
+    reason,
+    eventId = null,
+    actor,
+    idempotencyKey = null,
+    counterAccount = ACCOUNTS.RELIEF_FUND,
+    userUpdates = {},
+    metadata = {},
+    disbursed = false
+  } = entry;
+  const amount = roundCents(entry.amount);
+
+  const userRef = db.collection("users").doc(userId);
+  const entryRef = idempotencyKey
+    ? userRef.collection("ledger").doc(entryIdFor(idempotencyKey))
+    : userRef.collection("ledger").doc();
+
+  const userSnap = await t.get(userRef);
+  if (!userSnap.exists) throw new Error(`User ${userId} not found`);
+
+  if (idempotencyKey) {
+    const existing = await t.get(entryRef);
+    if (existing.exists) {
+      return {
+        entryId: entryRef.id,
+        balanceAfter: existing.data().balanceAfter,
+        duplicate: true
+      };
+    }
+  }
+
+  const balanceBefore = roundCents(userSnap.data().balance || 0);
+  const signed = type === "credit" ? amount : -amount;
+  const balanceAfter = roundCents(balanceBefore + signed);
+
+  if (balanceAfter < 0) {
+    throw new Error(`Insufficient balance: ${balanceBefore.toFixed(2)} < ${amount.toFixed(2)}`);
+  }
+
+  const createdAt = new Date().toISOString();
+
+  // Users created before the ledger existed carry a bare balance; the first
+  // entry we post for them records it as an opening balance.
+  const openingBalance = userSnap.data().lastLedgerEntryId ? 0 : balanceBefore;
+  if (openingBalance !== 0) {
+    writeLegs(t, userRef, userRef.collection("ledger").doc(), {
+      type: openingBalance > 0 ? "credit" : "debit",
+      amount: Math.abs(openingBalance),
+      reason: "Opening balance (pre-ledger)",
+      eventId: null,
+      actor: "system:ledger-migration",
+      idempotencyKey: null,
+      metadata: {},
+      counterAccount: ACCOUNTS.ADJUSTMENTS,
+      balanceBefore: 0,
+      balanceAfter: openingBalance,
+      createdAt
+    });
+  }
+
+  writeLegs(t, userRef, entryRef, {
+    type,
+    amount,
+    reason,
+    eventId,
+    actor,
+    idempotencyKey,
+    metadata,
+    counterAccount,
+    balanceBefore,
+    balanceAfter,
+    createdAt
+  });
+
+  let lastEntryRef = entryRef;
+  let finalBalance = balanceAfter;
+  if (disbursed) {
+    lastEntryRef = userRef.collection("ledger").doc(`${entryRef.id}_disbursed`);
+    finalBalance = balanceBefore;
+    writeLegs(t, userRef, lastEntryRef, {
+      type: "debit",
+      amount,
+      reason: `${reason} (paid to wallet)`,
+      eventId,
+      actor,
+      idempotencyKey: null,
+      metadata: { ...metadata, creditEntryId: entryRef.id },
+      counterAccount: ACCOUNTS.DISBURSED,
+      balanceBefore: balanceAfter,
+      balanceAfter: balanceBefore,
+      createdAt
+    });
+  }
+
+  t.update(userRef, {
+    ...userUpdates,
+    balance: finalBalance,
+    lastLedgerEntryId: lastEntryRef.id,
+    lastBalanceUpdate: createdAt
+  });
+
+  return { entryId: entryRef.id, balanceAfter: finalBalance, duplicate: false };
+}
+
+async function postEntry(entry) {
+  return admin.firestore().runTransaction(t => postEntryWith(t, entry));
+}
+
+// Replays the user's ledger and, unless dryRun, rewrites the cached balance
+// when it has drifted from the ledger total.
+async function reconcileBalance(userId, { dryRun = false } = {}) {
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(userId);
+
+  return db.runTransaction(async (t) => {
+    const userSnap = await t.get(userRef);
+    if (!userSnap.exists) throw new Error(`User ${userId} not found`);
+
+    const entries = await t.get(userRef.collection("ledger").orderBy("createdAt"));
+    const ledgerBalance = roundCents(entries.docs.reduce((sum, doc) => {
+      const { type, amount } = doc.data();
+      return sum + (type === "credit" ? amount : -amount);
+    }, 0));
+
+    const storedBalance = roundCents(userSnap.data().balance || 0);
+    const drift = roundCents(storedBalance - ledgerBalance);
+    // A pre-ledger user has no entries yet; their balance is opened, not zeroed.
+    const legacy = !userSnap.data().lastLedgerEntryId;
+    const correct = drift !== 0 && !dryRun && !legacy;
+
+    if (correct) {
+      t.update(userRef, {
+        balance: ledgerBalance,
+        lastReconciledAt: new Date().toISOString()
+      });
+    }
+
+    return {
+      userId,
+      entries: entries.size,
+      ledgerBalance,
+      storedBalance,
+      drift,
+      legacy,
+      corrected: correct
+    };
+  });
+}
+
+module.exports = {
+  ACCOUNTS,
+  roundCents,
+  postEntry,
+  postEntryWith,
+  reconcileBalance
+};
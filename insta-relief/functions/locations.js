@@ -0,0 +1,263 @@
+const admin = require("firebase-admin");
+const { countyForZip } = require("./geo");
+const products = require("./products");
+
+// Each policy insures one or more locations in `users/{uid}/locations/{id}`:
+//
+//   { label: "Home", address: "12 Oak St, Hammond, LA", zip: "70401",
+//     countyFips: "22105", coverageAmount: 100 }
+//
+// Alerts and catastrophes are evaluated per location, so a policyholder with
+// a home and a parent's home in two affected ZIPs is paid for both (each
+// capped at its own `coverageAmount`; the product's annual cap still applies
+// to the policy as a whole). The user doc keeps `locationZips`, a copy of its
+// locations' ZIPs written with every change (and re-synced by
+// syncLocationZips()), so the trigger paths can find policies with one
+// array-contains-any query.
+//
+// Users from before locations existed have only `users.zip`; until
+// scripts/migrateLocations.js gives them a `primary` location they are
+// matched on that ZIP as an implicit primary location. The primary location
+// keeps the policy's original payout id, so events paid before the migration
+// aren't paid again.
+
+const PRIMARY_LOCATION_ID = "primary";
+const MAX_LOCATIONS = 5;
+
+function locationsRef(userId) {
+  return admin.firestore().collection("users").doc(userId).collection("locations");
+}
+
+function implicitPrimary(user) {
+  const county = countyForZip(user.zip);
+  return {
+    id: PRIMARY_LOCATION_ID,
+    label: "Primary",
+    address: null,
+    zip: user.zip,
+    countyFips: county ? county.fips : null,
+    coverageAmount: null,
+    implicit: true
+  };
+}
+
+// The insured locations of a user doc snapshot.
+async function locationsFor(userDoc) {
+  const user = userDoc.data();
+  if (!Array.isArray(user.locationZips)) {
+    return user.zip ? [implicitPrimary(user)] : [];
+  }
+
+  const snap = await userDoc.ref.collection("locations").get();
+  return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// Every insured location in `zipCodes` with its user doc, as
+// [{ userDoc, location }]. `status` optionally restricts the policy status.
+async function locationsInZips(zipCodes, { status = null } = {}) {
+  const db = admin.firestore();
+  const zips = [...new Set(zipCodes.map(String))];
+  const userDocs = new Map();
+
+  // "in" and "array-contains-any" queries take 30 values. `status` is
+  // filtered here rather than in the query, which would need a composite
+  // index for array-contains-any.
+  for (let i = 0; i < zips.length; i += 30) {
+    const chunk = zips.slice(i, i + 30);
+    const [migrated, legacy] = await Promise.all([
+      db.collection("users").where("locationZips", "array-contains-any", chunk).get(),
+      db.collection("users").where("zip", "in", chunk).get()
+    ]);
+
+    migrated.docs.forEach(doc => userDocs.set(doc.id, doc));
+    legacy.docs
+      .filter(doc => !Array.isArray(doc.data().locationZips))
+      .forEach(doc => userDocs.set(doc.id, doc));
+  }
+
+  const matches = [];
+  for (const userDoc of userDocs.values()) {
+    if (status && userDoc.data().status !== status) continue;
+    for (const location of await locationsFor(userDoc)) {
+      if (zips.includes(location.zip)) matches.push({ userDoc, location });
+    }
+  }
+  return matches;
+}
+
+// What one location is paid for an event worth `amount`.
+function locationPayout(location, amount) {
+  return location.coverageAmount != null ? Math.min(amount, location.coverageAmount) : amount;
+}
+
+function describeLocation(location) {
+  return location.address ? `${location.label} (${location.address})` : `${location.label} (ZIP ${location.zip})`;
+}
+
+async function validateLocation(user, { label, address, zip, coverageAmount }) {
+  if (!label || typeof label !== "string" || label.length > 60) {
+    throw new Error("Location label is required (at most 60 characters)");
+  }
+  if (address != null && (typeof address !== "string" || address.length > 200)) {
+    throw new Error("Address must be at most 200 characters");
+  }
+  if (!/^\d{5}$/.test(String(zip || ""))) {
+    throw new Error("ZIP code must be 5 digits");
+  }
+
+  const county = countyForZip(String(zip));
+  if (!county) throw new Error(`ZIP ${zip} is not in our coverage area`);
+
+  const product = await products.getProduct(user.productId);
+  const limit = product.maxPerEvent || null;
+  const amount = coverageAmount == null || coverageAmount === "" ? limit : Number(coverageAmount);
+  if (amount != null && (!Number.isFinite(amount) || amount <= 0)) {
+    throw new Error("Coverage amount must be a positive number");
+  }
+  if (limit != null && amount > limit) {
+    throw new Error(`Coverage amount can't exceed the ${product.name} plan's $${limit} per-event limit`);
+  }
+
+  return {
+    label: label.trim(),
+    address: address ? address.trim() : null,
+    zip: String(zip),
+    countyFips: county.fips,
+    coverageAmount: amount
+  };
+}
+
+// ZIPs among `zips` under an alert thread whose payout window is still
+// open. Moving a location into or out of one of them could collect a payout
+// the policy wasn't insured for when the alert was issued.
+async function zipsUnderOpenAlerts(zips, now = new Date()) {
+  const threads = await admin.firestore().collection("alertThreads")
+    .where("zips", "array-contains-any", zips)
+    .get();
+
+  const open = new Set();
+  threads.docs.forEach(doc => {
+    const { status, payoutWindowEndsAt, zips: threadZips = [] } = doc.data();
+    if (status !== "ACTIVE") return;
+    if (payoutWindowEndsAt && new Date(payoutWindowEndsAt) < now) return;
+    threadZips.filter(zip => zips.includes(zip)).forEach(zip => open.add(zip));
+  });
+  return [...open];
+}
+
+// Creates (no `locationId`) or updates one of the user's locations. The
+// location limit is checked and `locationZips` updated in the same
+// transaction, so concurrent saves can't exceed it. A location can't be added
+// in, or moved into or out of, a ZIP under an open NOAA alert.
+async function saveLocation(userId, locationId, fields) {
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(userId);
+  const userSnap = await userRef.get();
+  if (!userSnap.exists) throw new Error(`User ${userId} not found`);
+
+  const location = await validateLocation(userSnap.data(), fields);
+  const now = new Date().toISOString();
+
+  return db.runTransaction(async (t) => {
+    const [user, existing] = await Promise.all([t.get(userRef), t.get(locationsRef(userId))]);
+    if (!user.exists) throw new Error(`User ${userId} not found`);
+
+    const current = locationId ? existing.docs.find(doc => doc.id === locationId) : null;
+    if (locationId && !current) throw new Error("Location not found");
+    if (!locationId && existing.size >= MAX_LOCATIONS) {
+      throw new Error(`A policy can insure at most ${MAX_LOCATIONS} locations`);
+    }
+
+    const previousZip = current ? current.data().zip : null;
+    if (previousZip !== location.zip) {
+      const alerted = await zipsUnderOpenAlerts([previousZip, location.zip].filter(Boolean));
+      if (alerted.length > 0) {
+        throw new Error(
+          `ZIP ${alerted.join(", ")} is under an active weather alert; ` +
+          "locations there can't be added or moved until it ends"
+        );
+      }
+    }
+
+    const ref = current ? current.ref : locationsRef(userId).doc();
+    if (current) {
+      t.update(ref, { ...location, updatedAt: now });
+    } else {
+      t.create(ref, { ...location, userId, createdAt: now, updatedAt: now });
+    }
+
+    const zips = existing.docs.filter(doc => doc.id !== ref.id).map(doc => doc.data().zip);
+    t.update(userRef, { locationZips: [...new Set([...zips, location.zip])] });
+    return { locationId: ref.id, ...location };
+  });
+}
+
+async function removeLocation(userId, locationId) {
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(userId);
+
+  await db.runTransaction(async (t) => {
+    const existing = await t.get(locationsRef(userId));
+    const current = existing.docs.find(doc => doc.id === locationId);
+    if (!current) throw new Error("Location not found");
+    if (existing.size <= 1) throw new Error("A policy must insure at least one location");
+
+    t.delete(current.ref);
+    const zips = existing.docs.filter(doc => doc.id !== locationId).map(doc => doc.data().zip);
+    t.update(userRef, { locationZips: [...new Set(zips)] });
+  });
+}
+
+// Gives a user without locations a `primary` one at their profile ZIP.
+// Returns false when there was nothing to do.
+async function ensurePrimaryLocation(userId) {
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(userId);
+  const primaryRef = locationsRef(userId).doc(PRIMARY_LOCATION_ID);
+
+  return db.runTransaction(async (t) => {
+    const [userSnap, existing] = await Promise.all([t.get(userRef), t.get(locationsRef(userId).limit(1))]);
+    if (!userSnap.exists || !existing.empty) return false;
+
+    const user = userSnap.data();
+    if (!user.zip) return false;
+
+    const product = await products.getProduct(user.productId);
+    const primary = implicitPrimary(user);
+    const now = new Date().toISOString();
+
+    t.create(primaryRef, {
+      label: primary.label,
+      address: null,
+      zip: primary.zip,
+      countyFips: primary.countyFips,
+      coverageAmount: product.maxPerEvent || null,
+      userId,
+      createdAt: now,
+      updatedAt: now
+    });
+    t.update(userRef, { locationZips: [user.zip] });
+    return true;
+  });
+}
+
+// Copies the user's location ZIPs onto the user doc.
+async function syncLocationZips(userId) {
+  const snap = await locationsRef(userId).get();
+  const locationZips = [...new Set(snap.docs.map(doc => doc.data().zip))];
+  await admin.firestore().collection("users").doc(userId).update({ locationZips });
+  return locationZips;
+}
+
+module.exports = {
+  PRIMARY_LOCATION_ID,
+  MAX_LOCATIONS,
+  locationsFor,
+  locationsInZips,
+  locationPayout,
+  describeLocation,
+  saveLocation,
+  removeLocation,
+  ensurePrimaryLocation,
+  syncLocationZips
+};
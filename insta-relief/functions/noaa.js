@@ -0,0 +1,351 @@
+const admin = require("firebase-admin");
+const { rank } = require("./products");
+
+// NOAA_BASE_URL lets the emulator poll a local stub
+// (scripts/noaaStub.js) instead of api.weather.gov.
+const NOAA_BASE_URL = (process.env.NOAA_BASE_URL || "https://api.weather.gov").replace(/\/$/, "");
+const SERVICE_AREA = (process.env.NOAA_SERVICE_AREA || "LA,MS,TX,AL")
+  .split(",")
+  .map(s => s.trim().toUpperCase())
+  .filter(Boolean);
+// api.weather.gov rejects requests without an identifying User-Agent.
+const USER_AGENT = process.env.NOAA_USER_AGENT || "InstaRelief (niraj.bhatta@selu.edu)";
+
+const BACKOFF_BASE_MS = 5 * 60 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+function stateRef() {
+  return admin.firestore().collection("noaaPolling").doc("state");
+}
+
+// Conditional GET of the active alerts for our service area. Returns
+// { status, notModified, features, etag, lastModified }.
+async function fetchActiveAlerts({ etag, lastModified } = {}) {
+  const url = `${NOAA_BASE_URL}/alerts/active?area=${SERVICE_AREA.join(",")}`;
+  const headers = {
+    "Accept": "application/geo+json",
+    "User-Agent": USER_AGENT
+  };
+  if (etag) headers["If-None-Match"] = etag;
+  if (lastModified) headers["If-Modified-Since"] = lastModified;
+
+  const resp = await fetch(url, { headers });
+
+  if (resp.status === 304) {
+    return { status: 304, notModified: true, features: [], etag, lastModified };
+  }
+  if (!resp.ok) {
+    const error = new Error(`NOAA API returned ${resp.status}: ${resp.statusText}`);
+    error.status = resp.status;
+    throw error;
+  }
+
+  const data = await resp.json();
+  return {
+    status: resp.status,
+    notModified: false,
+    features: data.features || [],
+    etag: resp.headers.get("etag") || null,
+    lastModified: resp.headers.get("last-modified") || null
+  };
+}
+
+async function getJson(url) {
+  const resp = await fetch(url, {
+    headers: { "Accept": "application/geo+json", "User-Agent": USER_AGENT }
+  });
+  if (!resp.ok) {
+    const error = new Error(`NOAA API returned ${resp.status} for ${url}`);
+    error.status = resp.status;
+    throw error;
+  }
+  return resp.json();
+}
+
+// What NOAA currently says about one point: its forecast office and zone,
+// the next forecast periods and any active alerts there. Used as the
+// starting point for simulated scenarios (agent/scenario.js).
+async function getNOAABaseline(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    throw new Error(`Invalid coordinates: ${lat}, ${lon}`);
+  }
+  const point = `${lat.toFixed(4)},${lon.toFixed(4)}`;
+
+  const { properties: meta } = await getJson(`${NOAA_BASE_URL}/points/${point}`);
+  const [forecast, alerts] = await Promise.all([
+    meta.forecast ? getJson(meta.forecast).catch(error => {
+      console.warn(`NOAA forecast for ${point} unavailable:`, error.message);
+      return null;
+    }) : null,
+    getJson(`${NOAA_BASE_URL}/alerts/active?point=${point}`)
+  ]);
+
+  const place = meta.relativeLocation?.properties || {};
+  return {
+    lat,
+    lon,
+    city: place.city || null,
+    state: place.state || null,
+    office: meta.cwa || meta.gridId || null,
+    forecastZone: meta.forecastZone ? meta.forecastZone.split("/").pop() : null,
+    county: meta.county ? meta.county.split("/").pop() : null,
+    forecast: (forecast?.properties?.periods || []).slice(0, 4).map(period => ({
+      name: period.name,
+      temperature: period.temperature,
+      temperatureUnit: period.temperatureUnit,
+      windSpeed: period.windSpeed,
+      shortForecast: period.shortForecast
+    })),
+    activeAlerts: (alerts.features || []).map(({ properties }) => ({
+      event: properties.event,
+      severity: properties.severity,
+      certainty: properties.certainty,
+      urgency: properties.urgency,
+      headline: properties.headline
+    })),
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+function backoffFor(failures) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), BACKOFF_MAX_MS);
+}
+
+// Fetches the active alerts and hands each one to `processAlert`, which
+// returns true when the alert was new. Every run is recorded in
+// `noaaPollingRuns`; after a NOAA 5xx the poller skips runs with an
+// exponential backoff (5 minutes doubling up to an hour). The ETag,
+// Last-Modified and failure count live in `noaaPolling/state`.
+async function pollActiveAlerts(processAlert, { trigger = "schedule" } = {}) {
+  const db = admin.firestore();
+  const runRef = db.collection("noaaPollingRuns").doc();
+  const startedAt = new Date();
+  const state = (await stateRef().get()).data() || {};
+
+  const run = {
+    trigger,
+    startedAt: startedAt.toISOString(),
+    area: SERVICE_AREA,
+    httpStatus: null,
+    alertsReceived: 0,
+    alertsProcessed: 0,
+    errors: []
+  };
+
+  const finish = async (status, stateUpdates = {}) => {
+    const finishedAt = new Date();
+    await runRef.set({
+      ...run,
+      status,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt
+    });
+    await stateRef().set({ ...stateUpdates, lastRunId: runRef.id, lastRunAt: run.startedAt }, { merge: true });
+    return { runId: runRef.id, status, ...run };
+  };
+
+  if (state.backoffUntil && new Date(state.backoffUntil) > startedAt) {
+    console.log(`NOAA polling backed off until ${state.backoffUntil}`);
+    return finish("SKIPPED_BACKOFF");
+  }
+
+  let result;
+  try {
+    result = await fetchActiveAlerts({ etag: state.etag, lastModified: state.lastModified });
+  } catch (error) {
+    console.error("NOAA fetch failed:", error.message);
+    run.httpStatus = error.status || null;
+    run.errors.push(error.message);
+
+    if (error.status >= 500) {
+      const failures = (state.consecutiveFailures || 0) + 1;
+      const backoffUntil = new Date(startedAt.getTime() + backoffFor(failures)).toISOString();
+      return finish("ERROR", { consecutiveFailures: failures, backoffUntil });
+    }
+    return finish("ERROR");
+  }
+
+  run.httpStatus = result.status;
+  const recovered = { consecutiveFailures: 0, backoffUntil: null };
+
+  if (result.notModified) {
+    console.log("NOAA alerts not modified since last poll");
+    return finish("NOT_MODIFIED", recovered);
+  }
+
+  run.alertsReceived = result.features.length;
+  console.log(`Found ${result.features.length} active alerts`);
+
+  for (const alert of result.features) {
+    try {
+      if (await processAlert(alert)) run.alertsProcessed++;
+    } catch (error) {
+      console.error(`Failed to process alert ${alert?.properties?.id}:`, error);
+      run.errors.push(`${alert?.properties?.id}: ${error.message}`);
+    }
+  }
+
+  // Only remember the validators once every alert made it through, so a
+  // failed alert is fetched again on the next run.
+  const validators = run.errors.length === 0
+    ? { etag: result.etag, lastModified: result.lastModified }
+    : { etag: null, lastModified: null };
+
+  return finish(run.errors.length ? "PARTIAL" : "OK", { ...recovered, ...validators });
+}
+
+// -----------------------------------------------------
+// Alert threads
+// -----------------------------------------------------
+//
+// CAP Update and Cancel messages point at earlier messages through
+// `references`. Every message of one warning is filed under a single
+// `alertThreads/{threadId}` doc, keyed by the first message we saw, and the
+// thread id is the payout event id, so a policy is paid at most once per
+// warning however many times it is updated.
+
+function referencedIds(properties) {
+  return (properties.references || [])
+    .map(ref => ref.identifier || ref["@id"])
+    .filter(Boolean);
+}
+
+async function threadIdFor(alert) {
+  const { id: alertId } = alert.properties;
+  const refs = alert.properties.references || [];
+  if (refs.length === 0) return alertId;
+
+  const db = admin.firestore();
+  for (const id of referencedIds(alert.properties)) {
+    const snap = await db.collection("processedAlerts").doc(id).get();
+    if (snap.exists && snap.data().threadId) return snap.data().threadId;
+  }
+
+  // None of the referenced messages were seen (e.g. issued before the
+  // poller started); the oldest reference is the root of the thread.
+  const oldest = [...refs].sort((a, b) => String(a.sent).localeCompare(String(b.sent)))[0];
+  return oldest.identifier || oldest["@id"] || alertId;
+}
+
+function peakOf(current = {}, properties) {
+  const peak = {};
+  for (const scale of ["severity", "certainty", "urgency"]) {
+    peak[scale] = rank(scale, properties[scale]) > rank(scale, current[scale])
+      ? properties[scale]
+      : current[scale] || properties[scale] || "Unknown";
+  }
+  return peak;
+}
+
+function escalates(peak = {}, properties) {
+  return ["severity", "certainty", "urgency"].some(scale =>
+    rank(scale, properties[scale]) > rank(scale, peak[scale])
+  );
+}
+
+// Decides what a new message means for its thread:
+//   process - evaluate payouts for `zips`
+//   cancel  - mark the thread cancelled
+//   record  - nothing to pay (repeat, downgrade or already-cancelled thread)
+function planThreadUpdate(thread, properties, zips, now = new Date()) {
+  const messageType = properties.messageType || "Alert";
+
+  if (thread && thread.status === "CANCELLED") {
+    return { action: "record", zips: [], reason: "thread already cancelled" };
+  }
+
+  if (messageType === "Cancel") {
+    const windowEnds = thread?.payoutWindowEndsAt;
+    return {
+      action: "cancel",
+      zips: [],
+      beforeWindowClosed: !windowEnds || now < new Date(windowEnds),
+      reason: "cancelled by NWS"
+    };
+  }
+
+  if (!thread) {
+    return { action: "process", zips, reason: "new alert" };
+  }
+
+  // An upgrade re-evaluates every ZIP, since policies that were below their
+  // product thresholds may qualify now. Otherwise only newly added area is
+  // evaluated; policies already paid for the thread are skipped either way.
+  if (escalates(thread.peak, properties)) {
+    return { action: "process", zips, reason: "escalated" };
+  }
+
+  const known = new Set(thread.zips || []);
+  const added = zips.filter(zip => !known.has(zip));
+  if (added.length > 0) {
+    return { action: "process", zips: added, reason: "area expanded" };
+  }
+
+  return { action: "record", zips: [], reason: "no escalation" };
+}
+
+async function recordThreadMessage(threadId, thread, properties, zips, plan) {
+  const ref = admin.firestore().collection("alertThreads").doc(threadId);
+  const now = new Date().toISOString();
+  const messageType = properties.messageType || "Alert";
+
+  const update = {
+    latestAlertId: properties.id,
+    latestMessageType: messageType,
+    event: properties.event,
+    messages: admin.firestore.FieldValue.arrayUnion(properties.id),
+    updatedAt: now
+  };
+
+  if (!thread) {
+    update.rootAlertId = threadId;
+    update.status = "ACTIVE";
+    update.createdAt = now;
+  }
+
+  if (plan.action === "cancel") {
+    update.status = "CANCELLED";
+    update.cancelledAt = now;
+    update.cancelledByAlertId = properties.id;
+    update.cancelledBeforePayoutWindowClosed = plan.beforeWindowClosed;
+  } else if (!thread || thread.status !== "CANCELLED") {
+    update.severity = properties.severity || null;
+    update.certainty = properties.certainty || null;
+    update.urgency = properties.urgency || null;
+    update.peak = peakOf(thread?.peak, properties);
+    update.payoutWindowEndsAt = properties.ends || properties.expires || thread?.payoutWindowEndsAt || null;
+    update.zips = Array.from(new Set([...(thread?.zips || []), ...zips])).sort();
+  }
+
+  if (plan.reason === "escalated") {
+    update.escalations = admin.firestore.FieldValue.arrayUnion({
+      alertId: properties.id,
+      severity: properties.severity || null,
+      at: now
+    });
+  }
+
+  await ref.set(update, { merge: true });
+
+  // Payouts already made stand (the trigger was met when they were paid),
+  // but they are flagged so they can be reviewed.
+  if (plan.action === "cancel") {
+    const payouts = await admin.firestore().collection("payouts")
+      .where("eventId", "==", threadId)
+      .get();
+    const batch = admin.firestore().batch();
+    payouts.docs.forEach(doc => batch.update(doc.ref, { eventCancelledAt: now }));
+    if (!payouts.empty) await batch.commit();
+  }
+}
+
+module.exports = {
+  NOAA_BASE_URL,
+  SERVICE_AREA,
+  fetchActiveAlerts,
+  getNOAABaseline,
+  pollActiveAlerts,
+  threadIdFor,
+  planThreadUpdate,
+  recordThreadMessage
+};
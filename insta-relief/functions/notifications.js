@@ -0,0 +1,215 @@
+const admin = require("firebase-admin");
+const { sendEmail } = require("./email");
+
+// Every outgoing message is a `notifications/{id}` doc with one entry per
+// channel (email, sms, push) recording whether it was SENT, FAILED or
+// SKIPPED and the provider's message id.
+//
+// Users choose channels with `users.notificationPrefs` ({ email, sms, push });
+// a channel defaults to on when the user has the address for it (email,
+// `phone`, `fcmTokens`). Email goes through SMTP2GO (SMTP2GO_API_KEY), SMS
+// through Twilio (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)
+// and push through FCM; the web client doesn't register push tokens yet.
+//
+// NOTIFICATIONS_PROVIDER=fake swaps every provider for one that only logs,
+// for the emulator. NOTIFICATIONS_FAKE_FAIL=sms,push makes those fakes fail.
+
+const CHANNELS = ["email", "sms", "push"];
+const EMAIL_SENDER = process.env.NOTIFICATIONS_EMAIL_SENDER || "Insta-Relief Emergency <niraj.bhatta@selu.edu>";
+
+const STATUS = {
+  SENT: "SENT",
+  FAILED: "FAILED",
+  SKIPPED: "SKIPPED"
+};
+
+// -----------------------------------------------------
+// Providers: send(recipient, message) -> { providerId }
+// -----------------------------------------------------
+
+const emailProvider = {
+  name: "smtp2go",
+  async send(recipient, message) {
+    const apiKey = process.env.SMTP2GO_API_KEY;
+    if (!apiKey) throw new Error("SMTP2GO_API_KEY missing");
+
+    const response = await sendEmail(
+      apiKey,
+      [`${recipient.name || recipient.email} <${recipient.email}>`],
+      message.sender || EMAIL_SENDER,
+      message.subject,
+      message.html,
+      message.text
+    );
+    return { providerId: response?.data?.email_id || null };
+  }
+};
+
+const smsProvider = {
+  name: "twilio",
+  async send(recipient, message) {
+    const sid = process.env.TWILIO_ACCOUNT_SID;
+    const token = process.env.TWILIO_AUTH_TOKEN;
+    const from = process.env.TWILIO_FROM_NUMBER;
+    if (!sid || !token || !from) throw new Error("Twilio credentials missing");
+
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${sid}/Messages.json`, {
+      method: "POST",
+      headers: {
+        "Authorization": `Basic ${Buffer.from(`${sid}:${token}`).toString("base64")}`,
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: new URLSearchParams({
+        To: recipient.phone,
+        From: from,
+        Body: message.sms || message.text
+      })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(`Twilio error (${response.status}): ${data.message || JSON.stringify(data)}`);
+    }
+    return { providerId: data.sid };
+  }
+};
+
+const pushProvider = {
+  name: "fcm",
+  async send(recipient, message) {
+    const response = await admin.messaging().sendEachForMulticast({
+      tokens: recipient.fcmTokens,
+      notification: {
+        title: message.subject,
+        body: message.sms || message.text
+      },
+      data: message.data || {}
+    });
+
+    if (response.successCount === 0) {
+      throw new Error(response.responses[0]?.error?.message || "Push delivery failed");
+    }
+    return { providerId: `${response.successCount}/${recipient.fcmTokens.length} devices` };
+  }
+};
+
+function fakeProvider(channel) {
+  const failing = (process.env.NOTIFICATIONS_FAKE_FAIL || "").split(",").map(s => s.trim());
+  return {
+    name: `fake-${channel}`,
+    async send(recipient, message) {
+      if (failing.includes(channel)) throw new Error(`fake ${channel} failure`);
+      console.log(`[fake ${channel}] to ${recipient.email || recipient.phone || recipient.userId}: ${message.subject}`);
+      return { providerId: `fake-${channel}-${Date.now()}` };
+    }
+  };
+}
+
+function providerFor(channel) {
+  if (process.env.NOTIFICATIONS_PROVIDER === "fake") return fakeProvider(channel);
+  return { email: emailProvider, sms: smsProvider, push: pushProvider }[channel];
+}
+
+// -----------------------------------------------------
+// Recipients and preferences
+// -----------------------------------------------------
+
+// Onboarding stores bare digits; SMS providers want E.164 (US numbers).
+function toE164(phone) {
+  if (!phone) return null;
+  const value = String(phone).trim();
+  if (value.startsWith("+")) return value;
+
+  const digits = value.replace(/\D/g, "");
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith("1")) return `+${digits}`;
+  return null;
+}
+
+function recipientFromUser(userId, user) {
+  return {
+    userId,
+    name: user.name || `${user.firstName || ""} ${user.lastName || ""}`.trim() || (user.email || "").split("@")[0],
+    email: user.email || null,
+    phone: toE164(user.phone),
+    fcmTokens: user.fcmTokens || [],
+    prefs: user.notificationPrefs || {}
+  };
+}
+
+function addressFor(channel, recipient) {
+  if (channel === "email") return recipient.email;
+  if (channel === "sms") return recipient.phone;
+  return recipient.fcmTokens && recipient.fcmTokens.length > 0 ? recipient.fcmTokens : null;
+}
+
+// Why a channel is skipped for this recipient, or null to send on it.
+function skipReason(channel, recipient, message) {
+  if (message.channels && !message.channels.includes(channel)) return "not requested";
+  if (!addressFor(channel, recipient)) return `no ${channel} address`;
+  if (recipient.prefs && recipient.prefs[channel] === false) return "disabled by user";
+  return null;
+}
+
+// Sends `message` ({ category, subject, html, text, sms?, data?, eventId?,
+// channels? }) to a recipient on every enabled channel. Never throws for a
+// failed channel; the outcome is in the returned doc.
+async function notify(recipient, message) {
+  const ref = admin.firestore().collection("notifications").doc();
+  const deliveries = {};
+
+  for (const channel of CHANNELS) {
+    const reason = skipReason(channel, recipient, message);
+    if (reason) {
+      deliveries[channel] = { status: STATUS.SKIPPED, reason };
+      continue;
+    }
+
+    const provider = providerFor(channel);
+    try {
+      const { providerId } = await provider.send(recipient, message);
+      deliveries[channel] = {
+        status: STATUS.SENT,
+        provider: provider.name,
+        providerId: providerId || null,
+        at: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error(`${channel} notification to ${recipient.userId || recipient.email} failed:`, error.message);
+      deliveries[channel] = {
+        status: STATUS.FAILED,
+        provider: provider.name,
+        error: error.message,
+        at: new Date().toISOString()
+      };
+    }
+  }
+
+  const record = {
+    userId: recipient.userId || null,
+    email: recipient.email || null,
+    category: message.category || "general",
+    eventId: message.eventId || null,
+    subject: message.subject,
+    deliveries,
+    delivered: Object.values(deliveries).some(d => d.status === STATUS.SENT),
+    createdAt: new Date().toISOString()
+  };
+  await ref.set(record);
+
+  return { id: ref.id, ...record };
+}
+
+async function notifyUser(userId, message) {
+  const snap = await admin.firestore().collection("users").doc(userId).get();
+  if (!snap.exists) throw new Error(`User ${userId} not found`);
+  return notify(recipientFromUser(userId, snap.data()), message);
+}
+
+module.exports = {
+  CHANNELS,
+  STATUS,
+  recipientFromUser,
+  notify,
+  notifyUser
+};
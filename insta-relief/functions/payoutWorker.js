@@ -0,0 +1,658 @@
+const admin = require("firebase-admin");
+const { LAMPORTS_PER_SOL } = require("@solana/web3.js");
+const {
+  ASSETS,
+  getConnection,
+  isValidAddress,
+  usdToUsdcUnits,
+  signTreasuryTransfers,
+  transactionOutcomes,
+  explorerUrl
+} = require("./solana");
+const { creditPayout, payoutIdFor } = require("./payouts");
+const locations = require("./locations");
+const treasury = require("./treasury");
+const products = require("./products");
+const policies = require("./policies");
+const { getQuote, usdToLamports } = require("./price");
+const { catastropheEmail } = require("./email");
+const { notifyUser } = require("./notifications");
+const { payableWallet } = require("./wallets");
+
+// Catastrophe payouts are disbursed from the treasury wallet by this worker
+// instead of the admin's browser. An approved event becomes a
+// `payoutJobs/{eventId}` doc with one `recipients/{payoutId}` doc per policy:
+//
+//   pending -> sent -> confirmed
+//                  \-> failed (after MAX_ATTEMPTS)
+//
+// A recipient is marked `sent` with its signature *before* the transaction is
+// broadcast, so a crashed run never re-sends a transfer that may have landed:
+// the next run looks the signature up and only resets it to `pending` once its
+// blockhash has expired without the transaction landing.
+
+const BATCH_SIZE = 8;
+const MAX_ATTEMPTS = 3;
+const LEASE_MS = 9 * 60 * 1000;
+const TIME_BUDGET_MS = 7 * 60 * 1000;
+
+const RECIPIENT = {
+  PENDING: "pending",
+  SENT: "sent",
+  CONFIRMED: "confirmed",
+  FAILED: "failed"
+};
+
+const JOB = {
+  QUEUED: "QUEUED",
+  PROCESSING: "PROCESSING",
+  COMPLETED: "COMPLETED",
+  PARTIAL: "PARTIAL"
+};
+
+function jobRefFor(eventId) {
+  return admin.firestore().collection("payoutJobs").doc(eventId);
+}
+
+// The insured locations in `zipCodes` event `eventId` pays: those whose
+// policy is covered for it (policies.js coveredForEvent) and has a verified
+// wallet.
+async function payableLocations(zipCodes, eventId) {
+  return (await locations.locationsInZips(zipCodes))
+    .filter(({ userDoc }) => policies.coveredForEvent(userDoc.data(), eventId) && payableWallet(userDoc.data()));
+}
+
+// Credits every insured location in the affected ZIPs (idempotently, up to
+// the location's coverage amount) and queues a transfer for each one whose
+// policy has a verified wallet. The credits are `disbursed` (ledger.js), so
+// the transfer is the payout and the balance the user can withdraw doesn't
+// grow. Re-approving an existing event keeps confirmed transfers and puts
+// failed ones back in the queue. A location another path already paid to the
+// balance for this event (the NOAA trigger, `disaster`, `simulateDisaster`,
+// `adjustBalance`) gets no transfer and is counted as `skipped`.
+//
+// Nothing is credited unless the treasury can cover every transfer the event
+// still needs; otherwise the event is left AWAITING_FUNDS and can be approved
+// again once the treasury is funded.
+//
+// Each recipient is paid in the event's `asset` ("SOL" or "USDC") or, when the
+// event doesn't set one, their product's `payoutAsset` (default SOL). USDC
+// pays the policy amount exactly; SOL transfers are priced with a fresh
+// SOL/USD quote (functions/price.js) whose id is kept on the event, each
+// recipient and each payout.
+async function enqueueEventPayouts({
+  eventId,
+  type,
+  location,
+  zipCodes,
+  amount,
+  asset = null,
+  description = "",
+  actor
+}) {
+  const db = admin.firestore();
+  const eventRef = db.collection("catastrophes").doc(eventId);
+  const jobRef = jobRefFor(eventId);
+  const now = new Date().toISOString();
+
+  const existingEvent = await eventRef.get();
+  const matches = await payableLocations(zipCodes, eventId);
+
+  const assetFor = {};
+  for (const { userDoc } of matches) {
+    const product = await products.getProduct(userDoc.data().productId);
+    assetFor[userDoc.id] = asset || product.payoutAsset || ASSETS.SOL;
+  }
+
+  const paysSol = matches.some(({ userDoc }) => assetFor[userDoc.id] === ASSETS.SOL);
+  const quote = paysSol ? await getQuote() : null;
+
+  // The transfer fields for a recipient; the other asset's are cleared when
+  // a failed recipient is re-queued.
+  const transferFor = (userId, amountUSD) => assetFor[userId] === ASSETS.USDC
+    ? { asset: ASSETS.USDC, tokenAmount: usdToUsdcUnits(amountUSD), lamports: null, exchangeRate: null, quoteId: null }
+    : {
+      asset: ASSETS.SOL,
+      lamports: usdToLamports(amountUSD, quote.price),
+      tokenAmount: null,
+      exchangeRate: quote.price,
+      quoteId: quote.quoteId
+    };
+
+  const states = {};
+  (await jobRef.collection("recipients").get()).docs.forEach(doc => { states[doc.id] = doc.data().state; });
+  const outstanding = matches.filter(({ userDoc, location }) => {
+    const state = states[payoutIdFor(eventId, userDoc.data().policyId || userDoc.id, location.id)];
+    return state !== RECIPIENT.CONFIRMED && state !== RECIPIENT.SENT;
+  });
+
+  const outstandingTransfers = outstanding.map(({ userDoc, location }) =>
+    transferFor(userDoc.id, locations.locationPayout(location, amount)));
+  const usdcTransfers = outstandingTransfers.filter(transfer => transfer.asset === ASSETS.USDC);
+  const funding = await treasury.checkFunding({
+    lamports: outstandingTransfers.reduce((sum, transfer) => sum + (transfer.lamports || 0), 0),
+    tokenAmount: usdcTransfers.reduce((sum, transfer) => sum + transfer.tokenAmount, 0),
+    transfers: outstandingTransfers.length,
+    tokenTransfers: usdcTransfers.length,
+    excludeEventId: eventId
+  });
+
+  const event = {
+    type,
+    location,
+    zipCodes,
+    amount,
+    asset,
+    amountSOL: quote ? usdToLamports(amount, quote.price) / LAMPORTS_PER_SOL : null,
+    exchangeRate: quote ? quote.price : null,
+    quoteId: quote ? quote.quoteId : null,
+    priceTimestamp: quote ? quote.createdAt : null,
+    description,
+    createdAt: existingEvent.exists ? existingEvent.data().createdAt : now,
+    createdBy: existingEvent.exists ? existingEvent.data().createdBy : actor,
+    funding: {
+      requiredSOL: funding.requiredSOL,
+      availableSOL: funding.availableSOL,
+      shortfallSOL: funding.shortfallSOL,
+      requiredUSDC: funding.requiredUSDC,
+      availableUSDC: funding.usdcAvailable,
+      shortfallUSDC: funding.shortfallUSDC,
+      checkedAt: funding.checkedAt
+    },
+    updatedAt: now
+  };
+
+  if (!funding.covered) {
+    console.warn(
+      `Event ${eventId} needs ${funding.requiredSOL} SOL and ${funding.requiredUSDC} USDC, ` +
+      `treasury has ${funding.availableSOL} SOL and ${funding.usdcAvailable} USDC available`
+    );
+    await eventRef.set({ ...event, status: "AWAITING_FUNDS" }, { merge: true });
+    return { eventId, staged: true, recipients: matches.length, queued: 0, skipped: 0, errors: [], funding };
+  }
+
+  await eventRef.set({ ...event, status: JOB.PROCESSING }, { merge: true });
+
+  let queued = 0;
+  let skipped = 0;
+  const errors = [];
+
+  for (const { userDoc: doc, location: insured } of matches) {
+    const user = doc.data();
+    const locationAmount = locations.locationPayout(insured, amount);
+
+    try {
+      const payout = await creditPayout({
+        eventId,
+        userId: doc.id,
+        locationId: insured.id,
+        amount: locationAmount,
+        reason: `${type} catastrophe payout (${insured.label})`,
+        actor,
+        metadata: { type, location, locationId: insured.id, zip: insured.zip },
+        disbursed: true,
+        coveredOnly: true,
+        userUpdates: {
+          status: "PAID",
+          lastPayout: now,
+          lastPayoutAmount: locationAmount,
+          lastPayoutEventId: eventId
+        }
+      });
+      if (payout.notCovered) {
+        console.log(`Policy ${payout.policyId} is ${payout.status}, not paying ${eventId}`);
+        skipped++;
+        continue;
+      }
+      if (payout.duplicate && !payout.disbursed) {
+        console.log(`Payout ${payout.payoutId} was already credited to the balance, not sending it`);
+        skipped++;
+        continue;
+      }
+
+      const recipientRef = jobRef.collection("recipients").doc(payout.payoutId);
+      const existing = await recipientRef.get();
+
+      if (!existing.exists) {
+        await recipientRef.set({
+          payoutId: payout.payoutId,
+          userId: doc.id,
+          policyId: payout.policyId,
+          email: user.email,
+          name: user.name || `${user.firstName || ""} ${user.lastName || ""}`.trim(),
+          zip: insured.zip,
+          locationId: insured.id,
+          locationLabel: insured.label,
+          walletAddress: user.walletAddress,
+          amountUSD: locationAmount,
+          ...transferFor(doc.id, locationAmount),
+          state: RECIPIENT.PENDING,
+          attempts: 0,
+          createdAt: now
+        });
+        queued++;
+      } else if (existing.data().state === RECIPIENT.FAILED) {
+        await recipientRef.update({
+          state: RECIPIENT.PENDING,
+          ...transferFor(doc.id, locationAmount),
+          attempts: 0,
+          error: admin.firestore.FieldValue.delete(),
+          requeuedAt: now
+        });
+        queued++;
+      }
+    } catch (error) {
+      console.error(`Failed to queue payout for ${user.email}:`, error);
+      errors.push({ userId: doc.id, email: user.email, error: error.message });
+    }
+  }
+
+  await jobRef.set({
+    eventId,
+    status: JOB.QUEUED,
+    approvedBy: actor,
+    approvedAt: now,
+    leaseUntil: null
+  }, { merge: true });
+  await refreshCounts(eventId);
+
+  return { eventId, staged: false, recipients: matches.length, queued, skipped, errors, funding };
+}
+
+async function refreshCounts(eventId) {
+  const recipients = jobRefFor(eventId).collection("recipients");
+  const counts = {};
+
+  for (const state of Object.values(RECIPIENT)) {
+    const snap = await recipients.where("state", "==", state).count().get();
+    counts[state] = snap.data().count;
+  }
+  counts.total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+  await jobRefFor(eventId).set({ counts, updatedAt: new Date().toISOString() }, { merge: true });
+  return counts;
+}
+
+async function acquireLease(eventId) {
+  const db = admin.firestore();
+  const jobRef = jobRefFor(eventId);
+
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(jobRef);
+    if (!snap.exists) return false;
+
+    const { status, leaseUntil } = snap.data();
+    const leaseExpired = !leaseUntil || new Date(leaseUntil).getTime() < Date.now();
+    const runnable = status === JOB.QUEUED || (status === JOB.PROCESSING && leaseExpired);
+    if (!runnable) return false;
+
+    t.update(jobRef, {
+      status: JOB.PROCESSING,
+      leaseUntil: new Date(Date.now() + LEASE_MS).toISOString()
+    });
+    return true;
+  });
+}
+
+function retryOrFail(recipient, error) {
+  const attempts = recipient.attempts || 0;
+  return attempts >= MAX_ATTEMPTS
+    ? { state: RECIPIENT.FAILED, error, failedAt: new Date().toISOString() }
+    : { state: RECIPIENT.PENDING, error };
+}
+
+async function markConfirmed(eventId, recipientDoc, signature) {
+  const db = admin.firestore();
+  const recipient = recipientDoc.data();
+  const url = explorerUrl(signature);
+  const now = new Date().toISOString();
+
+  await recipientDoc.ref.update({
+    state: RECIPIENT.CONFIRMED,
+    signature,
+    explorerUrl: url,
+    confirmedAt: now,
+    error: admin.firestore.FieldValue.delete()
+  });
+
+  await db.collection("payouts").doc(recipient.payoutId).set({
+    status: "DISBURSED",
+    asset: recipient.asset || ASSETS.SOL,
+    ...(recipient.asset === ASSETS.USDC
+      ? { amountUSDC: recipient.amountUSD }
+      : { amountSOL: recipient.lamports / LAMPORTS_PER_SOL }),
+    exchangeRate: recipient.exchangeRate || null,
+    quoteId: recipient.quoteId || null,
+    signature,
+    explorerUrl: url,
+    disbursedAt: now
+  }, { merge: true });
+
+  try {
+    const event = (await db.collection("catastrophes").doc(eventId).get()).data() || {};
+    const { subject, html, text } = catastropheEmail({
+      userName: recipient.name || (recipient.email || "").split("@")[0],
+      catastropheType: event.type,
+      amount: recipient.amountUSD,
+      location: event.location,
+      explorerUrl: url
+    });
+    await notifyUser(recipient.userId, {
+      category: "payout",
+      eventId,
+      subject,
+      html,
+      text,
+      sms: `Insta-Relief: $${recipient.amountUSD} relief payment for ${event.type} has been sent to your wallet.`,
+      data: { eventId, signature }
+    });
+  } catch (error) {
+    console.error(`Payout confirmed but notifying ${recipient.userId} failed:`, error);
+  }
+}
+
+// A confirmed transfer that turns out to have failed on chain: the recipient
+// is failed (and can be retried) and the payout is back to merely credited.
+async function markFailedOnChain(eventId, recipientDoc, reason) {
+  const recipient = recipientDoc.data();
+  const del = admin.firestore.FieldValue.delete();
+
+  await recipientDoc.ref.update({
+    state: RECIPIENT.FAILED,
+    error: reason,
+    failedAt: new Date().toISOString(),
+    confirmedAt: del
+  });
+  await admin.firestore().collection("payouts").doc(recipient.payoutId).set({
+    status: "CREDITED",
+    disbursementError: reason,
+    signature: del,
+    explorerUrl: del,
+    disbursedAt: del
+  }, { merge: true });
+}
+
+// Every signature a recipient was sent under, as transactionOutcomes()
+// input. Earlier attempts were only abandoned once their blockhash expired,
+// so they carry no block height.
+function signaturesOf(recipient) {
+  const earlier = (recipient.signatures || [])
+    .filter(signature => signature !== recipient.signature)
+    .map(signature => ({ signature, lastValidBlockHeight: 0 }));
+  return recipient.signature
+    ? [...earlier, { signature: recipient.signature, lastValidBlockHeight: recipient.lastValidBlockHeight || 0 }]
+    : earlier;
+}
+
+// Resolves recipients left in `sent` by an earlier (possibly crashed) run.
+async function reconcileSent(eventId) {
+  const sent = await jobRefFor(eventId).collection("recipients")
+    .where("state", "==", RECIPIENT.SENT)
+    .get();
+  if (sent.empty) return;
+
+  const outcomes = await transactionOutcomes(sent.docs.map(doc => doc.data()));
+
+  for (const doc of sent.docs) {
+    const recipient = doc.data();
+    const { state, err } = outcomes[recipient.signature];
+
+    if (state === "confirmed") {
+      await markConfirmed(eventId, doc, recipient.signature);
+    } else if (state === "failed") {
+      await doc.ref.update(retryOrFail(recipient, `Transaction failed: ${JSON.stringify(err)}`));
+    } else if (state === "expired") {
+      await doc.ref.update(retryOrFail(recipient, "Transaction expired before landing"));
+    }
+  }
+}
+
+async function sendBatch(eventId, docs) {
+  const connection = getConnection();
+  const batch = [];
+
+  for (const doc of docs) {
+    const recipient = doc.data();
+    if (isValidAddress(recipient.walletAddress)) {
+      batch.push(doc);
+    } else {
+      await doc.ref.update({
+        state: RECIPIENT.FAILED,
+        error: `Invalid wallet address: ${recipient.walletAddress}`
+      });
+    }
+  }
+  if (batch.length === 0) return;
+
+  const { transaction, signature, blockhash, lastValidBlockHeight } = await signTreasuryTransfers(
+    batch.map(doc => ({
+      to: doc.data().walletAddress,
+      asset: doc.data().asset || ASSETS.SOL,
+      lamports: doc.data().lamports,
+      tokenAmount: doc.data().tokenAmount
+    }))
+  );
+
+  const write = admin.firestore().batch();
+  for (const doc of batch) {
+    write.update(doc.ref, {
+      state: RECIPIENT.SENT,
+      signature,
+      // Every attempt's signature, for reconciliation (functions/reconciliation.js).
+      signatures: admin.firestore.FieldValue.arrayUnion(signature),
+      lastValidBlockHeight,
+      attempts: (doc.data().attempts || 0) + 1,
+      sentAt: new Date().toISOString()
+    });
+  }
+  await write.commit();
+
+  try {
+    await connection.sendRawTransaction(transaction.serialize());
+  } catch (error) {
+    // Preflight rejected the transaction, so it can never land.
+    console.error(`Payout batch for ${eventId} rejected:`, error.message);
+    for (const doc of batch) {
+      const recipient = { ...doc.data(), attempts: (doc.data().attempts || 0) + 1 };
+      await doc.ref.update(retryOrFail(recipient, error.message));
+    }
+    if (/insufficient/i.test(error.message)) throw error;
+    return;
+  }
+
+  try {
+    const result = await connection.confirmTransaction(
+      { signature, blockhash, lastValidBlockHeight },
+      "confirmed"
+    );
+    if (result.value.err) {
+      for (const doc of batch) {
+        const recipient = { ...doc.data(), attempts: (doc.data().attempts || 0) + 1 };
+        await doc.ref.update(retryOrFail(recipient, `Transaction failed: ${JSON.stringify(result.value.err)}`));
+      }
+      return;
+    }
+  } catch (error) {
+    // Unconfirmed is not failed: leave the batch in `sent` for reconcileSent.
+    console.warn(`Payout batch ${signature} not yet confirmed:`, error.message);
+    return;
+  }
+
+  for (const doc of batch) {
+    await markConfirmed(eventId, await doc.ref.get(), signature);
+  }
+}
+
+async function summarizeEvent(eventId, counts) {
+  const recipients = await jobRefFor(eventId).collection("recipients").get();
+  const payoutResults = recipients.docs
+    .map(doc => doc.data())
+    .filter(r => r.state === RECIPIENT.CONFIRMED || r.state === RECIPIENT.FAILED)
+    .map(r => ({
+      userId: r.userId,
+      email: r.email,
+      success: r.state === RECIPIENT.CONFIRMED,
+      ...(r.signature && r.state === RECIPIENT.CONFIRMED
+        ? { signature: r.signature, explorerUrl: r.explorerUrl }
+        : { error: r.error || "Unknown error" })
+    }));
+
+  const done = counts.pending === 0 && counts.sent === 0;
+  const status = !done ? JOB.PROCESSING : counts.failed > 0 ? JOB.PARTIAL : JOB.COMPLETED;
+
+  await admin.firestore().collection("catastrophes").doc(eventId).set({
+    payoutResults,
+    totalAffected: counts.total,
+    successfulPayouts: counts.confirmed,
+    failedPayouts: counts.failed,
+    status,
+    updatedAt: new Date().toISOString()
+  }, { merge: true });
+
+  return status;
+}
+
+async function processPayoutJob(eventId) {
+  if (!(await acquireLease(eventId))) {
+    console.log(`Payout job ${eventId} is not runnable or already leased`);
+    return null;
+  }
+
+  const deadline = Date.now() + TIME_BUDGET_MS;
+  const recipients = jobRefFor(eventId).collection("recipients");
+  let lastError = null;
+
+  try {
+    await reconcileSent(eventId);
+
+    while (Date.now() < deadline) {
+      const pending = await recipients
+        .where("state", "==", RECIPIENT.PENDING)
+        .limit(BATCH_SIZE)
+        .get();
+      if (pending.empty) break;
+
+      await sendBatch(eventId, pending.docs);
+      await refreshCounts(eventId);
+    }
+
+    await reconcileSent(eventId);
+  } catch (error) {
+    console.error(`Payout job ${eventId} stopped:`, error);
+    lastError = error.message;
+  }
+
+  const counts = await refreshCounts(eventId);
+  const status = await summarizeEvent(eventId, counts);
+
+  // Unfinished jobs stay PROCESSING with an expired lease so the scheduled
+  // resumePayoutJobs run picks them up again.
+  await jobRefFor(eventId).update({
+    status,
+    leaseUntil: null,
+    lastError,
+    lastRunAt: new Date().toISOString()
+  });
+
+  return { eventId, status, counts };
+}
+
+async function refreshEvent(eventId) {
+  return summarizeEvent(eventId, await refreshCounts(eventId));
+}
+
+// Admin retry of one failed transfer. Its earlier signatures are looked up
+// first, so a transfer that landed after all is recorded instead of paid
+// twice. SOL is re-priced with a fresh quote.
+async function retryRecipient(eventId, payoutId, actor) {
+  const db = admin.firestore();
+  const ref = jobRefFor(eventId).collection("recipients").doc(payoutId);
+  const snap = await ref.get();
+  if (!snap.exists) throw new Error(`Payout ${payoutId} not found for event ${eventId}`);
+
+  const recipient = snap.data();
+  if (recipient.state !== RECIPIENT.FAILED) {
+    throw new Error(`Payout ${payoutId} is ${recipient.state}, not failed`);
+  }
+
+  const outcomes = await transactionOutcomes(signaturesOf(recipient));
+  const landed = Object.keys(outcomes).find(signature => outcomes[signature].state === "confirmed");
+  if (landed) {
+    await markConfirmed(eventId, snap, landed);
+    await refreshEvent(eventId);
+    return { eventId, payoutId, state: RECIPIENT.CONFIRMED, signature: landed };
+  }
+  if (Object.values(outcomes).some(outcome => outcome.state === "pending")) {
+    throw new Error("An earlier transfer may still land; retry once its blockhash has expired");
+  }
+  if (!payableWallet((await db.collection("users").doc(recipient.userId).get()).data() || {})) {
+    throw new Error("The policyholder no longer has a verified wallet");
+  }
+
+  const asset = recipient.asset || ASSETS.SOL;
+  const quote = asset === ASSETS.SOL ? await getQuote() : null;
+  const transfer = quote
+    ? { lamports: usdToLamports(recipient.amountUSD, quote.price), exchangeRate: quote.price, quoteId: quote.quoteId }
+    : { tokenAmount: usdToUsdcUnits(recipient.amountUSD) };
+
+  const funding = await treasury.checkFunding({
+    lamports: transfer.lamports || 0,
+    tokenAmount: transfer.tokenAmount || 0,
+    transfers: 1,
+    tokenTransfers: quote ? 0 : 1
+  });
+  if (!funding.covered) {
+    throw new Error(
+      `Treasury can't cover the retry (short ${funding.shortfallSOL} SOL, ${funding.shortfallUSDC} USDC)`
+    );
+  }
+
+  const now = new Date().toISOString();
+  await ref.update({
+    state: RECIPIENT.PENDING,
+    ...transfer,
+    attempts: 0,
+    error: admin.firestore.FieldValue.delete(),
+    retriedBy: actor,
+    requeuedAt: now
+  });
+
+  // A run holding the lease picks the recipient up itself; queueing the job
+  // as well would start a second worker.
+  await db.runTransaction(async (t) => {
+    const job = await t.get(jobRefFor(eventId));
+    const { status, leaseUntil } = job.data();
+    const leased = status === JOB.PROCESSING && leaseUntil && new Date(leaseUntil).getTime() > Date.now();
+    if (!leased) t.update(job.ref, { status: JOB.QUEUED, leaseUntil: null });
+  });
+  await refreshCounts(eventId);
+
+  return { eventId, payoutId, state: RECIPIENT.PENDING };
+}
+
+async function resumeStalledJobs() {
+  const jobs = await admin.firestore().collection("payoutJobs")
+    .where("status", "in", [JOB.QUEUED, JOB.PROCESSING])
+    .get();
+
+  const results = [];
+  for (const doc of jobs.docs) {
+    results.push(await processPayoutJob(doc.id));
+  }
+  return results.filter(Boolean);
+}
+
+module.exports = {
+  RECIPIENT,
+  JOB,
+  payableLocations,
+  enqueueEventPayouts,
+  processPayoutJob,
+  resumeStalledJobs,
+  retryRecipient,
+  markConfirmed,
+  markFailedOnChain,
+  refreshEvent,
+  signaturesOf,
+  jobRefFor
+};
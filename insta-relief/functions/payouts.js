@@ -0,0 +1,133 @@
+const admin = require("firebase-admin");
+const ledger = require("./ledger");
+const { PRIMARY_LOCATION_ID } = require("./locations");
+const { coveredForEvent } = require("./policies");
+
+// Each insured location of a policy can be paid at most once per event. The
+// `payouts/{eventId}_{policyId}_{locationId}` doc is created in the same
+// transaction as the ledger credit, so retrying any trigger path for the same
+// event only pays the locations that were missed. The primary location keeps
+// the pre-locations id `{eventId}_{policyId}`.
+//
+// A payout sent to the policyholder's wallet is credited `disbursed`
+// (ledger.js): it is recorded in their ledger without adding to the balance
+// they can withdraw.
+//
+// Event payouts pass `coveredOnly`: the policy status (policies.js
+// coveredForEvent) is checked on the user doc read in the same transaction,
+// so a policy that lapsed, expired or was cancelled after it was matched is
+// not paid. The result then has `notCovered: true`.
+
+function payoutIdFor(eventId, policyId, locationId = null) {
+  const parts = locationId && locationId !== PRIMARY_LOCATION_ID
+    ? [eventId, policyId, locationId]
+    : [eventId, policyId];
+  return parts.join("_").replace(/[/\s]+/g, "_");
+}
+
+// Deterministic id built only from an event's own inputs, for generated
+// events (agent scenarios) that don't come with one. Trigger paths that pay
+// real events take the id from the caller instead: anything time-based would
+// pay the same event again once the clock moved on.
+function defaultEventId(prefix, ...parts) {
+  return [prefix, ...parts]
+    .map(part => String(part).toLowerCase().replace(/[^a-z0-9-]+/g, "-"))
+    .join(":");
+}
+
+async function creditPayout({
+  eventId,
+  userId,
+  locationId = null,
+  amount,
+  reason,
+  actor,
+  userUpdates = {},
+  metadata = {},
+  annualCap = null,
+  disbursed = false,
+  coveredOnly = false
+}) {
+  if (!eventId) throw new Error("Payout requires an eventId");
+
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(userId);
+
+  return db.runTransaction(async (t) => {
+    const userSnap = await t.get(userRef);
+    if (!userSnap.exists) throw new Error(`User ${userId} not found`);
+
+    const policyId = userSnap.data().policyId || userId;
+    const payoutRef = db.collection("payouts").doc(payoutIdFor(eventId, policyId, locationId));
+    const payoutSnap = await t.get(payoutRef);
+
+    if (payoutSnap.exists) {
+      return { duplicate: true, payoutId: payoutRef.id, ...payoutSnap.data() };
+    }
+    if (coveredOnly && !coveredForEvent(userSnap.data(), eventId)) {
+      return { duplicate: false, notCovered: true, policyId, status: userSnap.data().status, amount: 0 };
+    }
+
+    // Running payout total per calendar year, kept on the user doc so the
+    // product's annual cap is enforced inside this transaction.
+    const year = new Date().getUTCFullYear();
+    const paidThisYear = userSnap.data().payoutTotals?.[year] || 0;
+    const credited = ledger.roundCents(
+      annualCap != null ? Math.min(amount, annualCap - paidThisYear) : amount
+    );
+
+    if (credited <= 0) {
+      return { duplicate: false, capped: true, policyId, amount: 0 };
+    }
+
+    const { entryId, balanceAfter } = await ledger.postEntryWith(t, {
+      userId,
+      type: "credit",
+      amount: credited,
+      reason,
+      eventId,
+      actor,
+      idempotencyKey: locationId && locationId !== PRIMARY_LOCATION_ID
+        ? `${eventId}:${policyId}:${locationId}`
+        : `${eventId}:${policyId}`,
+      counterAccount: ledger.ACCOUNTS.RELIEF_FUND,
+      userUpdates: {
+        ...userUpdates,
+        ...("lastPayoutAmount" in userUpdates ? { lastPayoutAmount: credited } : {}),
+        [`payoutTotals.${year}`]: ledger.roundCents(paidThisYear + credited)
+      },
+      metadata,
+      disbursed
+    });
+
+    const payout = {
+      eventId,
+      policyId,
+      userId,
+      locationId,
+      amount: credited,
+      reason,
+      metadata,
+      status: "CREDITED",
+      entryId,
+      disbursed,
+      actor,
+      createdAt: new Date().toISOString()
+    };
+    t.create(payoutRef, payout);
+
+    return {
+      duplicate: false,
+      capped: credited < ledger.roundCents(amount),
+      payoutId: payoutRef.id,
+      balanceAfter,
+      ...payout
+    };
+  });
+}
+
+module.exports = {
+  payoutIdFor,
+  defaultEventId,
+  creditPayout
+};
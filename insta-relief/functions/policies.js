@@ -0,0 +1,355 @@
+const admin = require("firebase-admin");
+const ledger = require("./ledger");
+const products = require("./products");
+const { notifyUser } = require("./notifications");
+
+// A policy (the user doc) is written for a coverage term of the product's
+// `termMonths` and kept in force by premiums of `premium.amount` every
+// `premium.intervalMonths`:
+//
+//   ACTIVE --payout--> PAID               (no further alert payouts this term)
+//   ACTIVE/PAID --term ends--> ACTIVE     (renewed: next term, PAID reset)
+//                          \-> EXPIRED    (autoRenew off)
+//   ACTIVE/PAID --premium unpaid past graceDays--> LAPSED
+//   LAPSED --premium paid--> ACTIVE       (reinstated with a fresh term)
+//   any --cancelPolicy--> CANCELLED
+//
+// A missed premium doesn't change the status straight away: `premium.status`
+// becomes GRACE (with `premium.graceEndsAt`) and the policy stays covered
+// until the grace period ends. runLifecycle() makes these transitions on a
+// schedule; premiums are recorded by recordPremiumPayment().
+
+const STATUS = {
+  ACTIVE: "ACTIVE",
+  PAID: "PAID",
+  LAPSED: "LAPSED",
+  EXPIRED: "EXPIRED",
+  CANCELLED: "CANCELLED"
+};
+
+const PREMIUM_STATUS = {
+  CURRENT: "CURRENT",
+  GRACE: "GRACE"
+};
+
+// Statuses whose term is running; only ACTIVE still pays on alerts.
+const IN_FORCE = [STATUS.ACTIVE, STATUS.PAID];
+
+const DEFAULT_TERMS = {
+  termMonths: 12,
+  graceDays: 30,
+  premium: { amount: 10, intervalMonths: 1 }
+};
+
+function termsOf(product) {
+  return {
+    termMonths: product.termMonths || DEFAULT_TERMS.termMonths,
+    graceDays: product.graceDays ?? DEFAULT_TERMS.graceDays,
+    premium: { ...DEFAULT_TERMS.premium, ...(product.premium || {}) }
+  };
+}
+
+function addMonths(iso, months) {
+  const date = new Date(iso);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString();
+}
+
+function addDays(iso, days) {
+  return new Date(new Date(iso).getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function isInForce(user) {
+  return IN_FORCE.includes(user.status);
+}
+
+// Whether an alert payout for `eventId` may still go to this policy: ACTIVE
+// ones, and PAID ones whose payout this term was for the same event (another
+// of their insured locations).
+function coveredForEvent(user, eventId) {
+  return user.status === STATUS.ACTIVE ||
+    (user.status === STATUS.PAID && !!eventId && user.lastPayoutEventId === eventId);
+}
+
+// Fields for a new term starting at `start`. The first premium of the term
+// is due at its start, unless premiums are already paid beyond it.
+function termFields(product, start, paidThrough, termNumber) {
+  const terms = termsOf(product);
+  const nextDueAt = paidThrough && paidThrough > start ? paidThrough : start;
+
+  return {
+    status: STATUS.ACTIVE,
+    coverageStart: start,
+    coverageEnd: addMonths(start, terms.termMonths),
+    termNumber,
+    premium: {
+      amount: terms.premium.amount,
+      intervalMonths: terms.premium.intervalMonths,
+      paidThrough: paidThrough || start,
+      nextDueAt,
+      status: PREMIUM_STATUS.CURRENT,
+      graceEndsAt: null
+    }
+  };
+}
+
+async function notifyPolicy(userId, subject, text) {
+  try {
+    await notifyUser(userId, {
+      category: "policy",
+      subject,
+      html: `<p>${text}</p>`,
+      text,
+      sms: `Insta-Relief: ${text}`
+    });
+  } catch (error) {
+    console.error(`Policy notification to ${userId} failed:`, error.message);
+  }
+}
+
+// Gives a policy without a term (new signups and pre-lifecycle users) its
+// first one, starting now.
+async function startFirstTerm(userId) {
+  const db = admin.firestore();
+  const ref = db.collection("users").doc(userId);
+
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists || snap.data().coverageEnd) return null;
+
+    const user = snap.data();
+    const product = await products.getProduct(user.productId);
+    const fields = {
+      ...termFields(product, new Date().toISOString(), null, 1),
+      autoRenew: user.autoRenew ?? true,
+      // A pre-lifecycle policy that was already paid out keeps that status.
+      ...(user.status === STATUS.PAID ? { status: STATUS.PAID } : {})
+    };
+    t.update(ref, fields);
+    return fields;
+  });
+}
+
+// Works out the next transition for a policy at `now`, or null.
+function nextTransition(user, product, now) {
+  const premium = user.premium || {};
+
+  if (now >= user.coverageEnd) {
+    if (user.autoRenew === false) {
+      return { update: { status: STATUS.EXPIRED, expiredAt: now }, event: "expired" };
+    }
+    if (premium.status !== PREMIUM_STATUS.GRACE || now <= premium.graceEndsAt) {
+      return {
+        update: {
+          ...termFields(product, user.coverageEnd, premium.paidThrough, (user.termNumber || 1) + 1),
+          renewedAt: now
+        },
+        event: "renewed"
+      };
+    }
+  }
+
+  if (premium.status === PREMIUM_STATUS.GRACE && now > premium.graceEndsAt) {
+    return { update: { status: STATUS.LAPSED, lapsedAt: now }, event: "lapsed" };
+  }
+
+  if (premium.status !== PREMIUM_STATUS.GRACE && premium.nextDueAt && now >= premium.nextDueAt) {
+    const graceEndsAt = addDays(premium.nextDueAt, termsOf(product).graceDays);
+    return {
+      update: { "premium.status": PREMIUM_STATUS.GRACE, "premium.graceEndsAt": graceEndsAt },
+      event: "overdue",
+      graceEndsAt
+    };
+  }
+
+  return null;
+}
+
+const MESSAGES = {
+  renewed: (user, t) => [
+    "Your policy has been renewed",
+    `Your Insta-Relief policy ${user.policyId} has been renewed through ${t.update.coverageEnd.slice(0, 10)}.`
+  ],
+  expired: (user) => [
+    "Your policy has expired",
+    `Your Insta-Relief policy ${user.policyId} has reached the end of its term and was not renewed.`
+  ],
+  overdue: (user, t) => [
+    "Premium payment due",
+    `Your premium of $${user.premium.amount.toFixed(2)} for policy ${user.policyId} is due. ` +
+    `Pay by ${t.graceEndsAt.slice(0, 10)} to keep your coverage.`
+  ],
+  lapsed: (user) => [
+    "Your policy has lapsed",
+    `Your Insta-Relief policy ${user.policyId} has lapsed because the premium was not paid. ` +
+    "Pay the premium to reinstate it."
+  ]
+};
+
+// Applies the transitions due for one policy; a policy can renew and then
+// fall overdue in the same run.
+async function advancePolicy(userId, now) {
+  const db = admin.firestore();
+  const ref = db.collection("users").doc(userId);
+  const events = [];
+
+  for (let step = 0; step < 4; step++) {
+    const applied = await db.runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      const user = snap.data();
+      if (!isInForce(user) || !user.coverageEnd) return null;
+
+      const product = await products.getProduct(user.productId);
+      const transition = nextTransition(user, product, now);
+      if (!transition) return null;
+
+      t.update(ref, { ...transition.update, lifecycleUpdatedAt: now });
+      return { transition, user };
+    });
+    if (!applied) break;
+
+    events.push(applied.transition.event);
+    const [subject, text] = MESSAGES[applied.transition.event](applied.user, applied.transition);
+    await notifyPolicy(userId, subject, text);
+  }
+  return events;
+}
+
+// Scheduled: starts missing terms and moves in-force policies through
+// renewal, grace, lapse and expiry.
+async function runLifecycle(now = new Date().toISOString()) {
+  const snap = await admin.firestore().collection("users")
+    .where("status", "in", IN_FORCE)
+    .get();
+
+  const counts = { checked: snap.size, started: 0, renewed: 0, overdue: 0, lapsed: 0, expired: 0, errors: 0 };
+
+  for (const doc of snap.docs) {
+    try {
+      if (!doc.data().coverageEnd) {
+        if (await startFirstTerm(doc.id)) counts.started++;
+      }
+      for (const event of await advancePolicy(doc.id, now)) counts[event]++;
+    } catch (error) {
+      console.error(`Policy lifecycle failed for ${doc.id}:`, error);
+      counts.errors++;
+    }
+  }
+
+  return counts;
+}
+
+// Moves a current policy's premium schedule on by one interval.
+function premiumPaidUpdate(premium, now) {
+  const paidThrough = addMonths(premium.paidThrough || now, premium.intervalMonths);
+  return {
+    "premium.paidThrough": paidThrough,
+    "premium.nextDueAt": paidThrough,
+    "premium.status": PREMIUM_STATUS.CURRENT,
+    "premium.graceEndsAt": null
+  };
+}
+
+// Records one premium payment. `method` "balance" pays it from the user's
+// emergency fund through the ledger; "external" records a payment taken
+// elsewhere (admins only). Paying a lapsed policy reinstates it with a new
+// term starting now.
+async function recordPremiumPayment(userId, { method, reference = null, actor }) {
+  if (method !== "balance" && method !== "external") {
+    throw new Error(`Unknown payment method ${method}`);
+  }
+
+  const db = admin.firestore();
+  const ref = db.collection("users").doc(userId);
+  const paymentRef = ref.collection("premiums").doc();
+
+  const result = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) throw new Error(`User ${userId} not found`);
+
+    const user = snap.data();
+    if (user.status === STATUS.CANCELLED) throw new Error("Policy is cancelled");
+    if (!user.premium) throw new Error("Policy has no premium schedule yet");
+
+    const now = new Date().toISOString();
+    const product = await products.getProduct(user.productId);
+    const { amount, intervalMonths } = user.premium;
+    const reinstate = user.status === STATUS.LAPSED || user.status === STATUS.EXPIRED;
+
+    const update = {
+      ...(reinstate
+        ? { ...termFields(product, now, addMonths(now, intervalMonths), (user.termNumber || 0) + 1), reinstatedAt: now }
+        : premiumPaidUpdate(user.premium, now)),
+      lastPremiumAt: now
+    };
+
+    let entryId = null;
+    if (method === "balance") {
+      // Throws "Insufficient balance" when the fund can't cover it.
+      ({ entryId } = await ledger.postEntryWith(t, {
+        userId,
+        type: "debit",
+        amount,
+        reason: "Policy premium",
+        actor,
+        idempotencyKey: `premium:${paymentRef.id}`,
+        counterAccount: ledger.ACCOUNTS.PREMIUMS,
+        userUpdates: update,
+        metadata: { premiumId: paymentRef.id }
+      }));
+    } else {
+      t.update(ref, update);
+    }
+
+    t.create(paymentRef, {
+      amount,
+      method,
+      reference,
+      ledgerEntryId: entryId,
+      actor,
+      reinstated: reinstate,
+      createdAt: now
+    });
+
+    return { premiumId: paymentRef.id, amount, reinstated: reinstate };
+  });
+
+  if (result.reinstated) {
+    await notifyPolicy(userId, "Your policy has been reinstated", "Thanks for your payment. Your Insta-Relief policy is active again.");
+  }
+  return result;
+}
+
+async function cancelPolicy(userId, { actor, reason = null }) {
+  const db = admin.firestore();
+  const ref = db.collection("users").doc(userId);
+
+  await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) throw new Error(`User ${userId} not found`);
+    if (snap.data().status === STATUS.CANCELLED) throw new Error("Policy is already cancelled");
+
+    t.update(ref, {
+      status: STATUS.CANCELLED,
+      cancelledAt: new Date().toISOString(),
+      cancelledBy: actor,
+      cancellationReason: reason,
+      autoRenew: false
+    });
+  });
+
+  await notifyPolicy(userId, "Your policy has been cancelled", "Your Insta-Relief policy has been cancelled. You will not receive further payouts.");
+  return { status: STATUS.CANCELLED };
+}
+
+module.exports = {
+  STATUS,
+  PREMIUM_STATUS,
+  IN_FORCE,
+  isInForce,
+  coveredForEvent,
+  startFirstTerm,
+  runLifecycle,
+  recordPremiumPayment,
+  cancelPolicy
+};
@@ -0,0 +1,150 @@
+const admin = require("firebase-admin");
+const { LAMPORTS_PER_SOL } = require("@solana/web3.js");
+
+// SOL/USD quotes for every conversion the functions make. A quote is the
+// median of the enabled sources (PRICE_SOURCES, default
+// `coingecko,coinbase,kraken`) after dropping observations that are stale or
+// more than PRICE_MAX_DEVIATION from the median. Each quote is stored in
+// `priceQuotes/{quoteId}` and payouts and withdrawals keep the id, so any
+// conversion can be reproduced. There is no default price: if fewer than
+// PRICE_MIN_SOURCES sources agree, getQuote() throws.
+//
+// For the emulator, PRICE_SOURCES=fixed with PRICE_FIXED_USD=150 uses a
+// constant.
+
+const PAIR = "SOL/USD";
+const ENABLED_SOURCES = (process.env.PRICE_SOURCES || "coingecko,coinbase,kraken")
+  .split(",")
+  .map(s => s.trim())
+  .filter(Boolean);
+const MIN_SOURCES = Math.min(
+  parseInt(process.env.PRICE_MIN_SOURCES || "2", 10),
+  ENABLED_SOURCES.length
+);
+const MAX_DEVIATION = parseFloat(process.env.PRICE_MAX_DEVIATION || "0.02");
+const MAX_OBSERVATION_AGE_MS = 5 * 60 * 1000;
+const QUOTE_TTL_MS = 60 * 1000;
+const FETCH_TIMEOUT_MS = 5000;
+
+async function getJson(url) {
+  const resp = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+  return resp.json();
+}
+
+// -----------------------------------------------------
+// Sources: fetch() -> { price, observedAt }
+// -----------------------------------------------------
+
+const SOURCES = {
+  coingecko: async () => {
+    const data = await getJson(
+      "https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd&include_last_updated_at=true"
+    );
+    return {
+      price: data?.solana?.usd,
+      observedAt: data?.solana?.last_updated_at ? new Date(data.solana.last_updated_at * 1000) : new Date()
+    };
+  },
+
+  coinbase: async () => {
+    const data = await getJson("https://api.coinbase.com/v2/prices/SOL-USD/spot");
+    return { price: parseFloat(data?.data?.amount), observedAt: new Date() };
+  },
+
+  kraken: async () => {
+    const data = await getJson("https://api.kraken.com/0/public/Ticker?pair=SOLUSD");
+    if (data?.error?.length) throw new Error(data.error.join(", "));
+    const ticker = Object.values(data?.result || {})[0];
+    return { price: parseFloat(ticker?.c?.[0]), observedAt: new Date() };
+  },
+
+  fixed: async () => {
+    return { price: parseFloat(process.env.PRICE_FIXED_USD), observedAt: new Date() };
+  }
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+async function observe(now) {
+  const accepted = [];
+  const rejected = [];
+
+  await Promise.all(ENABLED_SOURCES.map(async (source) => {
+    try {
+      if (!SOURCES[source]) throw new Error("unknown source");
+
+      const { price, observedAt } = await SOURCES[source]();
+      if (typeof price !== "number" || !Number.isFinite(price) || price <= 0) {
+        throw new Error(`invalid price ${price}`);
+      }
+      if (now - observedAt > MAX_OBSERVATION_AGE_MS) {
+        throw new Error(`stale (observed ${observedAt.toISOString()})`);
+      }
+      accepted.push({ source, price, observedAt: observedAt.toISOString() });
+    } catch (error) {
+      rejected.push({ source, error: error.message });
+    }
+  }));
+
+  return { accepted, rejected };
+}
+
+let cached = null;
+
+// A fresh (or at most QUOTE_TTL_MS old) quote:
+// { quoteId, pair, price, sources, rejected, createdAt, expiresAt }.
+async function getQuote() {
+  if (cached && Date.now() < new Date(cached.expiresAt).getTime()) return cached;
+
+  const now = new Date();
+  const { accepted, rejected } = await observe(now);
+
+  let sources = accepted;
+  if (sources.length > 0) {
+    const mid = median(sources.map(s => s.price));
+    sources = accepted.filter(s => Math.abs(s.price - mid) / mid <= MAX_DEVIATION);
+    accepted
+      .filter(s => !sources.includes(s))
+      .forEach(s => rejected.push({ source: s.source, error: `outlier ${s.price} vs median ${mid}` }));
+  }
+
+  if (sources.length < Math.max(MIN_SOURCES, 1)) {
+    const detail = rejected.map(r => `${r.source}: ${r.error}`).join("; ");
+    throw new Error(`SOL price unavailable: ${sources.length}/${MIN_SOURCES} sources agree (${detail})`);
+  }
+
+  const ref = admin.firestore().collection("priceQuotes").doc();
+  const quote = {
+    pair: PAIR,
+    price: median(sources.map(s => s.price)),
+    sources,
+    rejected,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + QUOTE_TTL_MS).toISOString()
+  };
+  await ref.set(quote);
+
+  cached = { quoteId: ref.id, ...quote };
+  return cached;
+}
+
+async function getSolUsdPrice() {
+  return (await getQuote()).price;
+}
+
+function usdToLamports(amountUSD, price) {
+  return Math.floor((amountUSD / price) * LAMPORTS_PER_SOL);
+}
+
+module.exports = {
+  PAIR,
+  SOURCES,
+  getQuote,
+  getSolUsdPrice,
+  usdToLamports
+};
@@ -0,0 +1,166 @@
+const admin = require("firebase-admin");
+
+// Policy products live in `products/{productId}` and users reference one via
+// `users.productId`. A product lists trigger rules; an alert pays when its
+// event matches a rule's peril and meets that rule's severity, certainty and
+// urgency thresholds. The payout is capped per event and, through
+// creditPayout, per calendar year.
+//
+//   {
+//     name: "Standard",
+//     tier: "standard",
+//     rules: [
+//       { peril: "Hurricane", severity: "Severe", certainty: "Likely",
+//         urgency: "Expected", payout: 150 },
+//       ...
+//     ],
+//     maxPerEvent: 150,
+//     maxPerYear: 500,
+//     payoutAsset: "SOL",     // or "USDC"
+//     termMonths: 12,         // coverage term, see policies.js
+//     premium: { amount: 10, intervalMonths: 1 },
+//     graceDays: 30           // cover kept while a premium is overdue
+//   }
+//
+// `peril` is matched case-insensitively against the start of the NOAA event
+// name ("Hurricane" matches "Hurricane Warning"); "*" covers every event.
+
+const DEFAULT_PRODUCT_ID = "standard";
+const DEFAULT_PAYOUT = parseFloat(process.env.DEFAULT_PAYOUT) || 100;
+
+// Ordered from weakest to strongest, per the CAP spec.
+const SCALES = {
+  severity: ["Unknown", "Minor", "Moderate", "Severe", "Extreme"],
+  certainty: ["Unknown", "Unlikely", "Possible", "Likely", "Observed"],
+  urgency: ["Unknown", "Past", "Future", "Expected", "Immediate"]
+};
+
+// Used to seed the collection (scripts/seedProducts.js) and as a fallback
+// when a product doc is missing, so existing users keep the old behaviour:
+// Severe or Extreme alerts of any kind pay DEFAULT_PAYOUT.
+const DEFAULT_PRODUCTS = {
+  basic: {
+    name: "Basic",
+    tier: "basic",
+    rules: [
+      { peril: "Hurricane", severity: "Extreme", certainty: "Likely", urgency: "Expected", payout: 50 },
+      { peril: "Flood", severity: "Extreme", certainty: "Likely", urgency: "Expected", payout: 50 }
+    ],
+    maxPerEvent: 50,
+    maxPerYear: 150,
+    payoutAsset: "SOL",
+    termMonths: 12,
+    premium: { amount: 5, intervalMonths: 1 },
+    graceDays: 30
+  },
+  standard: {
+    name: "Standard",
+    tier: "standard",
+    rules: [
+      { peril: "*", severity: "Severe", certainty: "Unknown", urgency: "Unknown", payout: DEFAULT_PAYOUT }
+    ],
+    maxPerEvent: DEFAULT_PAYOUT,
+    maxPerYear: 500,
+    payoutAsset: "SOL",
+    termMonths: 12,
+    premium: { amount: 10, intervalMonths: 1 },
+    graceDays: 30
+  },
+  premium: {
+    name: "Premium",
+    tier: "premium",
+    rules: [
+      { peril: "Hurricane", severity: "Moderate", certainty: "Possible", urgency: "Future", payout: 250 },
+      { peril: "Tornado", severity: "Severe", certainty: "Possible", urgency: "Expected", payout: 200 },
+      { peril: "Flood", severity: "Moderate", certainty: "Possible", urgency: "Expected", payout: 150 },
+      { peril: "*", severity: "Severe", certainty: "Likely", urgency: "Expected", payout: 100 }
+    ],
+    maxPerEvent: 250,
+    maxPerYear: 1500,
+    payoutAsset: "SOL",
+    termMonths: 12,
+    premium: { amount: 25, intervalMonths: 1 },
+    graceDays: 30
+  }
+};
+
+function rank(scale, value) {
+  const index = SCALES[scale].findIndex(v => v.toLowerCase() === String(value || "").toLowerCase());
+  return index === -1 ? 0 : index;
+}
+
+function meets(scale, actual, threshold) {
+  return rank(scale, actual) >= rank(scale, threshold || "Unknown");
+}
+
+function coversPeril(rule, event) {
+  if (rule.peril === "*") return true;
+  return String(event || "").toLowerCase().startsWith(String(rule.peril).toLowerCase());
+}
+
+const cache = new Map();
+const CACHE_MS = 60 * 1000;
+
+async function getProduct(productId) {
+  const id = productId || DEFAULT_PRODUCT_ID;
+  const cached = cache.get(id);
+  if (cached && cached.expires > Date.now()) return cached.product;
+
+  const snap = await admin.firestore().collection("products").doc(id).get();
+  const product = snap.exists
+    ? { id, ...snap.data() }
+    : DEFAULT_PRODUCTS[id]
+      ? { id, ...DEFAULT_PRODUCTS[id] }
+      : null;
+
+  if (!product) throw new Error(`Unknown product: ${id}`);
+
+  cache.set(id, { product, expires: Date.now() + CACHE_MS });
+  return product;
+}
+
+// Returns { covered, amount, rule, reason } for an alert under a product.
+// `amountOverride` replaces the rule payout (simulations) but still honours
+// the product's coverage and per-event cap.
+function evaluateAlert(product, alertProperties, { amountOverride } = {}) {
+  const { event, severity, certainty, urgency } = alertProperties || {};
+
+  const matching = (product.rules || []).filter(rule =>
+    coversPeril(rule, event) &&
+    meets("severity", severity, rule.severity) &&
+    meets("certainty", certainty, rule.certainty) &&
+    meets("urgency", urgency, rule.urgency)
+  );
+
+  if (matching.length === 0) {
+    const perilCovered = (product.rules || []).some(rule => coversPeril(rule, event));
+    return {
+      covered: false,
+      amount: 0,
+      rule: null,
+      reason: perilCovered
+        ? `${event} (${severity}/${certainty}/${urgency}) is below ${product.name} thresholds`
+        : `${event} is not covered by ${product.name}`
+    };
+  }
+
+  const rule = matching.reduce((best, r) => (r.payout > best.payout ? r : best));
+  const base = Number.isFinite(amountOverride) ? amountOverride : rule.payout;
+  const amount = product.maxPerEvent != null ? Math.min(base, product.maxPerEvent) : base;
+
+  return {
+    covered: amount > 0,
+    amount,
+    rule,
+    reason: `${product.name}: ${rule.peril} rule`
+  };
+}
+
+module.exports = {
+  DEFAULT_PRODUCT_ID,
+  DEFAULT_PRODUCTS,
+  SCALES,
+  rank,
+  getProduct,
+  evaluateAlert
+};
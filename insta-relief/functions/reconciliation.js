@@ -0,0 +1,269 @@
+const admin = require("firebase-admin");
+const { ASSETS, transactionOutcomes, transactionTransfers } = require("./solana");
+const payoutWorker = require("./payoutWorker");
+const withdrawals = require("./withdrawals");
+
+// Re-checks every treasury transfer Firestore has a signature for (catastrophe
+// payout recipients, whose results feed `catastrophes.payoutResults`, and
+// withdrawals) against the chain with getSignatureStatuses:
+//
+//   recorded failed, landed on chain    -> recorded as paid (fixed)
+//   recorded paid, failed on chain      -> marked failed, retryable (fixed)
+//   recorded paid, not found on chain   -> reported, never re-sent
+//   landed, but the wallet received a
+//     different amount, or two attempts
+//     both landed                        -> reported
+//   recorded failed, nothing landed     -> listed as retryable
+//
+// A transfer whose signature is finalized with the expected amount is stamped
+// `onChainVerifiedAt` and skipped by later runs. Each run is written to
+// `reconciliationRuns/{runId}`.
+
+const RECORDED_PAID = "paid";
+const RECORDED_FAILED = "failed";
+
+function describeErr(err) {
+  return `Transaction failed on chain: ${JSON.stringify(err)}`;
+}
+
+async function payoutRecords() {
+  const db = admin.firestore();
+  const jobs = await db.collection("payoutJobs").get();
+  const records = [];
+
+  for (const job of jobs.docs) {
+    const recipients = await job.ref.collection("recipients")
+      .where("state", "in", [payoutWorker.RECIPIENT.CONFIRMED, payoutWorker.RECIPIENT.FAILED])
+      .get();
+
+    for (const doc of recipients.docs) {
+      const recipient = doc.data();
+      const sent = payoutWorker.signaturesOf(recipient);
+      if (sent.length === 0 || recipient.onChainVerifiedAt) continue;
+
+      records.push({
+        kind: "payout",
+        id: doc.id,
+        eventId: job.id,
+        doc,
+        userId: recipient.userId,
+        email: recipient.email || null,
+        walletAddress: recipient.walletAddress,
+        asset: recipient.asset || ASSETS.SOL,
+        lamports: recipient.lamports || 0,
+        tokenAmount: recipient.tokenAmount || 0,
+        recorded: recipient.state === payoutWorker.RECIPIENT.CONFIRMED ? RECORDED_PAID : RECORDED_FAILED,
+        signature: recipient.signature,
+        sent
+      });
+    }
+  }
+  return records;
+}
+
+async function withdrawalRecords() {
+  const snap = await admin.firestore().collection("withdrawals")
+    .where("status", "in", [withdrawals.STATUS.SETTLED, withdrawals.STATUS.FAILED])
+    .get();
+
+  return snap.docs
+    .filter(doc => doc.data().signature && !doc.data().onChainVerifiedAt)
+    .map(doc => {
+      const withdrawal = doc.data();
+      return {
+        kind: "withdrawal",
+        id: doc.id,
+        doc,
+        userId: withdrawal.userId,
+        email: withdrawal.email || null,
+        walletAddress: withdrawal.walletAddress,
+        asset: ASSETS.SOL,
+        lamports: withdrawal.lamports || 0,
+        tokenAmount: 0,
+        recorded: withdrawal.status === withdrawals.STATUS.SETTLED ? RECORDED_PAID : RECORDED_FAILED,
+        signature: withdrawal.signature,
+        sent: [{ signature: withdrawal.signature, lastValidBlockHeight: withdrawal.lastValidBlockHeight || 0 }]
+      };
+    });
+}
+
+// Compares what each wallet received in `signature` with what the records
+// sent under it expected. Returns the records that came up short.
+async function checkAmounts(signature, records) {
+  const received = await transactionTransfers(signature);
+  if (!received) return { unavailable: true, short: [] };
+
+  const expected = {};
+  for (const record of records) {
+    const wallet = expected[record.walletAddress] = expected[record.walletAddress] || { lamports: 0, tokenAmount: 0 };
+    if (record.asset === ASSETS.USDC) wallet.tokenAmount += record.tokenAmount;
+    else wallet.lamports += record.lamports;
+  }
+
+  const short = records.filter(record => {
+    const got = received[record.walletAddress] || { lamports: 0, tokenAmount: 0 };
+    const want = expected[record.walletAddress];
+    return got.lamports < want.lamports || got.tokenAmount < want.tokenAmount;
+  });
+  return { unavailable: false, short, received };
+}
+
+function entryFor(record, extra) {
+  return {
+    kind: record.kind,
+    id: record.id,
+    eventId: record.eventId || null,
+    userId: record.userId,
+    email: record.email,
+    signature: record.signature || null,
+    ...extra
+  };
+}
+
+async function reconcileRecord(record, outcomes, report) {
+  const landed = record.sent.filter(s => outcomes[s.signature].state === "confirmed").map(s => s.signature);
+  const pending = record.sent.some(s => outcomes[s.signature].state === "pending");
+  const current = record.signature ? outcomes[record.signature] : null;
+
+  if (landed.length > 1) {
+    report.discrepancies.push(entryFor(record, {
+      issue: `${landed.length} attempts landed on chain: ${landed.join(", ")}`
+    }));
+    return;
+  }
+
+  if (record.recorded === RECORDED_FAILED) {
+    if (landed.length === 1) {
+      const signature = landed[0];
+      try {
+        if (record.kind === "payout") {
+          await payoutWorker.markConfirmed(record.eventId, record.doc, signature);
+          report.touchedEvents.add(record.eventId);
+        } else {
+          await withdrawals.settleRefunded(record.id, signature);
+        }
+        report.fixed.push(entryFor(record, { signature, issue: "Recorded as failed but landed on chain", action: "marked paid" }));
+      } catch (error) {
+        report.discrepancies.push(entryFor(record, {
+          signature,
+          issue: `Recorded as failed but landed on chain; correction failed: ${error.message}`
+        }));
+      }
+    } else if (!pending && record.kind === "payout") {
+      report.retryable.push(entryFor(record, { issue: record.doc.data().error || "Transfer failed" }));
+    } else if (!pending) {
+      // Refunded and can never land: nothing left to check.
+      await record.doc.ref.update({ onChainVerifiedAt: new Date().toISOString() });
+    }
+    return;
+  }
+
+  // Recorded as paid.
+  if (current && current.state === "failed") {
+    const reason = describeErr(current.err);
+    if (record.kind === "payout") {
+      await payoutWorker.markFailedOnChain(record.eventId, record.doc, reason);
+      report.touchedEvents.add(record.eventId);
+      report.retryable.push(entryFor(record, { issue: reason }));
+    } else {
+      await withdrawals.failAndRefund(record.id, reason, { from: [withdrawals.STATUS.SETTLED] });
+    }
+    report.fixed.push(entryFor(record, { issue: `Recorded as paid but ${reason}`, action: "marked failed" }));
+    return;
+  }
+
+  if (!current || current.state !== "confirmed") {
+    if (landed.length === 1) {
+      report.discrepancies.push(entryFor(record, { issue: `Recorded as paid, but it was an earlier attempt (${landed[0]}) that landed` }));
+    } else if (!pending) {
+      report.discrepancies.push(entryFor(record, { issue: "Recorded as paid but not found on chain" }));
+    }
+    return;
+  }
+
+  report.pendingAmountChecks.push(record);
+}
+
+async function verifyAmounts(records, outcomes, report) {
+  const bySignature = {};
+  records.forEach(record => {
+    (bySignature[record.signature] = bySignature[record.signature] || []).push(record);
+  });
+
+  for (const [signature, group] of Object.entries(bySignature)) {
+    const { unavailable, short, received } = await checkAmounts(signature, group);
+    if (unavailable) continue;
+
+    for (const record of short) {
+      const got = received[record.walletAddress] || { lamports: 0, tokenAmount: 0 };
+      report.discrepancies.push(entryFor(record, {
+        issue: record.asset === ASSETS.USDC
+          ? `Wallet received ${got.tokenAmount} USDC units, expected ${record.tokenAmount}`
+          : `Wallet received ${got.lamports} lamports, expected ${record.lamports}`
+      }));
+    }
+
+    if (outcomes[signature].finalized) {
+      const now = new Date().toISOString();
+      for (const record of group.filter(r => !short.includes(r))) {
+        await record.doc.ref.update({ onChainVerifiedAt: now });
+        report.verified++;
+      }
+    }
+  }
+}
+
+async function reconcileTransfers({ actor = "system:reconciliation" } = {}) {
+  const startedAt = new Date().toISOString();
+  const records = [...(await payoutRecords()), ...(await withdrawalRecords())];
+  const outcomes = await transactionOutcomes(records.flatMap(record => record.sent));
+
+  const report = {
+    fixed: [],
+    discrepancies: [],
+    retryable: [],
+    pendingAmountChecks: [],
+    touchedEvents: new Set(),
+    verified: 0
+  };
+
+  for (const record of records) {
+    try {
+      await reconcileRecord(record, outcomes, report);
+    } catch (error) {
+      console.error(`Reconciling ${record.kind} ${record.id} failed:`, error);
+      report.discrepancies.push(entryFor(record, { issue: `Could not reconcile: ${error.message}` }));
+    }
+  }
+
+  await verifyAmounts(report.pendingAmountChecks, outcomes, report);
+  for (const eventId of report.touchedEvents) {
+    await payoutWorker.refreshEvent(eventId);
+  }
+
+  const run = {
+    actor,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    checked: {
+      payouts: records.filter(r => r.kind === "payout").length,
+      withdrawals: records.filter(r => r.kind === "withdrawal").length,
+      signatures: Object.keys(outcomes).length
+    },
+    verified: report.verified,
+    fixed: report.fixed,
+    discrepancies: report.discrepancies,
+    retryable: report.retryable
+  };
+
+  const ref = await admin.firestore().collection("reconciliationRuns").add(run);
+  console.log(
+    `Reconciliation ${ref.id}: ${run.checked.signatures} signature(s), ${run.fixed.length} fixed, ` +
+    `${run.discrepancies.length} discrepancies, ${run.retryable.length} retryable`
+  );
+  return { runId: ref.id, ...run };
+}
+
+module.exports = {
+  reconcileTransfers
+};
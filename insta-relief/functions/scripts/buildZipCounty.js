@@ -0,0 +1,63 @@
+// Builds data/zip_county_fips.json from the GeoNames US postal code dump
+// (https://download.geonames.org/export/zip/US.zip, CC BY 4.0) and the
+// Census county FIPS list shipped with the `fips-county-codes` package.
+//
+// Usage: node scripts/buildZipCounty.js <US.txt> <fips-counties.csv>
+
+const fs = require("fs");
+const path = require("path");
+
+const [geonamesPath, countiesPath] = process.argv.slice(2);
+
+if (!geonamesPath || !countiesPath) {
+  console.error("Usage: node scripts/buildZipCounty.js <US.txt> <fips-counties.csv>");
+  process.exit(1);
+}
+
+const states = {};
+const counties = {};
+
+fs.readFileSync(countiesPath, "utf8")
+  .split(/\r?\n/)
+  .slice(1)
+  .filter(Boolean)
+  .forEach(line => {
+    const [state, stateFp, countyFp, name] = line.split(",");
+    states[state] = stateFp;
+    counties[stateFp + countyFp] = name;
+  });
+
+const zips = {};
+let skipped = 0;
+
+fs.readFileSync(geonamesPath, "utf8")
+  .split(/\r?\n/)
+  .filter(Boolean)
+  .forEach(line => {
+    const cols = line.split("\t");
+    const zip = cols[1];
+    const state = cols[4];
+    const countyFp = cols[6];
+    const lat = parseFloat(cols[9]);
+    const lon = parseFloat(cols[10]);
+
+    if (!states[state] || !countyFp || Number.isNaN(lat) || Number.isNaN(lon)) {
+      skipped++;
+      return;
+    }
+
+    zips[zip] = [states[state] + countyFp.padStart(3, "0"), lat, lon];
+  });
+
+const out = {
+  source: "GeoNames US postal codes (CC BY 4.0) + Census county FIPS",
+  generatedAt: new Date().toISOString().slice(0, 10),
+  states,
+  counties,
+  zips
+};
+
+const target = path.join(__dirname, "..", "data", "zip_county_fips.json");
+fs.writeFileSync(target, JSON.stringify(out));
+
+console.log(`Wrote ${Object.keys(zips).length} ZIPs (${skipped} skipped) to ${target}`);
@@ -0,0 +1,32 @@
+// Creates a 6-decimal stand-in for USDC on a local validator and mints a
+// balance to the treasury's token account, so USDC payouts can be exercised
+// without Circle's devnet faucet. The treasury wallet is the mint authority
+// and pays the fees, so airdrop it some SOL first.
+//
+// Usage: node scripts/createTestMint.js [amount]   (default 10000)
+// Reads TREASURY_SECRET_KEY, SOLANA_CLUSTER (default localnet) and SOLANA_RPC_URL.
+// Put the printed USDC_MINT in functions/.env; the app picks it up from there.
+
+if (!process.env.SOLANA_CLUSTER) process.env.SOLANA_CLUSTER = "localnet";
+
+const { createMint, getOrCreateAssociatedTokenAccount, mintTo } = require("@solana/spl-token");
+const { USDC_DECIMALS, getConnection, getTreasuryKeypair } = require("../solana");
+
+async function createTestMint(amount) {
+  const connection = getConnection();
+  const treasury = getTreasuryKeypair();
+
+  const mint = await createMint(connection, treasury, treasury.publicKey, null, USDC_DECIMALS);
+  const account = await getOrCreateAssociatedTokenAccount(connection, treasury, mint, treasury.publicKey);
+  await mintTo(connection, treasury, mint, account.address, treasury, Math.round(amount * 10 ** USDC_DECIMALS));
+
+  console.log(`Minted ${amount} test USDC to ${account.address.toBase58()}`);
+  console.log(`USDC_MINT=${mint.toBase58()}`);
+}
+
+createTestMint(parseFloat(process.argv[2] || "10000"))
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+// Gives every user without insured locations a `primary` location at their
+// profile ZIP (functions/locations.js). Users already migrated are skipped,
+// so the script can be re-run safely.
+//
+// Usage: node scripts/migrateLocations.js [--dry-run]
+// Uses application default credentials (or FIRESTORE_EMULATOR_HOST).
+
+const admin = require("firebase-admin");
+
+admin.initializeApp();
+
+const { ensurePrimaryLocation } = require("../locations");
+
+async function migrate(dryRun) {
+  const users = await admin.firestore().collection("users").get();
+  let migrated = 0;
+
+  for (const doc of users.docs) {
+    if (Array.isArray(doc.data().locationZips)) continue;
+
+    if (dryRun) {
+      console.log(`users/${doc.id} would get a primary location at ${doc.data().zip || "(no ZIP)"}`);
+      continue;
+    }
+    if (await ensurePrimaryLocation(doc.id)) {
+      console.log(`users/${doc.id} migrated (ZIP ${doc.data().zip})`);
+      migrated++;
+    } else {
+      console.log(`users/${doc.id} skipped (no ZIP or already has locations)`);
+    }
+  }
+
+  console.log(`${migrated} of ${users.size} user(s) migrated`);
+}
+
+migrate(process.argv.includes("--dry-run"))
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
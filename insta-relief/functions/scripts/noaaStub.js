@@ -0,0 +1,134 @@
+// Minimal stand-in for api.weather.gov's /alerts/active, for exercising the
+// NOAA poller in the emulator. Serves the alerts in <alerts.json> (a GeoJSON
+// FeatureCollection, default: one Extreme hurricane warning for St. Tammany
+// Parish, LA) with ETag/Last-Modified validators.
+//
+// Usage: node scripts/noaaStub.js [alerts.json] [port]
+// Then run the emulator with NOAA_BASE_URL=http://127.0.0.1:8787.
+//
+//   GET /__status?code=503   answer every request with 503 until reset
+//   GET /__status?code=200   back to normal
+//   GET /__touch             bump the ETag, as if NOAA published new alerts
+//
+// /points/{lat},{lon} and its forecast answer with a fixed Hammond, LA point
+// so the agent's generate_disaster_scenario tool can run offline.
+//
+// test/noaa.test.js starts it in-process with createNoaaStub(alerts).
+
+const fs = require("fs");
+const http = require("http");
+
+const sampleAlerts = {
+  type: "FeatureCollection",
+  features: [
+    {
+      id: "urn:oid:stub.hurricane.1",
+      type: "Feature",
+      geometry: null,
+      properties: {
+        id: "urn:oid:stub.hurricane.1",
+        messageType: "Alert",
+        event: "Hurricane Warning",
+        severity: "Extreme",
+        certainty: "Observed",
+        urgency: "Immediate",
+        areaDesc: "St. Tammany",
+        headline: "Hurricane Warning issued by NWS New Orleans LA (stub)",
+        description: "Stubbed alert served by scripts/noaaStub.js.",
+        geocode: { SAME: ["022103"], UGC: ["LAZ077"] }
+      }
+    }
+  ]
+};
+
+// An unstarted http.Server serving `alerts`.
+function createNoaaStub(alerts = sampleAlerts) {
+  let version = 1;
+  let lastModified = new Date().toUTCString();
+  let forcedStatus = 200;
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    if (url.pathname === "/__status") {
+      forcedStatus = parseInt(url.searchParams.get("code"), 10) || 200;
+      res.writeHead(200).end(`status ${forcedStatus}\n`);
+      return;
+    }
+
+    if (url.pathname === "/__touch") {
+      version++;
+      lastModified = new Date().toUTCString();
+      res.writeHead(200).end(`version ${version}\n`);
+      return;
+    }
+
+    const point = url.pathname.match(/^\/points\/(-?[\d.]+),(-?[\d.]+)$/);
+    if (point) {
+      res.writeHead(200, { "Content-Type": "application/geo+json" });
+      res.end(JSON.stringify({
+        properties: {
+          cwa: "LIX",
+          gridId: "LIX",
+          forecast: `http://${req.headers.host}/gridpoints/LIX/stub/forecast`,
+          forecastZone: "https://api.weather.gov/zones/forecast/LAZ072",
+          county: "https://api.weather.gov/zones/county/LAC105",
+          relativeLocation: { properties: { city: "Hammond", state: "LA" } }
+        }
+      }));
+      return;
+    }
+
+    if (url.pathname === "/gridpoints/LIX/stub/forecast") {
+      res.writeHead(200, { "Content-Type": "application/geo+json" });
+      res.end(JSON.stringify({
+        properties: {
+          periods: [
+            { name: "Tonight", temperature: 78, temperatureUnit: "F", windSpeed: "20 to 35 mph", shortForecast: "Showers And Thunderstorms" },
+            { name: "Tomorrow", temperature: 84, temperatureUnit: "F", windSpeed: "35 to 50 mph", shortForecast: "Tropical Storm Conditions" }
+          ]
+        }
+      }));
+      return;
+    }
+
+    if (url.pathname !== "/alerts/active") {
+      res.writeHead(404).end();
+      return;
+    }
+
+    console.log(`${req.method} ${req.url} (If-None-Match: ${req.headers["if-none-match"] || "-"})`);
+
+    if (forcedStatus !== 200) {
+      res.writeHead(forcedStatus).end();
+      return;
+    }
+
+    const etag = `"stub-${version}"`;
+    if (req.headers["if-none-match"] === etag) {
+      res.writeHead(304, { ETag: etag, "Last-Modified": lastModified }).end();
+      return;
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "application/geo+json",
+      ETag: etag,
+      "Last-Modified": lastModified
+    });
+    res.end(JSON.stringify(alerts));
+  });
+}
+
+if (require.main === module) {
+  const [alertsPath, portArg] = process.argv.slice(2);
+  const port = parseInt(portArg, 10) || 8787;
+  const alerts = alertsPath ? JSON.parse(fs.readFileSync(alertsPath, "utf8")) : sampleAlerts;
+
+  createNoaaStub(alerts).listen(port, () => {
+    console.log(`NOAA stub listening on http://127.0.0.1:${port}`);
+  });
+}
+
+module.exports = {
+  createNoaaStub
+};
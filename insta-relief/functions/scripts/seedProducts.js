@@ -0,0 +1,35 @@
+// Writes the built-in basic/standard/premium products to the `products`
+// collection. Existing docs are left alone unless --force is passed, so
+// product-team edits made in Firestore are not overwritten.
+//
+// Usage: node scripts/seedProducts.js [--force]
+// Uses application default credentials (or FIRESTORE_EMULATOR_HOST).
+
+const admin = require("firebase-admin");
+const { DEFAULT_PRODUCTS } = require("../products");
+
+admin.initializeApp();
+
+async function seed(force) {
+  const db = admin.firestore();
+
+  for (const [id, product] of Object.entries(DEFAULT_PRODUCTS)) {
+    const ref = db.collection("products").doc(id);
+    const existing = await ref.get();
+
+    if (existing.exists && !force) {
+      console.log(`products/${id} exists, skipping`);
+      continue;
+    }
+
+    await ref.set({ ...product, updatedAt: new Date().toISOString() });
+    console.log(`products/${id} written`);
+  }
+}
+
+seed(process.argv.includes("--force"))
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
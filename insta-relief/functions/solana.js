@@ -0,0 +1,250 @@
+const bs58 = require("bs58");
+const {
+  Connection,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  Transaction
+} = require("@solana/web3.js");
+const {
+  ACCOUNT_SIZE,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  getAssociatedTokenAddressSync
+} = require("@solana/spl-token");
+
+const CLUSTERS = require("./solanaClusters.json");
+
+// SOLANA_CLUSTER is one of solanaClusters.json (localnet, devnet,
+// mainnet-beta); SOLANA_RPC_URL points at a custom RPC for it. The web app
+// reads the same two variables (vite.config.ts), so both sides always talk to
+// one cluster.
+const CLUSTER = process.env.SOLANA_CLUSTER || "devnet";
+if (!CLUSTERS[CLUSTER]) {
+  throw new Error(`Unknown SOLANA_CLUSTER ${CLUSTER} (expected ${Object.keys(CLUSTERS).join(", ")})`);
+}
+const RPC_URL = process.env.SOLANA_RPC_URL || CLUSTERS[CLUSTER].rpcUrl;
+
+const USDC_DECIMALS = 6;
+
+const ASSETS = {
+  SOL: "SOL",
+  USDC: "USDC"
+};
+
+let connection = null;
+let treasury = null;
+
+function getConnection() {
+  if (!connection) {
+    connection = new Connection(RPC_URL, "confirmed");
+  }
+  return connection;
+}
+
+// TREASURY_SECRET_KEY holds the payout wallet as the JSON byte array written
+// by `solana-keygen new`.
+function getTreasuryKeypair() {
+  if (!treasury) {
+    const secret = process.env.TREASURY_SECRET_KEY;
+    if (!secret) throw new Error("TREASURY_SECRET_KEY missing");
+    treasury = Keypair.fromSecretKey(Uint8Array.from(JSON.parse(secret)));
+  }
+  return treasury;
+}
+
+// Circle's USDC for the cluster. On a local validator, create a test mint
+// (scripts/createTestMint.js) and set USDC_MINT to it. Null when neither is
+// set, i.e. a SOL-only setup.
+function configuredUsdcMint() {
+  const mint = process.env.USDC_MINT || CLUSTERS[CLUSTER].usdcMint;
+  return mint ? new PublicKey(mint) : null;
+}
+
+// The mint for a USDC transfer, which can't be made without one.
+function getUsdcMint() {
+  const mint = configuredUsdcMint();
+  if (!mint) throw new Error(`USDC_MINT missing for cluster ${CLUSTER}`);
+  return mint;
+}
+
+// USD amount -> USDC base units (6 decimals).
+function usdToUsdcUnits(amountUSD) {
+  return Math.round(amountUSD * 10 ** USDC_DECIMALS);
+}
+
+function isValidAddress(address) {
+  try {
+    new PublicKey(address);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Builds and signs one treasury transaction with a transfer per entry
+// without broadcasting it. Entries are { to, lamports } for SOL or
+// { to, asset: "USDC", tokenAmount } for USDC, which also creates the
+// recipient's associated token account if it doesn't exist yet. The
+// signature is known up front so callers can persist it before sending.
+async function signTreasuryTransfers(transfers) {
+  const treasury = getTreasuryKeypair();
+  const transaction = new Transaction();
+
+  for (const { to, asset = ASSETS.SOL, lamports, tokenAmount } of transfers) {
+    const recipient = new PublicKey(to);
+
+    if (asset === ASSETS.USDC) {
+      const mint = getUsdcMint();
+      const source = getAssociatedTokenAddressSync(mint, treasury.publicKey);
+      const destination = getAssociatedTokenAddressSync(mint, recipient);
+
+      transaction.add(
+        createAssociatedTokenAccountIdempotentInstruction(treasury.publicKey, destination, recipient, mint),
+        createTransferCheckedInstruction(source, mint, destination, treasury.publicKey, tokenAmount, USDC_DECIMALS)
+      );
+    } else {
+      transaction.add(SystemProgram.transfer({
+        fromPubkey: treasury.publicKey,
+        toPubkey: recipient,
+        lamports
+      }));
+    }
+  }
+
+  const { blockhash, lastValidBlockHeight } = await getConnection().getLatestBlockhash("confirmed");
+  transaction.recentBlockhash = blockhash;
+  transaction.feePayer = treasury.publicKey;
+  transaction.sign(treasury);
+
+  return {
+    transaction,
+    signature: bs58.encode(transaction.signature),
+    blockhash,
+    lastValidBlockHeight
+  };
+}
+
+// getSignatureStatuses accepts at most this many signatures per call.
+const MAX_SIGNATURE_STATUSES = 256;
+
+// Resolves earlier broadcasts ([{ signature, lastValidBlockHeight }]) to
+// { [signature]: { state, err, finalized } }, where state is "confirmed",
+// "failed", "expired" (blockhash gone without the transaction landing) or
+// "pending".
+async function transactionOutcomes(sent) {
+  const connection = getConnection();
+  const signatures = Array.from(new Set(sent.map(s => s.signature)));
+  if (signatures.length === 0) return {};
+
+  const statuses = [];
+  for (let i = 0; i < signatures.length; i += MAX_SIGNATURE_STATUSES) {
+    const { value } = await connection.getSignatureStatuses(
+      signatures.slice(i, i + MAX_SIGNATURE_STATUSES),
+      { searchTransactionHistory: true }
+    );
+    statuses.push(...value);
+  }
+  const blockHeight = await connection.getBlockHeight("confirmed");
+
+  const outcomes = {};
+  signatures.forEach((signature, i) => {
+    const status = statuses[i];
+    const { lastValidBlockHeight } = sent.find(s => s.signature === signature);
+    const finalized = status?.confirmationStatus === "finalized";
+
+    if (status && status.err) {
+      outcomes[signature] = { state: "failed", err: status.err, finalized };
+    } else if (status && (status.confirmationStatus === "confirmed" || finalized)) {
+      outcomes[signature] = { state: "confirmed", err: null, finalized };
+    } else if (!status && blockHeight > lastValidBlockHeight) {
+      outcomes[signature] = { state: "expired", err: null, finalized };
+    } else {
+      outcomes[signature] = { state: "pending", err: null, finalized };
+    }
+  });
+  return outcomes;
+}
+
+// What each wallet received in a landed transaction, from its balance
+// changes: { [address]: { lamports, tokenAmount } } with USDC in base units.
+// Null if the RPC node no longer has the transaction.
+async function transactionTransfers(signature) {
+  const tx = await getConnection().getTransaction(signature, {
+    commitment: "confirmed",
+    maxSupportedTransactionVersion: 0
+  });
+  if (!tx || !tx.meta) return null;
+
+  const received = {};
+  const entry = (address) => (received[address] = received[address] || { lamports: 0, tokenAmount: 0 });
+
+  tx.transaction.message.staticAccountKeys.forEach((key, i) => {
+    const delta = tx.meta.postBalances[i] - tx.meta.preBalances[i];
+    if (delta !== 0) entry(key.toBase58()).lamports += delta;
+  });
+
+  // Without a mint no USDC can have been sent.
+  const mint = configuredUsdcMint()?.toBase58();
+  if (!mint) return received;
+
+  const tokenUnits = (balances, owner) => balances
+    .filter(b => b.mint === mint && b.owner === owner)
+    .reduce((sum, b) => sum + Number(b.uiTokenAmount.amount), 0);
+  const owners = new Set((tx.meta.postTokenBalances || []).filter(b => b.mint === mint).map(b => b.owner));
+  for (const owner of owners) {
+    const delta = tokenUnits(tx.meta.postTokenBalances || [], owner) - tokenUnits(tx.meta.preTokenBalances || [], owner);
+    if (delta !== 0) entry(owner).tokenAmount += delta;
+  }
+
+  return received;
+}
+
+// USDC base units held by the treasury (0 without a token account or a
+// configured mint).
+async function getTreasuryUsdcBalance() {
+  const mint = configuredUsdcMint();
+  if (!mint) return 0;
+
+  const account = getAssociatedTokenAddressSync(mint, getTreasuryKeypair().publicKey);
+  try {
+    const { value } = await getConnection().getTokenAccountBalance(account, "confirmed");
+    return Number(value.amount);
+  } catch (error) {
+    if (/could not find account|Invalid param/i.test(error.message)) return 0;
+    throw error;
+  }
+}
+
+// Lamports the treasury pays to open a recipient's USDC account.
+async function tokenAccountRent() {
+  return getConnection().getMinimumBalanceForRentExemption(ACCOUNT_SIZE);
+}
+
+// Solana Explorer link for a transaction on the configured cluster. Localnet
+// links point the explorer at the custom RPC.
+function explorerUrl(signature) {
+  const { explorerCluster } = CLUSTERS[CLUSTER];
+  const url = new URL(`https://explorer.solana.com/tx/${signature}`);
+  if (explorerCluster) url.searchParams.set("cluster", explorerCluster);
+  if (explorerCluster === "custom") url.searchParams.set("customUrl", RPC_URL);
+  return url.toString();
+}
+
+module.exports = {
+  ASSETS,
+  CLUSTER,
+  RPC_URL,
+  USDC_DECIMALS,
+  getConnection,
+  getTreasuryKeypair,
+  getUsdcMint,
+  usdToUsdcUnits,
+  getTreasuryUsdcBalance,
+  tokenAccountRent,
+  isValidAddress,
+  signTreasuryTransfers,
+  transactionOutcomes,
+  transactionTransfers,
+  explorerUrl
+};
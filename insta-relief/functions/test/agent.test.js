@@ -0,0 +1,308 @@
+// Replays scripted model responses through the admin agent's tool loop
+// (agent/agent.js) with a fake Anthropic client, and checks which tools ran,
+// what was written and what the loop returned. Needs no API key or network;
+// the tests that run the real tool handlers need the Firestore emulator.
+//
+// A script is a list of model turns, each a list of content blocks or a
+// function of the request that returns one (to check what the loop sent).
+// The last turn repeats once the script runs out.
+
+const test = require("node:test");
+const assert = require("assert/strict");
+const { EventEmitter } = require("events");
+const { initAdmin, skipWithoutFirestore, clearFirestore, seedUser } = require("./helpers");
+
+const admin = initAdmin();
+const { runClaudeAgent } = require("../agent/agent");
+const { toolHandlers } = require("../agent/handlers");
+
+const ADMIN = { uid: "eval-admin", email: "eval-admin@example.com" };
+
+function text(value) {
+  return { type: "text", text: value };
+}
+
+function toolUse(id, name, input = {}) {
+  return { type: "tool_use", id, name, input };
+}
+
+// The tool results the loop sent back in the last message of a request.
+function toolResults(params) {
+  const last = params.messages[params.messages.length - 1];
+  assert.equal(last.role, "user");
+  return last.content.map(block => ({ ...block, result: JSON.parse(block.content) }));
+}
+
+// Stands in for `new Anthropic()`: answers messages.create and
+// messages.stream from the script and records every request.
+function scriptedClient(script) {
+  const calls = [];
+
+  const next = (params) => {
+    calls.push(JSON.parse(JSON.stringify(params)));
+    const turn = script[Math.min(calls.length - 1, script.length - 1)];
+    const content = typeof turn === "function" ? turn(params) : turn;
+    return {
+      id: `msg_eval_${calls.length}`,
+      type: "message",
+      role: "assistant",
+      content,
+      stop_reason: content.some(block => block.type === "tool_use") ? "tool_use" : "end_turn"
+    };
+  };
+
+  return {
+    calls,
+    messages: {
+      create: async (params) => next(params),
+      stream: (params) => {
+        const stream = new EventEmitter();
+        const message = next(params);
+        stream.finalMessage = async () => {
+          message.content.filter(block => block.type === "text").forEach(block => stream.emit("text", block.text));
+          return message;
+        };
+        return stream;
+      }
+    }
+  };
+}
+
+// Handlers that log each call; `overrides` replace the real ones by name.
+function recordingHandlers(overrides = {}) {
+  const ran = [];
+  const handlers = {};
+  for (const [name, handler] of Object.entries({ ...toolHandlers, ...overrides })) {
+    handlers[name] = async (input, context) => {
+      ran.push({ name, input });
+      return handler(input, context);
+    };
+  }
+  return { ran, handlers };
+}
+
+test("plain answer", async () => {
+  const client = scriptedClient([[text("Hello, admin.")]]);
+  const { ran, handlers } = recordingHandlers();
+
+  const result = await runClaudeAgent("Hi", { actor: ADMIN, client, handlers });
+
+  assert.equal(client.calls.length, 1);
+  assert.deepEqual(ran, []);
+  assert.deepEqual(result, {
+    response: "Hello, admin.",
+    toolsUsed: 0,
+    messages: [
+      { role: "user", content: "Hi" },
+      { role: "assistant", content: [text("Hello, admin.")] }
+    ]
+  });
+});
+
+test("parallel tool calls", async () => {
+  const client = scriptedClient([
+    [
+      text("Looking that up."),
+      toolUse("call_a", "get_recent_catastrophes", { limit: 2 }),
+      toolUse("call_b", "search_users", { status: "ACTIVE", limit: 5 })
+    ],
+    (params) => {
+      // Both results come back together, in call order.
+      const results = toolResults(params);
+      assert.deepEqual(results.map(r => r.tool_use_id), ["call_a", "call_b"]);
+      assert.deepEqual(results[0].result, { events: [], count: 0 });
+      assert.deepEqual(results[1].result, { users: [], count: 0, nextCursor: null });
+      assert.ok(results.every(r => !r.is_error));
+      return [text("No recent events and no active users.")];
+    }
+  ]);
+  const { ran, handlers } = recordingHandlers({
+    get_recent_catastrophes: async () => ({ events: [], count: 0 }),
+    search_users: async () => ({ users: [], count: 0, nextCursor: null })
+  });
+
+  const result = await runClaudeAgent("Recent events and active users?", { actor: ADMIN, client, handlers });
+
+  assert.deepEqual(ran.map(r => r.name), ["get_recent_catastrophes", "search_users"]);
+  assert.deepEqual(ran[1].input, { status: "ACTIVE", limit: 5 });
+  assert.equal(client.calls.length, 2);
+  assert.equal(result.toolsUsed, 2);
+  assert.equal(result.response, "No recent events and no active users.");
+  assert.deepEqual(result.messages.map(m => m.role), ["user", "assistant", "user", "assistant"]);
+});
+
+test("tool errors go back to the model", async () => {
+  const client = scriptedClient([
+    [
+      toolUse("call_a", "no_such_tool"),
+      toolUse("call_b", "search_users", { zip: "7011", extra: true }),
+      toolUse("call_c", "query_withdrawals", { status: "failed" })
+    ],
+    (params) => {
+      const [unknown, invalid, failed] = toolResults(params);
+      assert.equal(unknown.is_error, true);
+      assert.equal(unknown.result.error, "Unknown tool: no_such_tool");
+      assert.equal(invalid.is_error, true);
+      assert.match(invalid.result.error, /input\.zip has an invalid format/);
+      assert.match(invalid.result.error, /input\.extra is not allowed/);
+      assert.equal(failed.is_error, true);
+      assert.equal(failed.result.error, "Withdrawals unavailable");
+      return [text("Some lookups failed.")];
+    }
+  ]);
+  const { ran, handlers } = recordingHandlers({
+    search_users: async () => { throw new Error("should not run with invalid input"); },
+    query_withdrawals: async () => { throw new Error("Withdrawals unavailable"); }
+  });
+
+  const result = await runClaudeAgent("Check things", { actor: ADMIN, client, handlers });
+
+  // Invalid input never reaches the handler.
+  assert.deepEqual(ran.map(r => r.name), ["query_withdrawals"]);
+  assert.equal(result.toolsUsed, 3);
+  assert.equal(result.response, "Some lookups failed.");
+});
+
+test("iteration limit", async () => {
+  const client = scriptedClient([[toolUse("call_loop", "get_platform_config")]]);
+  const { ran, handlers } = recordingHandlers({
+    get_platform_config: async () => ({ recentlyUsedTypes: [] })
+  });
+
+  await assert.rejects(
+    runClaudeAgent("Loop forever", { actor: ADMIN, client, handlers, maxIterations: 3 }),
+    /Max iterations reached/
+  );
+  assert.equal(client.calls.length, 3);
+  assert.equal(ran.length, 3);
+});
+
+test("structured results", async () => {
+  const proposal = { action: "PROPOSAL_CREATED", proposalId: "proposal-1", totals: { totalUSD: 300 } };
+  const scenario = { zip: "70401", event: "Flash Flood Warning", eventId: "scenario:flash-flood-warning:70401" };
+  const client = scriptedClient([
+    [
+      toolUse("call_a", "generate_disaster_scenario", { lat: 30.5, lon: -90.46, type: "Flood" }),
+      toolUse("call_b", "propose_catastrophe_payout", { type: "Flood", location: "Hammond", zipCodes: ["70401"], amount: 150, eventId: "flood-70401-2025-06-14" })
+    ],
+    [text("Proposal proposal-1 is waiting for approval.")]
+  ]);
+  const { handlers } = recordingHandlers({
+    generate_disaster_scenario: async () => scenario,
+    propose_catastrophe_payout: async (input, context) => {
+      assert.deepEqual(context.actor, ADMIN);
+      assert.equal(context.query, "Pay Hammond flood victims $150");
+      return proposal;
+    }
+  });
+
+  const result = await runClaudeAgent("Pay Hammond flood victims $150", { actor: ADMIN, client, handlers });
+
+  assert.deepEqual(Object.keys(result).sort(), ["action", "messages", "proposal", "response", "scenario", "toolsUsed"]);
+  assert.deepEqual(result.proposal, proposal);
+  assert.deepEqual(result.scenario, scenario);
+  assert.equal(result.action, "PROPOSAL_CREATED");
+});
+
+test("history and streaming", async () => {
+  const history = [
+    { role: "user", content: "Hi" },
+    { role: "assistant", content: [text("Hello, admin.")] }
+  ];
+  const client = scriptedClient([
+    (params) => {
+      assert.deepEqual(params.messages.slice(0, 2), history);
+      assert.deepEqual(params.messages[2], { role: "user", content: "And the config?" });
+      return [toolUse("call_a", "get_platform_config")];
+    },
+    [text("Here it is.")]
+  ]);
+  const { handlers } = recordingHandlers({
+    get_platform_config: async () => ({ recentlyUsedTypes: ["Flood"] })
+  });
+  const events = [];
+
+  const result = await runClaudeAgent("And the config?", {
+    actor: ADMIN,
+    client,
+    handlers,
+    history,
+    onEvent: (type, data) => events.push({ type, data })
+  });
+
+  assert.deepEqual(events.map(e => e.type), ["tool_use", "tool_result", "text"]);
+  assert.equal(events[1].data.error, null);
+  assert.equal(events[2].data.text, "Here it is.");
+  // Only this turn's messages are returned for storing.
+  assert.equal(result.messages.length, 4);
+  assert.equal(result.messages[0].content, "And the config?");
+});
+
+test("proposal is stored and nothing is credited", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  await seedUser("u-wallet", { zip: "70112", balance: 10, coverageAmount: 100 });
+  await seedUser("u-nowallet", { zip: "70112", balance: 5, wallet: null });
+
+  let proposalId;
+  const client = scriptedClient([
+    [toolUse("call_a", "propose_catastrophe_payout", {
+      type: "Flood",
+      location: "New Orleans",
+      zipCodes: ["70112"],
+      amount: 150,
+      eventId: "eval-flood"
+    })],
+    (params) => {
+      const [proposal] = toolResults(params);
+      assert.ok(!proposal.is_error, proposal.result.error);
+      proposalId = proposal.result.proposalId;
+      return [text(`Proposal ${proposalId} created.`)];
+    }
+  ]);
+
+  const result = await runClaudeAgent("Pay $150 to flood victims in 70112", { actor: ADMIN, client });
+  const db = admin.firestore();
+
+  const stored = (await db.collection("agentProposals").doc(proposalId).get()).data();
+  assert.equal(stored.status, "PENDING");
+  assert.deepEqual(stored.requestedBy, ADMIN);
+  assert.equal(stored.params.eventId, "eval-flood");
+  // Capped at the location's $100 coverage; the wallet-less user is skipped.
+  assert.equal(stored.plan.totals.locations, 1);
+  assert.equal(stored.plan.totals.totalUSD, 100);
+  assert.equal(stored.plan.totals.skipped, 1);
+  assert.equal(stored.audit[0].action, "proposed");
+
+  assert.equal((await db.collection("users").doc("u-wallet").get()).data().balance, 10);
+  assert.equal((await db.collection("payouts").get()).size, 0);
+  assert.equal((await db.collection("users").doc("u-wallet").collection("ledger").get()).size, 0);
+  assert.equal(result.proposal.proposalId, proposalId);
+});
+
+test("paged search", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  await seedUser("u-1", { zip: "70401" });
+  await seedUser("u-2", { zip: "70402" });
+  await seedUser("u-3", { zip: "70403", status: "LAPSED" });
+
+  const client = scriptedClient([
+    [toolUse("page_1", "search_users", { status: "ACTIVE", limit: 1 })],
+    (params) => {
+      const [page] = toolResults(params);
+      assert.deepEqual(page.result.users.map(u => u.userId), ["u-1"]);
+      assert.equal(page.result.nextCursor, "u-1");
+      return [toolUse("page_2", "search_users", { status: "ACTIVE", limit: 1, cursor: page.result.nextCursor })];
+    },
+    (params) => {
+      const [page] = toolResults(params);
+      assert.deepEqual(page.result.users.map(u => u.userId), ["u-2"]);
+      assert.equal(page.result.nextCursor, null);
+      return [text("Two active users.")];
+    }
+  ]);
+
+  const result = await runClaudeAgent("Who is active?", { actor: ADMIN, client });
+  assert.equal(result.toolsUsed, 2);
+});
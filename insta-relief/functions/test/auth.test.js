@@ -0,0 +1,172 @@
+// Every admin onRequest endpoint (httpAuth.js) and admin callable rejects
+// callers without a token (401 / unauthenticated) and without the `admin`
+// claim (403 / permission-denied). Signed-in callers' ID tokens come from
+// the Auth emulator, so those cases are skipped unless it is running
+// (FIREBASE_AUTH_EMULATOR_HOST); getting past authentication also needs
+// Firestore for the rate limit.
+
+const { PROJECT_ID } = require("./helpers");
+
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+
+const test = require("node:test");
+const assert = require("assert/strict");
+const admin = require("firebase-admin");
+const { skipWithoutFirestore, clearFirestore } = require("./helpers");
+const functions = require("../index");
+
+// Endpoint -> a method it accepts.
+const ADMIN_ENDPOINTS = {
+  fetchNoaaAlerts: "POST",
+  simulateDisaster: "POST",
+  checkUsers: "GET",
+  sendCatastropheEmail: "POST",
+  adminAgent: "POST"
+};
+const ADMIN_CALLABLES = [
+  "disaster",
+  "adjustBalance",
+  "reconcileBalance",
+  "approveCatastrophe",
+  "getTreasuryStatus",
+  "runReconciliation",
+  "retryPayout",
+  "recordPremiumPayment",
+  "approveWithdrawal",
+  "rejectWithdrawal",
+  "listAgentConversations",
+  "getAgentConversation",
+  "approveAgentProposal",
+  "rejectAgentProposal"
+];
+// Callables a policyholder may use on their own policy only.
+const OWNER_CALLABLES = ["saveLocation", "removeLocation", "cancelPolicy"];
+
+function skipWithoutAuth(t) {
+  if (process.env.FIREBASE_AUTH_EMULATOR_HOST) return false;
+  t.skip("needs FIREBASE_AUTH_EMULATOR_HOST");
+  return true;
+}
+
+// Signs a user with `claims` in to the Auth emulator and returns its ID
+// token.
+async function idToken(uid, claims = {}) {
+  const email = `${uid}@example.com`;
+  const password = "test-password";
+  await admin.auth().createUser({ uid, email, password }).catch((error) => {
+    if (error.code !== "auth/uid-already-exists") throw error;
+  });
+  await admin.auth().setCustomUserClaims(uid, claims);
+
+  const resp = await fetch(
+    `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/identitytoolkit.googleapis.com/v1/accounts:signInWithPassword?key=test-api-key`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ email, password, returnSecureToken: true })
+    }
+  );
+  const data = await resp.json();
+  if (!resp.ok) throw new Error(`Auth emulator sign-in failed: ${JSON.stringify(data)}`);
+  return data.idToken;
+}
+
+// Calls an onRequest function with a minimal Express-style request and
+// resolves with the response it sent.
+function request(fn, { method = "POST", headers = {}, body = {}, query = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const req = {
+      method,
+      headers: lower,
+      body,
+      query,
+      get: (name) => lower[name.toLowerCase()],
+      header: (name) => lower[name.toLowerCase()]
+    };
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      set(name, value) {
+        if (typeof name === "object") Object.assign(this.headers, name);
+        else this.headers[name] = value;
+        return this;
+      },
+      setHeader(name, value) { this.headers[name] = value; },
+      getHeader(name) { return this.headers[name]; },
+      on() { return this; },
+      json(payload) { resolve({ status: this.statusCode, headers: this.headers, body: payload }); return this; },
+      send(payload) { resolve({ status: this.statusCode, headers: this.headers, body: payload }); return this; },
+      end(payload) { resolve({ status: this.statusCode, headers: this.headers, body: payload }); return this; }
+    };
+    Promise.resolve(functions[fn](req, res)).catch(reject);
+  });
+}
+
+function callable(fn, { data = {}, auth = null } = {}) {
+  return functions[fn].run({ data, auth, rawRequest: { headers: {} } });
+}
+
+function authFor(uid, claims = {}) {
+  return { uid, token: { uid, ...claims } };
+}
+
+for (const [name, method] of Object.entries(ADMIN_ENDPOINTS)) {
+  test(`${name} rejects callers without a valid token`, async () => {
+    const anonymous = await request(name, { method });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.error, "Missing bearer token");
+
+    const forged = await request(name, { method, headers: { Authorization: "Bearer not-a-token" } });
+    assert.equal(forged.status, 401);
+    assert.equal(forged.body.error, "Invalid or expired token");
+
+    // Foreign origins are turned away before the token is looked at.
+    const foreign = await request(name, { method, headers: { Origin: "https://evil.example.com" } });
+    assert.equal(foreign.status, 403);
+    assert.equal(foreign.body.error, "Origin not allowed");
+  });
+
+  test(`${name} rejects signed-in users without the admin claim`, async (t) => {
+    if (skipWithoutAuth(t)) return;
+
+    const user = await request(name, { method, headers: { Authorization: `Bearer ${await idToken("policyholder")}` } });
+    assert.equal(user.status, 403);
+    assert.equal(user.body.error, "Admin privileges required");
+  });
+}
+
+for (const name of ADMIN_CALLABLES) {
+  test(`${name} rejects callers without a token or the admin claim`, async () => {
+    await assert.rejects(callable(name), { code: "unauthenticated" });
+    await assert.rejects(callable(name, { auth: authFor("policyholder") }), { code: "permission-denied" });
+  });
+}
+
+for (const name of OWNER_CALLABLES) {
+  test(`${name} rejects anonymous callers and other users' policies`, async () => {
+    await assert.rejects(callable(name, { data: { userId: "policyholder" } }), { code: "unauthenticated" });
+    await assert.rejects(
+      callable(name, { data: { userId: "policyholder" }, auth: authFor("someone-else") }),
+      { code: "permission-denied" }
+    );
+  });
+}
+
+test("admins get through and are rate limited per endpoint", async (t) => {
+  if (skipWithoutAuth(t) || skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  const headers = { Authorization: `Bearer ${await idToken("admin-1", { admin: true })}` };
+
+  const first = await request("checkUsers", { method: "GET", headers, query: { zip: "70401" } });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.success, true);
+
+  for (let i = 1; i < 30; i++) {
+    await request("checkUsers", { method: "GET", headers, query: { zip: "70401" } });
+  }
+  const limited = await request("checkUsers", { method: "GET", headers, query: { zip: "70401" } });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers["Retry-After"]) > 0);
+});
@@ -0,0 +1,79 @@
+// matchAlertToZips against /alerts/active payloads in NOAA's format
+// (test/fixtures/noaa).
+
+const test = require("node:test");
+const assert = require("assert/strict");
+const geo = require("../geo");
+const { noaaFixture } = require("./helpers");
+
+const ST_TAMMANY = geo.zipsForCounty("22103");
+const TANGIPAHOA = geo.zipsForCounty("22105");
+const ORLEANS = geo.zipsForCounty("22071");
+const JEFFERSON = geo.zipsForCounty("22051");
+
+function sorted(...lists) {
+  return Array.from(new Set(lists.flat())).sort();
+}
+
+test("zone-based alerts match every ZIP in their SAME counties", () => {
+  const [floodWatch] = noaaFixture("flood-watch-zones").features;
+
+  // UGC zone codes (LAZ077) add nothing; the SAME list carries the counties.
+  assert.deepEqual(geo.alertCountyFips(floodWatch).sort(), ["22071", "22103", "22105"]);
+  assert.deepEqual(geo.matchAlertToZips(floodWatch), {
+    zips: sorted(ST_TAMMANY, TANGIPAHOA, ORLEANS),
+    matchedBy: "county"
+  });
+  assert.ok(geo.matchAlertToZips(floodWatch).zips.includes("70433"));
+});
+
+test("county UGC codes match without SAME codes", () => {
+  const [tornadoWatch] = noaaFixture("tornado-watch-counties").features;
+  const ugcOnly = {
+    ...tornadoWatch,
+    properties: { ...tornadoWatch.properties, geocode: { UGC: tornadoWatch.properties.geocode.UGC } }
+  };
+
+  assert.deepEqual(geo.matchAlertToZips(tornadoWatch).zips, sorted(JEFFERSON, ORLEANS));
+  assert.deepEqual(geo.matchAlertToZips(ugcOnly), geo.matchAlertToZips(tornadoWatch));
+});
+
+test("storm-based warnings match only the ZIPs inside their polygon", () => {
+  const [tornadoWarning] = noaaFixture("tornado-warning-polygon").features;
+  const match = geo.matchAlertToZips(tornadoWarning);
+
+  assert.deepEqual(match, { zips: ["70458", "70460", "70469"], matchedBy: "geometry" });
+  // The rest of St. Tammany (its SAME county) is left out.
+  assert.ok(!match.zips.includes("70461"));
+  assert.ok(!match.zips.includes("70433"));
+});
+
+test("MultiPolygon geometries match ZIPs in any of their polygons", () => {
+  const [tornadoWarning] = noaaFixture("tornado-warning-polygon").features;
+  const hammond = [[-90.52, 30.50], [-90.46, 30.50], [-90.46, 30.54], [-90.52, 30.54], [-90.52, 30.50]];
+  const multi = {
+    ...tornadoWarning,
+    geometry: { type: "MultiPolygon", coordinates: [tornadoWarning.geometry.coordinates, [hammond]] }
+  };
+
+  assert.deepEqual(geo.matchAlertToZips(multi).zips, ["70401", "70402", "70404", "70458", "70460", "70469"]);
+});
+
+test("a polygon between ZIP centroids matches the nearest ZIP, not its county", () => {
+  const [hammond, offshore] = noaaFixture("thunderstorm-warning-small-polygon").features;
+
+  assert.deepEqual(geo.zipsInGeometry(hammond.geometry), []);
+  assert.deepEqual(geo.matchAlertToZips(hammond), { zips: ["70402"], matchedBy: "nearest" });
+  assert.ok(TANGIPAHOA.length > 1);
+
+  // Nothing near the polygon: its SAME county (Plaquemines) isn't paid either.
+  assert.ok(geo.alertCountyFips(offshore).length > 0);
+  assert.deepEqual(geo.matchAlertToZips(offshore), { zips: [], matchedBy: "none" });
+});
+
+test("marine zones outside the ZIP dataset match nothing", () => {
+  const [, marine] = noaaFixture("tornado-warning-polygon").features;
+
+  assert.deepEqual(geo.alertCountyFips(marine), []);
+  assert.deepEqual(geo.matchAlertToZips(marine), { zips: [], matchedBy: "none" });
+});
@@ -0,0 +1,104 @@
+const fs = require("fs");
+const path = require("path");
+const admin = require("firebase-admin");
+
+// Tests that need the Firestore or Auth emulator or a local Solana
+// validator skip themselves when it isn't running:
+//
+//   firebase emulators:start --only firestore,auth
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8081 FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 npm test
+//
+//   solana-test-validator --reset
+//   npm test        (SOLANA_RPC_URL overrides http://127.0.0.1:8899)
+
+const PROJECT_ID = "demo-insta-relief";
+// Any valid public key passes wallets.payableWallet.
+const WALLET = "11111111111111111111111111111111";
+
+// A recorded-format NOAA /alerts/active payload from test/fixtures/noaa.
+function noaaFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "noaa", `${name}.json`), "utf8"));
+}
+
+function initAdmin() {
+  if (admin.apps.length === 0) admin.initializeApp({ projectId: PROJECT_ID });
+  return admin;
+}
+
+// Skips the test (and returns true) without the Firestore emulator.
+function skipWithoutFirestore(t) {
+  if (process.env.FIRESTORE_EMULATOR_HOST) return false;
+  t.skip("needs FIRESTORE_EMULATOR_HOST");
+  return true;
+}
+
+async function clearFirestore() {
+  const resp = await fetch(
+    `http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`,
+    { method: "DELETE" }
+  );
+  if (!resp.ok) throw new Error(`Could not clear the emulator: ${resp.status}`);
+}
+
+// Whether a Solana JSON-RPC node answers at `url`.
+async function rpcReachable(url) {
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method: "getHealth" }),
+      signal: AbortSignal.timeout(2000)
+    });
+    return resp.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+// A policyholder with one insured location, in the shape onboarding and
+// scripts/migrateLocations.js write.
+async function seedUser(id, {
+  zip,
+  status = "ACTIVE",
+  balance = 0,
+  wallet = WALLET,
+  coverageAmount = 100,
+  productId = "standard",
+  ...fields
+}) {
+  const ref = admin.firestore().collection("users").doc(id);
+  await ref.set({
+    email: `${id}@example.com`,
+    firstName: "Test",
+    lastName: id,
+    policyId: `POL-${id}`,
+    productId,
+    status,
+    balance,
+    zip,
+    locationZips: [zip],
+    walletAddress: wallet,
+    walletVerified: !!wallet,
+    ...fields
+  });
+  await ref.collection("locations").doc("primary").set({
+    label: "Home",
+    address: null,
+    zip,
+    countyFips: null,
+    coverageAmount,
+    userId: id
+  });
+  return ref;
+}
+
+module.exports = {
+  PROJECT_ID,
+  WALLET,
+  noaaFixture,
+  initAdmin,
+  skipWithoutFirestore,
+  clearFirestore,
+  rpcReachable,
+  seedUser
+};
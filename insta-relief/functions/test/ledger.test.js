@@ -0,0 +1,113 @@
+// Ledger postings for payouts (payouts.js) against the Firestore emulator: a
+// payout sent to the wallet must not also become withdrawable balance.
+
+process.env.NOTIFICATIONS_PROVIDER = "fake";
+
+const test = require("node:test");
+const assert = require("assert/strict");
+const { initAdmin, skipWithoutFirestore, clearFirestore, seedUser } = require("./helpers");
+
+const admin = initAdmin();
+const ledger = require("../ledger");
+const { creditPayout } = require("../payouts");
+const { requestWithdrawal } = require("../withdrawals");
+const { listTransactions } = require("../transactions");
+
+async function userLedger(userId) {
+  const snap = await admin.firestore().collection("users").doc(userId).collection("ledger").get();
+  return snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+async function balanceOf(userId) {
+  return (await admin.firestore().collection("users").doc(userId).get()).data().balance;
+}
+
+test("a payout disbursed to the wallet leaves the withdrawable balance unchanged", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  await seedUser("wallet-payout", { zip: "70401", balance: 0 });
+  await ledger.postEntry({
+    userId: "wallet-payout",
+    type: "credit",
+    amount: 20,
+    reason: "Goodwill credit",
+    actor: "test",
+    counterAccount: ledger.ACCOUNTS.ADJUSTMENTS
+  });
+
+  const payout = {
+    eventId: "flood-70401",
+    userId: "wallet-payout",
+    amount: 100,
+    reason: "Flood catastrophe payout (Home)",
+    actor: "test",
+    disbursed: true
+  };
+  const first = await creditPayout(payout);
+  assert.equal(first.balanceAfter, 20);
+  assert.equal(await balanceOf("wallet-payout"), 20);
+
+  const entries = await userLedger("wallet-payout");
+  const credit = entries.find(entry => entry.id === first.entryId);
+  const debit = entries.find(entry => entry.id === `${first.entryId}_disbursed`);
+  assert.equal(credit.amount, 100);
+  assert.equal(debit.type, "debit");
+  assert.equal(debit.amount, 100);
+  assert.equal(debit.counterAccount, `ledgerAccounts/${ledger.ACCOUNTS.DISBURSED}`);
+  assert.equal(debit.balanceAfter, 20);
+
+  const disbursed = await admin.firestore()
+    .collection("ledgerAccounts").doc(ledger.ACCOUNTS.DISBURSED).collection("ledger").doc(debit.id).get();
+  assert.equal(disbursed.data().type, "credit");
+
+  // Paying the same event again changes nothing.
+  assert.equal((await creditPayout(payout)).duplicate, true);
+  assert.equal((await userLedger("wallet-payout")).length, 3);
+
+  await assert.rejects(requestWithdrawal("wallet-payout", 100), /Insufficient balance/);
+  assert.equal((await requestWithdrawal("wallet-payout", 20)).balanceAfter, 0);
+
+  const reconciled = await ledger.reconcileBalance("wallet-payout", { dryRun: true });
+  assert.equal(reconciled.drift, 0);
+});
+
+test("a payout kept as balance can be withdrawn", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  await seedUser("balance-payout", { zip: "70401", balance: 0 });
+
+  const payout = await creditPayout({
+    eventId: "flood-70401",
+    userId: "balance-payout",
+    amount: 100,
+    reason: "Flood catastrophe payout (Home)",
+    actor: "test"
+  });
+  assert.equal(payout.balanceAfter, 100);
+  assert.equal((await requestWithdrawal("balance-payout", 100)).balanceAfter, 0);
+});
+
+test("the transaction history shows a disbursement with its payout's status", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  await seedUser("history", { zip: "70401", balance: 0 });
+
+  const payout = await creditPayout({
+    eventId: "flood-70401",
+    userId: "history",
+    amount: 100,
+    reason: "Flood catastrophe payout (Home)",
+    actor: "test",
+    metadata: { type: "Flood", location: "Hammond" },
+    disbursed: true
+  });
+  await admin.firestore().collection("payouts").doc(payout.payoutId).update({ status: "DISBURSED" });
+
+  const { transactions } = await listTransactions("history");
+  const byKind = Object.fromEntries(transactions.map(tx => [tx.kind, tx]));
+  assert.equal(byKind.payout.amount, 100);
+  assert.equal(byKind.payout.status, "DISBURSED");
+  assert.equal(byKind.disbursement.amount, -100);
+  assert.equal(byKind.disbursement.status, "DISBURSED");
+  assert.equal(byKind.disbursement.balanceAfter, 0);
+});
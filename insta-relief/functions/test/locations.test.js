@@ -0,0 +1,60 @@
+// Insured locations (locations.js) against the Firestore emulator: the
+// per-policy limit under concurrent saves and ZIP moves during open alerts.
+
+const test = require("node:test");
+const assert = require("assert/strict");
+const { initAdmin, skipWithoutFirestore, clearFirestore, seedUser } = require("./helpers");
+
+const admin = initAdmin();
+const locations = require("../locations");
+
+function home(zip, label = "Home") {
+  return { label, address: null, zip, coverageAmount: 50 };
+}
+
+async function userOf(id) {
+  return (await admin.firestore().collection("users").doc(id).get()).data();
+}
+
+test("concurrent saves can't exceed the location limit", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  await seedUser("many", { zip: "70401" });
+  for (const n of [2, 3, 4]) await locations.saveLocation("many", null, home("70112", `Rental ${n}`));
+
+  // One slot left; three saves race for it.
+  const results = await Promise.allSettled(
+    ["70002", "70003", "70005"].map(zip => locations.saveLocation("many", null, home(zip, `Camp ${zip}`)))
+  );
+  assert.equal(results.filter(r => r.status === "fulfilled").length, 1);
+  results.filter(r => r.status === "rejected")
+    .forEach(r => assert.match(r.reason.message, /at most 5 locations/));
+
+  const saved = await admin.firestore().collection("users").doc("many").collection("locations").get();
+  assert.equal(saved.size, locations.MAX_LOCATIONS);
+  assert.equal((await userOf("many")).locationZips.length, 3);
+});
+
+test("a location can't move into or out of a ZIP under an open alert", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  await seedUser("mover", { zip: "70401" });
+  const threads = admin.firestore().collection("alertThreads");
+  const inAnHour = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  await threads.doc("flood-70112").set({ status: "ACTIVE", zips: ["70112"], payoutWindowEndsAt: inAnHour });
+  await threads.doc("old-70002").set({ status: "ACTIVE", zips: ["70002"], payoutWindowEndsAt: "2020-01-01T00:00:00.000Z" });
+
+  await assert.rejects(
+    locations.saveLocation("mover", "primary", home("70112")),
+    /ZIP 70112 is under an active weather alert/
+  );
+  await assert.rejects(locations.saveLocation("mover", null, home("70112", "Camp")), /under an active weather alert/);
+  assert.deepEqual((await userOf("mover")).locationZips, ["70401"]);
+
+  // An expired thread doesn't block, and neither does an edit that keeps the ZIP.
+  await locations.saveLocation("mover", "primary", home("70002"));
+  await threads.doc("flood-70002").set({ status: "ACTIVE", zips: ["70002"], payoutWindowEndsAt: inAnHour });
+  await assert.rejects(locations.saveLocation("mover", "primary", home("70401")), /ZIP 70002/);
+  await locations.saveLocation("mover", "primary", { ...home("70002"), label: "House" });
+  assert.deepEqual((await userOf("mover")).locationZips, ["70002"]);
+});
@@ -0,0 +1,123 @@
+// The NOAA poller (noaa.js) against the local stub of api.weather.gov
+// (scripts/noaaStub.js), serving the flood watch fixture.
+
+const test = require("node:test");
+const assert = require("assert/strict");
+const { createNoaaStub } = require("../scripts/noaaStub");
+const { initAdmin, skipWithoutFirestore, clearFirestore, noaaFixture } = require("./helpers");
+
+const admin = initAdmin();
+const alerts = noaaFixture("flood-watch-zones");
+const stub = createNoaaStub(alerts);
+let base;
+let noaa;
+
+test.before(async () => {
+  await new Promise(resolve => stub.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${stub.address().port}`;
+  // noaa.js reads NOAA_BASE_URL when it is loaded.
+  process.env.NOAA_BASE_URL = base;
+  noaa = require("../noaa");
+});
+
+test.after(() => new Promise(resolve => stub.close(resolve)));
+
+async function stubControl(path) {
+  const resp = await fetch(`${base}${path}`);
+  assert.equal(resp.status, 200);
+}
+
+test("conditional GETs return 304 until NOAA publishes again", async (t) => {
+  t.after(() => stubControl("/__status?code=200"));
+
+  const first = await noaa.fetchActiveAlerts();
+  assert.equal(first.status, 200);
+  assert.equal(first.notModified, false);
+  assert.deepEqual(first.features.map(f => f.properties.event), ["Flood Watch"]);
+  assert.ok(first.etag);
+  assert.ok(first.lastModified);
+
+  const unchanged = await noaa.fetchActiveAlerts({ etag: first.etag, lastModified: first.lastModified });
+  assert.deepEqual(unchanged, { status: 304, notModified: true, features: [], etag: first.etag, lastModified: first.lastModified });
+
+  await stubControl("/__touch");
+  const changed = await noaa.fetchActiveAlerts({ etag: first.etag, lastModified: first.lastModified });
+  assert.equal(changed.status, 200);
+  assert.notEqual(changed.etag, first.etag);
+
+  await stubControl("/__status?code=503");
+  await assert.rejects(noaa.fetchActiveAlerts(), (error) => error.status === 503);
+});
+
+test("the NOAA baseline for a point reads its office, zone and forecast", async () => {
+  const baseline = await noaa.getNOAABaseline(30.5044, -90.4612);
+
+  assert.equal(baseline.city, "Hammond");
+  assert.equal(baseline.office, "LIX");
+  assert.equal(baseline.forecastZone, "LAZ072");
+  assert.equal(baseline.county, "LAC105");
+  assert.equal(baseline.forecast.length, 2);
+  assert.deepEqual(baseline.activeAlerts.map(a => a.event), ["Flood Watch"]);
+});
+
+test("each poll is recorded and NOAA 5xx responses back off", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  t.after(() => stubControl("/__status?code=200"));
+
+  const seen = [];
+  const processAlert = async (alert) => {
+    seen.push(alert.properties.id);
+    return true;
+  };
+  const runOf = async (result) => (await admin.firestore().collection("noaaPollingRuns").doc(result.runId).get()).data();
+  const state = async () => (await admin.firestore().collection("noaaPolling").doc("state").get()).data();
+
+  const ok = await noaa.pollActiveAlerts(processAlert, { trigger: "test" });
+  assert.equal(ok.status, "OK");
+  assert.equal(ok.alertsReceived, 1);
+  assert.equal(ok.alertsProcessed, 1);
+  assert.deepEqual(seen, [alerts.features[0].properties.id]);
+  assert.equal((await runOf(ok)).httpStatus, 200);
+  assert.ok((await state()).etag);
+
+  const unchanged = await noaa.pollActiveAlerts(processAlert, { trigger: "test" });
+  assert.equal(unchanged.status, "NOT_MODIFIED");
+  assert.equal(seen.length, 1);
+
+  await stubControl("/__touch");
+  await stubControl("/__status?code=503");
+  const failed = await noaa.pollActiveAlerts(processAlert, { trigger: "test" });
+  assert.equal(failed.status, "ERROR");
+  assert.equal((await runOf(failed)).httpStatus, 503);
+  const backedOff = await state();
+  assert.equal(backedOff.consecutiveFailures, 1);
+  assert.ok(new Date(backedOff.backoffUntil) > new Date());
+
+  // The stub has recovered, but the poller waits out its backoff.
+  await stubControl("/__status?code=200");
+  const skipped = await noaa.pollActiveAlerts(processAlert, { trigger: "test" });
+  assert.equal(skipped.status, "SKIPPED_BACKOFF");
+  assert.equal(seen.length, 1);
+
+  await admin.firestore().collection("noaaPolling").doc("state").update({ backoffUntil: null });
+  const recovered = await noaa.pollActiveAlerts(processAlert, { trigger: "test" });
+  assert.equal(recovered.status, "OK");
+  assert.equal((await state()).consecutiveFailures, 0);
+  assert.equal(seen.length, 2);
+});
+
+test("a failed alert leaves the validators unset so it is fetched again", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+
+  const failing = await noaa.pollActiveAlerts(async () => {
+    throw new Error("processing failed");
+  }, { trigger: "test" });
+  assert.equal(failing.status, "PARTIAL");
+  assert.equal(failing.errors.length, 1);
+
+  const retried = await noaa.pollActiveAlerts(async () => true, { trigger: "test" });
+  assert.equal(retried.status, "OK");
+  assert.equal(retried.alertsProcessed, 1);
+});
@@ -0,0 +1,98 @@
+// notifications.js with the fake providers (NOTIFICATIONS_PROVIDER=fake).
+
+process.env.NOTIFICATIONS_PROVIDER = "fake";
+
+const test = require("node:test");
+const assert = require("assert/strict");
+const { initAdmin, skipWithoutFirestore, clearFirestore } = require("./helpers");
+
+const admin = initAdmin();
+const notifications = require("../notifications");
+
+const MESSAGE = {
+  category: "alert",
+  eventId: "flood-70401",
+  subject: "Flood Warning for your area",
+  html: "<p>Flood Warning</p>",
+  text: "Flood Warning",
+  sms: "Insta-Relief: Flood Warning"
+};
+
+test("recipients get E.164 phone numbers and default preferences", () => {
+  const recipient = notifications.recipientFromUser("u1", {
+    email: "pat@example.com",
+    firstName: "Pat",
+    lastName: "Doe",
+    phone: "(985) 555-0142"
+  });
+
+  assert.deepEqual(recipient, {
+    userId: "u1",
+    name: "Pat Doe",
+    email: "pat@example.com",
+    phone: "+19855550142",
+    fcmTokens: [],
+    prefs: {}
+  });
+  assert.equal(notifications.recipientFromUser("u2", { phone: "15045550199" }).phone, "+15045550199");
+  assert.equal(notifications.recipientFromUser("u3", { phone: "555-0199" }).phone, null);
+  assert.equal(notifications.recipientFromUser("u4", { email: "sam@example.com" }).name, "sam");
+});
+
+test("each channel is sent, skipped or failed and recorded", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  t.after(() => { delete process.env.NOTIFICATIONS_FAKE_FAIL; });
+  process.env.NOTIFICATIONS_FAKE_FAIL = "sms";
+
+  const result = await notifications.notify({
+    userId: "u1",
+    name: "Pat",
+    email: "pat@example.com",
+    phone: "+19855550142",
+    fcmTokens: [],
+    prefs: {}
+  }, MESSAGE);
+
+  assert.equal(result.deliveries.email.status, "SENT");
+  assert.equal(result.deliveries.email.provider, "fake-email");
+  assert.equal(result.deliveries.sms.status, "FAILED");
+  assert.equal(result.deliveries.sms.error, "fake sms failure");
+  assert.deepEqual(result.deliveries.push, { status: "SKIPPED", reason: "no push address" });
+  assert.equal(result.delivered, true);
+
+  const stored = (await admin.firestore().collection("notifications").doc(result.id).get()).data();
+  assert.equal(stored.userId, "u1");
+  assert.equal(stored.eventId, "flood-70401");
+  assert.deepEqual(stored.deliveries, result.deliveries);
+});
+
+test("user preferences and requested channels limit delivery", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  await admin.firestore().collection("users").doc("u2").set({
+    email: "sam@example.com",
+    phone: "5045550199",
+    fcmTokens: ["token-1"],
+    notificationPrefs: { email: false, sms: true, push: true }
+  });
+
+  const result = await notifications.notifyUser("u2", { ...MESSAGE, channels: ["email", "sms"] });
+
+  assert.deepEqual(result.deliveries.email, { status: "SKIPPED", reason: "disabled by user" });
+  assert.equal(result.deliveries.sms.status, "SENT");
+  assert.deepEqual(result.deliveries.push, { status: "SKIPPED", reason: "not requested" });
+});
+
+test("a message no channel delivered is marked undelivered", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  t.after(() => { delete process.env.NOTIFICATIONS_FAKE_FAIL; });
+  process.env.NOTIFICATIONS_FAKE_FAIL = "email";
+
+  const result = await notifications.notify({ userId: "u3", email: "lee@example.com", prefs: {} }, MESSAGE);
+
+  assert.equal(result.deliveries.email.status, "FAILED");
+  assert.equal(result.delivered, false);
+  await assert.rejects(notifications.notifyUser("missing", MESSAGE), /User missing not found/);
+});
@@ -0,0 +1,138 @@
+// Which policies an event pays (policies.js coveredForEvent) against the
+// Firestore emulator. Proposals share payoutWorker.payableLocations with the
+// payout worker, whose transfers need the validator (solana.test.js). The
+// agent's failure listing reads the worker's recipients across events.
+
+const { PROJECT_ID } = require("./helpers");
+
+process.env.GCLOUD_PROJECT = PROJECT_ID;
+process.env.NOTIFICATIONS_PROVIDER = "fake";
+process.env.PRICE_SOURCES = "fixed";
+process.env.PRICE_FIXED_USD = "150";
+
+const test = require("node:test");
+const assert = require("assert/strict");
+const admin = require("firebase-admin");
+const { skipWithoutFirestore, clearFirestore, seedUser } = require("./helpers");
+const functions = require("../index");
+const { creditPayout } = require("../payouts");
+const proposals = require("../agent/proposals");
+const { toolHandlers } = require("../agent/handlers");
+
+const ADMIN = { uid: "admin-1", token: { uid: "admin-1", admin: true, email: "admin@example.com" } };
+
+// One policy per status in 70401, plus a PAID one whose payout this term was
+// for `flood-70401` itself.
+async function seedStatuses() {
+  await clearFirestore();
+  await seedUser("active", { zip: "70401" });
+  await seedUser("paid-same", { zip: "70401", status: "PAID", lastPayoutEventId: "flood-70401" });
+  await seedUser("paid-other", { zip: "70401", status: "PAID", lastPayoutEventId: "storm-70112" });
+  await seedUser("lapsed", { zip: "70401", status: "LAPSED" });
+  await seedUser("expired", { zip: "70401", status: "EXPIRED" });
+  await seedUser("cancelled", { zip: "70401", status: "CANCELLED" });
+}
+
+async function payoutsOf(eventId) {
+  const snap = await admin.firestore().collection("payouts").where("eventId", "==", eventId).get();
+  return snap.docs.map(doc => doc.data().userId).sort();
+}
+
+test("a payout checks the policy status in its own transaction", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await seedStatuses();
+  const payout = (userId) => creditPayout({
+    eventId: "flood-70401",
+    userId,
+    amount: 100,
+    reason: "Flood payout",
+    actor: "test",
+    coveredOnly: true
+  });
+
+  for (const userId of ["lapsed", "expired", "cancelled", "paid-other"]) {
+    const result = await payout(userId);
+    assert.equal(result.notCovered, true, userId);
+    assert.equal(result.amount, 0);
+  }
+  assert.equal((await payout("active")).amount, 100);
+  assert.equal((await payout("paid-same")).amount, 100);
+  assert.deepEqual(await payoutsOf("flood-70401"), ["active", "paid-same"]);
+
+  // Admin adjustments don't ask for coverage.
+  const manual = await creditPayout({ eventId: "manual-1", userId: "lapsed", amount: 20, reason: "Manual", actor: "test" });
+  assert.equal(manual.amount, 20);
+});
+
+test("the disaster callable pays only covered policies", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await seedStatuses();
+
+  const result = await functions.disaster.run({
+    data: { zip: "70401", amount: 50, eventId: "flood-70401" },
+    auth: ADMIN,
+    rawRequest: { headers: {} }
+  });
+
+  assert.deepEqual(result.emails.sort(), ["active@example.com", "paid-same@example.com"]);
+  assert.deepEqual(await payoutsOf("flood-70401"), ["active", "paid-same"]);
+});
+
+test("approving a catastrophe needs the event's id", async () => {
+  // Checked before anything is read, so no emulator is needed.
+  await assert.rejects(
+    functions.approveCatastrophe.run({
+      data: { type: "Flood", location: "Hammond", zipCodes: ["70401"], amount: 50 },
+      auth: ADMIN,
+      rawRequest: { headers: {} }
+    }),
+    (error) => error.code === "invalid-argument" && /eventId is required/.test(error.message)
+  );
+});
+
+test("payout proposals skip policies that aren't covered", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await seedStatuses();
+
+  const plan = await proposals.planCatastrophePayout({ eventId: "flood-70401", zipCodes: ["70401"], amount: 100 });
+  const skipped = Object.fromEntries(plan.rows.map(row => [row.userId, row.skipped]));
+
+  assert.deepEqual(skipped, {
+    "active": null,
+    "paid-same": null,
+    "paid-other": "policy PAID",
+    "lapsed": "policy LAPSED",
+    "expired": "policy EXPIRED",
+    "cancelled": "policy CANCELLED"
+  });
+  assert.equal(plan.totals.locations, 2);
+  assert.equal(plan.totals.totalUSD, 200);
+});
+
+test("payout failures page across every event's recipients", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  const db = admin.firestore();
+  const recipient = (eventId, id, fields) =>
+    db.collection("payoutJobs").doc(eventId).collection("recipients").doc(id).set({ userId: id, amountUSD: 50, ...fields });
+
+  await recipient("flood-70401", "a", { state: "failed", error: "blockhash expired", failedAt: "2026-10-18T10:00:00.000Z" });
+  await recipient("flood-70401", "b", { state: "confirmed" });
+  // Retried since it failed.
+  await recipient("flood-70401", "c", { state: "pending", failedAt: "2026-10-18T11:00:00.000Z" });
+  await recipient("storm-70112", "d", { state: "failed", error: "blockhash expired", failedAt: "2026-10-18T12:00:00.000Z" });
+  await recipient("storm-70112", "e", { state: "failed", error: "insufficient funds", failedAt: "2026-10-01T00:00:00.000Z" });
+
+  const since = "2026-10-10T00:00:00.000Z";
+  const first = await toolHandlers.query_payout_failures({ since, limit: 1 });
+  assert.deepEqual(first.failures.map(f => [f.eventId, f.payoutId]), [["storm-70112", "d"]]);
+  assert.ok(first.nextCursor);
+
+  const second = await toolHandlers.query_payout_failures({ since, limit: 1, cursor: first.nextCursor });
+  assert.deepEqual(second.failures.map(f => [f.eventId, f.payoutId]), [["flood-70401", "a"]]);
+  assert.deepEqual(second.byError, { "blockhash expired": 1 });
+  assert.equal(second.nextCursor, null);
+
+  const oneEvent = await toolHandlers.query_payout_failures({ eventId: "storm-70112", since: "2026-09-01T00:00:00.000Z" });
+  assert.deepEqual(oneEvent.failures.map(f => f.payoutId), ["d", "e"]);
+});
@@ -0,0 +1,152 @@
+// firestore.rules against the Firestore emulator, for a policyholder on
+// their own docs, another signed-in user and an admin. Seed data is written
+// with the rules disabled, as Cloud Functions write it with the Admin SDK.
+
+const fs = require("fs");
+const path = require("path");
+const test = require("node:test");
+const {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails
+} = require("@firebase/rules-unit-testing");
+const { doc, getDoc, setDoc, updateDoc, deleteDoc } = require("firebase/firestore");
+const { PROJECT_ID, skipWithoutFirestore } = require("./helpers");
+
+let env = null;
+
+const PROFILE = {
+  firstName: "Pat",
+  lastName: "Doe",
+  email: "pat@example.com",
+  phone: "9855550142",
+  zip: "70401",
+  policyId: "pat",
+  productId: "standard",
+  isActivated: true,
+  status: "ACTIVE",
+  balance: 0,
+  createdAt: "2026-01-01T00:00:00.000Z"
+};
+
+test.before(async () => {
+  if (!process.env.FIRESTORE_EMULATOR_HOST) return;
+  env = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: fs.readFileSync(path.join(__dirname, "..", "..", "firestore.rules"), "utf8") }
+  });
+});
+
+test.after(() => env && env.cleanup());
+
+async function seed(docs) {
+  await env.clearFirestore();
+  await env.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [docPath, data] of Object.entries(docs)) {
+      await setDoc(doc(db, docPath), data);
+    }
+  });
+}
+
+function owner() {
+  return env.authenticatedContext("pat").firestore();
+}
+
+function otherUser() {
+  return env.authenticatedContext("sam").firestore();
+}
+
+function adminUser() {
+  return env.authenticatedContext("admin-1", { admin: true }).firestore();
+}
+
+test("onboarding creates a zero-balance ACTIVE policy, under the user's own id, at a 5-digit ZIP", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await seed({});
+
+  await assertFails(setDoc(doc(otherUser(), "users/pat"), PROFILE));
+  await assertFails(setDoc(doc(owner(), "users/pat"), { ...PROFILE, balance: 500 }));
+  await assertFails(setDoc(doc(owner(), "users/pat"), { ...PROFILE, zip: "7040" }));
+  // Another holder's policy id would claim their payouts.
+  await assertFails(setDoc(doc(owner(), "users/pat"), { ...PROFILE, policyId: "sam" }));
+  await assertFails(setDoc(doc(owner(), "users/pat"), { ...PROFILE, policyId: "POL-70401-W8ZK7" }));
+  await assertFails(setDoc(doc(owner(), "users/pat"), { ...PROFILE, walletAddress: "11111111111111111111111111111111" }));
+  await assertSucceeds(setDoc(doc(owner(), "users/pat"), PROFILE));
+});
+
+test("policyholders edit their profile but not their ZIP, balance or wallet", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await seed({ "users/pat": { ...PROFILE, balance: 250, locationZips: ["70401"] } });
+  const db = owner();
+
+  await assertSucceeds(updateDoc(doc(db, "users/pat"), { phone: "5045550199", autoRenew: false }));
+  await assertSucceeds(updateDoc(doc(db, "users/pat"), { notificationPrefs: { sms: false } }));
+  await assertFails(updateDoc(doc(db, "users/pat"), { zip: "70112" }));
+  await assertFails(updateDoc(doc(db, "users/pat"), { locationZips: ["70112"] }));
+  await assertFails(updateDoc(doc(db, "users/pat"), { balance: 1000 }));
+  await assertFails(updateDoc(doc(db, "users/pat"), { status: "ACTIVE", lastPayoutEventId: null }));
+  await assertFails(updateDoc(doc(db, "users/pat"), { walletAddress: "11111111111111111111111111111111" }));
+  await assertFails(deleteDoc(doc(db, "users/pat")));
+});
+
+test("user docs and their subcollections are private to the owner and admins", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await seed({
+    "users/pat": PROFILE,
+    "users/pat/ledger/e1": { amount: 100 },
+    "users/pat/locations/primary": { zip: "70401", coverageAmount: 100 }
+  });
+
+  for (const docPath of ["users/pat", "users/pat/ledger/e1", "users/pat/locations/primary"]) {
+    await assertSucceeds(getDoc(doc(owner(), docPath)));
+    await assertSucceeds(getDoc(doc(adminUser(), docPath)));
+    await assertFails(getDoc(doc(otherUser(), docPath)));
+    await assertFails(getDoc(doc(env.unauthenticatedContext().firestore(), docPath)));
+  }
+
+  await assertFails(updateDoc(doc(otherUser(), "users/pat"), { phone: "5045550199" }));
+  await assertFails(setDoc(doc(owner(), "users/pat/ledger/e2"), { amount: 1000 }));
+  await assertFails(setDoc(doc(owner(), "users/pat/locations/primary"), { zip: "70112", coverageAmount: 100 }));
+  // Admins change balances and locations through callables too.
+  await assertFails(updateDoc(doc(adminUser(), "users/pat"), { balance: 1000 }));
+});
+
+test("payouts and withdrawals are readable by their user and admins, written by functions", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await seed({
+    "payouts/p1": { userId: "pat", amount: 100 },
+    "withdrawals/w1": { userId: "pat", amountUSD: 50, status: "pending" }
+  });
+
+  for (const docPath of ["payouts/p1", "withdrawals/w1"]) {
+    await assertSucceeds(getDoc(doc(owner(), docPath)));
+    await assertSucceeds(getDoc(doc(adminUser(), docPath)));
+    await assertFails(getDoc(doc(otherUser(), docPath)));
+    await assertFails(updateDoc(doc(owner(), docPath), { userId: "pat" }));
+    await assertFails(updateDoc(doc(adminUser(), docPath), { userId: "pat" }));
+  }
+  await assertFails(setDoc(doc(owner(), "withdrawals/w2"), { userId: "pat", amountUSD: 50, status: "settled" }));
+});
+
+test("catastrophes are admin-only and other collections are admin-readable", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await seed({
+    "catastrophes/flood-70401": { zipCodes: ["70401"], amount: 100 },
+    "payoutJobs/flood-70401": { status: "COMPLETED" },
+    "products/standard": { maxPerEvent: 100 }
+  });
+
+  await assertFails(getDoc(doc(owner(), "catastrophes/flood-70401")));
+  await assertFails(setDoc(doc(owner(), "catastrophes/hurricane-70112"), { zipCodes: ["70112"], amount: 100 }));
+  await assertSucceeds(getDoc(doc(adminUser(), "catastrophes/flood-70401")));
+  await assertSucceeds(setDoc(doc(adminUser(), "catastrophes/hurricane-70112"), { zipCodes: ["70112"], amount: 100 }));
+
+  await assertFails(getDoc(doc(owner(), "payoutJobs/flood-70401")));
+  await assertSucceeds(getDoc(doc(adminUser(), "payoutJobs/flood-70401")));
+  await assertFails(updateDoc(doc(adminUser(), "payoutJobs/flood-70401"), { status: "QUEUED" }));
+
+  await assertSucceeds(getDoc(doc(owner(), "products/standard")));
+  await assertFails(updateDoc(doc(owner(), "products/standard"), { maxPerEvent: 1000 }));
+  await assertSucceeds(updateDoc(doc(adminUser(), "products/standard"), { maxPerEvent: 150 }));
+});
@@ -0,0 +1,314 @@
+// Treasury transfers (solana.js) and the payout worker (payoutWorker.js)
+// against solana-test-validator; see test/helpers.js for running them. Each
+// run airdrops a fresh treasury keypair and creates a test USDC mint it is
+// the authority of, as scripts/createTestMint.js does, so the validator
+// needs no setup.
+
+const { Keypair, LAMPORTS_PER_SOL, PublicKey } = require("@solana/web3.js");
+const {
+  createMint,
+  getAccount,
+  getAssociatedTokenAddressSync,
+  getOrCreateAssociatedTokenAccount,
+  mintTo
+} = require("@solana/spl-token");
+
+const treasuryKeypair = Keypair.generate();
+process.env.SOLANA_CLUSTER = "localnet";
+process.env.TREASURY_SECRET_KEY = JSON.stringify(Array.from(treasuryKeypair.secretKey));
+process.env.PRICE_SOURCES = "fixed";
+process.env.PRICE_FIXED_USD = "150";
+process.env.NOTIFICATIONS_PROVIDER = "fake";
+
+const test = require("node:test");
+const assert = require("assert/strict");
+const { initAdmin, skipWithoutFirestore, clearFirestore, rpcReachable, seedUser } = require("./helpers");
+
+const admin = initAdmin();
+const solana = require("../solana");
+const payoutWorker = require("../payoutWorker");
+const treasury = require("../treasury");
+const { creditPayout } = require("../payouts");
+
+const validator = rpcReachable(solana.RPC_URL);
+let funded = null;
+
+async function airdrop(publicKey, sol) {
+  const connection = solana.getConnection();
+  const signature = await connection.requestAirdrop(publicKey, sol * LAMPORTS_PER_SOL);
+  const latest = await connection.getLatestBlockhash("confirmed");
+  await connection.confirmTransaction({ signature, ...latest }, "confirmed");
+}
+
+async function fundTreasury() {
+  const connection = solana.getConnection();
+  await airdrop(treasuryKeypair.publicKey, 100);
+
+  const mint = await createMint(connection, treasuryKeypair, treasuryKeypair.publicKey, null, solana.USDC_DECIMALS);
+  const account = await getOrCreateAssociatedTokenAccount(connection, treasuryKeypair, mint, treasuryKeypair.publicKey);
+  await mintTo(connection, treasuryKeypair, mint, account.address, treasuryKeypair, solana.usdToUsdcUnits(10000));
+  process.env.USDC_MINT = mint.toBase58();
+}
+
+// Skips the test (and returns false) without a validator. The treasury is
+// funded on first use.
+async function requireValidator(t) {
+  if (!(await validator)) {
+    t.skip(`needs solana-test-validator at ${solana.RPC_URL}`);
+    return false;
+  }
+  funded = funded || fundTreasury();
+  await funded;
+  return true;
+}
+
+async function usdcBalance(owner) {
+  const account = getAssociatedTokenAddressSync(solana.getUsdcMint(), new PublicKey(owner));
+  return Number((await getAccount(solana.getConnection(), account, "confirmed")).amount);
+}
+
+// Signs and broadcasts a batch the way payoutWorker.sendBatch does.
+async function send(transfers, { skipPreflight = false } = {}) {
+  const connection = solana.getConnection();
+  const signed = await solana.signTreasuryTransfers(transfers);
+  await connection.sendRawTransaction(signed.transaction.serialize(), { skipPreflight });
+  const { value } = await connection.confirmTransaction({
+    signature: signed.signature,
+    blockhash: signed.blockhash,
+    lastValidBlockHeight: signed.lastValidBlockHeight
+  }, "confirmed");
+  return { ...signed, err: value.err };
+}
+
+test("a batch of SOL transfers lands as one transaction", async (t) => {
+  if (!(await requireValidator(t))) return;
+
+  const transfers = [0.01, 0.02, 0.03].map(sol => ({
+    to: Keypair.generate().publicKey.toBase58(),
+    lamports: sol * LAMPORTS_PER_SOL
+  }));
+  const { signature, lastValidBlockHeight, err } = await send(transfers);
+  assert.equal(err, null);
+
+  const outcomes = await solana.transactionOutcomes([{ signature, lastValidBlockHeight }]);
+  assert.equal(outcomes[signature].state, "confirmed");
+
+  const received = await solana.transactionTransfers(signature);
+  for (const { to, lamports } of transfers) {
+    assert.equal(received[to].lamports, lamports);
+    assert.equal(await solana.getConnection().getBalance(new PublicKey(to), "confirmed"), lamports);
+  }
+});
+
+test("a transaction that fails on chain is reported as failed", async (t) => {
+  if (!(await requireValidator(t))) return;
+
+  // More than the treasury holds; skipping preflight lets it land and fail.
+  const { signature, lastValidBlockHeight, err } = await send([
+    { to: Keypair.generate().publicKey.toBase58(), lamports: 1000 * LAMPORTS_PER_SOL }
+  ], { skipPreflight: true });
+  assert.notEqual(err, null);
+
+  const outcomes = await solana.transactionOutcomes([{ signature, lastValidBlockHeight }]);
+  assert.equal(outcomes[signature].state, "failed");
+});
+
+test("a transaction never broadcast is pending until its blockhash expires", async (t) => {
+  if (!(await requireValidator(t))) return;
+
+  const { signature, lastValidBlockHeight } = await solana.signTreasuryTransfers([
+    { to: Keypair.generate().publicKey.toBase58(), lamports: 0.01 * LAMPORTS_PER_SOL }
+  ]);
+
+  const outcomes = await solana.transactionOutcomes([{ signature, lastValidBlockHeight }]);
+  assert.equal(outcomes[signature].state, "pending");
+
+  const expired = await solana.transactionOutcomes([{ signature, lastValidBlockHeight: 0 }]);
+  assert.equal(expired[signature].state, "expired");
+});
+
+test("a USDC transfer opens the recipient's token account", async (t) => {
+  if (!(await requireValidator(t))) return;
+
+  const to = Keypair.generate().publicKey.toBase58();
+  const before = await solana.getTreasuryUsdcBalance();
+
+  const { signature, err } = await send([{ to, asset: "USDC", tokenAmount: solana.usdToUsdcUnits(25) }]);
+  assert.equal(err, null);
+
+  assert.equal(await usdcBalance(to), 25000000);
+  assert.equal(await solana.getTreasuryUsdcBalance(), before - 25000000);
+  assert.equal((await solana.transactionTransfers(signature))[to].tokenAmount, 25000000);
+});
+
+test("SOL and USDC transfers share a batch and existing token accounts are reused", async (t) => {
+  if (!(await requireValidator(t))) return;
+
+  const holder = Keypair.generate().publicKey.toBase58();
+  const other = Keypair.generate().publicKey.toBase58();
+  await send([{ to: holder, asset: "USDC", tokenAmount: solana.usdToUsdcUnits(10) }]);
+
+  // The idempotent create instruction is a no-op for `holder`'s account.
+  const { signature, err } = await send([
+    { to: holder, asset: "USDC", tokenAmount: solana.usdToUsdcUnits(2.5) },
+    { to: other, lamports: 0.05 * LAMPORTS_PER_SOL },
+    { to: other, asset: "USDC", tokenAmount: solana.usdToUsdcUnits(1) }
+  ]);
+  assert.equal(err, null);
+
+  assert.equal(await usdcBalance(holder), 12500000);
+  assert.equal(await usdcBalance(other), 1000000);
+  const received = await solana.transactionTransfers(signature);
+  assert.equal(received[holder].tokenAmount, 2500000);
+  assert.deepEqual(received[other], { lamports: 0.05 * LAMPORTS_PER_SOL, tokenAmount: 1000000 });
+});
+
+test("without a USDC mint the treasury holds no USDC", async (t) => {
+  const mint = process.env.USDC_MINT;
+  delete process.env.USDC_MINT;
+  t.after(() => { if (mint) process.env.USDC_MINT = mint; });
+
+  // localnet has no Circle mint in solanaClusters.json.
+  assert.throws(() => solana.getUsdcMint(), /USDC_MINT missing for cluster localnet/);
+  assert.equal(await solana.getTreasuryUsdcBalance(), 0);
+});
+
+test("SOL transfers and treasury status work without a USDC mint", async (t) => {
+  if (skipWithoutFirestore(t) || !(await requireValidator(t))) return;
+  await clearFirestore();
+  const mint = process.env.USDC_MINT;
+  delete process.env.USDC_MINT;
+  t.after(() => { if (mint) process.env.USDC_MINT = mint; });
+
+  const wallet = Keypair.generate().publicKey.toBase58();
+  const sent = await send([{ to: wallet, lamports: 0.02 * LAMPORTS_PER_SOL }]);
+  assert.equal(sent.err, null);
+  assert.deepEqual((await solana.transactionTransfers(sent.signature))[wallet], {
+    lamports: 0.02 * LAMPORTS_PER_SOL,
+    tokenAmount: 0
+  });
+
+  const status = await treasury.getTreasuryStatus();
+  assert.equal(status.usdcBalance, 0);
+  assert.ok(status.balanceSOL > 0);
+});
+
+test("the payout worker disburses an approved event once", async (t) => {
+  if (skipWithoutFirestore(t) || !(await requireValidator(t))) return;
+  await clearFirestore();
+
+  const wallets = [Keypair.generate(), Keypair.generate()].map(k => k.publicKey.toBase58());
+  await seedUser("worker-1", { zip: "70401", wallet: wallets[0], coverageAmount: 100 });
+  await seedUser("worker-2", { zip: "70401", wallet: wallets[1], coverageAmount: 60 });
+  await seedUser("worker-nowallet", { zip: "70401", wallet: null });
+
+  const event = {
+    eventId: "validator-flood",
+    type: "Flood",
+    location: "Hammond",
+    zipCodes: ["70401"],
+    amount: 100,
+    asset: "SOL",
+    actor: "test"
+  };
+  const queued = await payoutWorker.enqueueEventPayouts(event);
+  assert.equal(queued.staged, false);
+  assert.equal(queued.queued, 2);
+
+  const run = await payoutWorker.processPayoutJob(event.eventId);
+  assert.equal(run.status, "COMPLETED");
+  assert.equal(run.counts.confirmed, 2);
+
+  const recipients = await admin.firestore()
+    .collection("payoutJobs").doc(event.eventId).collection("recipients").get();
+  // Both fit one batch, so they went out in one transaction.
+  assert.equal(new Set(recipients.docs.map(doc => doc.data().signature)).size, 1);
+
+  const connection = solana.getConnection();
+  for (const doc of recipients.docs) {
+    const recipient = doc.data();
+    // $100 and $60 (capped at coverage) at the fixed $150.
+    assert.equal(recipient.lamports, Math.floor(recipient.amountUSD / 150 * LAMPORTS_PER_SOL));
+    assert.equal(
+      await connection.getBalance(new PublicKey(recipient.walletAddress), "confirmed"),
+      recipient.lamports
+    );
+    const payout = (await admin.firestore().collection("payouts").doc(recipient.payoutId).get()).data();
+    assert.equal(payout.status, "DISBURSED");
+    assert.equal(payout.signature, recipient.signature);
+    // Paid to the wallet, so nothing is left to withdraw as well.
+    const user = (await admin.firestore().collection("users").doc(recipient.userId).get()).data();
+    assert.equal(user.balance, 0);
+  }
+
+  // Approving the event again queues nothing new.
+  const again = await payoutWorker.enqueueEventPayouts(event);
+  assert.equal(again.queued, 0);
+});
+
+test("an event already paid to the balance isn't sent to the wallet too", async (t) => {
+  if (skipWithoutFirestore(t) || !(await requireValidator(t))) return;
+  await clearFirestore();
+
+  await seedUser("worker-credited", { zip: "70401", wallet: Keypair.generate().publicKey.toBase58() });
+  // The NOAA trigger's payout: credited to the withdrawable balance.
+  await creditPayout({
+    eventId: "validator-noaa-flood",
+    userId: "worker-credited",
+    amount: 100,
+    reason: "Flood Warning payout",
+    actor: "noaa",
+    coveredOnly: true
+  });
+
+  const result = await payoutWorker.enqueueEventPayouts({
+    eventId: "validator-noaa-flood",
+    type: "Flood",
+    location: "Hammond",
+    zipCodes: ["70401"],
+    amount: 100,
+    asset: "SOL",
+    actor: "test"
+  });
+  assert.equal(result.queued, 0);
+  assert.equal(result.skipped, 1);
+
+  const recipients = await admin.firestore()
+    .collection("payoutJobs").doc("validator-noaa-flood").collection("recipients").get();
+  assert.equal(recipients.size, 0);
+  const user = (await admin.firestore().collection("users").doc("worker-credited").get()).data();
+  assert.equal(user.balance, 100);
+});
+
+test("the payout worker pays USDC events in exact dollars", async (t) => {
+  if (skipWithoutFirestore(t) || !(await requireValidator(t))) return;
+  await clearFirestore();
+
+  const wallet = Keypair.generate().publicKey.toBase58();
+  await seedUser("worker-usdc", { zip: "70112", wallet, coverageAmount: 250 });
+
+  const event = {
+    eventId: "validator-usdc-flood",
+    type: "Flood",
+    location: "New Orleans",
+    zipCodes: ["70112"],
+    amount: 150,
+    asset: "USDC",
+    actor: "test"
+  };
+  assert.equal((await payoutWorker.enqueueEventPayouts(event)).queued, 1);
+
+  const run = await payoutWorker.processPayoutJob(event.eventId);
+  assert.equal(run.status, "COMPLETED");
+
+  const [recipient] = (await admin.firestore()
+    .collection("payoutJobs").doc(event.eventId).collection("recipients").get()).docs.map(doc => doc.data());
+  assert.equal(recipient.asset, "USDC");
+  assert.equal(recipient.tokenAmount, 150000000);
+  assert.equal(recipient.lamports, null);
+  assert.equal(await usdcBalance(wallet), 150000000);
+
+  const payout = (await admin.firestore().collection("payouts").doc(recipient.payoutId).get()).data();
+  assert.equal(payout.status, "DISBURSED");
+  assert.equal(payout.amountUSDC, 150);
+});
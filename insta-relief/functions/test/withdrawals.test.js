@@ -0,0 +1,82 @@
+// The withdrawal approval step (withdrawals.js) against the Firestore
+// emulator. Sending approved withdrawals needs the treasury and is covered by
+// the validator tests.
+
+process.env.NOTIFICATIONS_PROVIDER = "fake";
+
+const test = require("node:test");
+const assert = require("assert/strict");
+const { initAdmin, skipWithoutFirestore, clearFirestore, seedUser } = require("./helpers");
+
+const admin = initAdmin();
+const ledger = require("../ledger");
+const withdrawals = require("../withdrawals");
+
+const ADMIN = { uid: "admin-1", email: "admin@example.com" };
+
+async function withdrawalOf(id) {
+  return (await admin.firestore().collection("withdrawals").doc(id).get()).data();
+}
+
+async function balanceOf(userId) {
+  return (await admin.firestore().collection("users").doc(userId).get()).data().balance;
+}
+
+async function fundedUser(id, amount) {
+  await seedUser(id, { zip: "70401" });
+  await ledger.postEntry({
+    userId: id,
+    type: "credit",
+    amount,
+    reason: "Test funds",
+    actor: "test",
+    counterAccount: ledger.ACCOUNTS.ADJUSTMENTS
+  });
+}
+
+test("a withdrawal waits for another admin's approval", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  await fundedUser("withdrawer", 100);
+
+  const { withdrawalId, balanceAfter } = await withdrawals.requestWithdrawal("withdrawer", 40);
+  assert.equal(balanceAfter, 60);
+  assert.equal((await withdrawalOf(withdrawalId)).status, "requested");
+
+  await assert.rejects(
+    withdrawals.approveWithdrawal(withdrawalId, { uid: "withdrawer", email: "withdrawer@example.com" }),
+    /Another admin must approve your own withdrawal/
+  );
+
+  assert.deepEqual(await withdrawals.approveWithdrawal(withdrawalId, ADMIN), { withdrawalId, status: "pending" });
+  const approved = await withdrawalOf(withdrawalId);
+  assert.equal(approved.status, "pending");
+  assert.equal(approved.approvedBy, "admin@example.com");
+
+  await assert.rejects(withdrawals.approveWithdrawal(withdrawalId, ADMIN), /is pending, not awaiting approval/);
+  await assert.rejects(withdrawals.rejectWithdrawal(withdrawalId, ADMIN), /is pending, not awaiting approval/);
+  assert.equal(await balanceOf("withdrawer"), 60);
+});
+
+test("a rejected withdrawal is refunded once", async (t) => {
+  if (skipWithoutFirestore(t)) return;
+  await clearFirestore();
+  await fundedUser("rejected", 100);
+
+  const { withdrawalId } = await withdrawals.requestWithdrawal("rejected", 40);
+  assert.deepEqual(
+    await withdrawals.rejectWithdrawal(withdrawalId, ADMIN, "Wallet under review"),
+    { withdrawalId, status: "rejected" }
+  );
+
+  const rejected = await withdrawalOf(withdrawalId);
+  assert.equal(rejected.status, "rejected");
+  assert.equal(rejected.error, "Wallet under review");
+  assert.equal(rejected.rejectedBy, "admin@example.com");
+  assert.equal(await balanceOf("rejected"), 100);
+
+  await assert.rejects(withdrawals.rejectWithdrawal(withdrawalId, ADMIN), /is rejected, not awaiting approval/);
+  assert.equal(await balanceOf("rejected"), 100);
+
+  await assert.rejects(withdrawals.approveWithdrawal("missing", ADMIN), /Withdrawal missing not found/);
+});
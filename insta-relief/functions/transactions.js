@@ -0,0 +1,121 @@
+const admin = require("firebase-admin");
+const ledger = require("./ledger");
+const { explorerUrl } = require("./solana");
+
+// A policyholder's transaction history is their ledger (`users/{uid}/ledger`):
+// every payout, withdrawal, refund and admin adjustment posts an entry there
+// with the running balance. Entries are joined with their `payouts` and
+// `withdrawals` docs for on-chain details. A payout sent to the wallet shows
+// as the payout followed by its disbursement, which shares the payout's
+// status.
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 25;
+
+function kindOf(entry) {
+  if (entry.metadata?.withdrawalId) {
+    return entry.type === "debit" ? "withdrawal" : "withdrawal_refund";
+  }
+  if (entry.counterAccount === `ledgerAccounts/${ledger.ACCOUNTS.RELIEF_FUND}` && entry.eventId) {
+    return "payout";
+  }
+  if (entry.counterAccount === `ledgerAccounts/${ledger.ACCOUNTS.DISBURSED}`) {
+    return "disbursement";
+  }
+  return "adjustment";
+}
+
+async function payoutsByEntry(userId, entryIds) {
+  if (entryIds.length === 0) return {};
+
+  const snap = await admin.firestore().collection("payouts")
+    .where("userId", "==", userId)
+    .where("entryId", "in", entryIds)
+    .get();
+  return Object.fromEntries(snap.docs.map(doc => [doc.data().entryId, doc.data()]));
+}
+
+async function withdrawalsById(ids) {
+  if (ids.length === 0) return {};
+
+  const db = admin.firestore();
+  const snaps = await db.getAll(...ids.map(id => db.collection("withdrawals").doc(id)));
+  return Object.fromEntries(snaps.filter(s => s.exists).map(s => [s.id, s.data()]));
+}
+
+function toTransaction(id, entry, payout, withdrawal) {
+  const kind = kindOf(entry);
+  const signature = withdrawal?.signature || payout?.signature || entry.metadata?.signature || null;
+
+  let status = "COMPLETED";
+  if (kind === "payout" || kind === "disbursement") status = payout?.status || "CREDITED";
+  if (kind === "withdrawal") status = (withdrawal?.status || "pending").toUpperCase();
+
+  return {
+    id,
+    kind,
+    description: payout?.metadata?.type || entry.metadata?.type || entry.reason,
+    location: payout?.metadata?.location || entry.metadata?.location || null,
+    eventId: entry.eventId || null,
+    amount: entry.type === "credit" ? entry.amount : -entry.amount,
+    balanceAfter: entry.balanceAfter,
+    status,
+    amountSOL: withdrawal?.amountSOL || payout?.amountSOL || null,
+    exchangeRate: withdrawal?.exchangeRate || payout?.exchangeRate || null,
+    quoteId: withdrawal?.quoteId || payout?.quoteId || entry.metadata?.quoteId || null,
+    signature,
+    explorerUrl: withdrawal?.explorerUrl || payout?.explorerUrl || (signature ? explorerUrl(signature) : null),
+    createdAt: entry.createdAt
+  };
+}
+
+// Newest first. `cursor` is the id of the last entry of the previous page.
+// Returns { transactions, nextCursor, total }.
+async function listTransactions(userId, { pageSize = DEFAULT_PAGE_SIZE, cursor = null } = {}) {
+  const limit = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const entries = admin.firestore().collection("users").doc(userId).collection("ledger");
+
+  let query = entries
+    .orderBy("createdAt", "desc")
+    .orderBy(admin.firestore.FieldPath.documentId(), "desc");
+
+  if (cursor) {
+    const after = await entries.doc(String(cursor)).get();
+    if (!after.exists) throw new Error("Invalid cursor");
+    query = query.startAfter(after);
+  }
+
+  const [page, count] = await Promise.all([
+    query.limit(limit + 1).get(),
+    entries.count().get()
+  ]);
+
+  const docs = page.docs.slice(0, limit);
+  const data = docs.map(doc => doc.data());
+
+  // Disbursements are joined on the credit they pay out.
+  const payoutEntryIds = docs.map((doc, i) => {
+    const kind = kindOf(data[i]);
+    if (kind === "payout") return doc.id;
+    return kind === "disbursement" ? data[i].metadata?.creditEntryId : null;
+  });
+
+  const [payouts, withdrawals] = await Promise.all([
+    payoutsByEntry(userId, [...new Set(payoutEntryIds.filter(Boolean))]),
+    withdrawalsById([...new Set(data.map(entry => entry.metadata?.withdrawalId).filter(Boolean))])
+  ]);
+
+  return {
+    transactions: docs.map((doc, i) =>
+      toTransaction(doc.id, data[i], payouts[payoutEntryIds[i]], withdrawals[data[i].metadata?.withdrawalId])
+    ),
+    nextCursor: page.docs.length > limit ? docs[docs.length - 1].id : null,
+    total: count.data().count
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  listTransactions
+};
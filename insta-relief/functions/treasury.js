@@ -0,0 +1,263 @@
+const admin = require("firebase-admin");
+const { LAMPORTS_PER_SOL } = require("@solana/web3.js");
+const {
+  ASSETS,
+  CLUSTER,
+  USDC_DECIMALS,
+  getConnection,
+  getTreasuryKeypair,
+  getTreasuryUsdcBalance,
+  tokenAccountRent
+} = require("./solana");
+const { getSolUsdPrice, usdToLamports } = require("./price");
+const { locationsInZips, locationPayout } = require("./locations");
+const products = require("./products");
+const { notify } = require("./notifications");
+const { isInForce } = require("./policies");
+
+// The treasury wallet pays catastrophe payouts and withdrawals. Part of its
+// balance is already spoken for:
+//
+//   reserved  = queued payout transfers not yet broadcast
+//             + withdrawals not yet broadcast (at the current SOL price)
+//             + estimated fees, and rent for each queued USDC payout's
+//               token account
+//   available = balance - reserved - TREASURY_MIN_RESERVE_SOL
+//
+// USDC is tracked the same way against the treasury's USDC token account.
+//
+// Transfers that have been broadcast are not reserved: once they land they
+// are already out of the balance. approveCatastrophe stages an event instead
+// of paying it when `available` can't cover it, and monitorTreasury warns
+// TREASURY_ALERT_EMAILS when `available` drops below the exposure implied by
+// the policies under active NOAA alerts.
+
+// One signature per transfer; batched payouts pay less, so this errs high.
+const FEE_LAMPORTS_PER_TRANSFER = 5000;
+const MIN_RESERVE_LAMPORTS = Math.round(
+  parseFloat(process.env.TREASURY_MIN_RESERVE_SOL || "0.01") * LAMPORTS_PER_SOL
+);
+const ALERT_EMAILS = (process.env.TREASURY_ALERT_EMAILS || "")
+  .split(",")
+  .map(email => email.trim())
+  .filter(Boolean);
+
+function toSOL(lamports) {
+  return lamports / LAMPORTS_PER_SOL;
+}
+
+function toUSDC(units) {
+  return units / 10 ** USDC_DECIMALS;
+}
+
+function statusRef() {
+  return admin.firestore().collection("treasury").doc("status");
+}
+
+async function reservedForPayouts(excludeEventId) {
+  const db = admin.firestore();
+  const jobs = await db.collection("payoutJobs")
+    .where("status", "in", ["QUEUED", "PROCESSING"])
+    .get();
+
+  let lamports = 0;
+  let tokenAmount = 0;
+  let transfers = 0;
+  let tokenTransfers = 0;
+
+  for (const job of jobs.docs) {
+    if (job.id === excludeEventId) continue;
+
+    const pending = job.ref.collection("recipients").where("state", "==", "pending");
+    const [all, usdc] = await Promise.all([
+      pending.aggregate({
+        lamports: admin.firestore.AggregateField.sum("lamports"),
+        tokenAmount: admin.firestore.AggregateField.sum("tokenAmount"),
+        transfers: admin.firestore.AggregateField.count()
+      }).get(),
+      pending.where("asset", "==", ASSETS.USDC).count().get()
+    ]);
+    lamports += all.data().lamports || 0;
+    tokenAmount += all.data().tokenAmount || 0;
+    transfers += all.data().transfers;
+    tokenTransfers += usdc.data().count;
+  }
+
+  return { lamports, tokenAmount, transfers, tokenTransfers };
+}
+
+async function reservedForWithdrawals() {
+  const snap = await admin.firestore().collection("withdrawals")
+    .where("status", "in", ["requested", "pending", "processing"])
+    .get();
+
+  const unsent = snap.docs.map(doc => doc.data()).filter(w => !w.signature);
+  if (unsent.length === 0) return { lamports: 0, transfers: 0 };
+
+  const price = await getSolUsdPrice();
+  const lamports = unsent.reduce((sum, w) => sum + (w.lamports || usdToLamports(w.amountUSD, price)), 0);
+  return { lamports, transfers: unsent.length };
+}
+
+// Balance, reserved and available funds of the treasury wallet. Pass
+// `excludeEventId` to leave an event's own queued transfers out of the
+// reservation, e.g. when re-approving it.
+async function getTreasuryStatus({ excludeEventId = null } = {}) {
+  const address = getTreasuryKeypair().publicKey;
+
+  const [balanceLamports, usdcBalance, rent, payouts, withdrawals] = await Promise.all([
+    getConnection().getBalance(address, "confirmed"),
+    getTreasuryUsdcBalance(),
+    tokenAccountRent(),
+    reservedForPayouts(excludeEventId),
+    reservedForWithdrawals()
+  ]);
+
+  const fees = (payouts.transfers + withdrawals.transfers) * FEE_LAMPORTS_PER_TRANSFER;
+  const reservedLamports = payouts.lamports + withdrawals.lamports + fees + payouts.tokenTransfers * rent;
+  const availableLamports = balanceLamports - reservedLamports - MIN_RESERVE_LAMPORTS;
+
+  return {
+    address: address.toBase58(),
+    cluster: CLUSTER,
+    balanceLamports,
+    reservedLamports,
+    minReserveLamports: MIN_RESERVE_LAMPORTS,
+    availableLamports,
+    balanceSOL: toSOL(balanceLamports),
+    reservedSOL: toSOL(reservedLamports),
+    availableSOL: toSOL(availableLamports),
+    usdcBalance: toUSDC(usdcBalance),
+    usdcReserved: toUSDC(payouts.tokenAmount),
+    usdcAvailable: toUSDC(usdcBalance - payouts.tokenAmount),
+    usdcAvailableUnits: usdcBalance - payouts.tokenAmount,
+    tokenAccountRentLamports: rent,
+    queuedPayouts: payouts.transfers,
+    queuedWithdrawals: withdrawals.transfers,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+// Pre-flight check for `transfers` payouts totalling `lamports` of SOL and
+// `tokenAmount` USDC base units, `tokenTransfers` of which are in USDC.
+async function checkFunding({ lamports = 0, tokenAmount = 0, transfers, tokenTransfers = 0, excludeEventId = null }) {
+  const status = await getTreasuryStatus({ excludeEventId });
+  const requiredLamports = lamports +
+    transfers * FEE_LAMPORTS_PER_TRANSFER +
+    tokenTransfers * status.tokenAccountRentLamports;
+  const shortfallLamports = Math.max(requiredLamports - status.availableLamports, 0);
+  const shortfallUnits = Math.max(tokenAmount - status.usdcAvailableUnits, 0);
+
+  return {
+    ...status,
+    requiredLamports,
+    requiredSOL: toSOL(requiredLamports),
+    requiredUSDC: toUSDC(tokenAmount),
+    shortfallLamports,
+    shortfallSOL: toSOL(shortfallLamports),
+    shortfallUSDC: toUSDC(shortfallUnits),
+    covered: shortfallLamports === 0 && shortfallUnits === 0
+  };
+}
+
+// What the treasury would owe if every active alert thread paid each insured
+// location in its ZIPs the product's per-event maximum (capped at the
+// location's coverage amount).
+async function activeAlertExposure(now = new Date()) {
+  const threads = await admin.firestore().collection("alertThreads")
+    .where("status", "==", "ACTIVE")
+    .get();
+
+  const threadsPerZip = {};
+  let activeThreads = 0;
+  for (const doc of threads.docs) {
+    const { payoutWindowEndsAt, zips = [] } = doc.data();
+    if (payoutWindowEndsAt && new Date(payoutWindowEndsAt) < now) continue;
+
+    activeThreads++;
+    zips.forEach(zip => { threadsPerZip[zip] = (threadsPerZip[zip] || 0) + 1; });
+  }
+
+  const matches = await locationsInZips(Object.keys(threadsPerZip));
+  let exposureUSD = 0;
+  const policies = new Set();
+  let locationCount = 0;
+
+  for (const { userDoc, location } of matches) {
+    const user = userDoc.data();
+    if (!isInForce(user)) continue;
+
+    const product = await products.getProduct(user.productId);
+    exposureUSD += locationPayout(location, product.maxPerEvent || 0) * threadsPerZip[location.zip];
+    policies.add(userDoc.id);
+    locationCount++;
+  }
+
+  const exposureLamports = exposureUSD > 0 ? usdToLamports(exposureUSD, await getSolUsdPrice()) : 0;
+
+  return {
+    activeThreads,
+    zips: Object.keys(threadsPerZip).length,
+    policies: policies.size,
+    locations: locationCount,
+    exposureUSD,
+    exposureLamports,
+    exposureSOL: toSOL(exposureLamports)
+  };
+}
+
+async function alertAdmins(status) {
+  const subject = `Treasury below alert exposure ($${status.availableUSD.toFixed(2)} available)`;
+  const text = `The ${status.cluster} treasury wallet ${status.address} has $${status.availableUSD.toFixed(2)} available: ` +
+    `${status.availableSOL.toFixed(4)} SOL (${status.balanceSOL.toFixed(4)} SOL balance, ${status.reservedSOL.toFixed(4)} SOL reserved) ` +
+    `and ${status.usdcAvailable.toFixed(2)} USDC. ` +
+    `${status.exposure.policies} policies under ${status.exposure.activeThreads} active NOAA alert(s) could claim ` +
+    `up to $${status.exposure.exposureUSD.toFixed(2)} (${status.exposure.exposureSOL.toFixed(4)} SOL).`;
+
+  for (const email of ALERT_EMAILS) {
+    await notify({ email, name: "Insta-Relief admin" }, {
+      category: "treasury",
+      channels: ["email"],
+      subject,
+      html: `<p>${text}</p><p>Fund the treasury before approving further payouts.</p>`,
+      text
+    });
+  }
+}
+
+// Refreshes `treasury/status` and notifies admins when available funds first
+// fall below the active alert exposure.
+async function monitorTreasury() {
+  const [status, exposure, previous] = await Promise.all([
+    getTreasuryStatus(),
+    activeAlertExposure(),
+    statusRef().get()
+  ]);
+
+  // Either asset can pay a claim, so compare in dollars.
+  const price = exposure.exposureUSD > 0 ? await getSolUsdPrice() : 0;
+  const availableUSD = Math.max(status.availableSOL, 0) * price + Math.max(status.usdcAvailable, 0);
+  const lowReserve = exposure.exposureUSD > 0 && availableUSD < exposure.exposureUSD;
+  const record = { ...status, availableUSD, exposure, lowReserve, updatedAt: new Date().toISOString() };
+
+  if (lowReserve && !previous.data()?.lowReserve) {
+    console.warn(`Treasury available $${availableUSD.toFixed(2)} < exposure $${exposure.exposureUSD.toFixed(2)}`);
+    await alertAdmins(record);
+    record.lowReserveSince = record.updatedAt;
+  } else if (lowReserve) {
+    record.lowReserveSince = previous.data().lowReserveSince || record.updatedAt;
+  } else {
+    record.lowReserveSince = null;
+  }
+
+  await statusRef().set(record);
+  return record;
+}
+
+module.exports = {
+  FEE_LAMPORTS_PER_TRANSFER,
+  getTreasuryStatus,
+  checkFunding,
+  activeAlertExposure,
+  monitorTreasury
+};
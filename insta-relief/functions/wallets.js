@@ -0,0 +1,108 @@
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const bs58 = require("bs58");
+const { isValidAddress } = require("./solana");
+
+// Proves a user controls the wallet they want paid to. The client asks for a
+// nonce (requestWalletNonce), signs the returned message in Phantom and sends
+// the signature back (verifyWallet). Only then is `walletAddress` written to
+// the user doc, together with `walletVerified: true`; clients can't set either
+// field themselves (firestore.rules), so changing the address means verifying
+// the new one. Payouts and withdrawals only go to verified wallets.
+
+const NONCE_TTL_MS = 10 * 60 * 1000;
+
+function nonceRef(userId) {
+  return admin.firestore().collection("walletNonces").doc(userId);
+}
+
+function verificationMessage({ userId, walletAddress, nonce, issuedAt }) {
+  return [
+    "Insta-Relief wallet verification",
+    "",
+    "Sign this message to receive relief payouts at this wallet. It does not send a transaction or cost anything.",
+    "",
+    `Wallet: ${walletAddress}`,
+    `User: ${userId}`,
+    `Nonce: ${nonce}`,
+    `Issued: ${issuedAt}`
+  ].join("\n");
+}
+
+// Issues a fresh nonce for `walletAddress`, replacing any earlier one.
+async function issueNonce(userId, walletAddress) {
+  if (!isValidAddress(walletAddress)) {
+    throw new Error("Invalid Solana wallet address");
+  }
+
+  const now = new Date();
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = now.toISOString();
+  const message = verificationMessage({ userId, walletAddress, nonce, issuedAt });
+  const expiresAt = new Date(now.getTime() + NONCE_TTL_MS).toISOString();
+
+  await nonceRef(userId).set({ walletAddress, nonce, message, createdAt: issuedAt, expiresAt });
+  return { message, expiresAt };
+}
+
+// ed25519 check of a detached signature by the wallet's public key.
+function signatureValid(walletAddress, message, signature) {
+  const key = crypto.createPublicKey({
+    key: { kty: "OKP", crv: "Ed25519", x: Buffer.from(bs58.decode(walletAddress)).toString("base64url") },
+    format: "jwk"
+  });
+  return crypto.verify(null, Buffer.from(message, "utf8"), key, Buffer.from(signature, "base64"));
+}
+
+// Consumes the user's nonce and, if `signature` (base64) signs its message
+// with `walletAddress`'s key, records the wallet as verified.
+async function verifyWallet(userId, walletAddress, signature) {
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(userId);
+
+  return db.runTransaction(async (t) => {
+    const [nonceSnap, userSnap] = await Promise.all([t.get(nonceRef(userId)), t.get(userRef)]);
+    if (!userSnap.exists) throw new Error(`User ${userId} not found`);
+    if (!nonceSnap.exists) throw new Error("No verification pending; request a new message");
+
+    const pending = nonceSnap.data();
+    if (pending.walletAddress !== walletAddress) {
+      throw new Error("Wallet does not match the verification request");
+    }
+    if (new Date(pending.expiresAt) < new Date()) {
+      throw new Error("Verification message expired; request a new one");
+    }
+
+    let valid = false;
+    try {
+      valid = signatureValid(walletAddress, pending.message, signature);
+    } catch (error) {
+      console.warn(`Malformed wallet signature from ${userId}:`, error.message);
+    }
+    if (!valid) throw new Error("Signature does not match the wallet");
+
+    t.delete(nonceSnap.ref);
+    const verifiedAt = new Date().toISOString();
+    const previous = userSnap.data().walletAddress || null;
+    t.update(userRef, {
+      walletAddress,
+      walletVerified: true,
+      walletVerifiedAt: verifiedAt,
+      ...(previous && previous !== walletAddress ? { previousWalletAddress: previous } : {})
+    });
+
+    return { walletAddress, walletVerified: true, walletVerifiedAt: verifiedAt };
+  });
+}
+
+// Verified wallet of a user doc's data, or null.
+function payableWallet(user) {
+  return user.walletVerified && isValidAddress(user.walletAddress) ? user.walletAddress : null;
+}
+
+module.exports = {
+  NONCE_TTL_MS,
+  issueNonce,
+  verifyWallet,
+  payableWallet
+};
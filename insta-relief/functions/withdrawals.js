@@ -0,0 +1,429 @@
+const admin = require("firebase-admin");
+const { LAMPORTS_PER_SOL } = require("@solana/web3.js");
+const ledger = require("./ledger");
+const {
+  getConnection,
+  signTreasuryTransfers,
+  transactionOutcomes,
+  explorerUrl
+} = require("./solana");
+const { getQuote, usdToLamports } = require("./price");
+const { notifyUser } = require("./notifications");
+const { payableWallet } = require("./wallets");
+
+// A withdrawal is requested by the policyholder, approved by an admin and
+// paid from the treasury wallet:
+//
+//   requested -> pending -> processing -> settled
+//            \-> rejected (refunded)   \-> failed (refunded)
+//
+// The amount is debited from the user's ledger into the `withdrawals_payable`
+// account when the request is made, so it can't be spent twice; a rejected
+// or failed withdrawal credits it back. Nothing leaves the treasury until an
+// admin other than the policyholder approves the request. As with
+// catastrophe payouts, the signature is stored before the transaction is
+// broadcast and an unconfirmed transfer is resolved later by
+// settleStalledWithdrawals().
+
+const MIN_WITHDRAWAL = 10;
+const MAX_WITHDRAWAL = 1000;
+const LEASE_MS = 2 * 60 * 1000;
+const RETRY_PENDING_AFTER_MS = 2 * 60 * 1000;
+
+const STATUS = {
+  REQUESTED: "requested",
+  REJECTED: "rejected",
+  PENDING: "pending",
+  PROCESSING: "processing",
+  SETTLED: "settled",
+  FAILED: "failed"
+};
+
+function withdrawalRef(id) {
+  return admin.firestore().collection("withdrawals").doc(id);
+}
+
+async function requestWithdrawal(userId, amountUSD) {
+  const amount = ledger.roundCents(amountUSD);
+  if (!Number.isFinite(amount) || amount < MIN_WITHDRAWAL) {
+    throw new Error(`Minimum withdrawal is $${MIN_WITHDRAWAL.toFixed(2)}`);
+  }
+  if (amount > MAX_WITHDRAWAL) {
+    throw new Error(`Maximum withdrawal is $${MAX_WITHDRAWAL.toFixed(2)} per transaction`);
+  }
+
+  const db = admin.firestore();
+  const userRef = db.collection("users").doc(userId);
+  const ref = db.collection("withdrawals").doc();
+
+  return db.runTransaction(async (t) => {
+    const userSnap = await t.get(userRef);
+    if (!userSnap.exists) throw new Error(`User ${userId} not found`);
+
+    const user = userSnap.data();
+    if (!payableWallet(user)) {
+      throw new Error("Verify your wallet before withdrawing");
+    }
+
+    const now = new Date().toISOString();
+    // Throws "Insufficient balance" when the reserve would overdraw.
+    const { entryId, balanceAfter } = await ledger.postEntryWith(t, {
+      userId,
+      type: "debit",
+      amount,
+      reason: "Withdrawal to wallet",
+      actor: `user:${userId}`,
+      idempotencyKey: `withdrawal:${ref.id}`,
+      counterAccount: ledger.ACCOUNTS.WITHDRAWALS,
+      userUpdates: { lastWithdrawal: now },
+      metadata: { withdrawalId: ref.id }
+    });
+
+    t.create(ref, {
+      userId,
+      email: user.email || null,
+      walletAddress: user.walletAddress,
+      amountUSD: amount,
+      status: STATUS.REQUESTED,
+      entryId,
+      balanceAfter,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    return { withdrawalId: ref.id, amountUSD: amount, balanceAfter };
+  });
+}
+
+async function notifyOutcome(withdrawal, message) {
+  try {
+    await notifyUser(withdrawal.userId, { category: "withdrawal", ...message });
+  } catch (error) {
+    console.error(`Withdrawal notification to ${withdrawal.userId} failed:`, error.message);
+  }
+}
+
+// Releases a requested withdrawal to the treasury. `approver` is the admin
+// ({ uid, email }); the processWithdrawal trigger sends it.
+async function approveWithdrawal(id, approver) {
+  const ref = withdrawalRef(id);
+
+  return admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) throw new Error(`Withdrawal ${id} not found`);
+
+    const withdrawal = snap.data();
+    if (withdrawal.status !== STATUS.REQUESTED) {
+      throw new Error(`Withdrawal ${id} is ${withdrawal.status}, not awaiting approval`);
+    }
+    if (withdrawal.userId === approver.uid) {
+      throw new Error("Another admin must approve your own withdrawal");
+    }
+
+    const now = new Date().toISOString();
+    t.update(ref, {
+      status: STATUS.PENDING,
+      approvedBy: approver.email || approver.uid,
+      approvedAt: now,
+      updatedAt: now
+    });
+    return { withdrawalId: id, status: STATUS.PENDING };
+  });
+}
+
+// Turns down a requested withdrawal and returns the reserved funds.
+async function rejectWithdrawal(id, approver, reason = null) {
+  const db = admin.firestore();
+  const ref = withdrawalRef(id);
+  const actor = approver.email || approver.uid;
+
+  const rejected = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) throw new Error(`Withdrawal ${id} not found`);
+
+    const withdrawal = snap.data();
+    if (withdrawal.status !== STATUS.REQUESTED) {
+      throw new Error(`Withdrawal ${id} is ${withdrawal.status}, not awaiting approval`);
+    }
+
+    // Shares the refund key with failAndRefund: a withdrawal is refunded once.
+    const { entryId } = await ledger.postEntryWith(t, {
+      userId: withdrawal.userId,
+      type: "credit",
+      amount: withdrawal.amountUSD,
+      reason: "Withdrawal rejected",
+      actor,
+      idempotencyKey: `withdrawal-refund:${id}`,
+      counterAccount: ledger.ACCOUNTS.WITHDRAWALS,
+      metadata: { withdrawalId: id, error: reason }
+    });
+
+    const now = new Date().toISOString();
+    t.update(ref, {
+      status: STATUS.REJECTED,
+      error: reason || "Rejected by an admin",
+      refundEntryId: entryId,
+      rejectedBy: actor,
+      rejectedAt: now,
+      updatedAt: now
+    });
+    return withdrawal;
+  });
+
+  await notifyOutcome(rejected, {
+    subject: "Withdrawal not approved",
+    html: `<p>Your withdrawal of <b>$${rejected.amountUSD.toFixed(2)}</b> was not approved and has been returned to your balance.</p>`,
+    text: `Your withdrawal of $${rejected.amountUSD.toFixed(2)} was not approved and has been returned to your balance.${reason ? ` ${reason}` : ""}`,
+    sms: `Insta-Relief: your $${rejected.amountUSD.toFixed(2)} withdrawal was not approved and was returned to your balance.`
+  });
+  return { withdrawalId: id, status: STATUS.REJECTED };
+}
+
+async function settle(id, signature) {
+  const ref = withdrawalRef(id);
+  const url = explorerUrl(signature);
+
+  const settled = await admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (snap.data().status !== STATUS.PROCESSING) return null;
+
+    t.update(ref, {
+      status: STATUS.SETTLED,
+      signature,
+      explorerUrl: url,
+      settledAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    return snap.data();
+  });
+
+  if (settled) {
+    await notifyOutcome(settled, {
+      subject: `Withdrawal sent: $${settled.amountUSD.toFixed(2)}`,
+      html: `<p>Your withdrawal of <b>$${settled.amountUSD.toFixed(2)}</b> has been sent to your wallet.</p><p><a href="${url}">View the transaction</a></p>`,
+      text: `Your withdrawal of $${settled.amountUSD.toFixed(2)} has been sent to your wallet: ${url}`,
+      sms: `Insta-Relief: your $${settled.amountUSD.toFixed(2)} withdrawal has been sent to your wallet.`
+    });
+  }
+}
+
+// Marks the withdrawal failed and returns the reserved funds in the same
+// transaction, so a withdrawal is refunded at most once. Reconciliation
+// passes `from` to also fail a settled withdrawal whose transfer failed on
+// chain.
+async function failAndRefund(id, reason, { from = [STATUS.PENDING, STATUS.PROCESSING] } = {}) {
+  const db = admin.firestore();
+  const ref = withdrawalRef(id);
+
+  const failed = await db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const withdrawal = snap.data();
+    if (!from.includes(withdrawal.status)) return null;
+
+    const { entryId } = await ledger.postEntryWith(t, {
+      userId: withdrawal.userId,
+      type: "credit",
+      amount: withdrawal.amountUSD,
+      reason: "Withdrawal refund",
+      actor: "system:withdrawals",
+      idempotencyKey: `withdrawal-refund:${id}`,
+      counterAccount: ledger.ACCOUNTS.WITHDRAWALS,
+      metadata: { withdrawalId: id, error: reason }
+    });
+
+    t.update(ref, {
+      status: STATUS.FAILED,
+      error: reason,
+      refundEntryId: entryId,
+      failedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    return withdrawal;
+  });
+
+  if (failed) {
+    await notifyOutcome(failed, {
+      subject: "Withdrawal could not be completed",
+      html: `<p>Your withdrawal of <b>$${failed.amountUSD.toFixed(2)}</b> could not be sent and has been returned to your balance.</p>`,
+      text: `Your withdrawal of $${failed.amountUSD.toFixed(2)} could not be sent and has been returned to your balance.`,
+      sms: `Insta-Relief: your $${failed.amountUSD.toFixed(2)} withdrawal failed and was returned to your balance.`
+    });
+  }
+}
+
+// A failed (and refunded) withdrawal whose transfer landed after all: settles
+// it and takes the refund back. Throws "Insufficient balance" if the user has
+// already spent the refund, leaving the withdrawal failed.
+async function settleRefunded(id, signature) {
+  const db = admin.firestore();
+  const ref = withdrawalRef(id);
+
+  return db.runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    const withdrawal = snap.data();
+    if (withdrawal.status !== STATUS.FAILED) return null;
+
+    await ledger.postEntryWith(t, {
+      userId: withdrawal.userId,
+      type: "debit",
+      amount: withdrawal.amountUSD,
+      reason: "Withdrawal refund reversed (transfer landed)",
+      actor: "system:reconciliation",
+      idempotencyKey: `withdrawal-refund-reversal:${id}`,
+      counterAccount: ledger.ACCOUNTS.WITHDRAWALS,
+      metadata: { withdrawalId: id, signature }
+    });
+
+    t.update(ref, {
+      status: STATUS.SETTLED,
+      signature,
+      explorerUrl: explorerUrl(signature),
+      settledAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    return withdrawal;
+  });
+}
+
+async function claim(id) {
+  const ref = withdrawalRef(id);
+
+  return admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists || snap.data().status !== STATUS.PENDING) return null;
+
+    t.update(ref, {
+      status: STATUS.PROCESSING,
+      attempts: (snap.data().attempts || 0) + 1,
+      leaseUntil: new Date(Date.now() + LEASE_MS).toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    return snap.data();
+  });
+}
+
+async function processWithdrawal(id) {
+  const withdrawal = await claim(id);
+  if (!withdrawal) {
+    console.log(`Withdrawal ${id} is not pending, skipping`);
+    return;
+  }
+
+  const ref = withdrawalRef(id);
+  let signed;
+
+  try {
+    const quote = await getQuote();
+    const lamports = usdToLamports(withdrawal.amountUSD, quote.price);
+    signed = await signTreasuryTransfers([{ to: withdrawal.walletAddress, lamports }]);
+
+    await ref.update({
+      signature: signed.signature,
+      lastValidBlockHeight: signed.lastValidBlockHeight,
+      lamports,
+      amountSOL: lamports / LAMPORTS_PER_SOL,
+      exchangeRate: quote.price,
+      quoteId: quote.quoteId,
+      updatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    // Nothing was broadcast; let the scheduled job try again.
+    console.error(`Withdrawal ${id} not sent:`, error.message);
+    await ref.update({
+      status: STATUS.PENDING,
+      lastError: error.message,
+      leaseUntil: null,
+      updatedAt: new Date().toISOString()
+    });
+    return;
+  }
+
+  const connection = getConnection();
+  try {
+    await connection.sendRawTransaction(signed.transaction.serialize());
+  } catch (error) {
+    // Preflight rejected the transaction, so it can never land.
+    await failAndRefund(id, error.message);
+    return;
+  }
+
+  try {
+    const result = await connection.confirmTransaction(
+      {
+        signature: signed.signature,
+        blockhash: signed.blockhash,
+        lastValidBlockHeight: signed.lastValidBlockHeight
+      },
+      "confirmed"
+    );
+    if (result.value.err) {
+      await failAndRefund(id, `Transaction failed: ${JSON.stringify(result.value.err)}`);
+      return;
+    }
+  } catch (error) {
+    console.warn(`Withdrawal ${id} not yet confirmed:`, error.message);
+    return;
+  }
+
+  await settle(id, signed.signature);
+}
+
+// Resolves withdrawals left in `processing` and retries stuck `pending` ones.
+async function settleStalledWithdrawals() {
+  const db = admin.firestore();
+  const now = Date.now();
+
+  const processing = await db.collection("withdrawals")
+    .where("status", "==", STATUS.PROCESSING)
+    .get();
+
+  const broadcast = processing.docs.filter(doc => doc.data().signature);
+  const outcomes = await transactionOutcomes(broadcast.map(doc => doc.data()));
+
+  for (const doc of processing.docs) {
+    const withdrawal = doc.data();
+
+    if (!withdrawal.signature) {
+      // Crashed between claiming and signing: nothing was sent.
+      if (!withdrawal.leaseUntil || new Date(withdrawal.leaseUntil).getTime() < now) {
+        await doc.ref.update({ status: STATUS.PENDING, leaseUntil: null, updatedAt: new Date().toISOString() });
+      }
+      continue;
+    }
+
+    const { state, err } = outcomes[withdrawal.signature];
+    if (state === "confirmed") {
+      await settle(doc.id, withdrawal.signature);
+    } else if (state === "failed") {
+      await failAndRefund(doc.id, `Transaction failed: ${JSON.stringify(err)}`);
+    } else if (state === "expired") {
+      await failAndRefund(doc.id, "Transaction expired before landing");
+    }
+  }
+
+  const pending = await db.collection("withdrawals")
+    .where("status", "==", STATUS.PENDING)
+    .get();
+
+  for (const doc of pending.docs) {
+    if (now - new Date(doc.data().updatedAt).getTime() >= RETRY_PENDING_AFTER_MS) {
+      await processWithdrawal(doc.id);
+    }
+  }
+
+  return { processing: processing.size, pending: pending.size };
+}
+
+module.exports = {
+  MIN_WITHDRAWAL,
+  MAX_WITHDRAWAL,
+  STATUS,
+  requestWithdrawal,
+  approveWithdrawal,
+  rejectWithdrawal,
+  processWithdrawal,
+  settleStalledWithdrawals,
+  failAndRefund,
+  settleRefunded
+};
@@ -7,6 +7,7 @@ import LoginPage from "../src/pages/Login";
 import DashboardPage from "../src/pages/Dashboard"
 import AdminLogin from "./pages/AdminLogin";
 import AdminDashboard from "./pages/AdminDashboard";
+import ClusterBanner from "./components/ClusterBanner";
 
 
 
@@ -14,6 +15,7 @@ export default function App() {
   return (
     <AppThemeProvider>
       <CssBaseline />
+      <ClusterBanner />
       <BrowserRouter>
         <Routes>
           <Route path="/" element={<OnboardingPage />} />
@@ -1,7 +1,6 @@
 import { useState, useRef, useEffect } from "react";
 import {
   Box,
-  Button,
   Card,
   CardContent,
   TextField,
@@ -18,27 +17,97 @@ import {
 import SendIcon from "@mui/icons-material/Send";
 import SmartToyIcon from "@mui/icons-material/SmartToy";
 import PersonIcon from "@mui/icons-material/Person";
-import FlashOnIcon from "@mui/icons-material/FlashOn";
 import CheckCircleIcon from "@mui/icons-material/CheckCircle";
 import RefreshIcon from "@mui/icons-material/Refresh";
+import AddIcon from "@mui/icons-material/Add";
+import DownloadIcon from "@mui/icons-material/Download";
+import BuildIcon from "@mui/icons-material/Build";
+import { httpsCallable } from "firebase/functions";
+import { auth, functions } from "../firebase";
+import { streamAgentTurn } from "../lib/agentStream";
+import AgentProposals from "./AgentProposals";
+
+// A simulated event drafted by the generate_disaster_scenario tool, in the
+// shape the simulateDisaster endpoint accepts.
+interface Scenario {
+  zip: string;
+  event: string;
+  severity: string;
+  certainty: string;
+  urgency: string;
+  headline: string;
+  description: string;
+  amount?: number;
+  eventId: string;
+  areaDesc: string;
+}
 
 interface Message {
   role: "user" | "assistant";
   content: string;
   timestamp: Date;
-  catastropheData?: any;
+  tools?: string[];
+  proposal?: { proposalId: string; expiresAt: string };
+  scenario?: Scenario;
+}
+
+// Payloads of the adminAgent stream events.
+interface AgentEvent {
+  conversationId?: string;
+  text?: string;
+  name?: string;
+  error?: string | null;
+  response?: string;
+  proposal?: Message["proposal"];
+  scenario?: Scenario;
+}
+
+// A stored conversation (functions/agent/conversations.js).
+interface Conversation {
+  id: string;
+  title: string;
+  messageCount: number;
+  updatedAt: string;
+}
+
+interface ConversationTurn {
+  role: "user" | "assistant";
+  content: string;
+  tools: string[];
+  createdAt: string;
+  proposal?: Message["proposal"];
+  scenario?: Scenario;
 }
 
+const listAgentConversations = httpsCallable<void, { conversations: Conversation[] }>(
+  functions,
+  "listAgentConversations"
+);
+const getAgentConversation = httpsCallable<
+  { conversationId: string },
+  { conversation: Conversation; turns: ConversationTurn[]; messages: unknown[] }
+>(functions, "getAgentConversation");
+
 interface AIAssistantProps {
   functionUrl: string;
-  onCatastrophePrepared?: (data: any) => void;
 }
 
-export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAssistantProps) {
+// The agent endpoint only accepts admins' Firebase ID tokens.
+async function authHeaders(): Promise<Record<string, string>> {
+  const token = await auth.currentUser?.getIdToken();
+  return {
+    "Content-Type": "application/json",
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  };
+}
+
+export default function AIAssistant({ functionUrl }: AIAssistantProps) {
   const [messages, setMessages] = useState<Message[]>([]);
   const [input, setInput] = useState("");
   const [loading, setLoading] = useState(false);
-  const [loadingConfig, setLoadingConfig] = useState(true);
+  const [conversationId, setConversationId] = useState<string | null>(null);
+  const [sessions, setSessions] = useState<Conversation[]>([]);
+  const [loadingSessions, setLoadingSessions] = useState(true);
   const messagesEndRef = useRef<any>(null);
 
   const scrollToBottom = () => {
@@ -50,23 +119,62 @@ export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAs
   }, [messages]);
 
   useEffect(() => {
-    fetchPlatformConfig();
+    fetchSessions();
   }, []);
 
-  const fetchPlatformConfig = async () => {
-    setLoadingConfig(true);
+  const fetchSessions = async () => {
+    setLoadingSessions(true);
     try {
-      const response = await fetch(functionUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ query: "Get platform configuration" }),
-      });
+      const { data } = await listAgentConversations();
+      setSessions(data.conversations);
+    } catch (error) {
+      console.error("Error loading conversations:", error);
+    } finally {
+      setLoadingSessions(false);
+    }
+  };
+
+  const handleNewConversation = () => {
+    setConversationId(null);
+    setMessages([]);
+    fetchSessions();
+  };
 
-      if (response.ok) await response.json();
+  const handleResume = async (id: string) => {
+    setLoading(true);
+    try {
+      const { data } = await getAgentConversation({ conversationId: id });
+      setConversationId(id);
+      setMessages(
+        data.turns.map((turn) => ({
+          role: turn.role,
+          content: turn.content,
+          timestamp: new Date(turn.createdAt),
+          tools: turn.tools,
+          proposal: turn.proposal,
+          scenario: turn.scenario,
+        }))
+      );
     } catch (error) {
-      console.error("Error:", error);
+      console.error("Error resuming conversation:", error);
     } finally {
-      setLoadingConfig(false);
+      setLoading(false);
+    }
+  };
+
+  // Downloads the full thread, tool calls and results included, as JSON.
+  const handleExport = async () => {
+    if (!conversationId) return;
+    try {
+      const { data } = await getAgentConversation({ conversationId });
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+      const link = document.createElement("a");
+      link.href = URL.createObjectURL(blob);
+      link.download = `agent-conversation-${conversationId}.json`;
+      link.click();
+      URL.revokeObjectURL(link.href);
+    } catch (error) {
+      console.error("Error exporting conversation:", error);
     }
   };
 
@@ -80,6 +188,7 @@ export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAs
     "Send 150 hurricane relief to Louisiana users in zips 70401, 70408",
     "Payout 200 dollars to all users in zip code 70405",
     "Create earthquake event for 70401 with 250 dollars per person",
+    "Draft a simulated flash flood scenario near 30.50, -90.46",
   ];
 
   const handleSendMessage = async (queryText?: string) => {
@@ -92,43 +201,45 @@ export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAs
       timestamp: new Date(),
     };
 
-    setMessages((prev) => [...prev, userMessage]);
+    setMessages((prev) => [
+      ...prev,
+      userMessage,
+      { role: "assistant", content: "", timestamp: new Date(), tools: [] },
+    ]);
     setInput("");
     setLoading(true);
 
+    // Applies a change to the assistant message being streamed.
+    const updateReply = (update: (message: Message) => Message) =>
+      setMessages((prev) => [...prev.slice(0, -1), update(prev[prev.length - 1])]);
+
     try {
-      const response = await fetch(functionUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ query: messageText }),
-      });
-
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-
-      const data = await response.json();
-
-      if (data.catastropheData && data.action === "AUTO_CATASTROPHE_TRIGGERED") {
-        onCatastrophePrepared?.(data.catastropheData);
-      }
-
-      setMessages((prev) => [
-        ...prev,
-        {
-          role: "assistant",
-          content: data.response || "No response received",
-          timestamp: new Date(),
-          catastropheData: data.catastropheData,
-        },
-      ]);
-    } catch (error: any) {
-      setMessages((prev) => [
-        ...prev,
-        {
-          role: "assistant",
-          content: `Error: ${error.message}`,
-          timestamp: new Date(),
-        },
-      ]);
+      await streamAgentTurn<AgentEvent>(
+        functionUrl,
+        { query: messageText, conversationId },
+        await authHeaders(),
+        (event, data) => {
+          if (event === "conversation") {
+            setConversationId(data.conversationId || null);
+          } else if (event === "text") {
+            updateReply((reply) => ({ ...reply, content: reply.content + (data.text || "") }));
+          } else if (event === "tool_use") {
+            updateReply((reply) => ({ ...reply, tools: [...(reply.tools || []), data.name || "tool"] }));
+          } else if (event === "done") {
+            updateReply((reply) => ({
+              ...reply,
+              content: data.response || reply.content || "No response received",
+              timestamp: new Date(),
+              proposal: data.proposal,
+              scenario: data.scenario,
+            }));
+          } else if (event === "error") {
+            throw new Error(data.error || "The assistant failed");
+          }
+        }
+      );
+    } catch (error) {
+      updateReply((reply) => ({ ...reply, content: `Error: ${(error as Error).message}` }));
     } finally {
       setLoading(false);
     }
@@ -141,10 +252,6 @@ export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAs
     }
   };
 
-  const handleExecuteCatastrophe = (catastropheData: any) => {
-    onCatastrophePrepared?.(catastropheData);
-  };
-
   return (
     <Card
       sx={{
@@ -171,20 +278,28 @@ export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAs
               AI Catastrophe Assistant
             </Typography>
             <Chip
-              label="Auto-Fill Enabled"
+              label="Approval Required"
               size="small"
               sx={{ backgroundColor: "rgba(255,255,255,0.2)", color: "white" }}
             />
             <Box sx={{ flexGrow: 1 }} />
-            <IconButton size="small" sx={{ color: "white" }} onClick={fetchPlatformConfig}>
+            <IconButton size="small" sx={{ color: "white" }} onClick={handleExport} disabled={!conversationId}>
+              <DownloadIcon fontSize="small" />
+            </IconButton>
+            <IconButton size="small" sx={{ color: "white" }} onClick={handleNewConversation} disabled={loading}>
+              <AddIcon fontSize="small" />
+            </IconButton>
+            <IconButton size="small" sx={{ color: "white" }} onClick={fetchSessions}>
               <RefreshIcon fontSize="small" />
             </IconButton>
           </Stack>
           <Typography sx={{ mt: 1, color: "rgba(255,255,255,0.9)" }}>
-            You can trigger catastrophes using natural language instructions.
+            Describe a catastrophe in plain language; the assistant proposes the payout and another admin approves it.
           </Typography>
         </Box>
 
+        <AgentProposals />
+
         <Box
           sx={{
             flex: 1,
@@ -200,22 +315,50 @@ export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAs
                 Quick Actions
               </Typography>
 
-              {loadingConfig ? (
+              <Stack direction="row" spacing={1} flexWrap="wrap" mb={3}>
+                {quickActions.map((action, i) => (
+                  <Chip
+                    key={i}
+                    label={action.label}
+                    onClick={() => handleSendMessage(action.query)}
+                    clickable
+                    color="primary"
+                    variant="outlined"
+                  />
+                ))}
+              </Stack>
+
+              <Typography variant="subtitle2" sx={{ mb: 1.5, fontWeight: 600 }}>
+                Recent Conversations
+              </Typography>
+              {loadingSessions ? (
                 <Stack spacing={1}>
                   <Skeleton variant="rectangular" height={32} />
                   <Skeleton variant="rectangular" height={32} />
                 </Stack>
+              ) : sessions.length === 0 ? (
+                <Typography variant="body2" color="text.secondary">
+                  No saved conversations yet.
+                </Typography>
               ) : (
-                <Stack direction="row" spacing={1} flexWrap="wrap" mb={3}>
-                  {quickActions.map((action, i) => (
-                    <Chip
-                      key={i}
-                      label={action.label}
-                      onClick={() => handleSendMessage(action.query)}
-                      clickable
-                      color="primary"
-                      variant="outlined"
-                    />
+                <Stack spacing={1}>
+                  {sessions.slice(0, 5).map((session) => (
+                    <Paper
+                      key={session.id}
+                      sx={{
+                        p: 1.5,
+                        cursor: "pointer",
+                        "&:hover": { backgroundColor: "action.hover" },
+                        border: "1px solid",
+                        borderColor: "divider",
+                      }}
+                      onClick={() => handleResume(session.id)}
+                    >
+                      <Typography noWrap>{session.title}</Typography>
+                      <Typography variant="caption" color="text.secondary">
+                        {new Date(session.updatedAt).toLocaleString()} · {session.messageCount} messages
+                      </Typography>
+                    </Paper>
                   ))}
                 </Stack>
               )}
@@ -245,7 +388,7 @@ export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAs
             </>
           ) : (
             <Stack spacing={2}>
-              {messages.map((message, idx) => (
+              {messages.map((message, idx) => message.role === "assistant" && !message.content && !message.tools?.length ? null : (
                 <Box key={idx}>
                   <Box
                     sx={{
@@ -260,12 +403,12 @@ export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAs
                         maxWidth: "75%",
                         backgroundColor: message.role === "user"
                           ? "primary.main !important"
-                          : message.catastropheData
+                          : message.proposal
                           ? "#f0f7ff !important"
                           : "transparent !important",
                         color: message.role === "user" ? "white" : "text.primary",
-                        border: message.catastropheData ? "2px solid" : "1px solid",
-                        borderColor: message.catastropheData ? "primary.main" : "divider",
+                        border: message.proposal ? "2px solid" : "1px solid",
+                        borderColor: message.proposal ? "primary.main" : "divider",
                         wordBreak: "break-word",
                         overflowWrap: "break-word",
                         backgroundImage: "none !important",
@@ -279,12 +422,19 @@ export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAs
                             sx={{
                               mt: 0.5,
                               flexShrink: 0,
-                              color: message.catastropheData ? "primary.main" : "inherit",
+                              color: message.proposal ? "primary.main" : "inherit",
                             }}
                           />
                         )}
 
                         <Box sx={{ flex: 1, minWidth: 0, maxWidth: "100%" }}>
+                          {message.tools && message.tools.length > 0 && (
+                            <Stack direction="row" spacing={0.5} flexWrap="wrap" sx={{ mb: 1 }}>
+                              {message.tools.map((tool, i) => (
+                                <Chip key={i} size="small" variant="outlined" icon={<BuildIcon />} label={tool} />
+                              ))}
+                            </Stack>
+                          )}
                           <Box 
                             component="div"
                             sx={{ 
@@ -341,83 +491,43 @@ export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAs
                     </Paper>
                   </Box>
 
-                  {message.catastropheData && (
+                  {message.proposal && (
+                    <Box sx={{ mt: 1, ml: 6 }}>
+                      <Alert severity="warning" icon={<CheckCircleIcon />} sx={{ maxWidth: "70%" }}>
+                        Proposal {message.proposal.proposalId} is waiting for another admin's approval under
+                        Payout Proposals. Nothing has been paid yet; it expires at{" "}
+                        {new Date(message.proposal.expiresAt).toLocaleTimeString()}.
+                      </Alert>
+                    </Box>
+                  )}
+
+                  {message.scenario && (
                     <Box sx={{ mt: 1, ml: 6 }}>
                       <Paper
                         sx={{
                           p: 2,
                           maxWidth: "70%",
-                          backgroundColor: "success.light",
                           border: "2px solid",
-                          borderColor: "success.main",
+                          borderColor: "warning.main",
                           wordBreak: "break-word",
                           overflowWrap: "break-word",
                         }}
                       >
-                        <Stack spacing={2}>
-                          <Stack direction="row" spacing={1}>
-                            <CheckCircleIcon color="success" sx={{ flexShrink: 0 }} />
-                            <Typography fontWeight={600}>Catastrophe Ready</Typography>
+                        <Stack spacing={1}>
+                          <Stack direction="row" spacing={1} alignItems="center">
+                            <Typography fontWeight={600}>Simulated Scenario</Typography>
+                            <Chip size="small" color="warning" label={message.scenario.severity} />
                           </Stack>
-
-                          <Box 
-                            sx={{ 
-                              backgroundColor: "white", 
-                              p: 2, 
-                              borderRadius: 1,
-                              wordBreak: "break-word",
-                              overflowWrap: "break-word",
-                            }}
-                          >
-                            <Typography variant="caption" sx={{ fontWeight: 600, display: 'block', mb: 1 }}>
-                              PRE-FILLED DATA
-                            </Typography>
-                            <Typography sx={{ wordBreak: "break-word" }}>
-                              <strong>Type:</strong> {message.catastropheData.formData.type}
-                            </Typography>
-                            <Typography sx={{ wordBreak: "break-word" }}>
-                              <strong>Location:</strong> {message.catastropheData.formData.location}
-                            </Typography>
-                            <Typography sx={{ wordBreak: "break-word" }}>
-                              <strong>ZIP Codes:</strong> {message.catastropheData.formData.zipCodes}
-                            </Typography>
-                            <Typography sx={{ wordBreak: "break-word" }}>
-                              <strong>Amount:</strong> {message.catastropheData.formData.amount} dollars
-                            </Typography>
-                          </Box>
-
-                          <Box 
-                            sx={{ 
-                              backgroundColor: "white", 
-                              p: 2, 
-                              borderRadius: 1,
-                              wordBreak: "break-word",
-                              overflowWrap: "break-word",
-                            }}
-                          >
-                            <Typography variant="caption" sx={{ fontWeight: 600, display: 'block', mb: 1 }}>
-                              IMPACT ANALYSIS
-                            </Typography>
-                            <Typography sx={{ wordBreak: "break-word" }}>
-                              {message.catastropheData.analysis.usersWithWallet} users will receive payment
-                            </Typography>
-                            <Typography sx={{ wordBreak: "break-word" }}>
-                              {message.catastropheData.analysis.estimatedCost} dollars total
-                            </Typography>
-                            <Typography sx={{ wordBreak: "break-word" }}>
-                              {message.catastropheData.analysis.estimatedSOL} SOL required
-                            </Typography>
-                          </Box>
-
-                          <Button
-                            variant="contained"
-                            color="error"
-                            fullWidth
-                            startIcon={<FlashOnIcon />}
-                            onClick={() => handleExecuteCatastrophe(message.catastropheData)}
-                          >
-                            Execute Catastrophe
-                          </Button>
+                          <Typography sx={{ fontWeight: 600 }}>{message.scenario.headline}</Typography>
+                          <Typography variant="body2">{message.scenario.description}</Typography>
+                          <Typography variant="body2" color="text.secondary">
+                            {message.scenario.event} · {message.scenario.areaDesc} (ZIP {message.scenario.zip}) ·{" "}
+                            {message.scenario.certainty} / {message.scenario.urgency}
+                            {message.scenario.amount != null && ` · $${message.scenario.amount}`}
+                          </Typography>
+                          <Typography variant="caption" color="text.secondary">
+                            Event ID {message.scenario.eventId}. Send this to the simulateDisaster endpoint to run it.
+                          </Typography>
                         </Stack>
                       </Paper>
                     </Box>
@@ -429,7 +539,7 @@ export default function AIAssistant({ functionUrl, onCatastrophePrepared }: AIAs
                 <Paper sx={{ p: 2, maxWidth: "75%" }}>
                   <Stack direction="row" spacing={1}>
                     <CircularProgress size={16} />
-                    <Typography>AI is preparing your catastrophe...</Typography>
+                    <Typography>Thinking...</Typography>
                   </Stack>
                 </Paper>
               )}
@@ -0,0 +1,248 @@
+import { useEffect, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Collapse,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import { collection, limit, onSnapshot, orderBy, query } from "firebase/firestore";
+import { httpsCallable } from "firebase/functions";
+import { auth, db, functions } from "../firebase";
+
+// A payout the admin agent drafted (functions/agent/proposals.js). Nothing is
+// credited until another admin approves it.
+interface PlanRow {
+  userId: string;
+  email: string | null;
+  name: string;
+  zip: string;
+  locationId: string;
+  locationLabel: string;
+  balanceBefore: number;
+  added: number;
+  balanceAfter: number;
+  skipped: string | null;
+}
+
+interface AuditEntry {
+  action: string;
+  actor: string;
+  note: string | null;
+  at: string;
+}
+
+export interface AgentProposal {
+  id: string;
+  kind: string;
+  status: "PENDING" | "EXECUTING" | "EXECUTED" | "FAILED" | "REJECTED" | "EXPIRED";
+  params: { eventId: string; type: string; location: string; zipCodes: string[]; amount: number };
+  plan: {
+    totals: {
+      locations: number;
+      policies: number;
+      skipped: number;
+      totalUSD: number;
+      estimatedSOL: number | null;
+    };
+    rows: PlanRow[];
+    rowsTruncated: boolean;
+  };
+  query: string | null;
+  requestedBy: { uid: string; email: string | null };
+  createdAt: string;
+  expiresAt: string;
+  audit: AuditEntry[];
+  error?: string;
+}
+
+const approveAgentProposal = httpsCallable<{ proposalId: string }, { status: string; queued: number; staged: boolean }>(
+  functions,
+  "approveAgentProposal"
+);
+const rejectAgentProposal = httpsCallable<{ proposalId: string; reason?: string }, { status: string }>(
+  functions,
+  "rejectAgentProposal"
+);
+
+const STATUS_COLORS: Record<AgentProposal["status"], "warning" | "info" | "success" | "error" | "default"> = {
+  PENDING: "warning",
+  EXECUTING: "info",
+  EXECUTED: "success",
+  FAILED: "error",
+  REJECTED: "default",
+  EXPIRED: "default",
+};
+
+function ProposalCard({ proposal }: { proposal: AgentProposal }) {
+  const [showDiff, setShowDiff] = useState(proposal.status === "PENDING");
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<{ type: "success" | "error"; text: string } | null>(null);
+
+  const { params, plan } = proposal;
+  const ownProposal = auth.currentUser?.uid === proposal.requestedBy.uid;
+  const expired = proposal.status === "PENDING" && new Date(proposal.expiresAt) <= new Date();
+
+  const handleApprove = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const { data } = await approveAgentProposal({ proposalId: proposal.id });
+      setMessage({
+        type: "success",
+        text: data.staged
+          ? "Approved. The treasury can't cover it yet, so the event is waiting for funds."
+          : `Approved. ${data.queued} transfer(s) queued.`,
+      });
+    } catch (error) {
+      setMessage({ type: "error", text: (error as Error).message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleReject = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await rejectAgentProposal({ proposalId: proposal.id });
+    } catch (error) {
+      setMessage({ type: "error", text: (error as Error).message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Box sx={{ p: 1.5, border: 1, borderColor: "divider", borderRadius: 1 }}>
+      <Stack direction="row" spacing={1} alignItems="center" flexWrap="wrap">
+        <Chip size="small" color={STATUS_COLORS[proposal.status]} label={expired ? "EXPIRED" : proposal.status} />
+        <Typography variant="body2" sx={{ fontWeight: 600 }}>
+          {params.type} · {params.location} · ${params.amount} per location
+        </Typography>
+      </Stack>
+      <Typography variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+        ZIPs {params.zipCodes.join(", ")}: {plan.totals.locations} location(s) on {plan.totals.policies} policy(ies),
+        ${plan.totals.totalUSD} total
+        {plan.totals.estimatedSOL != null && ` (~${plan.totals.estimatedSOL} SOL)`}, {plan.totals.skipped} skipped
+      </Typography>
+      <Typography variant="caption" color="text.secondary" sx={{ display: "block" }}>
+        Requested by {ownProposal ? "you" : proposal.requestedBy.email || proposal.requestedBy.uid} ·{" "}
+        {proposal.status === "PENDING"
+          ? `expires ${new Date(proposal.expiresAt).toLocaleTimeString()}`
+          : new Date(proposal.createdAt).toLocaleString()}
+      </Typography>
+
+      {message && (
+        <Alert severity={message.type} sx={{ mt: 1 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+      {proposal.error && (
+        <Alert severity="error" sx={{ mt: 1 }}>
+          {proposal.error}
+        </Alert>
+      )}
+
+      <Stack direction="row" spacing={1} sx={{ mt: 1 }}>
+        <Button size="small" onClick={() => setShowDiff((show) => !show)}>
+          {showDiff ? "Hide details" : "Show details"}
+        </Button>
+        {proposal.status === "PENDING" && !expired && (
+          <>
+            <Button size="small" variant="contained" color="error" disabled={busy} onClick={handleApprove}>
+              Approve & Pay
+            </Button>
+            <Button size="small" disabled={busy} onClick={handleReject}>
+              Reject
+            </Button>
+          </>
+        )}
+      </Stack>
+      {proposal.status === "PENDING" && ownProposal && (
+        <Typography variant="caption" color="text.secondary">
+          Another admin needs to approve payouts you asked the assistant for.
+        </Typography>
+      )}
+
+      <Collapse in={showDiff}>
+        <Table size="small" sx={{ mt: 1 }}>
+          <TableHead>
+            <TableRow>
+              <TableCell>Policyholder</TableCell>
+              <TableCell>Location</TableCell>
+              <TableCell align="right">Balance</TableCell>
+              <TableCell align="right">To wallet</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {plan.rows.map((row) => (
+              <TableRow key={`${row.userId}:${row.locationId}`} sx={{ opacity: row.skipped ? 0.6 : 1 }}>
+                <TableCell>{row.email || row.name || row.userId}</TableCell>
+                <TableCell>
+                  {row.locationLabel} ({row.zip})
+                </TableCell>
+                <TableCell align="right">
+                  ${row.balanceBefore.toFixed(2)} → ${row.balanceAfter.toFixed(2)}
+                </TableCell>
+                <TableCell align="right">{row.skipped ? row.skipped : `+$${row.added.toFixed(2)}`}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+        {plan.rowsTruncated && (
+          <Typography variant="caption" color="text.secondary">
+            Only the first {plan.rows.length} locations are listed; the totals cover all of them.
+          </Typography>
+        )}
+
+        <Typography variant="caption" sx={{ display: "block", mt: 1, fontWeight: 600 }}>
+          Audit
+        </Typography>
+        {proposal.audit.map((entry, i) => (
+          <Typography key={i} variant="caption" color="text.secondary" sx={{ display: "block" }}>
+            {new Date(entry.at).toLocaleString()}: {entry.action} by {entry.actor}
+            {entry.note && ` (${entry.note})`}
+          </Typography>
+        ))}
+      </Collapse>
+    </Box>
+  );
+}
+
+export default function AgentProposals() {
+  const [proposals, setProposals] = useState<AgentProposal[]>([]);
+
+  useEffect(() => {
+    const recent = query(collection(db, "agentProposals"), orderBy("createdAt", "desc"), limit(10));
+    return onSnapshot(
+      recent,
+      (snap) => setProposals(snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }) as AgentProposal)),
+      (error) => console.error("Error watching agent proposals:", error)
+    );
+  }, []);
+
+  if (proposals.length === 0) return null;
+
+  const pending = proposals.filter((proposal) => proposal.status === "PENDING").length;
+
+  return (
+    <Box sx={{ p: 2, borderBottom: "1px solid", borderColor: "divider", maxHeight: 360, overflowY: "auto" }}>
+      <Typography variant="subtitle2" sx={{ fontWeight: 600, mb: 1 }}>
+        Payout Proposals {pending > 0 && `(${pending} awaiting approval)`}
+      </Typography>
+      <Stack spacing={1}>
+        {proposals.map((proposal) => (
+          <ProposalCard key={proposal.id} proposal={proposal} />
+        ))}
+      </Stack>
+    </Box>
+  );
+}
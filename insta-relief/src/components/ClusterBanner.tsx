@@ -0,0 +1,14 @@
+import { Alert } from "@mui/material";
+import { CLUSTER_LABEL, IS_MAINNET, RPC_URL } from "../lib/cluster";
+
+// Shown on every page unless the app is pointed at mainnet, so nobody
+// mistakes test tokens for real payouts.
+export default function ClusterBanner() {
+  if (IS_MAINNET) return null;
+
+  return (
+    <Alert severity="warning" square sx={{ justifyContent: "center" }}>
+      Running on Solana {CLUSTER_LABEL} ({RPC_URL}). Payouts use test tokens with no real value.
+    </Alert>
+  );
+}
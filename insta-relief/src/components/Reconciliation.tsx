@@ -0,0 +1,243 @@
+import { useEffect, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Chip,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import { collection, limit, onSnapshot, orderBy, query } from "firebase/firestore";
+import { httpsCallable } from "firebase/functions";
+import { db, functions } from "../firebase";
+import { explorerTxUrl } from "../lib/cluster";
+
+// A transfer checked by functions/reconciliation.js.
+interface ReconciliationEntry {
+  kind: "payout" | "withdrawal";
+  id: string;
+  eventId: string | null;
+  userId: string;
+  email: string | null;
+  signature: string | null;
+  issue: string;
+  action?: string;
+}
+
+interface ReconciliationRun {
+  actor: string;
+  startedAt: string;
+  finishedAt: string;
+  checked: { payouts: number; withdrawals: number; signatures: number };
+  verified: number;
+  fixed: ReconciliationEntry[];
+  discrepancies: ReconciliationEntry[];
+  retryable: ReconciliationEntry[];
+}
+
+const runReconciliation = httpsCallable<void, ReconciliationRun>(
+  functions,
+  "runReconciliation"
+);
+const retryPayout = httpsCallable<
+  { eventId: string; payoutId: string },
+  { state: string; signature?: string }
+>(functions, "retryPayout");
+
+function EntryRows({ entries, onRetry, retrying }: {
+  entries: ReconciliationEntry[];
+  onRetry?: (entry: ReconciliationEntry) => void;
+  retrying?: string | null;
+}) {
+  return (
+    <Table size="small">
+      <TableHead>
+        <TableRow>
+          <TableCell>Transfer</TableCell>
+          <TableCell>User</TableCell>
+          <TableCell>Issue</TableCell>
+          <TableCell>Signature</TableCell>
+          {onRetry && <TableCell />}
+        </TableRow>
+      </TableHead>
+      <TableBody>
+        {entries.map((entry) => (
+          <TableRow key={`${entry.kind}:${entry.id}`}>
+            <TableCell>
+              {entry.kind === "payout" ? `Payout (${entry.eventId})` : "Withdrawal"}
+            </TableCell>
+            <TableCell>{entry.email || entry.userId}</TableCell>
+            <TableCell>
+              {entry.issue}
+              {entry.action && ` — ${entry.action}`}
+            </TableCell>
+            <TableCell>
+              {entry.signature ? (
+                <a href={explorerTxUrl(entry.signature)} target="_blank" rel="noreferrer">
+                  {entry.signature.slice(0, 8)}...
+                </a>
+              ) : (
+                "-"
+              )}
+            </TableCell>
+            {onRetry && (
+              <TableCell>
+                <Button
+                  size="small"
+                  variant="outlined"
+                  disabled={retrying === entry.id}
+                  onClick={() => onRetry(entry)}
+                >
+                  {retrying === entry.id ? "Retrying..." : "Retry"}
+                </Button>
+              </TableCell>
+            )}
+          </TableRow>
+        ))}
+      </TableBody>
+    </Table>
+  );
+}
+
+export default function Reconciliation() {
+  const [run, setRun] = useState<ReconciliationRun | null>(null);
+  const [running, setRunning] = useState(false);
+  const [retrying, setRetrying] = useState<string | null>(null);
+  const [retried, setRetried] = useState<Set<string>>(new Set());
+  const [message, setMessage] = useState<{ type: "success" | "error"; text: string } | null>(null);
+
+  useEffect(() => {
+    const latest = query(
+      collection(db, "reconciliationRuns"),
+      orderBy("startedAt", "desc"),
+      limit(1)
+    );
+    return onSnapshot(
+      latest,
+      (snap) => setRun(snap.empty ? null : (snap.docs[0].data() as ReconciliationRun)),
+      (error) => console.error("Error watching reconciliation runs:", error)
+    );
+  }, []);
+
+  const handleRun = async () => {
+    setRunning(true);
+    setMessage(null);
+    try {
+      const { data } = await runReconciliation();
+      setRetried(new Set());
+      setMessage({
+        type: "success",
+        text: `Checked ${data.checked.signatures} signature(s): ${data.fixed.length} fixed, ${data.discrepancies.length} discrepancies.`,
+      });
+    } catch (error) {
+      console.error("Reconciliation failed:", error);
+      setMessage({ type: "error", text: (error as Error).message });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleRetry = async (entry: ReconciliationEntry) => {
+    if (!entry.eventId) return;
+    setRetrying(entry.id);
+    setMessage(null);
+    try {
+      const { data } = await retryPayout({ eventId: entry.eventId, payoutId: entry.id });
+      setRetried((prev) => new Set(prev).add(entry.id));
+      setMessage({
+        type: "success",
+        text:
+          data.state === "confirmed"
+            ? `The earlier transfer to ${entry.email} had landed; recorded as paid.`
+            : `Payout to ${entry.email} re-queued.`,
+      });
+    } catch (error) {
+      console.error("Retry failed:", error);
+      setMessage({ type: "error", text: (error as Error).message });
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  const retryable = (run?.retryable || []).filter((entry) => !retried.has(entry.id));
+
+  return (
+    <Box
+      sx={{
+        p: 2,
+        mb: 3,
+        border: 1,
+        borderColor: "divider",
+        borderRadius: 2,
+        backgroundColor: "background.paper",
+      }}
+    >
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+          On-chain Reconciliation
+        </Typography>
+        <Button size="small" onClick={handleRun} disabled={running}>
+          {running ? "Checking..." : "Run Now"}
+        </Button>
+      </Stack>
+
+      {message && (
+        <Alert severity={message.type} sx={{ mb: 1 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+
+      {!run ? (
+        <Typography variant="body2" color="text.secondary">
+          No reconciliation has run yet.
+        </Typography>
+      ) : (
+        <Stack spacing={1.5}>
+          <Stack direction="row" spacing={1} flexWrap="wrap" alignItems="center">
+            <Typography variant="body2" color="text.secondary">
+              Last run {new Date(run.finishedAt).toLocaleString()} by {run.actor}:
+            </Typography>
+            <Chip size="small" label={`${run.checked.signatures} signatures`} />
+            <Chip size="small" color="success" label={`${run.verified} verified`} />
+            <Chip size="small" color="info" label={`${run.fixed.length} fixed`} />
+            <Chip
+              size="small"
+              color={run.discrepancies.length > 0 ? "error" : "default"}
+              label={`${run.discrepancies.length} discrepancies`}
+            />
+          </Stack>
+
+          {run.discrepancies.length > 0 && (
+            <>
+              <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                Discrepancies (need manual review)
+              </Typography>
+              <EntryRows entries={run.discrepancies} />
+            </>
+          )}
+          {run.fixed.length > 0 && (
+            <>
+              <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                Corrected
+              </Typography>
+              <EntryRows entries={run.fixed} />
+            </>
+          )}
+          {retryable.length > 0 && (
+            <>
+              <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                Failed payouts
+              </Typography>
+              <EntryRows entries={retryable} onRetry={handleRetry} retrying={retrying} />
+            </>
+          )}
+        </Stack>
+      )}
+    </Box>
+  );
+}
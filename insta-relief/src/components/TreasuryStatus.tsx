@@ -0,0 +1,140 @@
+import { useEffect, useState } from "react";
+import { Alert, Box, Button, Chip, Stack, Typography } from "@mui/material";
+import { httpsCallable } from "firebase/functions";
+import { functions } from "../firebase";
+
+// Shape returned by functions/treasury.js monitorTreasury().
+export interface TreasuryStatusData {
+  address: string;
+  cluster: string;
+  balanceSOL: number;
+  reservedSOL: number;
+  availableSOL: number;
+  usdcBalance: number;
+  usdcReserved: number;
+  usdcAvailable: number;
+  queuedPayouts: number;
+  queuedWithdrawals: number;
+  exposure: {
+    activeThreads: number;
+    policies: number;
+    exposureUSD: number;
+    exposureSOL: number;
+  };
+  lowReserve: boolean;
+  updatedAt: string;
+}
+
+const getTreasuryStatus = httpsCallable<void, TreasuryStatusData>(
+  functions,
+  "getTreasuryStatus"
+);
+
+export default function TreasuryStatus({ refreshKey = 0 }: { refreshKey?: number }) {
+  const [status, setStatus] = useState<TreasuryStatusData | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const { data } = await getTreasuryStatus();
+      setStatus(data);
+    } catch (err) {
+      console.error("Error loading treasury status:", err);
+      setError((err as Error).message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    getTreasuryStatus()
+      .then(({ data }) => setStatus(data))
+      .catch((err) => {
+        console.error("Error loading treasury status:", err);
+        setError((err as Error).message);
+      });
+  }, [refreshKey]);
+
+  return (
+    <Box
+      sx={{
+        p: 2,
+        mt: 2,
+        mb: 3,
+        border: 1,
+        borderColor: "divider",
+        borderRadius: 2,
+        backgroundColor: "background.paper",
+      }}
+    >
+      <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+        <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>
+          Treasury (Payout Wallet)
+        </Typography>
+        <Button size="small" onClick={loadStatus} disabled={loading}>
+          {loading ? "Refreshing..." : "Refresh"}
+        </Button>
+      </Stack>
+
+      {error && <Alert severity="error">{error}</Alert>}
+
+      {status && (
+        <Stack spacing={1.5}>
+          <Box>
+            <Typography variant="caption" color="text.secondary">
+              Address ({status.cluster}):
+            </Typography>
+            <Chip
+              label={`${status.address.slice(0, 8)}...${status.address.slice(-8)}`}
+              size="small"
+              sx={{ ml: 1 }}
+            />
+          </Box>
+          <Stack direction="row" spacing={3} flexWrap="wrap">
+            <Typography variant="body2">
+              Balance: <strong>{status.balanceSOL.toFixed(4)} SOL</strong>
+            </Typography>
+            <Typography variant="body2">
+              Reserved: <strong>{status.reservedSOL.toFixed(4)} SOL</strong> (
+              {status.queuedPayouts} payout(s), {status.queuedWithdrawals} withdrawal(s))
+            </Typography>
+            <Typography
+              variant="body2"
+              color={status.availableSOL > 0 ? "success.main" : "error.main"}
+            >
+              Available: <strong>{status.availableSOL.toFixed(4)} SOL</strong>
+            </Typography>
+          </Stack>
+          <Stack direction="row" spacing={3} flexWrap="wrap">
+            <Typography variant="body2">
+              USDC balance: <strong>{status.usdcBalance.toFixed(2)}</strong>
+            </Typography>
+            <Typography variant="body2">
+              Reserved: <strong>{status.usdcReserved.toFixed(2)} USDC</strong>
+            </Typography>
+            <Typography
+              variant="body2"
+              color={status.usdcAvailable > 0 ? "success.main" : "text.secondary"}
+            >
+              Available: <strong>{status.usdcAvailable.toFixed(2)} USDC</strong>
+            </Typography>
+          </Stack>
+          <Typography variant="body2" color="text.secondary">
+            Active alert exposure: {status.exposure.exposureSOL.toFixed(4)} SOL ($
+            {status.exposure.exposureUSD.toFixed(2)}) across {status.exposure.policies} policies
+            under {status.exposure.activeThreads} NOAA alert(s)
+          </Typography>
+          {status.lowReserve && (
+            <Alert severity="warning">
+              Available funds are below the payouts active NOAA alerts could trigger. Fund the
+              treasury before approving more events.
+            </Alert>
+          )}
+        </Stack>
+      )}
+    </Box>
+  );
+}
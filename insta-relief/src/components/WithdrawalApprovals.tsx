@@ -0,0 +1,165 @@
+import { useEffect, useState } from "react";
+import {
+  Alert,
+  Box,
+  Button,
+  Stack,
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableRow,
+  Typography,
+} from "@mui/material";
+import { collection, onSnapshot, query, where } from "firebase/firestore";
+import { httpsCallable } from "firebase/functions";
+import { db, functions } from "../firebase";
+
+// A withdrawal waiting for an admin (functions/withdrawals.js). Its amount
+// is already debited from the user's balance.
+interface RequestedWithdrawal {
+  id: string;
+  userId: string;
+  email: string | null;
+  walletAddress: string;
+  amountUSD: number;
+  createdAt: string;
+}
+
+const approveWithdrawal = httpsCallable<
+  { withdrawalId: string },
+  { withdrawalId: string; status: string }
+>(functions, "approveWithdrawal");
+const rejectWithdrawal = httpsCallable<
+  { withdrawalId: string; reason: string | null },
+  { withdrawalId: string; status: string }
+>(functions, "rejectWithdrawal");
+
+export default function WithdrawalApprovals() {
+  const [requests, setRequests] = useState<RequestedWithdrawal[]>([]);
+  const [busy, setBusy] = useState<string | null>(null);
+  const [message, setMessage] = useState<{ type: "success" | "error"; text: string } | null>(null);
+
+  useEffect(() => {
+    const requested = query(collection(db, "withdrawals"), where("status", "==", "requested"));
+    return onSnapshot(
+      requested,
+      (snap) => {
+        const items = snap.docs.map((d) => ({ id: d.id, ...d.data() } as RequestedWithdrawal));
+        items.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        setRequests(items);
+      },
+      (error) => console.error("Error watching withdrawal requests:", error)
+    );
+  }, []);
+
+  const handleApprove = async (withdrawal: RequestedWithdrawal) => {
+    setBusy(withdrawal.id);
+    setMessage(null);
+    try {
+      await approveWithdrawal({ withdrawalId: withdrawal.id });
+      setMessage({
+        type: "success",
+        text: `Approved $${withdrawal.amountUSD.toFixed(2)} to ${withdrawal.email || withdrawal.userId}; the treasury is sending it.`,
+      });
+    } catch (error) {
+      console.error("Approving withdrawal failed:", error);
+      setMessage({ type: "error", text: (error as Error).message });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleReject = async (withdrawal: RequestedWithdrawal) => {
+    const reason = window.prompt("Reason for rejecting (shown to the user):");
+    if (reason === null) return;
+
+    setBusy(withdrawal.id);
+    setMessage(null);
+    try {
+      await rejectWithdrawal({ withdrawalId: withdrawal.id, reason: reason.trim() || null });
+      setMessage({
+        type: "success",
+        text: `Rejected; $${withdrawal.amountUSD.toFixed(2)} returned to ${withdrawal.email || withdrawal.userId}.`,
+      });
+    } catch (error) {
+      console.error("Rejecting withdrawal failed:", error);
+      setMessage({ type: "error", text: (error as Error).message });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        p: 2,
+        mb: 3,
+        border: 1,
+        borderColor: "divider",
+        borderRadius: 2,
+        backgroundColor: "background.paper",
+      }}
+    >
+      <Typography variant="subtitle1" sx={{ fontWeight: 600, mb: 1 }}>
+        Withdrawal Requests
+      </Typography>
+
+      {message && (
+        <Alert severity={message.type} sx={{ mb: 1 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+
+      {requests.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No withdrawals are waiting for approval.
+        </Typography>
+      ) : (
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Requested</TableCell>
+              <TableCell>User</TableCell>
+              <TableCell>Wallet</TableCell>
+              <TableCell align="right">Amount</TableCell>
+              <TableCell />
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {requests.map((w) => (
+              <TableRow key={w.id}>
+                <TableCell>{new Date(w.createdAt).toLocaleString()}</TableCell>
+                <TableCell>{w.email || w.userId}</TableCell>
+                <TableCell>
+                  {w.walletAddress.slice(0, 4)}...{w.walletAddress.slice(-4)}
+                </TableCell>
+                <TableCell align="right">${w.amountUSD.toFixed(2)}</TableCell>
+                <TableCell>
+                  <Stack direction="row" spacing={1} justifyContent="flex-end">
+                    <Button
+                      size="small"
+                      variant="contained"
+                      disabled={busy === w.id}
+                      onClick={() => handleApprove(w)}
+                    >
+                      Approve
+                    </Button>
+                    <Button
+                      size="small"
+                      color="error"
+                      disabled={busy === w.id}
+                      onClick={() => handleReject(w)}
+                    >
+                      Reject
+                    </Button>
+                  </Stack>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      )}
+    </Box>
+  );
+}
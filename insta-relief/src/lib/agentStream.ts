@@ -0,0 +1,45 @@
+// Posts one turn to the adminAgent endpoint and reads its server-sent events
+// (`conversation`, `text`, `tool_use`, `tool_result`, `done`, `error`; see
+// adminAgent in functions/index.js). EventSource can't POST or send an
+// Authorization header, so the stream is parsed from fetch.
+export async function streamAgentTurn<T>(
+  url: string,
+  body: { query: string; conversationId?: string | null },
+  headers: Record<string, string>,
+  onEvent: (event: string, data: T) => void
+): Promise<void> {
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { ...headers, Accept: "text/event-stream" },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok || !response.body) {
+    const error = await response.json().catch(() => null);
+    throw new Error(error?.error || `HTTP error! status: ${response.status}`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const chunk = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = "message";
+      let data = "";
+      for (const line of chunk.split("\n")) {
+        if (line.startsWith("event: ")) event = line.slice(7);
+        else if (line.startsWith("data: ")) data += line.slice(6);
+      }
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
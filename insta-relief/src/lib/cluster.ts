@@ -0,0 +1,39 @@
+import clusters from "../../functions/solanaClusters.json";
+
+// Cluster settings shared with functions/solana.js; vite.config.ts passes in
+// the same SOLANA_CLUSTER / SOLANA_RPC_URL / USDC_MINT the functions use.
+
+export type ClusterName = keyof typeof clusters;
+
+function resolveCluster(): ClusterName {
+  const name = import.meta.env.SOLANA_CLUSTER || "devnet";
+  if (!(name in clusters)) {
+    throw new Error(
+      `Unknown SOLANA_CLUSTER ${name} (expected ${Object.keys(clusters).join(", ")})`
+    );
+  }
+  return name as ClusterName;
+}
+
+export const CLUSTER = resolveCluster();
+export const CLUSTER_LABEL = clusters[CLUSTER].label;
+export const RPC_URL: string = import.meta.env.SOLANA_RPC_URL || clusters[CLUSTER].rpcUrl;
+export const USDC_MINT: string | null =
+  import.meta.env.USDC_MINT || clusters[CLUSTER].usdcMint;
+export const IS_MAINNET = CLUSTER === "mainnet-beta";
+
+function explorerLink(path: string): string {
+  const { explorerCluster } = clusters[CLUSTER];
+  const url = new URL(`https://explorer.solana.com/${path}`);
+  if (explorerCluster) url.searchParams.set("cluster", explorerCluster);
+  if (explorerCluster === "custom") url.searchParams.set("customUrl", RPC_URL);
+  return url.toString();
+}
+
+export function explorerTxUrl(signature: string): string {
+  return explorerLink(`tx/${signature}`);
+}
+
+export function explorerAddressUrl(address: string): string {
+  return explorerLink(`address/${address}`);
+}
@@ -1,45 +1,56 @@
+import { httpsCallable } from "firebase/functions";
+import { functions } from "../firebase";
+
+// Prices come from the server's recorded SOL/USD quotes
+// (functions/price.js); there is no client-side fallback price.
+
+interface Quote {
+  quoteId: string;
+  price: number;
+  createdAt: string;
+  expiresAt: string;
+}
+
 interface ConversionResult {
   usdAmount: number;
   solAmount: number;
   exchangeRate: number;
+  quoteId: string;
   timestamp: string;
 }
 
-let priceCache: number | null = null;
-let cacheTime = 0;
+const getSolQuote = httpsCallable<void, Quote>(functions, "getSolQuote");
 
-export async function fetchSOLPrice(): Promise<number> {
-  // Use cached price if less than 1 minute old
-  if (priceCache !== null && Date.now() - cacheTime < 60000) {
-    return priceCache;
-  }
+let cachedQuote: Quote | null = null;
 
-  try {
-    const res = await fetch(
-      "https://api.coingecko.com/api/v3/simple/price?ids=solana&vs_currencies=usd"
-    );
-    const data = await res.json();
-    priceCache = data.solana.usd;
-    cacheTime = Date.now();
-    return data.solana.usd;
-  } catch (error) {
-    return priceCache !== null ? priceCache : 150;
+export async function fetchSOLQuote(): Promise<Quote> {
+  if (cachedQuote && Date.now() < new Date(cachedQuote.expiresAt).getTime()) {
+    return cachedQuote;
   }
+
+  const { data } = await getSolQuote();
+  cachedQuote = data;
+  return data;
+}
+
+export async function fetchSOLPrice(): Promise<number> {
+  return (await fetchSOLQuote()).price;
 }
 
 export async function convertUSDtoSOL(
   usdAmount: number,
   bufferPercent: number = 2
 ): Promise<ConversionResult> {
-  const price = await fetchSOLPrice();
-  const baseSOL = usdAmount / price;
+  const quote = await fetchSOLQuote();
+  const baseSOL = usdAmount / quote.price;
   // Add buffer for price volatility
   const withBuffer = baseSOL * (1 + bufferPercent / 100);
 
   return {
     usdAmount,
     solAmount: withBuffer,
-    exchangeRate: price,
-    timestamp: new Date().toISOString(),
+    exchangeRate: quote.price,
+    quoteId: quote.quoteId,
+    timestamp: quote.createdAt,
   };
-}
\ No newline at end of file
+}
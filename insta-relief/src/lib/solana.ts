@@ -4,11 +4,57 @@ import {
   Transaction,
   SystemProgram,
   LAMPORTS_PER_SOL,
-  clusterApiUrl,
 } from "@solana/web3.js";
+import {
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
+  getAssociatedTokenAddressSync,
+} from "@solana/spl-token";
+import { httpsCallable } from "firebase/functions";
+import { functions } from "../firebase";
 import type { PhantomProvider } from "../../types/phantom";
+import { RPC_URL, USDC_MINT, explorerTxUrl } from "./cluster";
+
+const connection = new Connection(RPC_URL, "confirmed");
 
-const connection = new Connection(clusterApiUrl("devnet"), "confirmed");
+const USDC_DECIMALS = 6;
+
+const requestWalletNonce = httpsCallable<
+  { walletAddress: string },
+  { message: string; expiresAt: string }
+>(functions, "requestWalletNonce");
+const verifyWallet = httpsCallable<
+  { walletAddress: string; signature: string },
+  { walletAddress: string; walletVerified: boolean; walletVerifiedAt: string }
+>(functions, "verifyWallet");
+
+// Waits until the transaction is confirmed or its blockhash expires. A
+// confirmation that times out is checked against the chain before giving
+// up, so a transfer that landed is never reported as failed.
+async function confirmSent(
+  signature: string,
+  blockhash: string,
+  lastValidBlockHeight: number
+): Promise<void> {
+  try {
+    const result = await connection.confirmTransaction(
+      { signature, blockhash, lastValidBlockHeight },
+      "confirmed"
+    );
+    if (result.value.err) {
+      throw new Error(`Transaction failed: ${JSON.stringify(result.value.err)}`);
+    }
+  } catch (error) {
+    const { value } = await connection.getSignatureStatus(signature, {
+      searchTransactionHistory: true,
+    });
+    const landed =
+      value?.confirmationStatus === "confirmed" ||
+      value?.confirmationStatus === "finalized";
+    if (landed && !value?.err) return;
+    throw error;
+  }
+}
 
 export function getProvider(): PhantomProvider | undefined {
   if ("solana" in window) {
@@ -34,6 +80,33 @@ export async function ensureConnected(): Promise<PublicKey> {
   }
 }
 
+// Proves the signed-in user controls the connected Phantom wallet: signs a
+// server-issued nonce and has functions/wallets.js check the signature. On
+// success the wallet becomes the user's payout address.
+export async function verifyWalletOwnership(): Promise<string> {
+  const publicKey = await ensureConnected();
+  const provider = getProvider()!;
+  const walletAddress = publicKey.toBase58();
+
+  const { data } = await requestWalletNonce({ walletAddress });
+
+  let signature: Uint8Array;
+  try {
+    ({ signature } = await provider.signMessage(
+      new TextEncoder().encode(data.message),
+      "utf8"
+    ));
+  } catch {
+    throw new Error("Signature request was cancelled");
+  }
+
+  await verifyWallet({
+    walletAddress,
+    signature: btoa(String.fromCharCode(...signature)),
+  });
+  return walletAddress;
+}
+
 export async function sendSol(
   toAddress: string,
   amountSol: number
@@ -55,9 +128,9 @@ export async function sendSol(
       })
     );
 
-    transaction.recentBlockhash = (
-      await connection.getLatestBlockhash()
-    ).blockhash;
+    const { blockhash, lastValidBlockHeight } =
+      await connection.getLatestBlockhash();
+    transaction.recentBlockhash = blockhash;
     transaction.feePayer = provider.publicKey;
 
     const signedTransaction = await provider.signTransaction(transaction);
@@ -66,9 +139,9 @@ export async function sendSol(
       signedTransaction.serialize()
     );
 
-    await connection.confirmTransaction(signature, "confirmed");
+    await confirmSent(signature, blockhash, lastValidBlockHeight);
 
-    const explorerUrl = `https://explorer.solana.com/tx/${signature}?cluster=devnet`;
+    const explorerUrl = explorerTxUrl(signature);
 
     return { signature, explorerUrl };
   } catch (error: any) {
@@ -86,6 +159,75 @@ export async function sendSol(
   }
 }
 
+// Sends `amountUsdc` USDC from the connected wallet, creating the
+// recipient's token account if it doesn't exist yet.
+export async function sendUsdc(
+  toAddress: string,
+  amountUsdc: number
+): Promise<{ signature: string; explorerUrl: string }> {
+  const provider = getProvider();
+  if (!provider || !provider.publicKey) {
+    throw new Error("Wallet not connected");
+  }
+
+  if (!USDC_MINT) {
+    throw new Error("USDC_MINT is not configured for this cluster");
+  }
+  const mint = new PublicKey(USDC_MINT);
+
+  try {
+    const recipient = new PublicKey(toAddress);
+    const source = getAssociatedTokenAddressSync(mint, provider.publicKey);
+    const destination = getAssociatedTokenAddressSync(mint, recipient);
+    const units = BigInt(Math.round(amountUsdc * 10 ** USDC_DECIMALS));
+
+    const transaction = new Transaction().add(
+      createAssociatedTokenAccountIdempotentInstruction(
+        provider.publicKey,
+        destination,
+        recipient,
+        mint
+      ),
+      createTransferCheckedInstruction(
+        source,
+        mint,
+        destination,
+        provider.publicKey,
+        units,
+        USDC_DECIMALS
+      )
+    );
+
+    const { blockhash, lastValidBlockHeight } =
+      await connection.getLatestBlockhash();
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = provider.publicKey;
+
+    const signedTransaction = await provider.signTransaction(transaction);
+
+    const signature = await connection.sendRawTransaction(
+      signedTransaction.serialize()
+    );
+
+    await confirmSent(signature, blockhash, lastValidBlockHeight);
+
+    const explorerUrl = explorerTxUrl(signature);
+
+    return { signature, explorerUrl };
+  } catch (error) {
+    console.error("Error sending USDC:", error);
+    const message = (error as Error).message;
+
+    if (message?.includes("User rejected")) {
+      throw new Error("Transaction cancelled by user");
+    } else if (message?.includes("insufficient")) {
+      throw new Error("Insufficient USDC balance in wallet");
+    } else {
+      throw new Error(message || "Failed to send USDC");
+    }
+  }
+}
+
 export async function getBalance(address: string): Promise<number> {
   try {
     const publicKey = new PublicKey(address);
@@ -17,6 +17,7 @@ import {
   TableHead,
   TableRow,
   TextField,
+  MenuItem,
   Typography,
   Chip,
   Paper,
@@ -26,20 +27,23 @@ import {
   Tabs,
 } from "@mui/material";
 import { useNavigate } from "react-router-dom";
-import { auth, db } from "../firebase";
+import { auth, db, functions } from "../firebase";
 import {
   collection,
   getDocs,
   doc,
-  updateDoc,
-  addDoc,
+  onSnapshot,
   query,
   orderBy,
 } from "firebase/firestore";
+import { httpsCallable } from "firebase/functions";
 import { signOut } from "firebase/auth";
 import AdminWalletConnect from "../components/AdminWalletConnect";
+import TreasuryStatus from "../components/TreasuryStatus";
+import Reconciliation from "../components/Reconciliation";
+import WithdrawalApprovals from "../components/WithdrawalApprovals";
 import AIAssistant from "../components/AIAssistant";
-import { sendSol, getProvider } from "../lib/solana";
+import { sendSol, sendUsdc, getProvider } from "../lib/solana";
 import { convertUSDtoSOL } from "../lib/priceService";
 import NoaaMap from "../components/NoaaMap";
 
@@ -55,6 +59,17 @@ interface UserData {
   status: string;
   isActivated: boolean;
   walletAddress?: string;
+  walletVerified?: boolean;
+  // ZIPs of the insured locations; unset until the user is migrated.
+  locationZips?: string[];
+}
+
+interface PayoutCounts {
+  pending: number;
+  sent: number;
+  confirmed: number;
+  failed: number;
+  total: number;
 }
 
 interface Catastrophe {
@@ -66,11 +81,14 @@ interface Catastrophe {
   description: string;
   createdAt: string;
   createdBy: string;
+  status?: string;
+  asset?: "SOL" | "USDC" | null;
+  failedPayouts?: number;
 }
 
-// ⚠️ IMPORTANT: Ensure this URL is correct for your environment (Deployed or Emulator)
-const SIMULATE_DISASTER_URL =
-  "https://simulatedisaster-eelyy5nzaa-uc.a.run.app";
+// Every balance change goes through the server-side ledger.
+const adjustBalance = httpsCallable(functions, "adjustBalance");
+const approveCatastrophe = httpsCallable(functions, "approveCatastrophe");
 
 export default function AdminDashboard() {
   const [users, setUsers] = useState<UserData[]>([]);
@@ -78,29 +96,42 @@ export default function AdminDashboard() {
   const [loading, setLoading] = useState(true);
   const [tabValue, setTabValue] = useState(0);
   const [openCatastropheDialog, setOpenCatastropheDialog] = useState(false);
-  const [catastropheData, setCatastropheData] = useState({
+  const [catastropheData, setCatastropheData] = useState<{
+    eventId?: string;
+    resuming?: boolean;
+    type: string;
+    location: string;
+    zipCodes: string;
+    amount: string;
+    asset: "" | "SOL" | "USDC";
+    description: string;
+  }>({
     type: "",
     location: "",
     zipCodes: "",
     amount: "",
+    asset: "",
     description: "",
   });
   const [submitting, setSubmitting] = useState(false);
+  const [treasuryRefresh, setTreasuryRefresh] = useState(0);
   const [message, setMessage] = useState<{
-    type: "success" | "error";
+    type: "success" | "error" | "warning";
     text: string;
   } | null>(null);
-  const [processingStatus, setProcessingStatus] = useState<{
-    show: boolean;
-    current: number;
-    total: number;
-    currentUser?: string;
-  }>({ show: false, current: 0, total: 0 });
+  const [payoutJob, setPayoutJob] = useState<{
+    eventId: string;
+    open: boolean;
+    status?: string;
+    counts?: PayoutCounts;
+  } | null>(null);
   const [paymentConfirmDialog, setPaymentConfirmDialog] = useState<{
     open: boolean;
     user?: UserData;
     amountUSD?: number;
     amountSOL?: number;
+    quoteId?: string;
+    asset?: "SOL" | "USDC";
     newBalance?: number;
   }>({ open: false });
   const [balanceInputDialog, setBalanceInputDialog] = useState<{
@@ -140,6 +171,27 @@ export default function AdminDashboard() {
     checkAdminAndFetchData();
   }, [navigate]);
 
+  const watchedEventId = payoutJob?.eventId;
+  useEffect(() => {
+    if (!watchedEventId) return;
+
+    return onSnapshot(doc(db, "payoutJobs", watchedEventId), (snapshot) => {
+      const job = snapshot.data();
+      if (!job) return;
+
+      setPayoutJob((prev) =>
+        prev && prev.eventId === watchedEventId
+          ? { ...prev, status: job.status, counts: job.counts }
+          : prev
+      );
+      if (job.status === "COMPLETED" || job.status === "PARTIAL") {
+        fetchUsers();
+        fetchCatastrophes();
+        setTreasuryRefresh((n) => n + 1);
+      }
+    });
+  }, [watchedEventId]);
+
   const fetchUsers = async () => {
     try {
       const usersSnapshot = await getDocs(collection(db, "users"));
@@ -194,8 +246,10 @@ export default function AdminDashboard() {
     // If decreasing balance, just update database
     if (difference < 0) {
       try {
-        await updateDoc(doc(db, "users", userId), {
-          balance: newBalance,
+        await adjustBalance({
+          userId,
+          amount: difference,
+          reason: "Manual balance adjustment",
         });
         setMessage({
           type: "success",
@@ -210,10 +264,10 @@ export default function AdminDashboard() {
     }
 
     // If increasing balance, check wallet and send SOL
-    if (!user.walletAddress) {
+    if (!user.walletAddress || !user.walletVerified) {
       setMessage({
         type: "error",
-        text: "User has no connected wallet address. Cannot send SOL.",
+        text: "User has no verified wallet address. Cannot send a payment.",
       });
       return;
     }
@@ -233,6 +287,8 @@ export default function AdminDashboard() {
       const amountSOL = conversion.solAmount;
 
       setPaymentConfirmDialog({
+        quoteId: conversion.quoteId,
+        asset: "SOL",
         open: true,
         user,
         amountUSD: difference,
@@ -250,34 +306,35 @@ export default function AdminDashboard() {
   const handleConfirmPayment = async () => {
     if (!paymentConfirmDialog.user || !paymentConfirmDialog.amountSOL) return;
 
-    const { user, amountUSD, amountSOL, newBalance } = paymentConfirmDialog;
+    const { user, amountUSD, amountSOL, quoteId, asset = "SOL" } = paymentConfirmDialog;
+    const sent =
+      asset === "USDC" ? `${amountUSD!.toFixed(2)} USDC` : `${amountSOL.toFixed(4)} SOL`;
 
     try {
       setSubmitting(true);
       setPaymentConfirmDialog({ open: false });
 
-      const { signature, explorerUrl } = await sendSol(
-        user.walletAddress!,
-        amountSOL
-      );
+      const { signature, explorerUrl } =
+        asset === "USDC"
+          ? await sendUsdc(user.walletAddress!, amountUSD!)
+          : await sendSol(user.walletAddress!, amountSOL);
 
-      console.log(
-        `Sent ${amountSOL.toFixed(4)} SOL to ${user.email}`,
-        explorerUrl
-      );
+      console.log(`Sent ${sent} to ${user.email}`, explorerUrl);
 
-      await updateDoc(doc(db, "users", user.id), {
-        balance: newBalance,
-        lastPayout: new Date().toISOString(),
-        lastPayoutAmount: amountUSD,
-        status: "PAID",
+      // A USDC payout is 1:1 with the balance, so it has no SOL quote.
+      await adjustBalance({
+        userId: user.id,
+        amount: amountUSD,
+        reason: `Manual ${asset} payout`,
+        payout: true,
+        signature,
+        asset,
+        ...(asset === "SOL" ? { quoteId } : {}),
       });
 
       setMessage({
         type: "success",
-        text: `Successfully sent ${amountSOL.toFixed(
-          4
-        )} SOL ($${amountUSD?.toFixed(2)})! View transaction: ${explorerUrl}`,
+        text: `Successfully sent ${sent} ($${amountUSD?.toFixed(2)})! View transaction: ${explorerUrl}`,
       });
 
       await fetchUsers();
@@ -302,34 +359,26 @@ export default function AdminDashboard() {
       setSubmitting(false);
     }
   };
-  const handleAIPreparedCatastrophe = (aiData: any) => {
-    console.log("AI prepared catastrophe data:", aiData);
-
+  const handleResumeCatastrophe = (cat: Catastrophe) => {
     setCatastropheData({
-      type: aiData.formData.type,
-      location: aiData.formData.location,
-      zipCodes: aiData.formData.zipCodes,
-      amount: aiData.formData.amount,
-      description: aiData.formData.description || "",
+      eventId: cat.id,
+      resuming: true,
+      type: cat.type,
+      location: cat.location,
+      zipCodes: cat.zipCodes.join(", "),
+      amount: cat.amount.toString(),
+      asset: cat.asset || "",
+      description: cat.description || "",
     });
-
     setOpenCatastropheDialog(true);
-
-    setMessage({
-      type: "success",
-      text: `AI auto-filled catastrophe form! ${aiData.analysis?.usersWithWallet || 0
-        } users ready. Review and confirm to execute.`,
-    });
-
-    window.scrollTo({ top: 0, behavior: "smooth" });
   };
 
-  const handleConfirmTrigger = () => {
+  const handleConfirmTrigger = async () => {
     const zipCodesArray = catastropheData.zipCodes
       .split(",")
       .map((zip) => zip.trim());
     const affectedCount = users.filter(
-      (u) => zipCodesArray.includes(u.zip) && u.walletAddress
+      (u) => zipCodesArray.includes(u.zip) && u.walletVerified
     ).length;
     if (affectedCount === 0) {
       setMessage({
@@ -339,42 +388,30 @@ export default function AdminDashboard() {
       return;
     }
 
+    let estimate = "SOL price unavailable";
+    try {
+      const conversion = await convertUSDtoSOL(parseFloat(catastropheData.amount), 0);
+      estimate = `~${conversion.solAmount.toFixed(4)} SOL at $${conversion.exchangeRate.toFixed(2)}/SOL`;
+    } catch (error) {
+      console.error("Failed to fetch SOL quote:", error);
+    }
+
     const confirmed = window.confirm(
       `CONFIRM CATASTROPHE TRIGGER\n\n` +
       `This will send real cryptocurrency to ${affectedCount} user(s).\n\n` +
       `Type: ${catastropheData.type}\n` +
       `Location: ${catastropheData.location}\n` +
-      `Amount per user: $${catastropheData.amount} (${parseFloat(catastropheData.amount) / 100
-      } SOL)\n\n` +
+      `Amount per user: $${catastropheData.amount} (${estimate})\n\n` +
       `Do you want to proceed?`
     );
 
     if (confirmed) {
       handleTriggerCatastrophe();
     }
-  }; // ========================================================== // 🆕 NEW: Function to call the existing simulateDisaster endpoint // ==========================================================
-
-  // AdminDashboard.tsx: New function signature
-const callSimulateDisaster = async (zip: string, eventType: string, amount: string) => {
-  try {
-    const response = await fetch(
-      `${SIMULATE_DISASTER_URL}?zip=${zip}&severity=Extreme&event=${eventType}&amount=${amount}`
-    );
-
-    if (!response.ok) {
-      console.error("❌ Failed to trigger backend email (HTTP Error):", await response.text());
-    } else {
-      console.log(`✅ Confirmation email triggered for ${eventType}.`);
-    }
-  } catch (error) {
-    console.error("❌ Network error triggering simulateDisaster:", error);
-  }
-};
-
-
-  // 3. Update the call inside handleTriggerCatastrophe
-  // Use the type from the catastropheData state
+  };
 
+  // Disbursement runs on the server from the treasury wallet; approving
+  // only credits the policies and queues the transfers.
   const handleTriggerCatastrophe = async () => {
     if (
       !catastropheData.type ||
@@ -386,116 +423,66 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
       return;
     }
 
-    const provider = getProvider();
-    if (!provider || !provider.publicKey) {
-      setMessage({
-        type: "error",
-        text: "Please connect your Phantom wallet first!",
-      });
-      return;
-    }
-
     setSubmitting(true);
     try {
       const zipCodesArray = catastropheData.zipCodes
         .split(",")
         .map((zip) => zip.trim());
       const amountUSD = parseFloat(catastropheData.amount);
-      const conversion = await convertUSDtoSOL(amountUSD, 2);
-      const amountSOL = conversion.solAmount;
-      const exchangeRate = conversion.exchangeRate;
-      const usersSnapshot = await getDocs(collection(db, "users"));
-      const affectedUsers: any[] = [];
-      usersSnapshot.forEach((userDoc) => {
-        const userData = userDoc.data();
-        if (zipCodesArray.includes(userData.zip) && userData.walletAddress) {
-          affectedUsers.push({
-            id: userDoc.id,
-            ...userData,
-          });
-        }
-      });
-
-      if (affectedUsers.length === 0) {
-        setMessage({
-          type: "error",
-          text: "No users with wallet addresses found in affected ZIP codes.",
-        });
-        setSubmitting(false);
-        return;
-      }
-
-      const estimatedTotalSOL = affectedUsers.length * amountSOL;
-
-      const payoutResults = [];
-      for (let i = 0; i < affectedUsers.length; i++) {
-        const user = affectedUsers[i];
-        setProcessingStatus({
-          show: true,
-          current: i + 1,
-          total: affectedUsers.length,
-          currentUser: user.email,
-        });
-
-        try {
-          // 1. Send SOL via Solana network
-          const { signature, explorerUrl } = await sendSol(
-            user.walletAddress,
-            amountSOL
-          ); // 2. 📧 TRIGGER EMAIL CONFIRMATION *WHILE STATUS IS ACTIVE* // Pass both the user's ZIP and the catastrophe type
-
-          await callSimulateDisaster(user.zip, catastropheData.type, catastropheData.amount); // 3. Update Firestore Status *AFTER* email call
-
-          await updateDoc(doc(db, "users", user.id), {
-            balance: (user.balance ?? 0) + amountUSD,
-            status: "PAID",
-            lastPayout: new Date().toISOString(),
-            lastPayoutAmount: amountUSD,
-          });
-
-          payoutResults.push({
-            userId: user.id,
-            email: user.email,
-            success: true,
-            signature,
-            explorerUrl,
-          });
-        } catch (error: any) {
-          payoutResults.push({
-            userId: user.id,
-            email: user.email,
-            success: false,
-            error: error.message,
-          });
-        }
-      }
 
-      setProcessingStatus({ show: false, current: 0, total: 0 });
-
-      await addDoc(collection(db, "catastrophes"), {
+      // Reusing the event id makes a retry only pay the users the previous
+      // run missed; the server refuses a second credit for the same policy.
+      // The server prices the transfers with its own SOL quote.
+      const result = await approveCatastrophe({
+        eventId: catastropheData.eventId,
         type: catastropheData.type,
         location: catastropheData.location,
         zipCodes: zipCodesArray,
         amount: amountUSD,
-        amountSOL: amountSOL,
-        exchangeRate: exchangeRate,
-        priceTimestamp: conversion.timestamp,
+        asset: catastropheData.asset || null,
         description: catastropheData.description,
-        createdAt: new Date().toISOString(),
-        createdBy: auth.currentUser?.email,
-        payoutResults: payoutResults,
-        totalAffected: affectedUsers.length,
-        successfulPayouts: payoutResults.filter((r) => r.success).length,
-        failedPayouts: payoutResults.filter((r) => !r.success).length,
       });
+      const { eventId, staged, recipients, queued, skipped, funding } = result.data as {
+        eventId: string;
+        staged: boolean;
+        recipients: number;
+        queued: number;
+        skipped?: number;
+        funding: {
+          requiredSOL: number;
+          availableSOL: number;
+          shortfallSOL: number;
+          requiredUSDC: number;
+          usdcAvailable: number;
+          shortfallUSDC: number;
+        };
+      };
+      setTreasuryRefresh((n) => n + 1);
 
-      const successCount = payoutResults.filter((r) => r.success).length;
-      const failCount = payoutResults.filter((r) => !r.success).length;
-
-      setMessage({
-        type: successCount > 0 ? "success" : "error",
-        text: `Catastrophe triggered! ${successCount} successful payouts, ${failCount} failed. Check console for details.`,
-      });
+      if (staged) {
+        setMessage({
+          type: "warning",
+          text:
+            `Not enough treasury funds: ${recipients} payout(s) need ` +
+            `${funding.requiredSOL.toFixed(4)} SOL and ${funding.requiredUSDC.toFixed(2)} USDC but only ` +
+            `${funding.availableSOL.toFixed(4)} SOL and ${funding.usdcAvailable.toFixed(2)} USDC are ` +
+            `available (short ${funding.shortfallSOL.toFixed(4)} SOL, ${funding.shortfallUSDC.toFixed(2)} USDC). ` +
+            `The event is awaiting funds; fund the treasury and Resume it. No balances were credited.`,
+        });
+      } else if (recipients === 0) {
+        setMessage({
+          type: "error",
+          text: "No insured locations with verified wallets found in affected ZIP codes.",
+        });
+      } else {
+        setMessage({
+          type: "success",
+          text:
+            `Catastrophe approved! ${queued} payout(s) queued for ${recipients} insured location(s)` +
+            (skipped ? `; ${skipped} skipped (not covered, or already paid to the balance).` : "."),
+        });
+        setPayoutJob({ eventId, open: true });
+      }
 
       setOpenCatastropheDialog(false);
       setCatastropheData({
@@ -503,6 +490,7 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
         location: "",
         zipCodes: "",
         amount: "",
+        asset: "",
         description: "",
       });
       await fetchUsers();
@@ -513,7 +501,6 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
         type: "error",
         text: "Failed to trigger catastrophe: " + error.message,
       });
-      setProcessingStatus({ show: false, current: 0, total: 0 });
     } finally {
       setSubmitting(false);
     }
@@ -556,7 +543,15 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
           <Button
             variant="contained"
             color="error"
-            onClick={() => setOpenCatastropheDialog(true)}
+            onClick={() => {
+              // One id per new event, kept if the approval is retried.
+              setCatastropheData({
+                ...catastropheData,
+                eventId: doc(collection(db, "catastrophes")).id,
+                resuming: false,
+              });
+              setOpenCatastropheDialog(true);
+            }}
             sx={{ fontWeight: 600 }}
           >
             Trigger Catastrophe{" "}
@@ -570,6 +565,9 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
         {" "}
       </Stack>
       <AdminWalletConnect />{" "}
+      <TreasuryStatus refreshKey={treasuryRefresh} />
+      <WithdrawalApprovals />
+      <Reconciliation />
       {message && (
         <Alert
           severity={message.type}
@@ -610,7 +608,7 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
                       <strong>Policy ID</strong>
                     </TableCell>
                     <TableCell>
-                      <strong>ZIP</strong>
+                      <strong>Insured ZIPs</strong>
                     </TableCell>
                     <TableCell>
                       <strong>Status</strong>
@@ -634,7 +632,7 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
                       </TableCell>
                       <TableCell>{user.email}</TableCell>
                       <TableCell>{user.policyId}</TableCell>
-                      <TableCell>{user.zip}</TableCell>
+                      <TableCell>{(user.locationZips ?? [user.zip]).join(", ")}</TableCell>
                       <TableCell>
                         <Chip
                           label={user.status}
@@ -646,12 +644,18 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
                       </TableCell>
                       <TableCell>${(user.balance ?? 0).toFixed(2)}</TableCell>
                       <TableCell>
-                        {user.walletAddress ? (
+                        {user.walletAddress && user.walletVerified ? (
                           <Chip
-                            label="Connected"
+                            label="Verified"
                             color="success"
                             size="small"
                           />
+                        ) : user.walletAddress ? (
+                          <Chip
+                            label="Unverified"
+                            color="warning"
+                            size="small"
+                          />
                         ) : (
                           <Chip
                             label="No Wallet"
@@ -711,6 +715,9 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
                     <TableCell>
                       <strong>Date</strong>
                     </TableCell>
+                    <TableCell>
+                      <strong>Status</strong>
+                    </TableCell>
                   </TableRow>
                 </TableHead>
                 <TableBody>
@@ -725,6 +732,30 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
                       <TableCell>
                         {new Date(cat.createdAt).toLocaleString()}
                       </TableCell>
+                      <TableCell>
+                        <Stack direction="row" spacing={1} alignItems="center">
+                          <Chip
+                            label={cat.status || "COMPLETED"}
+                            color={
+                              !cat.status || cat.status === "COMPLETED"
+                                ? "success"
+                                : "warning"
+                            }
+                            size="small"
+                          />
+                          {(cat.status === "PARTIAL" ||
+                            cat.status === "PROCESSING" ||
+                            cat.status === "AWAITING_FUNDS") && (
+                            <Button
+                              size="small"
+                              onClick={() => handleResumeCatastrophe(cat)}
+                              disabled={submitting}
+                            >
+                              Resume
+                            </Button>
+                          )}
+                        </Stack>
+                      </TableCell>
                     </TableRow>
                   ))}
                 </TableBody>
@@ -734,10 +765,7 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
         </Card>
       )}
       {tabValue === 2 && (
-        <AIAssistant
-          functionUrl={AI_FUNCTION_URL}
-          onCatastrophePrepared={handleAIPreparedCatastrophe}
-        />
+        <AIAssistant functionUrl={AI_FUNCTION_URL} />
       )}
       {tabValue == 3 && (
         <Card>
@@ -752,7 +780,11 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
         maxWidth="sm"
         fullWidth
       >
-        <DialogTitle>Trigger Catastrophe Event</DialogTitle>
+        <DialogTitle>
+          {catastropheData.resuming
+            ? "Resume Catastrophe Event"
+            : "Trigger Catastrophe Event"}
+        </DialogTitle>
         <DialogContent>
           <Stack spacing={2} sx={{ mt: 1 }}>
             <TextField
@@ -802,6 +834,23 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
                 })
               }
             />
+            <TextField
+              select
+              label="Payout Asset"
+              fullWidth
+              value={catastropheData.asset}
+              onChange={(e) =>
+                setCatastropheData({
+                  ...catastropheData,
+                  asset: e.target.value as "" | "SOL" | "USDC",
+                })
+              }
+              helperText="Product default uses each policy's payout asset"
+            >
+              <MenuItem value="">Product default</MenuItem>
+              <MenuItem value="SOL">SOL</MenuItem>
+              <MenuItem value="USDC">USDC</MenuItem>
+            </TextField>
             <TextField
               label="Description"
               fullWidth
@@ -832,27 +881,50 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
           </Button>
         </DialogActions>
       </Dialog>
-      <Dialog open={processingStatus.show} maxWidth="sm" fullWidth>
+      <Dialog
+        open={!!payoutJob?.open}
+        onClose={() => setPayoutJob(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Catastrophe Payouts</DialogTitle>
         <DialogContent>
           <Stack spacing={2} alignItems="center" sx={{ py: 3 }}>
-            <CircularProgress size={60} />
+            {payoutJob?.status === "COMPLETED" ||
+            payoutJob?.status === "PARTIAL" ? (
+              <Chip
+                label={payoutJob.status}
+                color={payoutJob.status === "COMPLETED" ? "success" : "warning"}
+              />
+            ) : (
+              <CircularProgress size={60} />
+            )}
             <Typography variant="h6">
-              Processing Blockchain Transactions
+              {payoutJob?.counts
+                ? `${payoutJob.counts.confirmed} of ${payoutJob.counts.total} payments confirmed`
+                : "Waiting for the payout worker..."}
             </Typography>
-            <Typography variant="body2" color="text.secondary">
-              Sending payment {processingStatus.current} of{" "}
-              {processingStatus.total}
-            </Typography>
-            {processingStatus.currentUser && (
-              <Typography variant="caption" color="text.secondary">
-                To: {processingStatus.currentUser}
-              </Typography>
+            {payoutJob?.counts && (
+              <Stack direction="row" spacing={1}>
+                <Chip label={`Pending: ${payoutJob.counts.pending}`} size="small" />
+                <Chip label={`Sent: ${payoutJob.counts.sent}`} size="small" color="info" />
+                <Chip
+                  label={`Confirmed: ${payoutJob.counts.confirmed}`}
+                  size="small"
+                  color="success"
+                />
+                <Chip label={`Failed: ${payoutJob.counts.failed}`} size="small" color="error" />
+              </Stack>
             )}
-            <Typography variant="caption" color="warning.main">
-              Please don't close this window
+            <Typography variant="caption" color="text.secondary">
+              Payments are sent from the treasury wallet. You can close this
+              window; failed payouts can be retried with Resume.
             </Typography>
           </Stack>
         </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setPayoutJob(null)}>Close</Button>
+        </DialogActions>
       </Dialog>
       <Dialog
         open={balanceInputDialog.open}
@@ -953,8 +1025,27 @@ const callSimulateDisaster = async (zip: string, eventType: string, amount: stri
               disabled
             />
             <TextField
-              label="Amount (SOL)"
-              value={`${paymentConfirmDialog.amountSOL?.toFixed(4)} SOL`}
+              select
+              label="Pay In"
+              value={paymentConfirmDialog.asset || "SOL"}
+              onChange={(e) =>
+                setPaymentConfirmDialog({
+                  ...paymentConfirmDialog,
+                  asset: e.target.value as "SOL" | "USDC",
+                })
+              }
+              fullWidth
+            >
+              <MenuItem value="SOL">SOL</MenuItem>
+              <MenuItem value="USDC">USDC</MenuItem>
+            </TextField>
+            <TextField
+              label="Amount"
+              value={
+                paymentConfirmDialog.asset === "USDC"
+                  ? `${paymentConfirmDialog.amountUSD?.toFixed(2)} USDC`
+                  : `${paymentConfirmDialog.amountSOL?.toFixed(4)} SOL`
+              }
               fullWidth
               disabled
             />
@@ -1,4 +1,4 @@
-import { useEffect, useState } from "react";
+import { useEffect, useRef, useState } from "react";
 import type { ChangeEvent } from "react";
 import {
   Box,
@@ -24,7 +24,9 @@ import {
   DialogActions,
   TextField,
   Alert,
-  TablePagination, // Added for completeness if pagination is fully implemented
+  TablePagination,
+  FormControlLabel,
+  Switch,
 } from "@mui/material";
 // --- REQUIRED ICON IMPORTS ADDED ---
 import AccountBalanceWalletIcon from "@mui/icons-material/AccountBalanceWallet";
@@ -33,20 +35,50 @@ import LocationOnOutlinedIcon from "@mui/icons-material/LocationOnOutlined";
 import AccountBalanceWalletOutlinedIcon from "@mui/icons-material/AccountBalanceWalletOutlined";
 // ------------------------------------
 import { useNavigate } from "react-router-dom";
-import { auth, db } from "../firebase";
+import { auth, db, functions } from "../firebase";
 import {
   doc,
   getDoc,
   collection,
   query,
-  getDocs,
-  orderBy,
+  where,
+  onSnapshot,
   updateDoc,
-  addDoc,
 } from "firebase/firestore";
 import { signOut } from "firebase/auth";
-import { getProvider, sendSol } from "../lib/solana";
+import { httpsCallable } from "firebase/functions";
 import { convertUSDtoSOL } from "../lib/priceService";
+import { verifyWalletOwnership } from "../lib/solana";
+
+const requestWithdrawal = httpsCallable<
+  { amount: number },
+  { withdrawalId: string; amountUSD: number; balanceAfter: number }
+>(functions, "requestWithdrawal");
+
+const payPremium = httpsCallable<
+  void,
+  { premiumId: string; amount: number; reinstated: boolean }
+>(functions, "payPremium");
+
+const cancelPolicy = httpsCallable<{ reason?: string }, { status: string }>(
+  functions,
+  "cancelPolicy"
+);
+
+const saveLocation = httpsCallable<
+  { locationId?: string; label: string; address: string; zip: string; coverageAmount: number | null },
+  { locationId: string }
+>(functions, "saveLocation");
+
+const removeLocation = httpsCallable<{ locationId: string }, { removed: string }>(
+  functions,
+  "removeLocation"
+);
+
+const getMyTransactions = httpsCallable<
+  { pageSize: number; cursor: string | null },
+  { transactions: Transaction[]; nextCursor: string | null; total: number }
+>(functions, "getMyTransactions");
 
 interface UserData {
   firstName: string;
@@ -59,28 +91,112 @@ interface UserData {
   status: string;
   isActivated: boolean;
   walletAddress?: string;
+  walletVerified?: boolean;
+  notificationPrefs?: NotificationPrefs;
+  coverageStart?: string;
+  coverageEnd?: string;
+  termNumber?: number;
+  autoRenew?: boolean;
+  premium?: Premium;
+}
+
+// users/{uid}/locations, managed through functions/locations.js.
+interface InsuredLocation {
+  id: string;
+  label: string;
+  address: string | null;
+  zip: string;
+  countyFips: string | null;
+  coverageAmount: number | null;
+}
+
+interface LocationForm {
+  locationId?: string;
+  label: string;
+  address: string;
+  zip: string;
+  coverageAmount: string;
 }
 
+const EMPTY_LOCATION: LocationForm = { label: "", address: "", zip: "", coverageAmount: "" };
+
+// Kept by functions/policies.js.
+interface Premium {
+  amount: number;
+  intervalMonths: number;
+  paidThrough: string;
+  nextDueAt: string;
+  status: "CURRENT" | "GRACE";
+  graceEndsAt: string | null;
+}
+
+interface NotificationPrefs {
+  email?: boolean;
+  sms?: boolean;
+}
+
+// One ledger entry as returned by getMyTransactions (functions/transactions.js).
 interface Transaction {
   id: string;
-  type: string;
-  location: string;
+  kind: "payout" | "disbursement" | "withdrawal" | "withdrawal_refund" | "adjustment";
+  description: string;
+  location: string | null;
   amount: number;
-  amountSOL?: number;
+  balanceAfter: number;
+  amountSOL: number | null;
   createdAt: string;
   status: string;
-  signature?: string;
+  signature: string | null;
+  explorerUrl: string | null;
+  exchangeRate: number | null;
+}
+
+const TRANSACTION_STATUS_LABEL: Record<string, string> = {
+  CREDITED: "Credited",
+  DISBURSED: "Completed",
+  COMPLETED: "Completed",
+  REQUESTED: "Awaiting approval",
+  REJECTED: "Rejected",
+  PENDING: "Pending",
+  PROCESSING: "Processing",
+  SETTLED: "Completed",
+  FAILED: "Failed",
+};
+
+// Written by functions/withdrawals.js.
+interface Withdrawal {
+  id: string;
+  amountUSD: number;
+  amountSOL?: number;
+  status: "requested" | "rejected" | "pending" | "processing" | "settled" | "failed";
+  createdAt: string;
   explorerUrl?: string;
-  exchangeRate?: number;
+  error?: string;
 }
 
+const WITHDRAWAL_STATUS_COLOR: Record<Withdrawal["status"], "default" | "info" | "success" | "error"> = {
+  requested: "default",
+  rejected: "error",
+  pending: "default",
+  processing: "info",
+  settled: "success",
+  failed: "error",
+};
+
 export default function DashboardPage() {
   const [userData, setUserData] = useState<UserData | null>(null);
   const [loading, setLoading] = useState(true);
   const [transactions, setTransactions] = useState<Transaction[]>([]);
+  const [withdrawals, setWithdrawals] = useState<Withdrawal[]>([]);
   const [withdrawDialog, setWithdrawDialog] = useState(false);
   const [withdrawAmount, setWithdrawAmount] = useState("");
   const [withdrawing, setWithdrawing] = useState(false);
+  const [verifyingWallet, setVerifyingWallet] = useState(false);
+  const [payingPremium, setPayingPremium] = useState(false);
+  const [cancelDialog, setCancelDialog] = useState(false);
+  const [locations, setLocations] = useState<InsuredLocation[]>([]);
+  const [locationForm, setLocationForm] = useState<LocationForm | null>(null);
+  const [savingLocation, setSavingLocation] = useState(false);
   const [message, setMessage] = useState<{
     type: "success" | "error" | "info" | "warning"; // Added other Alert severities
     text: string;
@@ -93,26 +209,25 @@ export default function DashboardPage() {
   }>({ open: false });
   const navigate = useNavigate();
 
-  // --- ADDED: Pagination State Variables ---
+  // Server-side pagination: pageCursors[n] is the cursor that starts page n.
   const [page, setPage] = useState(0);
   const [rowsPerPage, setRowsPerPage] = useState(10);
-  // -----------------------------------------
+  const [totalTransactions, setTotalTransactions] = useState(0);
+  const pageCursors = useRef<(string | null)[]>([null]);
 
   // ---------- Pagination handlers ----------
-  const handleChangePage = (_event: unknown, newPage: number) => {
-    setPage(newPage);
+  const handleChangePage = async (_event: unknown, newPage: number) => {
+    if (await fetchTransactions(newPage, rowsPerPage)) setPage(newPage);
   };
 
-  const handleChangeRowsPerPage = (event: ChangeEvent<HTMLInputElement>) => {
-    setRowsPerPage(parseInt(event.target.value, 10));
+  const handleChangeRowsPerPage = async (event: ChangeEvent<HTMLInputElement>) => {
+    const size = parseInt(event.target.value, 10);
+    pageCursors.current = [null];
+    setRowsPerPage(size);
     setPage(0);
+    await fetchTransactions(0, size);
   };
 
-  const paginatedData = transactions.slice(
-    page * rowsPerPage,
-    page * rowsPerPage + rowsPerPage
-  );
-
   // --- ADDED: handleLogout Function ---
   const handleLogout = async () => {
     try {
@@ -126,43 +241,106 @@ export default function DashboardPage() {
   // ------------------------------------
 
   // ---------- Firestore fetches ----------
-  const fetchTransactions = async (userZip: string) => {
+  // Payouts, withdrawals and adjustments all come from the user's ledger.
+  const fetchTransactions = async (pageIndex: number, pageSize: number) => {
     try {
-      const catastrophesRef = collection(db, "catastrophes");
-      const q = query(catastrophesRef, orderBy("createdAt", "desc"));
-      const querySnapshot = await getDocs(q);
-
-      const userTransactions: Transaction[] = [];
-      querySnapshot.forEach((d) => {
-        const data = d.data();
-        if (data.zipCodes && data.zipCodes.includes(userZip)) {
-          const payoutResult = data.payoutResults?.find(
-            (r: any) => r.email === auth.currentUser?.email
-          );
-
-          // Payouts from catastrophes are automatically added to balance
-          userTransactions.push({
-            id: d.id,
-            type: data.type,
-            location: data.location,
-            amount: data.amount,
-            amountSOL: data.amountSOL,
-            exchangeRate: data.exchangeRate,
-            createdAt: data.createdAt,
-            status: payoutResult?.success ? "Completed" : "Failed",
-            signature: payoutResult?.signature,
-            explorerUrl: payoutResult?.explorerUrl,
-          });
-        }
+      const { data } = await getMyTransactions({
+        pageSize,
+        cursor: pageCursors.current[pageIndex] ?? null,
       });
-      
-      // OPTIONAL: Fetch and add withdrawals to the transaction list if needed
-      // (The existing code was designed only to show catastrophe payouts)
 
-      setTransactions(userTransactions);
+      pageCursors.current[pageIndex + 1] = data.nextCursor;
+      setTransactions(data.transactions);
+      setTotalTransactions(data.total);
+      return true;
     } catch (error) {
       console.error("Error fetching transactions:", error);
       setMessage({ type: "error", text: "Failed to fetch transaction history." });
+      return false;
+    }
+  };
+
+  // Balance changes add entries at the top, so go back to the first page.
+  const refreshTransactions = async () => {
+    pageCursors.current = [null];
+    setPage(0);
+    await fetchTransactions(0, rowsPerPage);
+  };
+
+  // A channel is on unless the user switched it off (see functions/notifications.js).
+  const handleTogglePref = async (channel: keyof NotificationPrefs, enabled: boolean) => {
+    if (!userData) return;
+    const notificationPrefs = { ...userData.notificationPrefs, [channel]: enabled };
+
+    try {
+      await updateDoc(doc(db, "users", auth.currentUser!.uid), { notificationPrefs });
+      setUserData({ ...userData, notificationPrefs });
+    } catch (error) {
+      console.error("Failed to update notification preferences:", error);
+      setMessage({ type: "error", text: "Failed to update notification preferences." });
+    }
+  };
+
+  const handleToggleAutoRenew = async (autoRenew: boolean) => {
+    if (!userData) return;
+
+    try {
+      await updateDoc(doc(db, "users", auth.currentUser!.uid), { autoRenew });
+      setUserData({ ...userData, autoRenew });
+    } catch (error) {
+      console.error("Failed to update renewal preference:", error);
+      setMessage({ type: "error", text: "Failed to update renewal preference." });
+    }
+  };
+
+  // Pays the next premium from the emergency fund balance.
+  const handlePayPremium = async () => {
+    setPayingPremium(true);
+    try {
+      const { data } = await payPremium();
+      setMessage({
+        type: "success",
+        text: data.reinstated
+          ? `Premium of $${data.amount.toFixed(2)} paid. Your policy is active again.`
+          : `Premium of $${data.amount.toFixed(2)} paid.`,
+      });
+      await fetchUserData();
+    } catch (error) {
+      console.error("Premium payment failed:", error);
+      setMessage({ type: "error", text: `Premium payment failed: ${(error as Error).message}` });
+    } finally {
+      setPayingPremium(false);
+    }
+  };
+
+  const handleCancelPolicy = async () => {
+    setCancelDialog(false);
+    try {
+      await cancelPolicy({});
+      setMessage({ type: "success", text: "Your policy has been cancelled." });
+      await fetchUserData();
+    } catch (error) {
+      console.error("Cancellation failed:", error);
+      setMessage({ type: "error", text: `Cancellation failed: ${(error as Error).message}` });
+    }
+  };
+
+  // Connects Phantom and signs a server nonce; the wallet it proves becomes
+  // the payout address, replacing any earlier one.
+  const handleVerifyWallet = async () => {
+    setVerifyingWallet(true);
+    try {
+      const walletAddress = await verifyWalletOwnership();
+      setMessage({
+        type: "success",
+        text: `Wallet ${walletAddress.slice(0, 6)}...${walletAddress.slice(-6)} verified.`,
+      });
+      await fetchUserData();
+    } catch (error) {
+      console.error("Wallet verification failed:", error);
+      setMessage({ type: "error", text: `Wallet verification failed: ${(error as Error).message}` });
+    } finally {
+      setVerifyingWallet(false);
     }
   };
 
@@ -180,7 +358,7 @@ export default function DashboardPage() {
       if (docSnap.exists()) {
         const data = docSnap.data() as UserData;
         setUserData(data);
-        await fetchTransactions(data.zip);
+        await refreshTransactions();
       } else {
         setMessage({ type: "error", text: "User data not found." });
       }
@@ -204,13 +382,89 @@ export default function DashboardPage() {
     return () => unsubscribe();
   }, [navigate]);
 
+  // Withdrawals move through requested -> pending -> processing ->
+  // settled/failed (or requested -> rejected) on the server; refresh the
+  // balance whenever one of them changes.
+  useEffect(() => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return;
+
+    const q = query(collection(db, "withdrawals"), where("userId", "==", uid));
+    return onSnapshot(
+      q,
+      (snapshot) => {
+        const items = snapshot.docs.map((d) => ({ id: d.id, ...d.data() } as Withdrawal));
+        items.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        setWithdrawals(items);
+
+        if (snapshot.docChanges().some((change) => change.type === "modified")) {
+          getDoc(doc(db, "users", uid)).then((snap) => {
+            if (snap.exists()) setUserData(snap.data() as UserData);
+          });
+          refreshTransactions();
+        }
+      },
+      (error) => console.error("Error watching withdrawals:", error)
+    );
+    // Subscribe once per signed-in user, not on every render.
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [userData?.policyId]);
+
+  // The primary location is created by the server after signup, so follow
+  // the subcollection rather than reading it once.
+  useEffect(() => {
+    const uid = auth.currentUser?.uid;
+    if (!uid) return;
+
+    return onSnapshot(
+      collection(db, "users", uid, "locations"),
+      (snapshot) => {
+        const items = snapshot.docs.map((d) => ({ id: d.id, ...d.data() } as InsuredLocation));
+        items.sort((a, b) => (a.id === "primary" ? -1 : b.id === "primary" ? 1 : a.label.localeCompare(b.label)));
+        setLocations(items);
+      },
+      (error) => console.error("Error watching locations:", error)
+    );
+  }, [userData?.policyId]);
+
+  const handleSaveLocation = async () => {
+    if (!locationForm) return;
+    setSavingLocation(true);
+    try {
+      await saveLocation({
+        locationId: locationForm.locationId,
+        label: locationForm.label,
+        address: locationForm.address,
+        zip: locationForm.zip.trim(),
+        coverageAmount: locationForm.coverageAmount ? parseFloat(locationForm.coverageAmount) : null,
+      });
+      setMessage({ type: "success", text: `Location "${locationForm.label}" saved.` });
+      setLocationForm(null);
+    } catch (error) {
+      console.error("Saving location failed:", error);
+      setMessage({ type: "error", text: `Could not save location: ${(error as Error).message}` });
+    } finally {
+      setSavingLocation(false);
+    }
+  };
+
+  const handleRemoveLocation = async (location: InsuredLocation) => {
+    try {
+      await removeLocation({ locationId: location.id });
+      setMessage({ type: "success", text: `Location "${location.label}" removed.` });
+    } catch (error) {
+      console.error("Removing location failed:", error);
+      setMessage({ type: "error", text: `Could not remove location: ${(error as Error).message}` });
+    }
+  };
+
   // --- REMOVED THE MALFORMED/REDUNDANT CODE BLOCK HERE ---
   
   const handleWithdrawClick = () => {
-    if (!userData?.walletAddress) {
+    if (!userData?.walletAddress || !userData.walletVerified) {
       setMessage({
         type: "error",
-        text: "No wallet connected. Please update your profile with a Solana wallet address.",
+        text: "Verify your Solana wallet before withdrawing.",
       });
       return;
     }
@@ -250,8 +504,8 @@ export default function DashboardPage() {
     }
 
     try {
-      // NOTE: Assuming convertUSDtoSOL is available and works as expected
-      const conversion = await convertUSDtoSOL(amount, 2); 
+      // Estimate only; the server converts at its own price when sending.
+      const conversion = await convertUSDtoSOL(amount, 0);
       setConfirmDialog({
         open: true,
         amountUSD: amount,
@@ -264,78 +518,28 @@ export default function DashboardPage() {
   };
 
   const handleConfirmWithdraw = async () => {
-    if (!confirmDialog.amountUSD || !confirmDialog.amountSOL || !userData) return;
-
-    const provider = getProvider();
-    if (!provider || !provider.publicKey) {
-      setMessage({
-        type: "error",
-        text: "Please connect Phantom wallet to authorize the transaction.",
-      });
-      setConfirmDialog({ open: false });
-      return;
-    }
+    if (!confirmDialog.amountUSD || !userData) return;
 
     try {
       setWithdrawing(true);
       setConfirmDialog({ open: false });
 
-      // Send SOL to user's wallet
-      const { signature, explorerUrl } = await sendSol(
-        userData.walletAddress!,
-        confirmDialog.amountSOL
-      );
-
-      const newBalance = userData.balance - confirmDialog.amountUSD;
-
-      // Update user balance
-      await updateDoc(doc(db, "users", auth.currentUser!.uid), {
-        balance: newBalance,
-        lastWithdrawal: new Date().toISOString(),
-      });
-
-      // Log withdrawal transaction
-      await addDoc(collection(db, "withdrawals"), {
-        userId: auth.currentUser!.uid,
-        email: userData.email,
-        amountUSD: confirmDialog.amountUSD,
-        amountSOL: confirmDialog.amountSOL,
-        walletAddress: userData.walletAddress,
-        status: "completed",
-        signature: signature,
-        explorerUrl: explorerUrl,
-        createdAt: new Date().toISOString(),
-        oldBalance: userData.balance,
-        newBalance: newBalance,
-      });
+      const { data } = await requestWithdrawal({ amount: confirmDialog.amountUSD });
+      setUserData({ ...userData, balance: data.balanceAfter });
 
       setMessage({
         type: "success",
-        text: `Successfully withdrew $${confirmDialog.amountUSD.toFixed(2)}! SOL has been sent to your wallet.`,
-        explorerUrl: explorerUrl,
+        text: `Withdrawal of $${data.amountUSD.toFixed(2)} requested. It will be sent to your wallet once an admin approves it.`,
       });
 
       setWithdrawAmount("");
-
-      // Refresh user data (important to show new balance)
-      await fetchUserData();
+      await refreshTransactions();
     } catch (error: any) {
       console.error("Withdrawal error:", error);
-
-      if (
-        error.message?.includes("cancelled") ||
-        error.message?.includes("rejected")
-      ) {
-        setMessage({
-          type: "error",
-          text: "Transaction cancelled in Phantom. Your balance has not been changed.",
-        });
-      } else {
-        setMessage({
-          type: "error",
-          text: `Withdrawal failed: ${error.message}`,
-        });
-      }
+      setMessage({
+        type: "error",
+        text: `Withdrawal failed: ${error.message}`,
+      });
     } finally {
       setWithdrawing(false);
     }
@@ -358,10 +562,13 @@ export default function DashboardPage() {
 
   if (!userData) return null;
 
-  const isActive =
-    userData.status === "ACTIVE" ||
-    userData.status === "PAID" ||
-    userData.status === "Paid";
+  // ACTIVE and PAID policies are in their coverage term (PAID has already
+  // had this term's payout); LAPSED, EXPIRED and CANCELLED ones are not.
+  const isActive = userData.status === "ACTIVE" || userData.status === "PAID";
+  const canReinstate = userData.status === "LAPSED" || userData.status === "EXPIRED";
+  const premium = userData.premium;
+  const premiumDue = !!premium && new Date(premium.nextDueAt) <= new Date();
+  const formatDate = (iso?: string | null) => (iso ? new Date(iso).toLocaleDateString() : "-");
 
   // ============================================================
   //                        RENDER
@@ -519,8 +726,25 @@ export default function DashboardPage() {
                     {userData.walletAddress.slice(0, 6)}...
                     {userData.walletAddress.slice(-6)}
                   </Typography>
+                  <Chip
+                    label={userData.walletVerified ? "Verified" : "Unverified"}
+                    color={userData.walletVerified ? "success" : "warning"}
+                    size="small"
+                  />
                 </Stack>
               )}
+              <Button
+                size="small"
+                variant="outlined"
+                onClick={handleVerifyWallet}
+                disabled={verifyingWallet}
+              >
+                {verifyingWallet
+                  ? "Waiting for signature..."
+                  : userData.walletVerified
+                    ? "Change Wallet"
+                    : "Verify Wallet"}
+              </Button>
             </Stack>
 
             {/* Status + Balance + Withdraw CTA */}
@@ -569,7 +793,7 @@ export default function DashboardPage() {
                 </strong>
               </Typography>
 
-              {userData.walletAddress && userData.balance >= 10 && (
+              {userData.walletVerified && userData.balance >= 10 && (
                 <Button
                   variant="contained"
                   color="primary"
@@ -583,13 +807,13 @@ export default function DashboardPage() {
                 </Button>
               )}
 
-              {!userData.walletAddress && (
+              {!userData.walletVerified && (
                 <Alert severity="info" sx={{ mt: 2 }}>
-                  Connect a Solana wallet to withdraw your funds
+                  Verify your Solana wallet to receive payouts and withdraw your funds
                 </Alert>
               )}
 
-              {userData.walletAddress && userData.balance < 10 && (
+              {userData.walletVerified && userData.balance < 10 && (
                 <Typography
                   variant="caption"
                   color="text.secondary"
@@ -602,6 +826,267 @@ export default function DashboardPage() {
           </CardContent>
         </Card>
 
+        <Card>
+          <CardContent>
+            <Typography variant="h6" sx={{ mb: 1, fontWeight: 600 }}>
+              Coverage
+            </Typography>
+            {!userData.coverageEnd ? (
+              <Typography variant="body2" color="text.secondary">
+                Your coverage term is being set up.
+              </Typography>
+            ) : (
+              <Stack spacing={1.5}>
+                <Typography variant="body2">
+                  {userData.status === "CANCELLED"
+                    ? "Cancelled. This policy no longer pays out."
+                    : userData.status === "LAPSED"
+                      ? "Lapsed for an unpaid premium. Pay the premium to reinstate your coverage."
+                      : userData.status === "EXPIRED"
+                        ? `Expired on ${formatDate(userData.coverageEnd)}. Pay a premium to start a new term.`
+                        : userData.status === "PAID"
+                          ? `This term's payout has been made. Coverage renews on ${formatDate(userData.coverageEnd)}.`
+                          : `Covered from ${formatDate(userData.coverageStart)} to ${formatDate(userData.coverageEnd)}.`}
+                </Typography>
+                {premium && userData.status !== "CANCELLED" && (
+                  <Typography variant="body2" color="text.secondary">
+                    Term {userData.termNumber || 1} &middot; Premium ${premium.amount.toFixed(2)} every{" "}
+                    {premium.intervalMonths === 1 ? "month" : `${premium.intervalMonths} months`} &middot; Paid
+                    through {formatDate(premium.paidThrough)}
+                  </Typography>
+                )}
+                {isActive && premium?.status === "GRACE" && (
+                  <Alert severity="warning">
+                    Your premium of ${premium.amount.toFixed(2)} is overdue. Pay it by{" "}
+                    {formatDate(premium.graceEndsAt)} to keep your coverage.
+                  </Alert>
+                )}
+                <Stack direction="row" spacing={2} alignItems="center" flexWrap="wrap">
+                  {premium && (isActive || canReinstate) && (
+                    <Button
+                      variant={premiumDue || canReinstate ? "contained" : "outlined"}
+                      onClick={handlePayPremium}
+                      disabled={payingPremium || userData.balance < premium.amount}
+                    >
+                      {payingPremium
+                        ? "Paying..."
+                        : `Pay $${premium.amount.toFixed(2)} Premium from Balance`}
+                    </Button>
+                  )}
+                  {isActive && (
+                    <>
+                      <FormControlLabel
+                        control={
+                          <Switch
+                            checked={userData.autoRenew !== false}
+                            onChange={(e) => handleToggleAutoRenew(e.target.checked)}
+                          />
+                        }
+                        label="Renew automatically"
+                      />
+                      <Button color="error" onClick={() => setCancelDialog(true)}>
+                        Cancel Policy
+                      </Button>
+                    </>
+                  )}
+                </Stack>
+                {premium && (isActive || canReinstate) && userData.balance < premium.amount && (
+                  <Typography variant="caption" color="text.secondary">
+                    Your balance doesn't cover the premium.
+                  </Typography>
+                )}
+              </Stack>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardContent>
+            <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 1 }}>
+              <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                Insured Locations
+              </Typography>
+              <Button
+                size="small"
+                variant="outlined"
+                onClick={() => setLocationForm({ ...EMPTY_LOCATION })}
+                disabled={locations.length >= 5}
+              >
+                Add Location
+              </Button>
+            </Stack>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Each location is checked separately against disaster alerts and paid up to its own
+              coverage amount.
+            </Typography>
+            {locations.length === 0 ? (
+              <Typography variant="body2" color="text.secondary">
+                Your signup ZIP ({userData.zip}) is insured while your locations are set up.
+              </Typography>
+            ) : (
+              <Table size="small">
+                <TableHead>
+                  <TableRow>
+                    <TableCell>Location</TableCell>
+                    <TableCell>ZIP</TableCell>
+                    <TableCell>Coverage per event</TableCell>
+                    <TableCell />
+                  </TableRow>
+                </TableHead>
+                <TableBody>
+                  {locations.map((location) => (
+                    <TableRow key={location.id}>
+                      <TableCell>
+                        <Stack direction="row" spacing={1} alignItems="center">
+                          <LocationOnOutlinedIcon sx={{ fontSize: 18 }} />
+                          <Box>
+                            <Typography variant="body2">{location.label}</Typography>
+                            {location.address && (
+                              <Typography variant="caption" color="text.secondary">
+                                {location.address}
+                              </Typography>
+                            )}
+                          </Box>
+                        </Stack>
+                      </TableCell>
+                      <TableCell>{location.zip}</TableCell>
+                      <TableCell>
+                        {location.coverageAmount != null ? `$${location.coverageAmount.toFixed(2)}` : "Plan limit"}
+                      </TableCell>
+                      <TableCell align="right">
+                        <Button
+                          size="small"
+                          onClick={() =>
+                            setLocationForm({
+                              locationId: location.id,
+                              label: location.label,
+                              address: location.address || "",
+                              zip: location.zip,
+                              coverageAmount: location.coverageAmount != null ? String(location.coverageAmount) : "",
+                            })
+                          }
+                        >
+                          Edit
+                        </Button>
+                        <Button
+                          size="small"
+                          color="error"
+                          disabled={locations.length <= 1}
+                          onClick={() => handleRemoveLocation(location)}
+                        >
+                          Remove
+                        </Button>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardContent>
+            <Typography variant="h6" sx={{ mb: 1, fontWeight: 600 }}>
+              Alert Notifications
+            </Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              How we reach you when a disaster alert or payout affects your policy.
+            </Typography>
+            <Stack direction="row" spacing={3}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={userData.notificationPrefs?.email !== false}
+                    onChange={(e) => handleTogglePref("email", e.target.checked)}
+                  />
+                }
+                label="Email"
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={!!userData.phone && userData.notificationPrefs?.sms !== false}
+                    disabled={!userData.phone}
+                    onChange={(e) => handleTogglePref("sms", e.target.checked)}
+                  />
+                }
+                label={userData.phone ? `SMS (${userData.phone})` : "SMS (no phone on file)"}
+              />
+            </Stack>
+          </CardContent>
+        </Card>
+
+        {withdrawals.length > 0 && (
+          <Card>
+            <CardContent>
+              <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>
+                Withdrawals
+              </Typography>
+              <TableContainer component={Paper} variant="outlined">
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>
+                        <strong>Date</strong>
+                      </TableCell>
+                      <TableCell>
+                        <strong>Amount (USD)</strong>
+                      </TableCell>
+                      <TableCell>
+                        <strong>Amount (SOL)</strong>
+                      </TableCell>
+                      <TableCell>
+                        <strong>Status</strong>
+                      </TableCell>
+                      <TableCell>
+                        <strong>Blockchain</strong>
+                      </TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {withdrawals.map((w) => (
+                      <TableRow key={w.id}>
+                        <TableCell>
+                          {new Date(w.createdAt).toLocaleDateString()}
+                        </TableCell>
+                        <TableCell>${w.amountUSD.toFixed(2)}</TableCell>
+                        <TableCell>
+                          {w.amountSOL ? `${w.amountSOL.toFixed(4)} SOL` : "—"}
+                        </TableCell>
+                        <TableCell>
+                          <Chip
+                            label={w.status === "requested" ? "awaiting approval" : w.status}
+                            color={WITHDRAWAL_STATUS_COLOR[w.status]}
+                            size="small"
+                            title={w.error}
+                          />
+                        </TableCell>
+                        <TableCell>
+                          {w.explorerUrl ? (
+                            <Link
+                              href={w.explorerUrl}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              sx={{ fontSize: "0.875rem" }}
+                            >
+                              View on Explorer
+                            </Link>
+                          ) : (
+                            <Typography variant="caption" color="text.secondary">
+                              N/A
+                            </Typography>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </CardContent>
+          </Card>
+        )}
+
         <Card>
           <CardContent>
             <Typography variant="h6" sx={{ mb: 2, fontWeight: 600 }}>
@@ -611,7 +1096,7 @@ export default function DashboardPage() {
             {transactions.length === 0 ? (
               <Typography variant="body2" color="text.secondary">
                 No transactions yet. You'll see payouts here when catastrophes
-                affect your area.
+                affect your area, along with your withdrawals.
               </Typography>
             ) : (
               <TableContainer component={Paper} variant="outlined">
@@ -622,7 +1107,7 @@ export default function DashboardPage() {
                         <strong>Date</strong>
                       </TableCell>
                       <TableCell>
-                        <strong>Event Type</strong>
+                        <strong>Description</strong>
                       </TableCell>
                       <TableCell>
                         <strong>Location</strong>
@@ -630,6 +1115,9 @@ export default function DashboardPage() {
                       <TableCell>
                         <strong>Amount (USD)</strong>
                       </TableCell>
+                      <TableCell>
+                        <strong>Balance</strong>
+                      </TableCell>
                       <TableCell>
                         <strong>Amount (SOL)</strong>
                       </TableCell>
@@ -645,24 +1133,32 @@ export default function DashboardPage() {
                     </TableRow>
                   </TableHead>
                   <TableBody>
-                    {/* Using paginatedData here */}
-                    {paginatedData.map((tx) => (
+                    {transactions.map((tx) => (
                       <TableRow key={tx.id}>
                         <TableCell>
                           {new Date(tx.createdAt).toLocaleDateString()}
                         </TableCell>
-                        <TableCell>{tx.type}</TableCell>
-                        <TableCell>{tx.location}</TableCell>
-                        <TableCell>${tx.amount.toFixed(2)}</TableCell>
+                        <TableCell>{tx.description}</TableCell>
+                        <TableCell>{tx.location || "—"}</TableCell>
+                        <TableCell
+                          sx={{ color: tx.amount < 0 ? "error.main" : "success.main" }}
+                        >
+                          {tx.amount < 0 ? "-" : "+"}${Math.abs(tx.amount).toFixed(2)}
+                        </TableCell>
+                        <TableCell>${tx.balanceAfter.toFixed(2)}</TableCell>
                         <TableCell>
                           {tx.amountSOL ? tx.amountSOL.toFixed(4) : "0.0000"}{" "}
                           SOL
                         </TableCell>
                         <TableCell>
                           <Chip
-                            label={tx.status}
+                            label={TRANSACTION_STATUS_LABEL[tx.status] || tx.status}
                             color={
-                              tx.status === "Completed" ? "success" : "error"
+                              TRANSACTION_STATUS_LABEL[tx.status] === "Completed"
+                                ? "success"
+                                : tx.status === "FAILED"
+                                  ? "error"
+                                  : "default"
                             }
                             size="small"
                           />
@@ -696,7 +1192,7 @@ export default function DashboardPage() {
                 <TablePagination
                     rowsPerPageOptions={[5, 10, 25]}
                     component="div"
-                    count={transactions.length}
+                    count={totalTransactions}
                     rowsPerPage={rowsPerPage}
                     page={page}
                     onPageChange={handleChangePage}
@@ -708,6 +1204,78 @@ export default function DashboardPage() {
         </Card>
       </Stack>
 
+      <Dialog open={cancelDialog} onClose={() => setCancelDialog(false)}>
+        <DialogTitle>Cancel Policy?</DialogTitle>
+        <DialogContent>
+          <Typography>
+            You will stop receiving disaster payouts immediately. Your emergency fund balance stays
+            available to withdraw.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setCancelDialog(false)}>Keep Policy</Button>
+          <Button color="error" onClick={handleCancelPolicy}>
+            Cancel Policy
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog
+        open={!!locationForm}
+        onClose={() => !savingLocation && setLocationForm(null)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>{locationForm?.locationId ? "Edit Location" : "Add Location"}</DialogTitle>
+        <DialogContent>
+          {locationForm && (
+            <Stack spacing={2} sx={{ mt: 2 }}>
+              <TextField
+                label="Name"
+                placeholder="e.g. Home, Mom's house, Shop"
+                value={locationForm.label}
+                onChange={(e) => setLocationForm({ ...locationForm, label: e.target.value })}
+                fullWidth
+                required
+              />
+              <TextField
+                label="Address"
+                value={locationForm.address}
+                onChange={(e) => setLocationForm({ ...locationForm, address: e.target.value })}
+                fullWidth
+              />
+              <TextField
+                label="ZIP Code"
+                value={locationForm.zip}
+                onChange={(e) => setLocationForm({ ...locationForm, zip: e.target.value })}
+                fullWidth
+                required
+              />
+              <TextField
+                label="Coverage per Event (USD)"
+                type="number"
+                value={locationForm.coverageAmount}
+                onChange={(e) => setLocationForm({ ...locationForm, coverageAmount: e.target.value })}
+                helperText="Leave empty for your plan's per-event limit"
+                fullWidth
+              />
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setLocationForm(null)} disabled={savingLocation}>
+            Cancel
+          </Button>
+          <Button
+            variant="contained"
+            onClick={handleSaveLocation}
+            disabled={savingLocation || !locationForm?.label || !locationForm?.zip}
+          >
+            {savingLocation ? "Saving..." : "Save"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Withdraw Dialog */}
       <Dialog
         open={withdrawDialog}
@@ -719,7 +1287,7 @@ export default function DashboardPage() {
         <DialogContent>
           <Stack spacing={2} sx={{ mt: 2 }}>
             <Alert severity="info">
-              Funds will be sent as SOL to your connected Phantom wallet.
+              Funds will be sent as SOL from the Insta-Relief treasury to your wallet.
             </Alert>
 
             <TextField
@@ -786,11 +1354,11 @@ export default function DashboardPage() {
               disabled
             />
             <TextField
-              label="You will receive (SOL)"
+              label="Estimated amount (SOL)"
               value={`${confirmDialog.amountSOL?.toFixed(4)} SOL`}
               fullWidth
               disabled
-              helperText="Includes 2% buffer for price volatility"
+              helperText="Converted at the SOL price when the transfer is sent"
             />
             <TextField
               label="Destination Wallet"
@@ -809,7 +1377,9 @@ export default function DashboardPage() {
           </Stack>
 
           <Alert severity="info" sx={{ mt: 2 }}>
-            You will need to approve this transaction in your Phantom wallet.
+            Your balance is debited now. An admin approves each withdrawal
+            before it is sent; if it is rejected or the transfer fails, the
+            amount is returned to your balance.
           </Alert>
         </DialogContent>
         <DialogActions>
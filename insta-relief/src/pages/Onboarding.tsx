@@ -12,7 +12,8 @@ import { useNavigate } from "react-router-dom";
 import { auth, db } from "../firebase";
 import { createUserWithEmailAndPassword } from "firebase/auth";
 import { doc, setDoc } from "firebase/firestore";
-import { generatePolicyId } from "../../utils/generatePolicyId";
+import { CLUSTER_LABEL } from "../lib/cluster";
+import { ensureConnected, verifyWalletOwnership } from "../lib/solana";
 
 export default function OnboardingPage() {
   const [firstName, setFirstName] = useState("");
@@ -25,22 +26,30 @@ export default function OnboardingPage() {
   const [loading, setLoading] = useState(false);
   const navigate = useNavigate();
 
-  const validateWalletAddress = (address: string): boolean => {
-    if (address.length < 32 || address.length > 44) {
-      return false;
+  // The address comes from Phantom rather than a text field, and signup
+  // finishes by signing a verification message with it.
+  const handleConnectWallet = async () => {
+    try {
+      const publicKey = await ensureConnected();
+      setWalletAddress(publicKey.toBase58());
+    } catch (error) {
+      alert((error as Error).message);
     }
-    const base58Regex = /^[1-9A-HJ-NP-Za-km-z]+$/;
-    return base58Regex.test(address);
   };
 
   const handleSignUp = async () => {
-    if (!firstName || !lastName || !email || !password || !phone || !zip || !walletAddress) {
+    if (!firstName || !lastName || !email || !password || !phone || !zip) {
       alert("Please fill all fields.");
       return;
     }
 
-    if (!validateWalletAddress(walletAddress)) {
-      alert("Invalid Solana wallet address. Please check and try again.");
+    if (!/^\d{5}$/.test(zip.trim())) {
+      alert("Enter a 5-digit ZIP code.");
+      return;
+    }
+
+    if (!walletAddress) {
+      alert("Connect your Phantom wallet to receive payouts.");
       return;
     }
 
@@ -55,23 +64,29 @@ export default function OnboardingPage() {
       );
       const user = userCredential.user;
 
-      const policyId = generatePolicyId(zip);
-
       await setDoc(doc(db, "users", user.uid), {
         firstName,
         lastName,
         email,
         phone: formattedPhone,
-        zip,
-        walletAddress,
-        policyId,
+        zip: zip.trim(),
+        policyId: user.uid,
+        productId: "standard",
         isActivated: true,
         status: "ACTIVE",
         balance: 0,
         createdAt: new Date().toISOString(),
       });
 
-      alert("Account created successfully!");
+      try {
+        await verifyWalletOwnership();
+        alert("Account created and wallet verified!");
+      } catch (error) {
+        alert(
+          `Account created, but your wallet was not verified (${(error as Error).message}). ` +
+          "Verify it from your dashboard to receive payouts."
+        );
+      }
       navigate("/dashboard");
     } catch (error: any) {
       alert(error.message);
@@ -135,14 +150,23 @@ export default function OnboardingPage() {
               value={zip}
               onChange={(e) => setZip(e.target.value)}
             />
-            <TextField
-              label="Solana Wallet Address (Devnet)"
-              fullWidth
-              value={walletAddress}
-              onChange={(e) => setWalletAddress(e.target.value)}
-              placeholder="e.g., FiRnroaThU3w642sKZnNj84xW5b3J2nJCLhV3W3oxy9d"
-              helperText="Your Solana Devnet wallet address where you'll receive payouts"
-            />
+            <Stack direction="row" spacing={2} alignItems="flex-start">
+              <TextField
+                label={`Solana Wallet Address (${CLUSTER_LABEL})`}
+                fullWidth
+                value={walletAddress}
+                placeholder="Connect Phantom to fill in"
+                helperText={`Your Solana ${CLUSTER_LABEL} wallet where you'll receive payouts. You'll sign a message to prove it's yours.`}
+                slotProps={{ input: { readOnly: true } }}
+              />
+              <Button
+                variant="outlined"
+                onClick={handleConnectWallet}
+                sx={{ borderRadius: 2, py: 1.8, whiteSpace: "nowrap" }}
+              >
+                {walletAddress ? "Change" : "Connect"}
+              </Button>
+            </Stack>
 
             <Button
               fullWidth
@@ -8,6 +8,10 @@ export interface PhantomProvider {
   connect: (opts?: { onlyIfTrusted?: boolean }) => Promise<{ publicKey: PublicKey }>;
   disconnect: () => Promise<void>;
   signTransaction: (tx: Transaction) => Promise<Transaction>;
+  signMessage: (
+    message: Uint8Array,
+    display?: "utf8" | "hex"
+  ) => Promise<{ signature: Uint8Array; publicKey: PublicKey }>;
 }
 
 declare global {
@@ -1,7 +1,22 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// The app talks to the same Solana cluster as the functions: SOLANA_CLUSTER,
+// SOLANA_RPC_URL and USDC_MINT are read from functions/.env, then ./.env, then
+// the environment (later wins), and exposed as import.meta.env.*.
+const SHARED_ENV = ['SOLANA_CLUSTER', 'SOLANA_RPC_URL', 'USDC_MINT']
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const env = {
+    ...loadEnv(mode, 'functions', ''),
+    ...loadEnv(mode, process.cwd(), ''),
+  }
+
+  return {
+    plugins: [react()],
+    define: Object.fromEntries(
+      SHARED_ENV.map((key) => [`import.meta.env.${key}`, JSON.stringify(env[key] || '')])
+    ),
+  }
 })